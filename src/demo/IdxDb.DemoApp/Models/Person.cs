@@ -1,8 +1,15 @@
+using System.ComponentModel.DataAnnotations;
+
 namespace IdxDb.DemoApp.Models;
 
 public class Person
 {
     public Guid Id { get; set; }
+
+    [Required]
+    [StringLength(100)]
     public string? Name { get; set; }
+
+    [Range(0, 150)]
     public int Age { get; set; }
 }
\ No newline at end of file
@@ -7,8 +7,31 @@ public class PersonRepository(IndexedDbInterop indexedDb)
     private const string DbName = "demo";
     private const string StoreName = "persons";
 
+    private Task? _schemaTask;
+
+    // Rejects records that break the data annotations of Person, whichever code writes them.
+    private Task EnsureSchemaAsync()
+        => _schemaTask ??= DefineSchemaAsync();
+
+    // Forgets a failed attempt, so that the next write defines the schema again.
+    private async Task DefineSchemaAsync()
+    {
+        try
+        {
+            await indexedDb.DefineSchemaAsync(DbName, StoreName, RecordSchema.For<Person>());
+        }
+        catch
+        {
+            _schemaTask = null;
+            throw;
+        }
+    }
+
     public async Task AddPersonAsync(Person formModel)
-        => await indexedDb.AddOneAsync(DbName, StoreName, formModel);
+    {
+        await EnsureSchemaAsync();
+        await indexedDb.AddOneAsync(DbName, StoreName, formModel);
+    }
 
     public async Task<Person[]> GetAllPersonsAsync()
         => await indexedDb.GetAllAsync<Person>(DbName, StoreName);
@@ -17,7 +40,10 @@ public class PersonRepository(IndexedDbInterop indexedDb)
         => await indexedDb.GetOneAsync<Person, string>(DbName, StoreName, id);
 
     public async Task UpdatePersonAsync(Person formModel)
-        => await indexedDb.UpdateOneAsync(DbName, StoreName, formModel);
+    {
+        await EnsureSchemaAsync();
+        await indexedDb.UpdateOneAsync(DbName, StoreName, formModel);
+    }
 
     public async Task DeletePersonAsync(Guid id)
         => await indexedDb.DeleteOneAsync(DbName, StoreName, id);
@@ -0,0 +1,32 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// Describes the records an aggregation reads: an index and a key range, and the field <c>sum</c> and <c>avg</c>
+/// fold.
+/// </summary>
+public class AggregateOptions
+{
+    /// <summary>
+    /// Gets or sets the name of the index to read. The primary key is used when <c>null</c>.
+    /// </summary>
+    [JsonPropertyName("indexName")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? IndexName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the key range to read. All records are read when <c>null</c>.
+    /// </summary>
+    [JsonPropertyName("range")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public KeyRange? Range { get; set; }
+
+    /// <summary>
+    /// Gets or sets the numeric field to add up or average, as serialized (camelCase, dotted for nested fields).
+    /// Only <c>sum</c> and <c>avg</c> use it.
+    /// </summary>
+    [JsonPropertyName("field")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Field { get; set; }
+}
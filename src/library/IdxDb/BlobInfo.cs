@@ -0,0 +1,62 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The description of a stored blob, without its contents.
+/// </summary>
+public class BlobInfo
+{
+    /// <summary>
+    /// Gets or sets the key of the blob.
+    /// </summary>
+    [JsonPropertyName("key")]
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the size of the blob in bytes.
+    /// </summary>
+    [JsonPropertyName("size")]
+    public long Size { get; set; }
+
+    /// <summary>
+    /// Gets or sets the MIME type of the blob, or an empty string when it is unknown.
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of chunks the blob is stored in.
+    /// </summary>
+    [JsonPropertyName("chunkCount")]
+    public int ChunkCount { get; set; }
+
+    /// <summary>
+    /// Gets or sets the application data stored with the blob.
+    /// </summary>
+    [JsonPropertyName("metadata")]
+    public JsonElement Metadata { get; set; }
+
+    /// <summary>
+    /// Gets or sets when a blob was first stored under this key.
+    /// </summary>
+    [JsonPropertyName("createdAt")]
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the blob was last replaced.
+    /// </summary>
+    [JsonPropertyName("updatedAt")]
+    public DateTime UpdatedAt { get; set; }
+
+    /// <summary>
+    /// Deserializes the application data stored with the blob.
+    /// </summary>
+    /// <typeparam name="TMetadata">The type of the metadata.</typeparam>
+    /// <returns>The metadata.</returns>
+    public TMetadata? GetMetadata<TMetadata>()
+    {
+        return Metadata.Deserialize<TMetadata>();
+    }
+}
@@ -0,0 +1,44 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The outcome of one item of a bulk write that continued on errors.
+/// </summary>
+public class BulkWriteResult
+{
+    /// <summary>
+    /// Gets or sets the position of the item in the batch.
+    /// </summary>
+    [JsonPropertyName("index")]
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Gets or sets the key of the item, or <see cref="JsonValueKind.Null"/> when it could not be determined.
+    /// </summary>
+    [JsonPropertyName("key")]
+    public JsonElement Key { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the item was written.
+    /// </summary>
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the error that rejected the item (for example 'ConstraintError'), or <c>null</c> on success.
+    /// </summary>
+    [JsonPropertyName("error")]
+    public string? Error { get; set; }
+
+    /// <summary>
+    /// Deserializes the key of the item.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the key.</typeparam>
+    /// <returns>The key, or <c>default</c> when it could not be determined.</returns>
+    public TKey? GetKey<TKey>()
+    {
+        return Key.ValueKind is JsonValueKind.Undefined or JsonValueKind.Null ? default : Key.Deserialize<TKey>();
+    }
+}
@@ -0,0 +1,35 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// Describes a change in the state of a database connection reported by the browser.
+/// </summary>
+public class DatabaseConnectionEventArgs : EventArgs
+{
+    /// <summary>
+    /// Gets or sets the name of the database.
+    /// </summary>
+    [JsonPropertyName("dbName")]
+    public string DbName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the kind of event: 'versionchange' when another connection upgrades or deletes the database
+    /// (the cached connection has been closed), 'blocked' when an upgrade or delete waits for other connections
+    /// to close, or 'close' when the browser closed the connection.
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the version of the database before the change.
+    /// </summary>
+    [JsonPropertyName("oldVersion")]
+    public int OldVersion { get; set; }
+
+    /// <summary>
+    /// Gets or sets the requested version, or <c>null</c> when the database is being deleted or closed.
+    /// </summary>
+    [JsonPropertyName("newVersion")]
+    public int? NewVersion { get; set; }
+}
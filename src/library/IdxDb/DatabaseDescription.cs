@@ -0,0 +1,43 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The live schema of a database, as described by <see cref="IndexedDbInterop.DescribeDatabaseAsync"/>.
+/// </summary>
+public class DatabaseDescription
+{
+    /// <summary>
+    /// Gets or sets the name of the database.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the version of the database.
+    /// </summary>
+    [JsonPropertyName("version")]
+    public int Version { get; set; }
+
+    /// <summary>
+    /// Gets or sets the storage backend holding the database, such as <see cref="StorageBackend.IndexedDb"/>.
+    /// </summary>
+    [JsonPropertyName("backend")]
+    public string Backend { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the object stores of the database, in name order.
+    /// </summary>
+    [JsonPropertyName("stores")]
+    public ObjectStoreDescription[] Stores { get; set; } = [];
+
+    /// <summary>
+    /// Finds an object store by name.
+    /// </summary>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <returns>The object store, or <c>null</c> if the database has none by that name.</returns>
+    public ObjectStoreDescription? FindStore(string storeName)
+    {
+        return Stores.FirstOrDefault(store => store.Name == storeName);
+    }
+}
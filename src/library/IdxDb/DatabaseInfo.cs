@@ -0,0 +1,27 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A database found by <see cref="IndexedDbInterop.ListDatabasesAsync"/>.
+/// </summary>
+public class DatabaseInfo
+{
+    /// <summary>
+    /// Gets or sets the name of the database.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the version of the database.
+    /// </summary>
+    [JsonPropertyName("version")]
+    public int Version { get; set; }
+
+    /// <summary>
+    /// Gets or sets the storage backend holding the database, such as <see cref="StorageBackend.IndexedDb"/>.
+    /// </summary>
+    [JsonPropertyName("backend")]
+    public string Backend { get; set; } = string.Empty;
+}
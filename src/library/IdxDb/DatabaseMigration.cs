@@ -0,0 +1,12 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The schema and data changes that bring a database to a given version.
+/// </summary>
+/// <param name="Version">The database version this migration produces.</param>
+/// <param name="Steps">The steps to apply, in order.</param>
+public record DatabaseMigration(
+    [property: JsonPropertyName("version")] int Version,
+    [property: JsonPropertyName("steps")] IReadOnlyList<MigrationStep> Steps);
@@ -0,0 +1,36 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// Options of the encryption of an object store. Key path and indexed fields always stay in plaintext so that keys
+/// and indexes keep working.
+/// </summary>
+public class EncryptionOptions
+{
+    /// <summary>
+    /// Gets or sets the id of the key, registered with <see cref="IndexedDbInterop.DeriveEncryptionKeyAsync"/> or
+    /// <see cref="IndexedDbInterop.RegisterEncryptionKeyAsync"/>.
+    /// </summary>
+    [JsonPropertyName("keyId")]
+    public string KeyId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the JavaScript names of the fields to encrypt, or <c>null</c> to encrypt the whole record.
+    /// </summary>
+    [JsonPropertyName("fields")]
+    public string[]? Fields { get; set; }
+
+    /// <summary>
+    /// Gets or sets the JavaScript names of more fields to keep in plaintext, such as the version field.
+    /// </summary>
+    [JsonPropertyName("plaintextFields")]
+    public string[] PlaintextFields { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the JavaScript names of indexed fields to store as a keyed hash. Their index still finds exact
+    /// matches, but no longer supports ranges or ordering.
+    /// </summary>
+    [JsonPropertyName("hashedFields")]
+    public string[] HashedFields { get; set; } = [];
+}
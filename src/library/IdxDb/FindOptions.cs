@@ -0,0 +1,36 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A query of <see cref="IndexedDbInterop.FindAsync{T}"/>: the conditions the records must meet, their order and
+/// the page to return.
+/// </summary>
+public class FindOptions
+{
+    /// <summary>
+    /// Gets or sets the conditions, which the records must all meet.
+    /// </summary>
+    [JsonPropertyName("where")]
+    public List<QueryPredicate> Where { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the fields the records are sorted by. When empty, records come in the order of the index or
+    /// primary key the query reads.
+    /// </summary>
+    [JsonPropertyName("orderBy")]
+    public List<QueryOrdering> OrderBy { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the number of matching records to skip.
+    /// </summary>
+    [JsonPropertyName("skip")]
+    public int Skip { get; set; }
+
+    /// <summary>
+    /// Gets or sets the maximum number of records to return, or <c>null</c> to return them all.
+    /// </summary>
+    [JsonPropertyName("take")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public int? Take { get; set; }
+}
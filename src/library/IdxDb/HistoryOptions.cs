@@ -0,0 +1,28 @@
+namespace IdxDb;
+
+/// <summary>
+/// Options of the history of an object store, for <see cref="IndexedDbInterop.DefineHistoryAsync"/>.
+/// </summary>
+public class HistoryOptions
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether deletes only mark items as deleted. Reads treat marked items as
+    /// missing until <see cref="IndexedDbInterop.UndeleteAsync{TKey}"/> restores them.
+    /// </summary>
+    public bool SoftDelete { get; set; }
+
+    /// <summary>
+    /// Gets or sets the JavaScript name of the property holding the deletion time of a soft-deleted item.
+    /// </summary>
+    public string DeletedField { get; set; } = "deletedAt";
+
+    /// <summary>
+    /// Gets or sets the number of revisions kept per item, or <c>null</c> to keep them all.
+    /// </summary>
+    public int? MaxRevisions { get; set; }
+
+    /// <summary>
+    /// Gets or sets how long revisions are kept, or <c>null</c> to keep them all.
+    /// </summary>
+    public TimeSpan? MaxAge { get; set; }
+}
@@ -0,0 +1,32 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// Describes the operations a hook runs around: those on a database, an object store, or a list of operations
+/// such as <c>addOne</c> and <c>getAll</c>. A <c>null</c> property does not restrict the hook.
+/// </summary>
+public class HookOptions
+{
+    /// <summary>
+    /// Gets or sets the name of the database to hook, or <c>null</c> for every database.
+    /// </summary>
+    [JsonPropertyName("dbName")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? DbName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the object store to hook, or <c>null</c> for every object store.
+    /// </summary>
+    [JsonPropertyName("storeName")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? StoreName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the names of the operations to hook, as named in JavaScript (<c>getOne</c>, <c>addMany</c>,
+    /// <c>count</c>...), or <c>null</c> for every operation.
+    /// </summary>
+    [JsonPropertyName("operations")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string[]? Operations { get; set; }
+}
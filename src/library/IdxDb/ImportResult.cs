@@ -0,0 +1,21 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The outcome of importing a database snapshot.
+/// </summary>
+public class ImportResult
+{
+    /// <summary>
+    /// Gets or sets the number of records written to the database.
+    /// </summary>
+    [JsonPropertyName("written")]
+    public int Written { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of records left untouched because they already existed ('skip-existing' mode only).
+    /// </summary>
+    [JsonPropertyName("skipped")]
+    public int Skipped { get; set; }
+}
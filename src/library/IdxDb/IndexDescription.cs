@@ -0,0 +1,43 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The live schema of an index, as described by <see cref="IndexedDbInterop.DescribeDatabaseAsync"/>.
+/// </summary>
+public class IndexDescription
+{
+    /// <summary>
+    /// Gets or sets the name of the index.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the key path: a string, or an array of strings for a compound index.
+    /// </summary>
+    [JsonPropertyName("keyPath")]
+    public JsonElement KeyPath { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether two records cannot share a key of the index.
+    /// </summary>
+    [JsonPropertyName("unique")]
+    public bool Unique { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether an array key adds an entry for each of its elements.
+    /// </summary>
+    [JsonPropertyName("multiEntry")]
+    public bool MultiEntry { get; set; }
+
+    /// <summary>
+    /// Reads the key path as a list of paths.
+    /// </summary>
+    /// <returns>One path, or the paths of a compound index.</returns>
+    public string[] GetKeyPath()
+    {
+        return ObjectStoreDescription.ReadKeyPath(KeyPath);
+    }
+}
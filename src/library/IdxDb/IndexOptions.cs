@@ -0,0 +1,22 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The parameters of an index, mirroring <c>IDBIndexParameters</c>.
+/// </summary>
+public class IndexOptions
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether the index rejects two records with the same index key.
+    /// </summary>
+    [JsonPropertyName("unique")]
+    public bool Unique { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether an array value adds one index entry per element instead of a
+    /// single entry for the whole array. Only valid with a single key path.
+    /// </summary>
+    [JsonPropertyName("multiEntry")]
+    public bool MultiEntry { get; set; }
+}
@@ -0,0 +1,51 @@
+using System.Text.Json;
+using Microsoft.JSInterop;
+
+namespace IdxDb;
+
+/// <summary>
+/// The exception thrown when a versioned write finds that the stored item was changed since it was read.
+/// </summary>
+public class IndexedDbConcurrencyException : IndexedDbException
+{
+    /// <summary>
+    /// The name of the JavaScript error raised on a version conflict.
+    /// </summary>
+    internal const string ErrorName = "VersionConflictError";
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbConcurrencyException"/> class.
+    /// </summary>
+    /// <param name="message">The message describing the conflict.</param>
+    /// <param name="innerException">The JavaScript error that reported the conflict.</param>
+    public IndexedDbConcurrencyException(string message, JSException innerException)
+        : base(ErrorName, message, innerException: innerException)
+    {
+    }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbConcurrencyException"/> class.
+    /// </summary>
+    /// <param name="message">The message describing the conflict.</param>
+    /// <param name="databaseName">The name of the database, when it is known.</param>
+    /// <param name="storeName">The name of the object store, when it is known.</param>
+    /// <param name="operation">The name of the operation that failed, such as <c>updateOne</c>, when it is known.</param>
+    /// <param name="key">The key of the item that was changed, when it is known.</param>
+    /// <param name="innerException">The JavaScript error that reported the conflict.</param>
+    public IndexedDbConcurrencyException(string message, string? databaseName, string? storeName, string? operation,
+        JsonElement? key, Exception? innerException)
+        : base(ErrorName, message, databaseName, storeName, operation, key, innerException)
+    {
+    }
+
+    /// <summary>
+    /// Determines whether a JavaScript error that carries no details reports a version conflict.
+    /// </summary>
+    /// <param name="exception">The JavaScript error.</param>
+    /// <returns><c>true</c> if the error is a version conflict; otherwise, <c>false</c>.</returns>
+    internal static bool IsConflict(JSException exception)
+    {
+        return exception.Message.Contains("Version conflict in object store", StringComparison.Ordinal)
+            || exception.Message.Contains(ErrorName, StringComparison.Ordinal);
+    }
+}
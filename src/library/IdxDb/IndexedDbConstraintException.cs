@@ -0,0 +1,25 @@
+using System.Text.Json;
+
+namespace IdxDb;
+
+/// <summary>
+/// The exception thrown when a write breaks a constraint: a record with the same key already exists, or a unique
+/// index already holds the same value. <see cref="IndexedDbException.Key"/> is the key of the record that was written.
+/// </summary>
+public class IndexedDbConstraintException : IndexedDbException
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbConstraintException"/> class.
+    /// </summary>
+    /// <param name="message">The message describing the failure.</param>
+    /// <param name="databaseName">The name of the database, when it is known.</param>
+    /// <param name="storeName">The name(s) of the object store(s), separated by commas, when they are known.</param>
+    /// <param name="operation">The name of the operation that failed, such as <c>addOne</c>, when it is known.</param>
+    /// <param name="key">The key of the offending record, when it is known.</param>
+    /// <param name="innerException">The JavaScript error that reported the failure.</param>
+    public IndexedDbConstraintException(string message, string? databaseName, string? storeName, string? operation,
+        JsonElement? key, Exception? innerException)
+        : base("ConstraintError", message, databaseName, storeName, operation, key, innerException)
+    {
+    }
+}
@@ -0,0 +1,25 @@
+using System.Text.Json;
+
+namespace IdxDb;
+
+/// <summary>
+/// The exception thrown when a key, key range or value cannot be used, such as a key of a type IndexedDB does not
+/// accept or a record without the key its object store needs.
+/// </summary>
+public class IndexedDbDataException : IndexedDbException
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbDataException"/> class.
+    /// </summary>
+    /// <param name="message">The message describing the failure.</param>
+    /// <param name="databaseName">The name of the database, when it is known.</param>
+    /// <param name="storeName">The name(s) of the object store(s), separated by commas, when they are known.</param>
+    /// <param name="operation">The name of the operation that failed, such as <c>addOne</c>, when it is known.</param>
+    /// <param name="key">The key of the offending record, when it is known.</param>
+    /// <param name="innerException">The JavaScript error that reported the failure.</param>
+    public IndexedDbDataException(string message, string? databaseName, string? storeName, string? operation,
+        JsonElement? key, Exception? innerException)
+        : base("DataError", message, databaseName, storeName, operation, key, innerException)
+    {
+    }
+}
@@ -0,0 +1,189 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using Microsoft.JSInterop;
+
+namespace IdxDb;
+
+/// <summary>
+/// The exception thrown when an IndexedDB operation fails. Derived exceptions report the common failures; this
+/// class is thrown as is for the others, with the name of the browser error in <see cref="Code"/>.
+/// </summary>
+public class IndexedDbException : Exception
+{
+    /// <summary>
+    /// The prefix of the stack line on which the JavaScript module reports the details of an error.
+    /// </summary>
+    private const string DetailsPrefix = "IdxDbError ";
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbException"/> class.
+    /// </summary>
+    /// <param name="code">The name of the browser error, such as <c>ConstraintError</c>.</param>
+    /// <param name="message">The message describing the failure.</param>
+    /// <param name="databaseName">The name of the database, when it is known.</param>
+    /// <param name="storeName">The name(s) of the object store(s), separated by commas, when they are known.</param>
+    /// <param name="operation">The name of the operation that failed, such as <c>addOne</c>, when it is known.</param>
+    /// <param name="key">The key of the offending record, when it is known.</param>
+    /// <param name="innerException">The JavaScript error that reported the failure.</param>
+    public IndexedDbException(string code, string message, string? databaseName = null, string? storeName = null,
+        string? operation = null, JsonElement? key = null, Exception? innerException = null)
+        : base(message, innerException)
+    {
+        Code = code;
+        DatabaseName = databaseName;
+        StoreName = storeName;
+        Operation = operation;
+        Key = key;
+    }
+
+    /// <summary>
+    /// Gets the name of the browser error, such as <c>ConstraintError</c> or <c>NotFoundError</c>.
+    /// </summary>
+    public string Code { get; }
+
+    /// <summary>
+    /// Gets the name of the database, when it is known.
+    /// </summary>
+    public string? DatabaseName { get; }
+
+    /// <summary>
+    /// Gets the name(s) of the object store(s), separated by commas, when they are known.
+    /// </summary>
+    public string? StoreName { get; }
+
+    /// <summary>
+    /// Gets the name of the operation that failed, such as <c>addOne</c>, when it is known.
+    /// </summary>
+    public string? Operation { get; }
+
+    /// <summary>
+    /// Gets the key of the offending record, when it is known. Dates and other keys JSON cannot represent use
+    /// the snapshot encoding, such as <c>{ "$type": "Date", "value": "..." }</c>.
+    /// </summary>
+    public JsonElement? Key { get; }
+
+    /// <summary>
+    /// Gets the key of the offending record as the given type.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the key.</typeparam>
+    /// <returns>The key, or the default value when it is not known.</returns>
+    public TKey? GetKey<TKey>()
+    {
+        return Key is { } key ? key.Deserialize<TKey>() : default;
+    }
+
+    /// <summary>
+    /// Translates a JavaScript error raised by the IdxDb module into the matching exception.
+    /// </summary>
+    /// <param name="exception">The JavaScript error.</param>
+    /// <param name="translated">The exception to throw instead.</param>
+    /// <returns><c>true</c> if the error was translated; <c>false</c> if it did not come from the module.</returns>
+    internal static bool TryTranslate(JSException exception, out IndexedDbException translated)
+    {
+        var details = ReadDetails(exception);
+        if (details is null)
+        {
+            // Errors without details are only recognized by their message.
+            if (IndexedDbConcurrencyException.IsConflict(exception))
+            {
+                translated = new IndexedDbConcurrencyException(exception.Message, exception);
+                return true;
+            }
+
+            if (IndexedDbQuotaExceededException.IsQuotaExceeded(exception))
+            {
+                translated = IndexedDbQuotaExceededException.FromJSException(exception);
+                return true;
+            }
+
+            translated = null!;
+            return false;
+        }
+
+        var message = details.Message ?? exception.Message;
+        var (databaseName, storeName, operation) = (details.DbName, details.StoreName, details.Operation);
+        var key = details.Key is { ValueKind: not JsonValueKind.Null } value ? value : (JsonElement?)null;
+        translated = details.Code switch
+        {
+            "ConstraintError" =>
+                new IndexedDbConstraintException(message, databaseName, storeName, operation, key, exception),
+            "NotFoundError" when details.Missing == "objectStore" =>
+                new IndexedDbStoreNotFoundException(message, databaseName, storeName, operation, exception),
+            "NotFoundError" =>
+                new IndexedDbNotFoundException(message, databaseName, storeName, operation, key, exception),
+            "VersionError" =>
+                new IndexedDbVersionException(message, databaseName, operation, exception),
+            "TransactionInactiveError" =>
+                new IndexedDbTransactionInactiveException(message, databaseName, storeName, operation, exception),
+            "DataError" =>
+                new IndexedDbDataException(message, databaseName, storeName, operation, key, exception),
+            IndexedDbValidationException.ErrorName =>
+                new IndexedDbValidationException(message, databaseName, storeName, operation, key,
+                    details.Violations ?? [], exception),
+            IndexedDbQuotaExceededException.ErrorName =>
+                new IndexedDbQuotaExceededException(message, databaseName, storeName, operation, exception),
+            IndexedDbSyncException.ErrorName =>
+                new IndexedDbSyncException(message, databaseName, operation, exception),
+            IndexedDbConcurrencyException.ErrorName =>
+                new IndexedDbConcurrencyException(message, databaseName, storeName, operation, key, exception),
+            _ => new IndexedDbException(details.Code, message, databaseName, storeName, operation, key, exception),
+        };
+        return true;
+    }
+
+    /// <summary>
+    /// Reads the details the JavaScript module puts at the top of the stack of its errors.
+    /// </summary>
+    /// <param name="exception">The JavaScript error.</param>
+    /// <returns>The details, or <c>null</c> if the error does not carry any.</returns>
+    private static ErrorDetails? ReadDetails(JSException exception)
+    {
+        var line = exception.Message
+            .Split('\n')
+            .FirstOrDefault(text => text.StartsWith(DetailsPrefix, StringComparison.Ordinal));
+        if (line is null)
+        {
+            return null;
+        }
+
+        try
+        {
+            var details = JsonSerializer.Deserialize<ErrorDetails>(line[DetailsPrefix.Length..].TrimEnd('\r'));
+            return string.IsNullOrEmpty(details?.Code) ? null : details;
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// The details of an error, as serialized by the JavaScript module.
+    /// </summary>
+    private sealed class ErrorDetails
+    {
+        [JsonPropertyName("code")]
+        public string Code { get; set; } = string.Empty;
+
+        [JsonPropertyName("message")]
+        public string? Message { get; set; }
+
+        [JsonPropertyName("dbName")]
+        public string? DbName { get; set; }
+
+        [JsonPropertyName("storeName")]
+        public string? StoreName { get; set; }
+
+        [JsonPropertyName("operation")]
+        public string? Operation { get; set; }
+
+        [JsonPropertyName("key")]
+        public JsonElement? Key { get; set; }
+
+        [JsonPropertyName("missing")]
+        public string? Missing { get; set; }
+
+        [JsonPropertyName("violations")]
+        public SchemaViolation[]? Violations { get; set; }
+    }
+}
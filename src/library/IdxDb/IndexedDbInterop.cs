@@ -1,13 +1,24 @@
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using Microsoft.Extensions.Logging;
 using Microsoft.JSInterop;
 
 namespace IdxDb;
 
 /// <summary>
-/// Provides methods for interacting with IndexedDB via JavaScript interop.
+/// Provides methods for interacting with IndexedDB via JavaScript interop. Failures are reported as
+/// <see cref="IndexedDbException"/>s, such as <see cref="IndexedDbConstraintException"/> for a duplicate key.
 /// </summary>
 public class IndexedDbInterop : IAsyncDisposable
 {
+    private static readonly object ContinueOnError = new { continueOnError = true };
+
     private readonly Lazy<Task<IJSObjectReference>> _moduleTask;
+    private readonly DotNetObjectReference<IndexedDbInterop> _selfReference;
+    private readonly Dictionary<string, DotNetObjectReference<SyncConflictResolver>> _syncResolvers = [];
+    private readonly Dictionary<int, IDisposable> _hookReferences = [];
+    private int _connectionSubscriptionId;
+    private int _syncSubscriptionId;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="IndexedDbInterop"/> class.
@@ -15,9 +26,47 @@ public class IndexedDbInterop : IAsyncDisposable
     /// <param name="jsRuntime">An instance of <see cref="IJSRuntime"/> for JavaScript interop.</param>
     public IndexedDbInterop(IJSRuntime jsRuntime)
     {
-        _moduleTask = new Lazy<Task<IJSObjectReference>>(() => jsRuntime
-            .InvokeAsync<IJSObjectReference>("import", "./_content/IdxDb/idb.mjs")
-            .AsTask());
+        _selfReference = DotNetObjectReference.Create(this);
+        _moduleTask = new Lazy<Task<IJSObjectReference>>(() => LoadModuleAsync(jsRuntime));
+    }
+
+    /// <summary>
+    /// Occurs when a database connection changes state: another tab upgrades or deletes the database,
+    /// an upgrade or delete is blocked by other connections, or the browser closes the connection.
+    /// </summary>
+    public event EventHandler<DatabaseConnectionEventArgs>? ConnectionEvent;
+
+    /// <summary>
+    /// Occurs as a sync started with <see cref="SyncAsync"/> progresses, completes or fails.
+    /// </summary>
+    public event EventHandler<SyncProgressEventArgs>? SyncProgress;
+
+    private async Task<IJSObjectReference> LoadModuleAsync(IJSRuntime jsRuntime)
+    {
+        var module = await jsRuntime.InvokeAsync<IJSObjectReference>("import", "./_content/IdxDb/idb.mjs");
+        _connectionSubscriptionId = await module.InvokeAsync<int>("subscribeConnectionEvents", _selfReference);
+        _syncSubscriptionId = await module.InvokeAsync<int>("subscribeSyncEvents", _selfReference);
+        return module;
+    }
+
+    /// <summary>
+    /// Receives connection events from JavaScript. Not intended to be called from .NET code.
+    /// </summary>
+    /// <param name="args">The connection event.</param>
+    [JSInvokable]
+    public void OnConnectionEvent(DatabaseConnectionEventArgs args)
+    {
+        ConnectionEvent?.Invoke(this, args);
+    }
+
+    /// <summary>
+    /// Receives sync progress from JavaScript. Not intended to be called from .NET code.
+    /// </summary>
+    /// <param name="args">The sync progress.</param>
+    [JSInvokable]
+    public void OnSyncProgress(SyncProgressEventArgs args)
+    {
+        SyncProgress?.Invoke(this, args);
     }
 
     /// <summary>
@@ -26,10 +75,47 @@ public class IndexedDbInterop : IAsyncDisposable
     /// <param name="dbName">The name of the database.</param>
     /// <param name="storeName">The name of the object store.</param>
     /// <param name="item">The item to add.</param>
-    public async Task AddOneAsync(string dbName, string storeName, object item)
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the key of the item, including a key generated by the store.</returns>
+    public async Task<JsonElement> AddOneAsync(string dbName, string storeName, object item,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<JsonElement>(module, "addOne", dbName, storeName, item, null, transactionId);
+    }
+
+    /// <summary>
+    /// Adds a single item to the specified object store with the given write options.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="item">The item to add.</param>
+    /// <param name="options">The write options, such as the time to live of the item.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the key of the item, including a key generated by the store.</returns>
+    public async Task<JsonElement> AddOneAsync(string dbName, string storeName, object item, WriteOptions options,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<JsonElement>(module, "addOne", dbName, storeName, item, options, transactionId);
+    }
+
+    /// <summary>
+    /// Adds a single item to the specified object store and returns it as stored.
+    /// </summary>
+    /// <typeparam name="T">The type of items stored in the object store.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="item">The item to add.</param>
+    /// <param name="options">The write options, such as the time to live of the item.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the key of the item and the stored item, with a generated key written into its key path property.</returns>
+    public async Task<WriteResult<T>> AddOneAndReturnAsync<T>(string dbName, string storeName, T item,
+        WriteOptions? options = null, string? transactionId = null)
     {
         var module = await _moduleTask.Value;
-        await module.InvokeVoidAsync("addOne", dbName, storeName, item);
+        return await InvokeModuleAsync<WriteResult<T>>(module, "addOne", dbName, storeName, item,
+            ReturningRecord(options), transactionId);
     }
 
     /// <summary>
@@ -38,11 +124,12 @@ public class IndexedDbInterop : IAsyncDisposable
     /// <typeparam name="T">The type of items stored in the object store.</typeparam>
     /// <param name="dbName">The name of the database.</param>
     /// <param name="storeName">The name of the object store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
     /// <returns>A task that represents the asynchronous operation. The task result contains an array of items.</returns>
-    public async Task<T[]> GetAllAsync<T>(string dbName, string storeName)
+    public async Task<T[]> GetAllAsync<T>(string dbName, string storeName, string? transactionId = null)
     {
         var module = await _moduleTask.Value;
-        return await module.InvokeAsync<T[]>("getAll", dbName, storeName);
+        return await InvokeModuleAsync<T[]>(module, "getAll", dbName, storeName, transactionId);
     }
 
     /// <summary>
@@ -53,11 +140,13 @@ public class IndexedDbInterop : IAsyncDisposable
     /// <param name="dbName">The name of the database.</param>
     /// <param name="storeName">The name of the object store.</param>
     /// <param name="id">The key of the item to retrieve.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
     /// <returns>A task that represents the asynchronous operation. The task result contains the item, or <c>null</c> if not found.</returns>
-    public async Task<TRecord?> GetOneAsync<TRecord, TKey>(string dbName, string storeName, TKey id)
+    public async Task<TRecord?> GetOneAsync<TRecord, TKey>(string dbName, string storeName, TKey id,
+        string? transactionId = null)
     {
         var module = await _moduleTask.Value;
-        return await module.InvokeAsync<TRecord>("getOne", dbName, storeName, id);
+        return await InvokeModuleAsync<TRecord>(module, "getOne", dbName, storeName, id, transactionId);
     }
 
     /// <summary>
@@ -66,10 +155,90 @@ public class IndexedDbInterop : IAsyncDisposable
     /// <param name="dbName">The name of the database.</param>
     /// <param name="storeName">The name of the object store.</param>
     /// <param name="item">The item to update.</param>
-    public async Task UpdateOneAsync(string dbName, string storeName, object item)
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the key of the item.</returns>
+    public async Task<JsonElement> UpdateOneAsync(string dbName, string storeName, object item,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<JsonElement>(module, "updateOne", dbName, storeName, item, null, transactionId);
+    }
+
+    /// <summary>
+    /// Updates an existing item in the specified object store, optionally checking its version first.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="item">The item to update.</param>
+    /// <param name="options">The write options, such as the version field used for optimistic concurrency.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the key of the item.</returns>
+    /// <exception cref="IndexedDbConcurrencyException">The stored item has a different version than <paramref name="item"/>.</exception>
+    public async Task<JsonElement> UpdateOneAsync(string dbName, string storeName, object item, WriteOptions options,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<JsonElement>(module, "updateOne", dbName, storeName, item, options,
+            transactionId);
+    }
+
+    /// <summary>
+    /// Updates an existing item in the specified object store and returns it as stored.
+    /// </summary>
+    /// <typeparam name="T">The type of items stored in the object store.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="item">The item to update.</param>
+    /// <param name="options">The write options, such as the version field used for optimistic concurrency.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the key of the item and the stored item, including its incremented version.</returns>
+    /// <exception cref="IndexedDbConcurrencyException">The stored item has a different version than <paramref name="item"/>.</exception>
+    public async Task<WriteResult<T>> UpdateOneAndReturnAsync<T>(string dbName, string storeName, T item,
+        WriteOptions? options = null, string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<WriteResult<T>>(module, "updateOne", dbName, storeName, item,
+            ReturningRecord(options), transactionId);
+    }
+
+    /// <summary>
+    /// Changes some fields of a stored item, reading and merging it in a single transaction.
+    /// </summary>
+    /// <typeparam name="T">The type of items stored in the object store.</typeparam>
+    /// <typeparam name="TKey">The type of the key.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="key">The key of the item to change.</param>
+    /// <param name="changes">An object with the fields to overwrite, named as they are stored.</param>
+    /// <param name="options">The write options, such as the version field used for optimistic concurrency.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the stored item.</returns>
+    /// <exception cref="IndexedDbConcurrencyException">The stored item has a different version than <paramref name="changes"/>.</exception>
+    public async Task<WriteResult<T>> PatchOneAsync<T, TKey>(string dbName, string storeName, TKey key,
+        object changes, WriteOptions? options = null, string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<WriteResult<T>>(module, "patchOne", dbName, storeName, key, changes, options,
+            transactionId);
+    }
+
+    /// <summary>
+    /// Adds an item to the specified object store, or replaces it when an item with the same key is already stored.
+    /// </summary>
+    /// <typeparam name="T">The type of items stored in the object store.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="item">The item to store.</param>
+    /// <param name="options">The write options, such as the version field used for optimistic concurrency.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result tells whether the item was inserted and contains the stored item.</returns>
+    /// <exception cref="IndexedDbConcurrencyException">The stored item has a different version than <paramref name="item"/>.</exception>
+    public async Task<WriteResult<T>> UpsertOneAsync<T>(string dbName, string storeName, T item,
+        WriteOptions? options = null, string? transactionId = null)
     {
         var module = await _moduleTask.Value;
-        await module.InvokeVoidAsync("updateOne", dbName, storeName, item);
+        return await InvokeModuleAsync<WriteResult<T>>(module, "upsertOne", dbName, storeName, item, options,
+            transactionId);
     }
 
     /// <summary>
@@ -79,10 +248,11 @@ public class IndexedDbInterop : IAsyncDisposable
     /// <param name="dbName">The name of the database.</param>
     /// <param name="storeName">The name of the object store.</param>
     /// <param name="id">The key of the item to delete.</param>
-    public async Task DeleteOneAsync<TKey>(string dbName, string storeName, TKey id)
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    public async Task DeleteOneAsync<TKey>(string dbName, string storeName, TKey id, string? transactionId = null)
     {
         var module = await _moduleTask.Value;
-        await module.InvokeVoidAsync("deleteOne", dbName, storeName, id);
+        await InvokeModuleAsync(module, "deleteOne", dbName, storeName, id, transactionId);
     }
 
     /// <summary>
@@ -94,7 +264,20 @@ public class IndexedDbInterop : IAsyncDisposable
     public async Task UpgradeDatabaseAsync(string dbName, int newVersion, object[] storeSchemas)
     {
         var module = await _moduleTask.Value;
-        await module.InvokeVoidAsync("upgradeDatabase", dbName, newVersion, storeSchemas);
+        await InvokeModuleAsync(module, "upgradeDatabase", dbName, newVersion, storeSchemas);
+    }
+
+    /// <summary>
+    /// Brings the database up to the highest version of the given migrations, applying every migration
+    /// above the version on disk in ascending order within a single upgrade transaction.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="migrations">The migrations, one per database version.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the database version after the migration.</returns>
+    public async Task<int> MigrateDatabaseAsync(string dbName, IEnumerable<DatabaseMigration> migrations)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<int>(module, "migrateDatabase", dbName, migrations.ToArray());
     }
 
     /// <summary>
@@ -103,10 +286,122 @@ public class IndexedDbInterop : IAsyncDisposable
     /// <param name="dbName">The name of the database.</param>
     /// <param name="storeName">The name of the object store.</param>
     /// <param name="items">An array of items to add.</param>
-    public async Task AddManyAsync(string dbName, string storeName, object[] items)
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the keys of the items, in input order, including keys generated by the store.</returns>
+    public async Task<JsonElement[]> AddManyAsync(string dbName, string storeName, object[] items,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<JsonElement[]>(module, "addMany", dbName, storeName, items, null, transactionId);
+    }
+
+    /// <summary>
+    /// Adds multiple items to the specified object store in a single operation and returns them as stored.
+    /// </summary>
+    /// <typeparam name="T">The type of items stored in the object store.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="items">An array of items to add.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the key and the stored form of every item, in input order.</returns>
+    public async Task<WriteResult<T>[]> AddManyAndReturnAsync<T>(string dbName, string storeName, T[] items,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<WriteResult<T>[]>(module, "addMany", dbName, storeName, items,
+            ReturningRecord(null), transactionId);
+    }
+
+    /// <summary>
+    /// Adds multiple items to the specified object store, keeping the items that succeed when others fail.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="items">An array of items to add.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the outcome of every item, in input order.</returns>
+    public async Task<BulkWriteResult[]> TryAddManyAsync(string dbName, string storeName, object[] items,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<BulkWriteResult[]>(module, "addMany", dbName, storeName, items,
+            ContinueOnError, transactionId);
+    }
+
+    /// <summary>
+    /// Adds or replaces multiple items in the specified object store in a single operation.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="items">An array of items to store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    public async Task PutManyAsync(string dbName, string storeName, object[] items, string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "putMany", dbName, storeName, items, null, transactionId);
+    }
+
+    /// <summary>
+    /// Adds or replaces multiple items in the specified object store, keeping the items that succeed when others fail.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="items">An array of items to store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the outcome of every item, in input order.</returns>
+    public async Task<BulkWriteResult[]> TryPutManyAsync(string dbName, string storeName, object[] items,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<BulkWriteResult[]>(module, "putMany", dbName, storeName, items,
+            ContinueOnError, transactionId);
+    }
+
+    /// <summary>
+    /// Deletes multiple items from the specified object store by their keys in a single operation.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the keys.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="keys">The keys of the items to delete.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    public async Task DeleteManyAsync<TKey>(string dbName, string storeName, TKey[] keys, string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "deleteMany", dbName, storeName, keys, null, transactionId);
+    }
+
+    /// <summary>
+    /// Deletes multiple items from the specified object store by their keys, keeping the deletes that succeed when others fail.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the keys.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="keys">The keys of the items to delete.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the outcome of every key, in input order.</returns>
+    public async Task<BulkWriteResult[]> TryDeleteManyAsync<TKey>(string dbName, string storeName, TKey[] keys,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<BulkWriteResult[]>(module, "deleteMany", dbName, storeName, keys,
+            ContinueOnError, transactionId);
+    }
+
+    /// <summary>
+    /// Deletes every item of the specified object store whose key falls inside a key range.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="range">The key range of the items to delete.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the number of deleted items.</returns>
+    public async Task<int> DeleteRangeAsync(string dbName, string storeName, KeyRange range,
+        string? transactionId = null)
     {
+        ArgumentNullException.ThrowIfNull(range, nameof(range));
         var module = await _moduleTask.Value;
-        await module.InvokeVoidAsync("addMany", dbName, storeName, items);
+        return await InvokeModuleAsync<int>(module, "deleteRange", dbName, storeName, range, transactionId);
     }
 
     /// <summary>
@@ -121,7 +416,49 @@ public class IndexedDbInterop : IAsyncDisposable
         bool unique = false)
     {
         var module = await _moduleTask.Value;
-        await module.InvokeVoidAsync("createIndex", dbName, storeName, indexName, keyPath, unique);
+        await InvokeModuleAsync(module, "createIndex", dbName, storeName, indexName, keyPath, unique);
+    }
+
+    /// <summary>
+    /// Creates an index with the given parameters on the specified object store.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="indexName">The name of the index to create.</param>
+    /// <param name="keyPath">The key path for the index.</param>
+    /// <param name="options">The index parameters, such as <see cref="IndexOptions.MultiEntry"/>.</param>
+    public async Task CreateIndexAsync(string dbName, string storeName, string indexName, string keyPath,
+        IndexOptions options)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "createIndex", dbName, storeName, indexName, keyPath, options);
+    }
+
+    /// <summary>
+    /// Creates a compound index on the specified object store, keyed by several properties in order.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="indexName">The name of the index to create.</param>
+    /// <param name="keyPath">The key paths for the index, for example <c>["tenantId", "createdAt"]</c>.</param>
+    /// <param name="options">The index parameters, or <c>null</c> for a non-unique index.</param>
+    public async Task CreateIndexAsync(string dbName, string storeName, string indexName, string[] keyPath,
+        IndexOptions? options = null)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "createIndex", dbName, storeName, indexName, keyPath, options);
+    }
+
+    /// <summary>
+    /// Deletes an index from the specified object store.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="indexName">The name of the index to delete.</param>
+    public async Task DeleteIndexAsync(string dbName, string storeName, string indexName)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "deleteIndex", dbName, storeName, indexName);
     }
 
     /// <summary>
@@ -131,64 +468,1203 @@ public class IndexedDbInterop : IAsyncDisposable
     /// <param name="dbName">The name of the database.</param>
     /// <param name="storeName">The name of the object store.</param>
     /// <param name="indexName">The name of the index to query.</param>
-    /// <param name="query">The query value or range to match.</param>
+    /// <param name="query">The key to match (an array for a compound index) or a <see cref="KeyRange"/>.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
     /// <returns>A task that represents the asynchronous operation. The task result contains an array of matching items.</returns>
-    public async Task<T[]> GetAllByIndexAsync<T>(string dbName, string storeName, string indexName, object query)
+    public async Task<T[]> GetAllByIndexAsync<T>(string dbName, string storeName, string indexName, object query,
+        string? transactionId = null)
     {
         var module = await _moduleTask.Value;
-        return await module.InvokeAsync<T[]>("getAllByIndex", dbName, storeName, indexName, query);
+        return await InvokeModuleAsync<T[]>(module, "getAllByIndex", dbName, storeName, indexName, query,
+            transactionId);
     }
 
     /// <summary>
-    /// Executes multiple operations within a single transaction.
+    /// Gives an object store a time-to-live policy. Writes stamp an expiry time on each record, in an indexed field,
+    /// and reads treat expired records as missing until <see cref="PurgeExpiredAsync"/> deletes them. Policies are
+    /// kept in memory, so call this at startup.
     /// </summary>
     /// <param name="dbName">The name of the database.</param>
-    /// <param name="storeNames">An array of object store names involved in the transaction.</param>
-    /// <param name="mode">The transaction mode ('readonly' or 'readwrite').</param>
-    /// <param name="transactionBody">An asynchronous function containing the operations to execute within the transaction.</param>
-    /// <returns>A task that represents the asynchronous operation.</returns>
-    public async Task ExecuteTransactionAsync(string dbName, string[] storeNames, string mode,
-        Func<Task> transactionBody)
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="timeToLive">How long records live, or <c>null</c> to expire only records written with an explicit expiry.</param>
+    /// <param name="field">The JavaScript name of the property holding the expiry time, which is also the name of its index.</param>
+    /// <param name="purgeInterval">How often expired records are purged automatically, or <c>null</c> to purge only on demand.</param>
+    public async Task DefineExpiryAsync(string dbName, string storeName, TimeSpan? timeToLive,
+        string field = "expiresAt", TimeSpan? purgeInterval = null)
     {
         var module = await _moduleTask.Value;
-        await module.InvokeVoidAsync("beginTransaction", dbName, storeNames, mode);
-        await transactionBody();
-        await module.InvokeVoidAsync("commitTransaction");
+        await InvokeModuleAsync(module, "defineExpiry", dbName, storeName, new
+        {
+            ttl = timeToLive?.TotalMilliseconds,
+            field,
+            purgeInterval = purgeInterval?.TotalMilliseconds ?? 0
+        });
     }
 
     /// <summary>
-    /// Counts the number of records in the specified object store.
+    /// Removes the time-to-live policy of an object store and stops its automatic purge.
     /// </summary>
     /// <param name="dbName">The name of the database.</param>
     /// <param name="storeName">The name of the object store.</param>
-    /// <returns>A task that represents the asynchronous operation. The task result contains the count of records.</returns>
-    public async Task<int> CountAsync(string dbName, string storeName)
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if the store had a policy.</returns>
+    public async Task<bool> RemoveExpiryAsync(string dbName, string storeName)
     {
         var module = await _moduleTask.Value;
-        return await module.InvokeAsync<int>("count", dbName, storeName);
+        return await InvokeModuleAsync<bool>(module, "removeExpiry", dbName, storeName);
     }
 
     /// <summary>
-    /// Clears all records from the specified object store.
+    /// Deletes the expired records of an object store that has a time-to-live policy.
     /// </summary>
     /// <param name="dbName">The name of the database.</param>
     /// <param name="storeName">The name of the object store.</param>
-    public async Task ClearStoreAsync(string dbName, string storeName)
+    /// <returns>A task that represents the asynchronous operation. The task result contains the number of deleted records.</returns>
+    public async Task<int> PurgeExpiredAsync(string dbName, string storeName)
     {
         var module = await _moduleTask.Value;
-        await module.InvokeVoidAsync("clearStore", dbName, storeName);
+        return await InvokeModuleAsync<int>(module, "purgeExpired", dbName, storeName);
     }
 
     /// <summary>
-    /// Disposes the JavaScript module reference.
+    /// Keeps the previous versions of the records of an object store. Updates, patches, upserts and deletes copy the
+    /// version they replace or remove into a companion store, in their transaction, with a revision number and a
+    /// timestamp. Policies are kept in memory, so call this at startup.
     /// </summary>
-    /// <returns>A <see cref="ValueTask"/> representing the asynchronous dispose operation.</returns>
-    public async ValueTask DisposeAsync()
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">Whether deletes are soft deletes and how long revisions are kept, or <c>null</c> for the defaults.</param>
+    public async Task DefineHistoryAsync(string dbName, string storeName, HistoryOptions? options = null)
     {
-        if (_moduleTask.IsValueCreated)
+        options ??= new HistoryOptions();
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "defineHistory", dbName, storeName, new
         {
-            var module = await _moduleTask.Value;
-            await module.DisposeAsync();
-        }
+            softDelete = options.SoftDelete,
+            deletedField = options.DeletedField,
+            maxRevisions = options.MaxRevisions,
+            maxAge = options.MaxAge?.TotalMilliseconds
+        });
+    }
+
+    /// <summary>
+    /// Stops keeping the previous versions of the records of an object store and turns soft deletes off. The history
+    /// and the records marked as deleted are kept.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if the store had a policy.</returns>
+    public async Task<bool> RemoveHistoryAsync(string dbName, string storeName)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<bool>(module, "removeHistory", dbName, storeName);
+    }
+
+    /// <summary>
+    /// Lists the previous versions of a record, oldest first.
+    /// </summary>
+    /// <typeparam name="T">The type of items stored in the object store.</typeparam>
+    /// <typeparam name="TKey">The type of the key.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store, given a policy with <see cref="DefineHistoryAsync"/>.</param>
+    /// <param name="key">The key of the record.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the revisions.</returns>
+    public async Task<Revision<T>[]> GetHistoryAsync<T, TKey>(string dbName, string storeName, TKey key)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<Revision<T>[]>(module, "getHistory", dbName, storeName, key);
+    }
+
+    /// <summary>
+    /// Puts a previous version of a record back in its object store. The version it replaces is kept in the history
+    /// in turn.
+    /// </summary>
+    /// <typeparam name="T">The type of items stored in the object store.</typeparam>
+    /// <typeparam name="TKey">The type of the key.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store, given a policy with <see cref="DefineHistoryAsync"/>.</param>
+    /// <param name="key">The key of the record.</param>
+    /// <param name="revision">The number of the revision to restore.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the restored record.</returns>
+    /// <exception cref="IndexedDbNotFoundException">The record has no such revision.</exception>
+    public async Task<T> RestoreRevisionAsync<T, TKey>(string dbName, string storeName, TKey key, int revision)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<T>(module, "restoreRevision", dbName, storeName, key, revision);
+    }
+
+    /// <summary>
+    /// Restores a deleted record: clears the deletion mark of a soft-deleted record, or puts back the last revision
+    /// of a record that was removed.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the key.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store, given a policy with <see cref="DefineHistoryAsync"/>.</param>
+    /// <param name="key">The key of the record.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if the record was restored, or <c>false</c> if it was not deleted.</returns>
+    /// <exception cref="IndexedDbNotFoundException">A removed record has no revision to restore.</exception>
+    public async Task<bool> UndeleteAsync<TKey>(string dbName, string storeName, TKey key)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<bool>(module, "undelete", dbName, storeName, key);
+    }
+
+    /// <summary>
+    /// Deletes the revisions that the retention limits of the history of an object store no longer keep. Writes
+    /// prune the revisions of the records they touch; this prunes the others.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store, given a policy with <see cref="DefineHistoryAsync"/>.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the number of deleted revisions.</returns>
+    public async Task<int> PruneHistoryAsync(string dbName, string storeName)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<int>(module, "pruneHistory", dbName, storeName);
+    }
+
+    /// <summary>
+    /// Lists the records of an object store with soft deletes that are marked as deleted.
+    /// </summary>
+    /// <typeparam name="T">The type of items stored in the object store.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store, given a policy with <see cref="DefineHistoryAsync"/>.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the deleted items.</returns>
+    public async Task<T[]> GetDeletedAsync<T>(string dbName, string storeName)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<T[]>(module, "getDeleted", dbName, storeName);
+    }
+
+    /// <summary>
+    /// Declares the foreign keys of an object store. Writes reject items whose field points to a missing parent
+    /// with an <see cref="IndexedDbConstraintException"/>, and <see cref="DeleteOneAsync{TKey}"/> on a parent
+    /// applies the delete rule of each relation to its children in the same transaction. Relations are kept in
+    /// memory, so call this at startup.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the child object store.</param>
+    /// <param name="relations">The relations; none removes them.</param>
+    public async Task DefineRelationsAsync(string dbName, string storeName, IEnumerable<StoreRelation> relations)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "defineRelations", dbName, storeName, relations.ToArray());
+    }
+
+    /// <summary>
+    /// Retrieves an item together with its related items in a single transaction: its children in the stores
+    /// that reference its store, and its parents in the stores its store references.
+    /// </summary>
+    /// <typeparam name="TItem">The type of the item.</typeparam>
+    /// <typeparam name="TKey">The type of the key used to identify the item.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="key">The key of the item.</param>
+    /// <param name="include">The names of the related stores to read.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the item and its related items, or <c>null</c> if not found.</returns>
+    public async Task<RelatedItems<TItem>?> GetWithRelatedAsync<TItem, TKey>(string dbName, string storeName, TKey key,
+        string[] include, string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<RelatedItems<TItem>>(module, "getWithRelated", dbName, storeName, key, include,
+            transactionId);
+    }
+
+    /// <summary>
+    /// Generates the primary keys of the new items of an object store in the browser: adds and upserts write a
+    /// generated key into the key path property of an item that has none. Generators are kept in memory, so call
+    /// this at startup.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store, which must have a single key path and no auto-increment.</param>
+    /// <param name="generator">The name of the generator: one of <see cref="KeyGenerator"/>, or one registered with <c>registerKeyGenerator</c> in JavaScript.</param>
+    public async Task DefineKeyGeneratorAsync(string dbName, string storeName, string generator)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "defineKeyGenerator", dbName, storeName, generator);
+    }
+
+    /// <summary>
+    /// Stops generating the primary keys of the new items of an object store.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if the store had a key generator.</returns>
+    public async Task<bool> RemoveKeyGeneratorAsync(string dbName, string storeName)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<bool>(module, "removeKeyGenerator", dbName, storeName);
+    }
+
+    /// <summary>
+    /// Derives an encryption key from a passphrase with PBKDF2 and registers it in the browser under a key id.
+    /// The key never leaves the browser and cannot be exported. Keys are kept in memory, so call this at startup.
+    /// </summary>
+    /// <param name="keyId">The id the key is registered under.</param>
+    /// <param name="passphrase">The passphrase.</param>
+    /// <param name="salt">The salt, which must be the same every time the key is derived.</param>
+    /// <param name="iterations">The number of PBKDF2 iterations.</param>
+    public async Task DeriveEncryptionKeyAsync(string keyId, string passphrase, string salt, int iterations = 310000)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "deriveEncryptionKey", keyId, passphrase, salt, iterations);
+    }
+
+    /// <summary>
+    /// Registers <c>CryptoKey</c> handles under a key id, for example non-extractable keys generated or unwrapped
+    /// with <c>crypto.subtle</c> by the application. Keys are kept in memory, so call this at startup.
+    /// </summary>
+    /// <param name="keyId">The id the key is registered under.</param>
+    /// <param name="encryptionKey">A reference to an AES-GCM <c>CryptoKey</c> usable for encrypt and decrypt.</param>
+    /// <param name="hmacKey">A reference to an HMAC <c>CryptoKey</c> usable for sign, required by stores with hashed fields.</param>
+    public async Task RegisterEncryptionKeyAsync(string keyId, IJSObjectReference encryptionKey,
+        IJSObjectReference? hmacKey = null)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "registerEncryptionKey", keyId, encryptionKey, hmacKey);
+    }
+
+    /// <summary>
+    /// Removes a registered key. Records encrypted with it cannot be read until it is registered again.
+    /// </summary>
+    /// <param name="keyId">The id of the key.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if a key was registered under that id.</returns>
+    public async Task<bool> ForgetEncryptionKeyAsync(string keyId)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<bool>(module, "forgetEncryptionKey", keyId);
+    }
+
+    /// <summary>
+    /// Encrypts the records of an object store with AES-GCM from now on. Records written earlier are encrypted the
+    /// next time they are written. Expiry and version fields must stay in plaintext, so define the expiry first or
+    /// list them in <see cref="EncryptionOptions.PlaintextFields"/>. Policies are kept in memory, so call this at startup.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The encryption options.</param>
+    public async Task DefineEncryptionAsync(string dbName, string storeName, EncryptionOptions options)
+    {
+        ArgumentNullException.ThrowIfNull(options, nameof(options));
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "defineEncryption", dbName, storeName, options);
+    }
+
+    /// <summary>
+    /// Re-encrypts every record of an encrypted object store with another registered key, along with the previous
+    /// versions in its history and its mutations waiting to be synced. New writes use the new key at once; keep the
+    /// old key registered until the task completes.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="keyId">The id of the new key.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the number of re-encrypted records.</returns>
+    public async Task<int> RotateEncryptionKeyAsync(string dbName, string storeName, string keyId)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<int>(module, "rotateEncryptionKey", dbName, storeName, keyId);
+    }
+
+    /// <summary>
+    /// Makes string fields of an object store searchable with <see cref="SearchAsync{T}"/>. Every write keeps the
+    /// search tokens up to date. Definitions are kept in memory, so call this at startup.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="fields">The names of the string (or string array) fields to index, as they are stored.</param>
+    /// <param name="prefixLength">When greater than 0, token prefixes of at least this many characters are indexed too, which speeds up prefix searches.</param>
+    public async Task DefineSearchIndexAsync(string dbName, string storeName, string[] fields, int prefixLength = 0)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "defineSearchIndex", dbName, storeName, new { fields, prefixLength });
+    }
+
+    /// <summary>
+    /// Recomputes the search tokens of every record of an object store, for example after its search fields changed.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the number of indexed records.</returns>
+    public async Task<int> RebuildSearchIndexAsync(string dbName, string storeName)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<int>(module, "rebuildSearchIndex", dbName, storeName);
+    }
+
+    /// <summary>
+    /// Searches the indexed fields of an object store and returns the matching records, best match first.
+    /// </summary>
+    /// <typeparam name="T">The type of items stored in the object store.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="text">The text to search for.</param>
+    /// <param name="options">The mode, prefix matching and limit of the search, or <c>null</c> for the defaults.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the matching items, ranked.</returns>
+    public async Task<T[]> SearchAsync<T>(string dbName, string storeName, string text, SearchOptions? options = null,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<T[]>(module, "search", dbName, storeName, text, options, transactionId);
+    }
+
+    /// <summary>
+    /// Reads one page of records in key order, optionally through an index and restricted to a key range.
+    /// </summary>
+    /// <typeparam name="T">The type of items stored in the object store.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The index, range, direction, limit and continuation token of the query.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the page of items and the token for the next page.</returns>
+    public async Task<QueryResult<T>> QueryAsync<T>(string dbName, string storeName, QueryOptions options,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<QueryResult<T>>(module, "query", dbName, storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Reads the records that meet every condition of a query, in order. One condition is turned into a key range on
+    /// the best existing index; the others are evaluated on the records as a cursor reads them, so the store is
+    /// never loaded whole. Comparisons follow the order of IndexedDB keys.
+    /// </summary>
+    /// <typeparam name="T">The type of items stored in the object store.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The conditions, ordering and page of the query.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the matching items.</returns>
+    public async Task<T[]> FindAsync<T>(string dbName, string storeName, FindOptions options,
+        string? transactionId = null)
+    {
+        ArgumentNullException.ThrowIfNull(options, nameof(options));
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<T[]>(module, "find", dbName, storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Tells how <see cref="FindAsync{T}"/> would read a query, without reading any record.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The query.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the plan.</returns>
+    public async Task<QueryPlan> ExplainAsync(string dbName, string storeName, FindOptions options)
+    {
+        ArgumentNullException.ThrowIfNull(options, nameof(options));
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<QueryPlan>(module, "explain", dbName, storeName, options);
+    }
+
+    /// <summary>
+    /// Begins a transaction across one or more object stores. The transaction stays open until it is
+    /// committed with <see cref="CommitTransactionAsync"/> or rolled back with <see cref="AbortTransactionAsync"/>,
+    /// or until no operation has used it for 30 seconds, when it is aborted.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeNames">An array of object store names involved in the transaction.</param>
+    /// <param name="mode">The transaction mode ('readonly' or 'readwrite').</param>
+    /// <param name="durability">The durability hint ('default', 'strict' or 'relaxed').</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the transaction id.</returns>
+    public async Task<string> BeginTransactionAsync(string dbName, string[] storeNames, string mode = "readwrite",
+        string durability = "default")
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<string>(module, "beginTransaction", dbName, storeNames, mode, durability);
+    }
+
+    /// <summary>
+    /// Commits a transaction started with <see cref="BeginTransactionAsync"/>.
+    /// </summary>
+    /// <param name="transactionId">The id of the transaction to commit.</param>
+    public async Task CommitTransactionAsync(string transactionId)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "commitTransaction", transactionId);
+    }
+
+    /// <summary>
+    /// Aborts a transaction started with <see cref="BeginTransactionAsync"/>, rolling back every change made inside it.
+    /// </summary>
+    /// <param name="transactionId">The id of the transaction to abort.</param>
+    public async Task AbortTransactionAsync(string transactionId)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "abortTransaction", transactionId);
+    }
+
+    /// <summary>
+    /// Executes multiple operations within a single transaction. The transaction is committed when the body
+    /// completes and aborted when it throws, so either all operations are applied or none of them are.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeNames">An array of object store names involved in the transaction.</param>
+    /// <param name="mode">The transaction mode ('readonly' or 'readwrite').</param>
+    /// <param name="transactionBody">An asynchronous function receiving the transaction id, which must be passed to every operation that should run inside the transaction.</param>
+    /// <param name="durability">The durability hint ('default', 'strict' or 'relaxed').</param>
+    /// <returns>A task that represents the asynchronous operation.</returns>
+    public async Task ExecuteTransactionAsync(string dbName, string[] storeNames, string mode,
+        Func<string, Task> transactionBody, string durability = "default")
+    {
+        var transactionId = await BeginTransactionAsync(dbName, storeNames, mode, durability);
+
+        try
+        {
+            await transactionBody(transactionId);
+        }
+        catch
+        {
+            await AbortTransactionAsync(transactionId);
+            throw;
+        }
+
+        await CommitTransactionAsync(transactionId);
+    }
+
+    /// <summary>
+    /// Executes multiple operations within a single transaction.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeNames">An array of object store names involved in the transaction.</param>
+    /// <param name="mode">The transaction mode ('readonly' or 'readwrite').</param>
+    /// <param name="transactionBody">An asynchronous function containing the operations to execute within the transaction.</param>
+    /// <returns>A task that represents the asynchronous operation.</returns>
+    [Obsolete("Operations only join the transaction when they receive its id. Use the overload whose body receives the transaction id.")]
+    public async Task ExecuteTransactionAsync(string dbName, string[] storeNames, string mode,
+        Func<Task> transactionBody)
+    {
+        await ExecuteTransactionAsync(dbName, storeNames, mode, _ => transactionBody());
+    }
+
+    /// <summary>
+    /// Counts the number of records in the specified object store.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the count of records.</returns>
+    public async Task<int> CountAsync(string dbName, string storeName, string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<int>(module, "count", dbName, storeName, null, transactionId);
+    }
+
+    /// <summary>
+    /// Counts the records of an index or object store within a key range, without reading them.
+    /// Expired records are counted until they are purged, and soft-deleted records are counted too.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The index and key range to count.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the count of records.</returns>
+    public async Task<int> CountAsync(string dbName, string storeName, AggregateOptions options,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<int>(module, "count", dbName, storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Returns the smallest key of an index, or the smallest primary key, within a key range.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the keys.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The index and key range to read, or <c>null</c> for the primary keys of the whole store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the smallest key, or the default value if the range is empty.</returns>
+    public async Task<TKey?> MinAsync<TKey>(string dbName, string storeName, AggregateOptions? options = null,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<TKey?>(module, "min", dbName, storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Returns the largest key of an index, or the largest primary key, within a key range.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the keys.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The index and key range to read, or <c>null</c> for the primary keys of the whole store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the largest key, or the default value if the range is empty.</returns>
+    public async Task<TKey?> MaxAsync<TKey>(string dbName, string storeName, AggregateOptions? options = null,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<TKey?>(module, "max", dbName, storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Lists the distinct keys of an index within a key range, in ascending order.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the index keys.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The index and key range to read.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the distinct keys.</returns>
+    public async Task<TKey[]> DistinctKeysAsync<TKey>(string dbName, string storeName, AggregateOptions options,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<TKey[]>(module, "distinctKeys", dbName, storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Counts the records of each distinct key of an index within a key range.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the index keys.</typeparam>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The index to group by and the key range to read.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains one count per key, in ascending key order.</returns>
+    public async Task<KeyCount<TKey>[]> GroupCountAsync<TKey>(string dbName, string storeName,
+        AggregateOptions options, string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<KeyCount<TKey>[]>(module, "groupCount", dbName, storeName, options,
+            transactionId);
+    }
+
+    /// <summary>
+    /// Adds up a numeric field over the records of a key range. The records stay in JavaScript; records whose field
+    /// is missing or not a number are skipped.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The field to add up, and the index and key range to read.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the sum, 0 when no record has the field.</returns>
+    public async Task<double> SumAsync(string dbName, string storeName, AggregateOptions options,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<double>(module, "sum", dbName, storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Averages a numeric field over the records of a key range. The records stay in JavaScript; records whose field
+    /// is missing or not a number are skipped.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The field to average, and the index and key range to read.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the average, or <c>null</c> when no record has the field.</returns>
+    public async Task<double?> AvgAsync(string dbName, string storeName, AggregateOptions options,
+        string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<double?>(module, "avg", dbName, storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Clears all records from the specified object store.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    public async Task ClearStoreAsync(string dbName, string storeName, string? transactionId = null)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "clearStore", dbName, storeName, transactionId);
+    }
+
+    /// <summary>
+    /// Subscribes to the changes committed to the specified object store, in this tab and in other tabs of the app.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="handler">The function called for every change.</param>
+    /// <param name="range">The key range to watch, or <c>null</c> to watch every key.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the subscription, which stops when disposed.</returns>
+    public async Task<StoreChangeSubscription> SubscribeStoreChangesAsync(string dbName, string storeName,
+        Func<StoreChange, Task> handler, KeyRange? range = null)
+    {
+        var module = await _moduleTask.Value;
+        return await StoreChangeSubscription.StartAsync(module, dbName, storeName, handler, range);
+    }
+
+    /// <summary>
+    /// Stores the contents of a stream as a blob, replacing the blob stored under that key. The stream is sent to the
+    /// browser in segments and stored in chunks, so large files never cross interop in one message. The previous blob
+    /// stays in place if the write fails.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="key">The key of the blob.</param>
+    /// <param name="content">The stream to read; it is left open.</param>
+    /// <param name="contentType">The MIME type of the blob.</param>
+    /// <param name="metadata">Application data stored with the blob, such as a file name.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the description of the stored blob.</returns>
+    public async Task<BlobInfo> PutBlobAsync(string dbName, string key, Stream content, string? contentType = null,
+        object? metadata = null)
+    {
+        ArgumentNullException.ThrowIfNull(content, nameof(content));
+        var module = await _moduleTask.Value;
+        using var streamReference = new DotNetStreamReference(content, leaveOpen: true);
+        return await InvokeModuleAsync<BlobInfo>(module, "putBlob", dbName, key, streamReference, metadata,
+            new { type = contentType });
+    }
+
+    /// <summary>
+    /// Stores bytes as a blob, replacing the blob stored under that key. The bytes are sent in one message; use the
+    /// <see cref="Stream"/> overload for large contents.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="key">The key of the blob.</param>
+    /// <param name="content">The bytes to store.</param>
+    /// <param name="contentType">The MIME type of the blob.</param>
+    /// <param name="metadata">Application data stored with the blob, such as a file name.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the description of the stored blob.</returns>
+    public async Task<BlobInfo> PutBlobAsync(string dbName, string key, byte[] content, string? contentType = null,
+        object? metadata = null)
+    {
+        ArgumentNullException.ThrowIfNull(content, nameof(content));
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<BlobInfo>(module, "putBlob", dbName, key, content, metadata,
+            new { type = contentType });
+    }
+
+    /// <summary>
+    /// Opens a stored blob for reading. Its contents are streamed from the browser as the returned stream is read.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="key">The key of the blob.</param>
+    /// <param name="maxAllowedSize">The maximum number of bytes that can be read.</param>
+    /// <param name="cancellationToken">A token that cancels the transfer.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the stream, or <c>null</c> if there is no blob under that key.</returns>
+    public async Task<Stream?> GetBlobAsync(string dbName, string key, long maxAllowedSize = 512L * 1024 * 1024,
+        CancellationToken cancellationToken = default)
+    {
+        var module = await _moduleTask.Value;
+        var streamReference =
+            await InvokeModuleAsync<IJSStreamReference?>(module, "getBlob", cancellationToken, [dbName, key]);
+        return streamReference is null
+            ? null
+            : await streamReference.OpenReadStreamAsync(maxAllowedSize, cancellationToken);
+    }
+
+    /// <summary>
+    /// Lists the stored blobs in key order, without their contents.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="prefix">Only lists the blobs whose key starts with this prefix, or <c>null</c> to list every blob.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the descriptions of the blobs.</returns>
+    public async Task<BlobInfo[]> ListBlobsAsync(string dbName, string? prefix = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<BlobInfo[]>(module, "listBlobs", dbName, prefix);
+    }
+
+    /// <summary>
+    /// Deletes a stored blob.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="key">The key of the blob.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if a blob was stored under that key.</returns>
+    public async Task<bool> DeleteBlobAsync(string dbName, string key)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<bool>(module, "deleteBlob", dbName, key);
+    }
+
+    /// <summary>
+    /// Reports how much storage the origin uses and how much it may use, as estimated by the browser.
+    /// </summary>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the usage and quota in bytes.</returns>
+    public async Task<StorageEstimate> EstimateStorageAsync()
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<StorageEstimate>(module, "estimateStorage");
+    }
+
+    /// <summary>
+    /// Asks the browser to keep the origin's data when it runs low on storage instead of evicting it.
+    /// The browser may ask the user, or decide on its own.
+    /// </summary>
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if the storage is persisted.</returns>
+    public async Task<bool> PersistStorageAsync()
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<bool>(module, "persistStorage");
+    }
+
+    /// <summary>
+    /// Tells whether the origin's storage is persisted.
+    /// </summary>
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if the browser will not evict the data.</returns>
+    public async Task<bool> IsStoragePersistedAsync()
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<bool>(module, "isStoragePersisted");
+    }
+
+    /// <summary>
+    /// Gives a database an eviction policy: when a write exceeds the storage quota, the oldest items of one store are
+    /// deleted and the write is retried once. Writes inside a transaction started with <see cref="BeginTransactionAsync"/>
+    /// are not retried. Policies are kept in memory, so call this at startup.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The object store to evict items from.</param>
+    /// <param name="indexName">The index whose lowest keys are the oldest items, such as a creation date, or <c>null</c> to use the primary key.</param>
+    /// <param name="count">The number of items to delete.</param>
+    public async Task DefineEvictionAsync(string dbName, string storeName, string? indexName = null, int count = 100)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "defineEviction", dbName, new { storeName, indexName, count });
+    }
+
+    /// <summary>
+    /// Removes the eviction policy of a database.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if the database had a policy.</returns>
+    public async Task<bool> RemoveEvictionAsync(string dbName)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<bool>(module, "removeEviction", dbName);
+    }
+
+    /// <summary>
+    /// Gives an object store a record schema, a JSON Schema subset checked before every add, update, patch and upsert.
+    /// Invalid items are rejected with an <see cref="IndexedDbValidationException"/> listing every violation.
+    /// Schemas are kept in memory, so call this at startup.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="schema">The schema, such as one generated by <see cref="RecordSchema.For{T}"/>.</param>
+    public async Task DefineSchemaAsync(string dbName, string storeName, JsonObject schema)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "defineSchema", dbName, storeName, schema);
+    }
+
+    /// <summary>
+    /// Removes the record schema of an object store.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if the store had a schema.</returns>
+    public async Task<bool> RemoveSchemaAsync(string dbName, string storeName)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<bool>(module, "removeSchema", dbName, storeName);
+    }
+
+    /// <summary>
+    /// Checks an item against the record schema of an object store without writing it.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="item">The item to check.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the violations, which are empty when the item is valid or the store has no schema.</returns>
+    public async Task<SchemaViolation[]> ValidateAsync(string dbName, string storeName, object item)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<SchemaViolation[]>(module, "validateRecord", dbName, storeName, item);
+    }
+
+    /// <summary>
+    /// Starts recording the writes to some object stores of a database in an outbox, to be pushed to an HTTP
+    /// endpoint by <see cref="SyncAsync"/>, which also pulls the changes made elsewhere. The outbox is written in the
+    /// transaction of each write, so it survives reloads; the policy is kept in memory, so call this at startup.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="options">The stores to sync, the endpoint and the conflict strategy.</param>
+    /// <param name="resolveConflict">A callback that resolves conflicts in place of the strategy: it receives the
+    /// local and server versions and returns the record to keep, or <c>null</c> to delete it.</param>
+    public async Task DefineSyncAsync(string dbName, SyncOptions options,
+        Func<SyncConflict, Task<object?>>? resolveConflict = null)
+    {
+        ArgumentNullException.ThrowIfNull(options, nameof(options));
+        var module = await _moduleTask.Value;
+        var resolver = resolveConflict is null
+            ? null
+            : DotNetObjectReference.Create(new SyncConflictResolver(resolveConflict));
+        try
+        {
+            await InvokeModuleAsync(module, "defineSync", dbName, new
+            {
+                storeNames = options.StoreNames,
+                endpoint = options.Endpoint,
+                headers = options.Headers,
+                conflictStrategy = resolver is null ? options.ConflictStrategy : "custom",
+                resolver,
+                interval = options.Interval?.TotalMilliseconds ?? 0
+            });
+        }
+        catch
+        {
+            resolver?.Dispose();
+            throw;
+        }
+
+        ReplaceSyncResolver(dbName, resolver);
+    }
+
+    /// <summary>
+    /// Stops recording the writes of a database for sync and stops its automatic sync. Pending mutations are kept.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if the database had a policy.</returns>
+    public async Task<bool> RemoveSyncAsync(string dbName)
+    {
+        var module = await _moduleTask.Value;
+        var removed = await InvokeModuleAsync<bool>(module, "removeSync", dbName);
+        ReplaceSyncResolver(dbName, null);
+        return removed;
+    }
+
+    /// <summary>
+    /// Synchronizes a database with its endpoint: pushes the outbox, resolving conflicts, then pulls the changes
+    /// made since the last checkpoint. <see cref="SyncProgress"/> reports the progress.
+    /// </summary>
+    /// <param name="dbName">The name of the database, given a policy with <see cref="DefineSyncAsync"/>.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the number of mutations pushed, changes pulled and conflicts resolved.</returns>
+    /// <exception cref="IndexedDbSyncException">The endpoint cannot be reached or answered with an error status.</exception>
+    public async Task<SyncResult> SyncAsync(string dbName)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<SyncResult>(module, "sync", dbName);
+    }
+
+    /// <summary>
+    /// Gets the sync state of a database: the number of pending mutations, the checkpoint and whether a sync runs.
+    /// </summary>
+    /// <param name="dbName">The name of the database, given a policy with <see cref="DefineSyncAsync"/>.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the sync state.</returns>
+    public async Task<SyncStatus> GetSyncStatusAsync(string dbName)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<SyncStatus>(module, "getSyncStatus", dbName);
+    }
+
+    /// <summary>
+    /// Exports the specified database to a portable JSON snapshot containing its schema and every record.
+    /// Dates, binary data, blobs, maps and sets are preserved through typed encodings.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeNames">The object stores to export, or <c>null</c> to export every store.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the JSON snapshot.</returns>
+    public async Task<string> ExportDatabaseAsync(string dbName, string[]? storeNames = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<string>(module, "exportDatabase", dbName, storeNames);
+    }
+
+    /// <summary>
+    /// Imports a JSON snapshot created by <see cref="ExportDatabaseAsync"/>, creating missing object stores and indexes.
+    /// Records are written as they are, without history revisions, sync mutations, search tokens or relation checks.
+    /// </summary>
+    /// <param name="dbName">The name of the database to import into.</param>
+    /// <param name="snapshot">The JSON snapshot.</param>
+    /// <param name="mode">The import mode: 'replace' clears each store before loading it, 'merge' overwrites records with the same key and 'skip-existing' keeps records whose key already exists.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the number of records written and skipped.</returns>
+    public async Task<ImportResult> ImportDatabaseAsync(string dbName, string snapshot, string mode = "replace")
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<ImportResult>(module, "importDatabase", dbName, snapshot, mode);
+    }
+
+    /// <summary>
+    /// Closes the cached connection to the specified database. The next operation on the database reopens it.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    public async Task CloseDatabaseAsync(string dbName)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "closeDatabase", dbName);
+    }
+
+    /// <summary>
+    /// Deletes the specified database and all of its data. Other tabs are asked to close their connections;
+    /// while they do not, <see cref="ConnectionEvent"/> reports a 'blocked' event.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    public async Task DeleteDatabaseAsync(string dbName)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "deleteDatabase", dbName);
+    }
+
+    /// <summary>
+    /// Lists the databases of every storage backend that can enumerate them: the browser's IndexedDB, where it
+    /// supports <c>indexedDB.databases()</c>, and the in-memory backend.
+    /// </summary>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the name, version and backend of each database.</returns>
+    public async Task<DatabaseInfo[]> ListDatabasesAsync()
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<DatabaseInfo[]>(module, "listDatabases");
+    }
+
+    /// <summary>
+    /// Describes the live schema of a database: its version, and the key path, key generator, record count and
+    /// indexes of each object store. Startup code can use it to check that the schema is the one the app expects.
+    /// </summary>
+    /// <param name="dbName">The name of the database. It is created, empty, if it does not exist.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the description.</returns>
+    public async Task<DatabaseDescription> DescribeDatabaseAsync(string dbName)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<DatabaseDescription>(module, "describeDatabase", dbName);
+    }
+
+    /// <summary>
+    /// Reads the first records of an object store in key order, as they are stored: encrypted fields stay
+    /// encrypted and expired records are included.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="count">The maximum number of records to read.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the records and their keys.</returns>
+    public async Task<SampledRecord[]> SampleRecordsAsync(string dbName, string storeName, int count = 10)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<SampledRecord[]>(module, "sampleRecords", dbName, storeName, count);
+    }
+
+    /// <summary>
+    /// Chooses the storage backend of a database, such as <see cref="StorageBackend.Memory"/>. An open connection
+    /// to the database is closed, so that the next operation opens it with the chosen backend.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="backend">The name of the backend: one of <see cref="StorageBackend"/>, or a backend registered
+    /// with <c>registerBackend</c> in JavaScript.</param>
+    public async Task UseBackendAsync(string dbName, string backend)
+    {
+        var module = await _moduleTask.Value;
+        await InvokeModuleAsync(module, "useBackend", dbName, backend);
+    }
+
+    /// <summary>
+    /// Reports the storage backend of a database: the one its open connection uses, or the one its next connection
+    /// will use.
+    /// </summary>
+    /// <param name="dbName">The name of the database.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the name of the backend, such as <see cref="StorageBackend.IndexedDb"/> or <see cref="StorageBackend.Memory"/>.</returns>
+    public async Task<string> GetBackendAsync(string dbName)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<string>(module, "getBackend", dbName);
+    }
+
+    /// <summary>
+    /// Adds a hook that writes every operation, with its payload, its result and its duration, to the browser
+    /// console at the debug level.
+    /// </summary>
+    /// <param name="options">The databases, object stores and operations to log, or <c>null</c> to log every operation.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the hook id to pass to <see cref="RemoveHookAsync"/>.</returns>
+    public async Task<int> AddLoggingHookAsync(HookOptions? options = null)
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<int>(module, "addLoggingHook", options ?? new HookOptions());
+    }
+
+    /// <summary>
+    /// Adds a hook that reports how long each operation takes to a logger: successful operations at the given
+    /// level and failed ones as warnings.
+    /// </summary>
+    /// <param name="logger">The logger the timings are written to.</param>
+    /// <param name="options">The databases, object stores and operations to time, or <c>null</c> to time every operation.</param>
+    /// <param name="threshold">The duration below which operations are not reported, or <c>null</c> to report them all.</param>
+    /// <param name="level">The level at which successful operations are logged.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the hook id to pass to <see cref="RemoveHookAsync"/>.</returns>
+    public async Task<int> AddTimingHookAsync(ILogger logger, HookOptions? options = null, TimeSpan? threshold = null,
+        LogLevel level = LogLevel.Debug)
+    {
+        ArgumentNullException.ThrowIfNull(logger, nameof(logger));
+        var module = await _moduleTask.Value;
+        var timingLogger = DotNetObjectReference.Create(new OperationTimingLogger(logger, level));
+        try
+        {
+            var hookId = await InvokeModuleAsync<int>(module, "addTimingHook", timingLogger, new
+            {
+                dbName = options?.DbName,
+                storeName = options?.StoreName,
+                operations = options?.Operations,
+                threshold = threshold?.TotalMilliseconds ?? 0
+            });
+            _hookReferences[hookId] = timingLogger;
+            return hookId;
+        }
+        catch
+        {
+            timingLogger.Dispose();
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Adds a hook that stamps written items with the time of the write: adds set the created field, unless the
+    /// item already has one, and every add, update, upsert and patch sets the updated field.
+    /// </summary>
+    /// <param name="dbName">The name of the database to stamp, or <c>null</c> for every database.</param>
+    /// <param name="storeName">The name of the object store to stamp, or <c>null</c> for every object store.</param>
+    /// <param name="createdField">The JavaScript name of the property set when an item is added, or <c>null</c>.</param>
+    /// <param name="updatedField">The JavaScript name of the property set on every write, or <c>null</c>.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the hook id to pass to <see cref="RemoveHookAsync"/>.</returns>
+    public async Task<int> AddTimestampHookAsync(string? dbName = null, string? storeName = null,
+        string? createdField = "createdAt", string? updatedField = "updatedAt")
+    {
+        var module = await _moduleTask.Value;
+        return await InvokeModuleAsync<int>(module, "addTimestampHook",
+            new { dbName, storeName, createdField, updatedField });
+    }
+
+    /// <summary>
+    /// Adds a hook that reports the plan of every <see cref="FindAsync{T}"/> query to a callback, to check which
+    /// index a query uses.
+    /// </summary>
+    /// <param name="handler">The callback that receives the plans.</param>
+    /// <param name="dbName">The name of the database to report, or <c>null</c> for every database.</param>
+    /// <param name="storeName">The name of the object store to report, or <c>null</c> for every object store.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains the hook id to pass to <see cref="RemoveHookAsync"/>.</returns>
+    public async Task<int> AddQueryPlanHookAsync(Func<QueryPlan, Task> handler, string? dbName = null,
+        string? storeName = null)
+    {
+        ArgumentNullException.ThrowIfNull(handler, nameof(handler));
+        var module = await _moduleTask.Value;
+        var listener = DotNetObjectReference.Create(new QueryPlanListener(handler));
+        try
+        {
+            var hookId = await InvokeModuleAsync<int>(module, "addQueryPlanHook", listener, new { dbName, storeName });
+            _hookReferences[hookId] = listener;
+            return hookId;
+        }
+        catch
+        {
+            listener.Dispose();
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Removes a hook added with <see cref="AddLoggingHookAsync"/>, <see cref="AddTimingHookAsync"/>,
+    /// <see cref="AddTimestampHookAsync"/> or <see cref="AddQueryPlanHookAsync"/>.
+    /// </summary>
+    /// <param name="hookId">The hook id.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result is <c>true</c> if the hook existed.</returns>
+    public async Task<bool> RemoveHookAsync(int hookId)
+    {
+        var module = await _moduleTask.Value;
+        var removed = await InvokeModuleAsync<bool>(module, "removeHook", hookId);
+        if (_hookReferences.Remove(hookId, out var hookReference))
+        {
+            hookReference.Dispose();
+        }
+
+        return removed;
+    }
+
+    /// <summary>
+    /// Keeps the conflict callback of a database alive for JavaScript, releasing the one it replaces.
+    /// </summary>
+    private void ReplaceSyncResolver(string dbName, DotNetObjectReference<SyncConflictResolver>? resolver)
+    {
+        if (_syncResolvers.Remove(dbName, out var previous))
+        {
+            previous.Dispose();
+        }
+
+        if (resolver is not null)
+        {
+            _syncResolvers[dbName] = resolver;
+        }
+    }
+
+    /// <summary>
+    /// Maps write options to those of a write that resolves to the stored item rather than to its key.
+    /// </summary>
+    private static object ReturningRecord(WriteOptions? options)
+    {
+        return new
+        {
+            versionField = options?.VersionField,
+            ttl = options?.TimeToLiveMilliseconds,
+            returnRecord = true
+        };
+    }
+
+    /// <summary>
+    /// Invokes a function of the JavaScript module, reporting its errors as <see cref="IndexedDbException"/>s.
+    /// </summary>
+    private static async Task InvokeModuleAsync(IJSObjectReference module, string identifier, params object?[] args)
+    {
+        try
+        {
+            await module.InvokeVoidAsync(identifier, args);
+        }
+        catch (JSException ex) when (IndexedDbException.TryTranslate(ex, out var translated))
+        {
+            throw translated;
+        }
+    }
+
+    /// <summary>
+    /// Invokes a function of the JavaScript module that returns a result, reporting its errors as
+    /// <see cref="IndexedDbException"/>s.
+    /// </summary>
+    private static async Task<T> InvokeModuleAsync<T>(IJSObjectReference module, string identifier,
+        params object?[] args)
+    {
+        try
+        {
+            return await module.InvokeAsync<T>(identifier, args);
+        }
+        catch (JSException ex) when (IndexedDbException.TryTranslate(ex, out var translated))
+        {
+            throw translated;
+        }
+    }
+
+    /// <summary>
+    /// Invokes a function of the JavaScript module that can be cancelled, reporting its errors as
+    /// <see cref="IndexedDbException"/>s.
+    /// </summary>
+    private static async Task<T> InvokeModuleAsync<T>(IJSObjectReference module, string identifier,
+        CancellationToken cancellationToken, object?[] args)
+    {
+        try
+        {
+            return await module.InvokeAsync<T>(identifier, cancellationToken, args);
+        }
+        catch (JSException ex) when (IndexedDbException.TryTranslate(ex, out var translated))
+        {
+            throw translated;
+        }
+    }
+
+    /// <summary>
+    /// Disposes the JavaScript module reference.
+    /// </summary>
+    /// <returns>A <see cref="ValueTask"/> representing the asynchronous dispose operation.</returns>
+    public async ValueTask DisposeAsync()
+    {
+        if (_moduleTask.IsValueCreated)
+        {
+            var module = await _moduleTask.Value;
+            await module.InvokeVoidAsync("unsubscribeConnectionEvents", _connectionSubscriptionId);
+            await module.InvokeVoidAsync("unsubscribeSyncEvents", _syncSubscriptionId);
+            await module.DisposeAsync();
+        }
+
+        foreach (var resolver in _syncResolvers.Values)
+        {
+            resolver.Dispose();
+        }
+
+        _syncResolvers.Clear();
+        foreach (var hookReference in _hookReferences.Values)
+        {
+            hookReference.Dispose();
+        }
+
+        _hookReferences.Clear();
+        _selfReference.Dispose();
     }
 }
\ No newline at end of file
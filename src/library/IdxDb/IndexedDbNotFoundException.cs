@@ -0,0 +1,25 @@
+using System.Text.Json;
+
+namespace IdxDb;
+
+/// <summary>
+/// The exception thrown when an operation needs something that does not exist, such as the record a patch applies to
+/// or the index a query reads through.
+/// </summary>
+public class IndexedDbNotFoundException : IndexedDbException
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbNotFoundException"/> class.
+    /// </summary>
+    /// <param name="message">The message describing the failure.</param>
+    /// <param name="databaseName">The name of the database, when it is known.</param>
+    /// <param name="storeName">The name(s) of the object store(s), separated by commas, when they are known.</param>
+    /// <param name="operation">The name of the operation that failed, such as <c>addOne</c>, when it is known.</param>
+    /// <param name="key">The key of the offending record, when it is known.</param>
+    /// <param name="innerException">The JavaScript error that reported the failure.</param>
+    public IndexedDbNotFoundException(string message, string? databaseName, string? storeName, string? operation,
+        JsonElement? key, Exception? innerException)
+        : base("NotFoundError", message, databaseName, storeName, operation, key, innerException)
+    {
+    }
+}
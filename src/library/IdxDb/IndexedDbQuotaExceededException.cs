@@ -0,0 +1,66 @@
+using System.Text.RegularExpressions;
+using Microsoft.JSInterop;
+
+namespace IdxDb;
+
+/// <summary>
+/// The exception thrown when a write fails because the origin has used up its storage quota.
+/// </summary>
+public class IndexedDbQuotaExceededException : IndexedDbException
+{
+    /// <summary>
+    /// The name of the JavaScript error raised when the quota is exceeded.
+    /// </summary>
+    internal const string ErrorName = "QuotaExceededError";
+
+    private static readonly Regex Details = new(
+        @"Storage quota exceeded by (?<operation>\w+) on object store '(?<store>[^']*)' of database '(?<db>[^']*)'",
+        RegexOptions.Compiled);
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbQuotaExceededException"/> class.
+    /// </summary>
+    /// <param name="message">The message describing the failed write.</param>
+    /// <param name="databaseName">The name of the database written to.</param>
+    /// <param name="storeName">The name(s) of the object store(s) written to, separated by commas.</param>
+    /// <param name="operation">The name of the operation that failed, such as <c>addOne</c>.</param>
+    /// <param name="innerException">The JavaScript error that reported the failure.</param>
+    public IndexedDbQuotaExceededException(string message, string? databaseName, string? storeName,
+        string? operation, JSException innerException)
+        : base(ErrorName, message, databaseName, storeName, operation, null, innerException)
+    {
+    }
+
+    /// <summary>
+    /// Determines whether a JavaScript error reports that the storage quota was exceeded.
+    /// </summary>
+    /// <param name="exception">The JavaScript error.</param>
+    /// <returns><c>true</c> if the error is a quota error; otherwise, <c>false</c>.</returns>
+    internal static bool IsQuotaExceeded(JSException exception)
+    {
+        return exception.Message.Contains("Storage quota exceeded by", StringComparison.Ordinal)
+            || exception.Message.Contains(ErrorName, StringComparison.Ordinal);
+    }
+
+    /// <summary>
+    /// Creates the exception from a JavaScript quota error that carries no details, reading the store and operation
+    /// from its message.
+    /// </summary>
+    /// <param name="exception">The JavaScript error.</param>
+    /// <returns>The exception.</returns>
+    internal static IndexedDbQuotaExceededException FromJSException(JSException exception)
+    {
+        var match = Details.Match(exception.Message);
+        if (!match.Success)
+        {
+            return new IndexedDbQuotaExceededException("The storage quota was exceeded.", null, null, null, exception);
+        }
+
+        var databaseName = match.Groups["db"].Value;
+        var storeName = match.Groups["store"].Value;
+        var operation = match.Groups["operation"].Value;
+        return new IndexedDbQuotaExceededException(
+            $"The storage quota was exceeded by {operation} on object store '{storeName}' of database '{databaseName}'.",
+            databaseName, storeName, operation, exception);
+    }
+}
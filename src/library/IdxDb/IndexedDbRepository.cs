@@ -1,3 +1,5 @@
+using System.Runtime.CompilerServices;
+using System.Threading.Channels;
 using Microsoft.JSInterop;
 
 namespace IdxDb;
@@ -11,6 +13,9 @@ public class IndexedDbRepository<TItem> : IAsyncDisposable
     private readonly IndexedDbInterop _indexedDbInterop;
     private readonly string _dbName;
     private readonly string _storeName;
+    private readonly IndexedDbRepositoryOptions _options;
+    private readonly WriteOptions _writeOptions;
+    private Task? _configureTask;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="IndexedDbRepository{TItem}"/> class.
@@ -19,39 +24,172 @@ public class IndexedDbRepository<TItem> : IAsyncDisposable
     /// <param name="dbName">The name of the database.</param>
     /// <param name="storeName">The name of the object store.</param>
     public IndexedDbRepository(IJSRuntime jsRuntime, string dbName, string storeName)
+        : this(jsRuntime, dbName, storeName, new IndexedDbRepositoryOptions())
     {
+    }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbRepository{TItem}"/> class.
+    /// </summary>
+    /// <param name="jsRuntime">An instance of <see cref="IJSRuntime"/> for JavaScript interop.</param>
+    /// <param name="dbName">The name of the database.</param>
+    /// <param name="storeName">The name of the object store.</param>
+    /// <param name="options">The options of the repository, such as the version field used for optimistic concurrency.</param>
+    public IndexedDbRepository(IJSRuntime jsRuntime, string dbName, string storeName,
+        IndexedDbRepositoryOptions options)
+    {
+        ArgumentNullException.ThrowIfNull(options, nameof(options));
         _indexedDbInterop = new IndexedDbInterop(jsRuntime);
         _dbName = dbName;
         _storeName = storeName;
+        _options = options;
+        _writeOptions = new WriteOptions { VersionField = options.VersionField };
+    }
+
+    /// <summary>
+    /// Applies the store-level options (such as the time-to-live policy) once, before the first operation that
+    /// reads or writes items. A failed attempt is retried by the next operation.
+    /// </summary>
+    private Task EnsureConfiguredAsync()
+    {
+        if (_options.TimeToLive is null && _options.Encryption is null && _options.Schema is null &&
+            _options.History is null && _options.KeyGenerator is null)
+        {
+            return Task.CompletedTask;
+        }
+
+        return _configureTask ??= ConfigureAsync();
+    }
+
+    /// <summary>
+    /// Defines the time-to-live, encryption and history policies, the record schema and the key generator of the
+    /// store, forgetting the attempt if it fails. The expiry comes first so that its index keeps the expiry field in
+    /// plaintext.
+    /// </summary>
+    private async Task ConfigureAsync()
+    {
+        try
+        {
+            if (_options.TimeToLive is not null)
+            {
+                await _indexedDbInterop.DefineExpiryAsync(_dbName, _storeName, _options.TimeToLive,
+                    _options.ExpiryField, _options.PurgeInterval);
+            }
+
+            if (_options.Encryption is not null)
+            {
+                await _indexedDbInterop.DefineEncryptionAsync(_dbName, _storeName, _options.Encryption);
+            }
+
+            if (_options.Schema is not null)
+            {
+                await _indexedDbInterop.DefineSchemaAsync(_dbName, _storeName, _options.Schema);
+            }
+
+            if (_options.History is not null)
+            {
+                await _indexedDbInterop.DefineHistoryAsync(_dbName, _storeName, _options.History);
+            }
+
+            if (_options.KeyGenerator is not null)
+            {
+                await _indexedDbInterop.DefineKeyGeneratorAsync(_dbName, _storeName, _options.KeyGenerator);
+            }
+        }
+        catch
+        {
+            _configureTask = null;
+            throw;
+        }
     }
 
     /// <summary>
     /// Adds a single item to the object store.
     /// </summary>
     /// <param name="item">The item to add.</param>
-    public async Task AddOneAsync(TItem item)
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The key of the item and the stored item, with a generated key written into its key path property.</returns>
+    public async Task<WriteResult<TItem>> AddOneAsync(TItem item, string? transactionId = null)
     {
         ArgumentNullException.ThrowIfNull(item, nameof(item));
-        await _indexedDbInterop.AddOneAsync(_dbName, _storeName, item);
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.AddOneAndReturnAsync(_dbName, _storeName, item, null, transactionId);
+    }
+
+    /// <summary>
+    /// Adds a single item to the object store with its own time to live, overriding <see cref="IndexedDbRepositoryOptions.TimeToLive"/>.
+    /// </summary>
+    /// <param name="item">The item to add.</param>
+    /// <param name="timeToLive">How long the item lives.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The key of the item and the stored item, with a generated key written into its key path property.</returns>
+    public async Task<WriteResult<TItem>> AddOneAsync(TItem item, TimeSpan timeToLive, string? transactionId = null)
+    {
+        ArgumentNullException.ThrowIfNull(item, nameof(item));
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.AddOneAndReturnAsync(_dbName, _storeName, item,
+            new WriteOptions { TimeToLive = timeToLive }, transactionId);
     }
 
     /// <summary>
     /// Adds multiple items to the object store in a single operation.
     /// </summary>
     /// <param name="items">An array of items to add.</param>
-    public async Task AddManyAsync(TItem[] items)
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The key and the stored form of every item, in input order.</returns>
+    public async Task<WriteResult<TItem>[]> AddManyAsync(TItem[] items, string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.AddManyAndReturnAsync(_dbName, _storeName, items, transactionId);
+    }
+
+    /// <summary>
+    /// Adds multiple items to the object store, keeping the items that succeed when others fail.
+    /// </summary>
+    /// <param name="items">An array of items to add.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The outcome of every item, in input order.</returns>
+    public async Task<BulkWriteResult[]> TryAddManyAsync(TItem[] items, string? transactionId = null)
     {
         var rawItems = items.Cast<object>().ToArray();
-        await _indexedDbInterop.AddManyAsync(_dbName, _storeName, rawItems);
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.TryAddManyAsync(_dbName, _storeName, rawItems, transactionId);
+    }
+
+    /// <summary>
+    /// Adds or replaces multiple items in the object store in a single operation.
+    /// </summary>
+    /// <param name="items">An array of items to store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    public async Task PutManyAsync(TItem[] items, string? transactionId = null)
+    {
+        var rawItems = items.Cast<object>().ToArray();
+        await EnsureConfiguredAsync();
+        await _indexedDbInterop.PutManyAsync(_dbName, _storeName, rawItems, transactionId);
+    }
+
+    /// <summary>
+    /// Adds or replaces multiple items in the object store, keeping the items that succeed when others fail.
+    /// </summary>
+    /// <param name="items">An array of items to store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The outcome of every item, in input order.</returns>
+    public async Task<BulkWriteResult[]> TryPutManyAsync(TItem[] items, string? transactionId = null)
+    {
+        var rawItems = items.Cast<object>().ToArray();
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.TryPutManyAsync(_dbName, _storeName, rawItems, transactionId);
     }
 
     /// <summary>
     /// Retrieves all items from the object store.
     /// </summary>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
     /// <returns>An array of items.</returns>
-    public async Task<TItem[]> GetAllAsync()
+    public async Task<TItem[]> GetAllAsync(string? transactionId = null)
     {
-        return await _indexedDbInterop.GetAllAsync<TItem>(_dbName, _storeName);
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.GetAllAsync<TItem>(_dbName, _storeName, transactionId);
     }
 
     /// <summary>
@@ -59,20 +197,173 @@ public class IndexedDbRepository<TItem> : IAsyncDisposable
     /// </summary>
     /// <typeparam name="TKey">The type of the key used to identify the item.</typeparam>
     /// <param name="id">The key of the item to retrieve.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
     /// <returns>The item, or <c>null</c> if not found.</returns>
-    public async Task<TItem?> GetOneAsync<TKey>(TKey id)
+    public async Task<TItem?> GetOneAsync<TKey>(TKey id, string? transactionId = null)
     {
-        return await _indexedDbInterop.GetOneAsync<TItem, TKey>(_dbName, _storeName, id);
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.GetOneAsync<TItem, TKey>(_dbName, _storeName, id, transactionId);
+    }
+
+    /// <summary>
+    /// Retrieves an item together with its related items from the stores it is related to, in a single
+    /// transaction.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the key used to identify the item.</typeparam>
+    /// <param name="id">The key of the item to retrieve.</param>
+    /// <param name="include">The names of the related stores to read.</param>
+    /// <returns>The item and its related items, or <c>null</c> if not found.</returns>
+    public async Task<RelatedItems<TItem>?> GetWithRelatedAsync<TKey>(TKey id, params string[] include)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.GetWithRelatedAsync<TItem, TKey>(_dbName, _storeName, id, include);
+    }
+
+    /// <summary>
+    /// Retrieves all items matching a key or key range on an index of the object store.
+    /// </summary>
+    /// <typeparam name="TIndex">The type of the index key or range.</typeparam>
+    /// <param name="indexName">The name of the index to query.</param>
+    /// <param name="query">The key to match (an array for a compound index) or a <see cref="KeyRange"/>.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>An array of matching items.</returns>
+    public async Task<TItem[]> GetAllByIndexAsync<TIndex>(string indexName, TIndex query, string? transactionId = null)
+    {
+        ArgumentNullException.ThrowIfNull(query, nameof(query));
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.GetAllByIndexAsync<TItem>(_dbName, _storeName, indexName, query,
+            transactionId);
+    }
+
+    /// <summary>
+    /// Makes string fields of the object store searchable with <see cref="SearchAsync"/>.
+    /// </summary>
+    /// <param name="fields">The names of the string (or string array) fields to index, as they are stored.</param>
+    /// <param name="prefixLength">When greater than 0, token prefixes of at least this many characters are indexed too.</param>
+    public async Task DefineSearchIndexAsync(string[] fields, int prefixLength = 0)
+    {
+        await _indexedDbInterop.DefineSearchIndexAsync(_dbName, _storeName, fields, prefixLength);
+    }
+
+    /// <summary>
+    /// Searches the indexed fields of the object store and returns the matching items, best match first.
+    /// </summary>
+    /// <param name="text">The text to search for.</param>
+    /// <param name="options">The mode, prefix matching and limit of the search, or <c>null</c> for the defaults.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The matching items, ranked.</returns>
+    public async Task<TItem[]> SearchAsync(string text, SearchOptions? options = null, string? transactionId = null)
+    {
+        ArgumentNullException.ThrowIfNull(text, nameof(text));
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.SearchAsync<TItem>(_dbName, _storeName, text, options, transactionId);
+    }
+
+    /// <summary>
+    /// Reads one page of items in key order, optionally through an index and restricted to a key range.
+    /// </summary>
+    /// <param name="options">The index, range, direction, limit and continuation token of the query.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The page of items and the token for the next page.</returns>
+    public async Task<QueryResult<TItem>> QueryAsync(QueryOptions options, string? transactionId = null)
+    {
+        ArgumentNullException.ThrowIfNull(options, nameof(options));
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.QueryAsync<TItem>(_dbName, _storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Starts a query on the object store, to be refined with <c>Where</c>, <c>OrderBy</c>, <c>Skip</c> and
+    /// <c>Take</c> and run with <see cref="RepositoryQuery{TItem}.ToArrayAsync"/>.
+    /// </summary>
+    /// <returns>A query that matches every item.</returns>
+    public RepositoryQuery<TItem> Query()
+    {
+        return new RepositoryQuery<TItem>(this, new FindOptions());
+    }
+
+    /// <summary>
+    /// Reads the items that meet every condition of a query, in order, choosing the best index in the browser.
+    /// </summary>
+    /// <param name="options">The conditions, ordering and page of the query.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The matching items.</returns>
+    public async Task<TItem[]> FindAsync(FindOptions options, string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.FindAsync<TItem>(_dbName, _storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Tells how <see cref="FindAsync"/> would read a query, without reading any item.
+    /// </summary>
+    /// <param name="options">The query.</param>
+    /// <returns>The plan.</returns>
+    public async Task<QueryPlan> ExplainAsync(FindOptions options)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.ExplainAsync(_dbName, _storeName, options);
     }
 
     /// <summary>
     /// Updates an existing item in the object store.
     /// </summary>
     /// <param name="item">The item to update.</param>
-    public async Task UpdateOneAsync(TItem item)
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The key of the item and the stored item, including its incremented version.</returns>
+    /// <exception cref="IndexedDbConcurrencyException">Versioning is enabled and the item was changed since <paramref name="item"/> was read.</exception>
+    public async Task<WriteResult<TItem>> UpdateOneAsync(TItem item, string? transactionId = null)
+    {
+        ArgumentNullException.ThrowIfNull(item, nameof(item));
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.UpdateOneAndReturnAsync(_dbName, _storeName, item, _writeOptions, transactionId);
+    }
+
+    /// <summary>
+    /// Updates an existing item in the object store and gives it a new time to live.
+    /// </summary>
+    /// <param name="item">The item to update.</param>
+    /// <param name="timeToLive">How long the item lives from now on.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The key of the item and the stored item, including its incremented version.</returns>
+    /// <exception cref="IndexedDbConcurrencyException">Versioning is enabled and the item was changed since <paramref name="item"/> was read.</exception>
+    public async Task<WriteResult<TItem>> UpdateOneAsync(TItem item, TimeSpan timeToLive, string? transactionId = null)
+    {
+        ArgumentNullException.ThrowIfNull(item, nameof(item));
+        await EnsureConfiguredAsync();
+        var options = new WriteOptions { VersionField = _writeOptions.VersionField, TimeToLive = timeToLive };
+        return await _indexedDbInterop.UpdateOneAndReturnAsync(_dbName, _storeName, item, options, transactionId);
+    }
+
+    /// <summary>
+    /// Changes some fields of a stored item, reading and merging it in a single transaction.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the key used to identify the item.</typeparam>
+    /// <param name="id">The key of the item to change.</param>
+    /// <param name="changes">An object with the fields to overwrite, named as they are stored. When versioning is enabled it must carry the version that was read.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The stored item.</returns>
+    /// <exception cref="IndexedDbConcurrencyException">Versioning is enabled and the item was changed since it was read.</exception>
+    public async Task<WriteResult<TItem>> PatchOneAsync<TKey>(TKey id, object changes, string? transactionId = null)
+    {
+        ArgumentNullException.ThrowIfNull(changes, nameof(changes));
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.PatchOneAsync<TItem, TKey>(_dbName, _storeName, id, changes, _writeOptions,
+            transactionId);
+    }
+
+    /// <summary>
+    /// Adds an item, or replaces it when an item with the same key is already stored.
+    /// </summary>
+    /// <param name="item">The item to store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>Whether the item was inserted, and the stored item.</returns>
+    /// <exception cref="IndexedDbConcurrencyException">Versioning is enabled and the item was changed since <paramref name="item"/> was read.</exception>
+    public async Task<WriteResult<TItem>> UpsertOneAsync(TItem item, string? transactionId = null)
     {
         ArgumentNullException.ThrowIfNull(item, nameof(item));
-        await _indexedDbInterop.UpdateOneAsync(_dbName, _storeName, item);
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.UpsertOneAsync(_dbName, _storeName, item, _writeOptions, transactionId);
     }
 
     /// <summary>
@@ -80,26 +371,297 @@ public class IndexedDbRepository<TItem> : IAsyncDisposable
     /// </summary>
     /// <typeparam name="TKey">The type of the key used to identify the item.</typeparam>
     /// <param name="id">The key of the item to delete.</param>
-    public async Task DeleteOneAsync<TKey>(TKey id)
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    public async Task DeleteOneAsync<TKey>(TKey id, string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        await _indexedDbInterop.DeleteOneAsync(_dbName, _storeName, id, transactionId);
+    }
+
+    /// <summary>
+    /// Deletes multiple items from the object store by their keys in a single operation.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the keys.</typeparam>
+    /// <param name="ids">The keys of the items to delete.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    public async Task DeleteManyAsync<TKey>(TKey[] ids, string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        await _indexedDbInterop.DeleteManyAsync(_dbName, _storeName, ids, transactionId);
+    }
+
+    /// <summary>
+    /// Deletes multiple items from the object store by their keys, keeping the deletes that succeed when others fail.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the keys.</typeparam>
+    /// <param name="ids">The keys of the items to delete.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The outcome of every key, in input order.</returns>
+    public async Task<BulkWriteResult[]> TryDeleteManyAsync<TKey>(TKey[] ids, string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.TryDeleteManyAsync(_dbName, _storeName, ids, transactionId);
+    }
+
+    /// <summary>
+    /// Deletes every item whose key falls inside a key range.
+    /// </summary>
+    /// <param name="range">The key range of the items to delete.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The number of deleted items.</returns>
+    public async Task<int> DeleteRangeAsync(KeyRange range, string? transactionId = null)
     {
-        await _indexedDbInterop.DeleteOneAsync(_dbName, _storeName, id);
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.DeleteRangeAsync(_dbName, _storeName, range, transactionId);
     }
 
     /// <summary>
     /// Counts the number of records in the object store.
     /// </summary>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The count of records.</returns>
+    public async Task<int> CountAsync(string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.CountAsync(_dbName, _storeName, transactionId);
+    }
+
+    /// <summary>
+    /// Counts the records of an index or of the object store within a key range, without reading them.
+    /// </summary>
+    /// <param name="options">The index and key range to count.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
     /// <returns>The count of records.</returns>
-    public async Task<int> CountAsync()
+    public async Task<int> CountAsync(AggregateOptions options, string? transactionId = null)
     {
-        return await _indexedDbInterop.CountAsync(_dbName, _storeName);
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.CountAsync(_dbName, _storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Returns the smallest key of an index, or the smallest primary key, within a key range.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the keys.</typeparam>
+    /// <param name="options">The index and key range to read, or <c>null</c> for the primary keys of the whole store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The smallest key, or the default value if the range is empty.</returns>
+    public async Task<TKey?> MinAsync<TKey>(AggregateOptions? options = null, string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.MinAsync<TKey>(_dbName, _storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Returns the largest key of an index, or the largest primary key, within a key range.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the keys.</typeparam>
+    /// <param name="options">The index and key range to read, or <c>null</c> for the primary keys of the whole store.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The largest key, or the default value if the range is empty.</returns>
+    public async Task<TKey?> MaxAsync<TKey>(AggregateOptions? options = null, string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.MaxAsync<TKey>(_dbName, _storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Lists the distinct keys of an index within a key range, in ascending order.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the index keys.</typeparam>
+    /// <param name="options">The index and key range to read.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The distinct keys.</returns>
+    public async Task<TKey[]> DistinctKeysAsync<TKey>(AggregateOptions options, string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.DistinctKeysAsync<TKey>(_dbName, _storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Counts the records of each distinct key of an index within a key range.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the index keys.</typeparam>
+    /// <param name="options">The index to group by and the key range to read.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>One count per key, in ascending key order.</returns>
+    public async Task<KeyCount<TKey>[]> GroupCountAsync<TKey>(AggregateOptions options, string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.GroupCountAsync<TKey>(_dbName, _storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Adds up a numeric field over the records of a key range, without loading them into .NET.
+    /// </summary>
+    /// <param name="options">The field to add up, and the index and key range to read.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The sum, 0 when no record has the field.</returns>
+    public async Task<double> SumAsync(AggregateOptions options, string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.SumAsync(_dbName, _storeName, options, transactionId);
+    }
+
+    /// <summary>
+    /// Averages a numeric field over the records of a key range, without loading them into .NET.
+    /// </summary>
+    /// <param name="options">The field to average, and the index and key range to read.</param>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The average, or <c>null</c> when no record has the field.</returns>
+    public async Task<double?> AvgAsync(AggregateOptions options, string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.AvgAsync(_dbName, _storeName, options, transactionId);
     }
 
     /// <summary>
     /// Clears all records from the object store.
     /// </summary>
-    public async Task ClearStoreAsync()
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    public async Task ClearStoreAsync(string? transactionId = null)
+    {
+        await EnsureConfiguredAsync();
+        await _indexedDbInterop.ClearStoreAsync(_dbName, _storeName, transactionId);
+    }
+
+    /// <summary>
+    /// Deletes the expired items of the object store. Requires <see cref="IndexedDbRepositoryOptions.TimeToLive"/>.
+    /// </summary>
+    /// <returns>The number of deleted items.</returns>
+    public async Task<int> PurgeExpiredAsync()
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.PurgeExpiredAsync(_dbName, _storeName);
+    }
+
+    /// <summary>
+    /// Lists the previous versions of an item, oldest first. Requires <see cref="IndexedDbRepositoryOptions.History"/>.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the key.</typeparam>
+    /// <param name="id">The key of the item.</param>
+    /// <returns>The revisions of the item.</returns>
+    public async Task<Revision<TItem>[]> GetHistoryAsync<TKey>(TKey id)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.GetHistoryAsync<TItem, TKey>(_dbName, _storeName, id);
+    }
+
+    /// <summary>
+    /// Puts a previous version of an item back in the object store. Requires <see cref="IndexedDbRepositoryOptions.History"/>.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the key.</typeparam>
+    /// <param name="id">The key of the item.</param>
+    /// <param name="revision">The number of the revision to restore.</param>
+    /// <returns>The restored item.</returns>
+    public async Task<TItem> RestoreRevisionAsync<TKey>(TKey id, int revision)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.RestoreRevisionAsync<TItem, TKey>(_dbName, _storeName, id, revision);
+    }
+
+    /// <summary>
+    /// Restores a deleted item. Requires <see cref="IndexedDbRepositoryOptions.History"/>.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the key.</typeparam>
+    /// <param name="id">The key of the item.</param>
+    /// <returns><c>true</c> if the item was restored, or <c>false</c> if it was not deleted.</returns>
+    public async Task<bool> UndeleteAsync<TKey>(TKey id)
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.UndeleteAsync(_dbName, _storeName, id);
+    }
+
+    /// <summary>
+    /// Deletes the revisions that the retention limits no longer keep. Requires <see cref="IndexedDbRepositoryOptions.History"/>.
+    /// </summary>
+    /// <returns>The number of deleted revisions.</returns>
+    public async Task<int> PruneHistoryAsync()
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.PruneHistoryAsync(_dbName, _storeName);
+    }
+
+    /// <summary>
+    /// Lists the items marked as deleted. Requires <see cref="IndexedDbRepositoryOptions.History"/> with soft deletes.
+    /// </summary>
+    /// <returns>The deleted items.</returns>
+    public async Task<TItem[]> GetDeletedAsync()
+    {
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.GetDeletedAsync<TItem>(_dbName, _storeName);
+    }
+
+    /// <summary>
+    /// Re-encrypts every item of the object store with another registered key, and uses that key for the writes that
+    /// follow. Requires <see cref="IndexedDbRepositoryOptions.Encryption"/>.
+    /// </summary>
+    /// <param name="keyId">The id of the new key.</param>
+    /// <returns>The number of re-encrypted items.</returns>
+    public async Task<int> RotateEncryptionKeyAsync(string keyId)
+    {
+        await EnsureConfiguredAsync();
+        var rotated = await _indexedDbInterop.RotateEncryptionKeyAsync(_dbName, _storeName, keyId);
+        _options.Encryption!.KeyId = keyId;
+        return rotated;
+    }
+
+    /// <summary>
+    /// Checks an item against the record schema of the object store without writing it. Requires
+    /// <see cref="IndexedDbRepositoryOptions.Schema"/>.
+    /// </summary>
+    /// <param name="item">The item to check.</param>
+    /// <returns>Every field that breaks the schema; empty when the item is valid.</returns>
+    public async Task<SchemaViolation[]> ValidateAsync(TItem item)
+    {
+        ArgumentNullException.ThrowIfNull(item, nameof(item));
+        await EnsureConfiguredAsync();
+        return await _indexedDbInterop.ValidateAsync(_dbName, _storeName, item);
+    }
+
+    /// <summary>
+    /// Subscribes to the changes committed to the object store, in this tab and in other tabs of the app.
+    /// </summary>
+    /// <param name="handler">The function called for every change.</param>
+    /// <param name="range">The key range to watch, or <c>null</c> to watch every key.</param>
+    /// <returns>The subscription, which stops when disposed.</returns>
+    public async Task<StoreChangeSubscription> SubscribeChangesAsync(Func<StoreChange, Task> handler,
+        KeyRange? range = null)
+    {
+        ArgumentNullException.ThrowIfNull(handler, nameof(handler));
+        return await _indexedDbInterop.SubscribeStoreChangesAsync(_dbName, _storeName, handler, range);
+    }
+
+    /// <summary>
+    /// Streams the changes committed to the object store until the enumeration is cancelled.
+    /// </summary>
+    /// <param name="range">The key range to watch, or <c>null</c> to watch every key.</param>
+    /// <param name="cancellationToken">A token that ends the enumeration.</param>
+    /// <returns>The changes, in the order they were committed.</returns>
+    public async IAsyncEnumerable<StoreChange> WatchChangesAsync(KeyRange? range = null,
+        [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        var changes = Channel.CreateUnbounded<StoreChange>();
+        await using var subscription = await SubscribeChangesAsync(change =>
+        {
+            changes.Writer.TryWrite(change);
+            return Task.CompletedTask;
+        }, range);
+
+        await foreach (var change in changes.Reader.ReadAllAsync(cancellationToken))
+        {
+            yield return change;
+        }
+    }
+
+    /// <summary>
+    /// Executes multiple operations on the object store within a single transaction. The transaction is
+    /// committed when the body completes and aborted when it throws.
+    /// </summary>
+    /// <param name="transactionBody">An asynchronous function receiving the transaction id, which must be passed to every operation that should run inside the transaction.</param>
+    /// <param name="durability">The durability hint ('default', 'strict' or 'relaxed').</param>
+    public async Task ExecuteTransactionAsync(Func<string, Task> transactionBody, string durability = "default")
     {
-        await _indexedDbInterop.ClearStoreAsync(_dbName, _storeName);
+        await _indexedDbInterop.ExecuteTransactionAsync(_dbName, [_storeName], "readwrite", transactionBody, durability);
     }
 
     /// <summary>
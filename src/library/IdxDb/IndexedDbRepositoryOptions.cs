@@ -0,0 +1,60 @@
+using System.Text.Json.Nodes;
+
+namespace IdxDb;
+
+/// <summary>
+/// Options of an <see cref="IndexedDbRepository{TItem}"/>.
+/// </summary>
+public class IndexedDbRepositoryOptions
+{
+    /// <summary>
+    /// Gets or sets the JavaScript name of the property holding the version of an item (for example <c>"version"</c>).
+    /// When set, updates, patches and upserts use optimistic concurrency: a write made from a stale copy of an item
+    /// throws an <see cref="IndexedDbConcurrencyException"/>.
+    /// </summary>
+    public string? VersionField { get; set; }
+
+    /// <summary>
+    /// Gets or sets how long items live. When set, the repository gives its store a time-to-live policy before its
+    /// first operation: writes stamp an expiry time on each item and reads treat expired items as missing.
+    /// </summary>
+    public TimeSpan? TimeToLive { get; set; }
+
+    /// <summary>
+    /// Gets or sets the JavaScript name of the property holding the expiry time of an item, which is also the name of its index.
+    /// </summary>
+    public string ExpiryField { get; set; } = "expiresAt";
+
+    /// <summary>
+    /// Gets or sets how often expired items are purged automatically, or <c>null</c> to purge only with
+    /// <see cref="IndexedDbRepository{TItem}.PurgeExpiredAsync"/>.
+    /// </summary>
+    public TimeSpan? PurgeInterval { get; set; }
+
+    /// <summary>
+    /// Gets or sets how the items are encrypted at rest. When set, the repository gives its store an encryption policy
+    /// before its first operation; the key must already be registered.
+    /// </summary>
+    public EncryptionOptions? Encryption { get; set; }
+
+    /// <summary>
+    /// Gets or sets the record schema the items must match, such as <c>RecordSchema.For&lt;TItem&gt;()</c>. When set,
+    /// the repository gives its store the schema before its first operation, and invalid items are rejected with an
+    /// <see cref="IndexedDbValidationException"/>.
+    /// </summary>
+    public JsonObject? Schema { get; set; }
+
+    /// <summary>
+    /// Gets or sets how the previous versions of the items are kept. When set, the repository gives its store a
+    /// history policy before its first operation: updates and deletes keep the version they replace or remove, and
+    /// deletes can become soft deletes.
+    /// </summary>
+    public HistoryOptions? History { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the generator of the keys of new items, such as <see cref="IdxDb.KeyGenerator.Ulid"/>.
+    /// When set, the repository gives its store the generator before its first operation, and added items without a
+    /// key get one in the browser.
+    /// </summary>
+    public string? KeyGenerator { get; set; }
+}
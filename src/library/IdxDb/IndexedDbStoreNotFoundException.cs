@@ -0,0 +1,21 @@
+namespace IdxDb;
+
+/// <summary>
+/// The exception thrown when an operation names an object store that the database does not have.
+/// </summary>
+public class IndexedDbStoreNotFoundException : IndexedDbNotFoundException
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbStoreNotFoundException"/> class.
+    /// </summary>
+    /// <param name="message">The message describing the failure.</param>
+    /// <param name="databaseName">The name of the database, when it is known.</param>
+    /// <param name="storeName">The name of the missing object store, when it is known.</param>
+    /// <param name="operation">The name of the operation that failed, such as <c>addOne</c>, when it is known.</param>
+    /// <param name="innerException">The JavaScript error that reported the failure.</param>
+    public IndexedDbStoreNotFoundException(string message, string? databaseName, string? storeName, string? operation,
+        Exception? innerException)
+        : base(message, databaseName, storeName, operation, null, innerException)
+    {
+    }
+}
@@ -0,0 +1,26 @@
+namespace IdxDb;
+
+/// <summary>
+/// The exception thrown when a sync fails because its endpoint cannot be reached or answers with an error status.
+/// Mutations that were not pushed stay in the outbox for the next sync.
+/// </summary>
+public class IndexedDbSyncException : IndexedDbException
+{
+    /// <summary>
+    /// The name of the JavaScript error raised when the sync endpoint fails.
+    /// </summary>
+    internal const string ErrorName = "SyncError";
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbSyncException"/> class.
+    /// </summary>
+    /// <param name="message">The message describing the failure.</param>
+    /// <param name="databaseName">The name of the database being synced.</param>
+    /// <param name="operation">The name of the operation that failed, such as <c>sync</c>.</param>
+    /// <param name="innerException">The JavaScript error that reported the failure.</param>
+    public IndexedDbSyncException(string message, string? databaseName, string? operation,
+        Exception? innerException)
+        : base(ErrorName, message, databaseName, null, operation, null, innerException)
+    {
+    }
+}
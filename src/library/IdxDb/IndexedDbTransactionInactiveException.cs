@@ -0,0 +1,21 @@
+namespace IdxDb;
+
+/// <summary>
+/// The exception thrown when an operation joins a transaction that has already committed or aborted.
+/// </summary>
+public class IndexedDbTransactionInactiveException : IndexedDbException
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbTransactionInactiveException"/> class.
+    /// </summary>
+    /// <param name="message">The message describing the failure.</param>
+    /// <param name="databaseName">The name of the database, when it is known.</param>
+    /// <param name="storeName">The name(s) of the object store(s), separated by commas, when they are known.</param>
+    /// <param name="operation">The name of the operation that failed, such as <c>addOne</c>, when it is known.</param>
+    /// <param name="innerException">The JavaScript error that reported the failure.</param>
+    public IndexedDbTransactionInactiveException(string message, string? databaseName, string? storeName,
+        string? operation, Exception? innerException)
+        : base("TransactionInactiveError", message, databaseName, storeName, operation, null, innerException)
+    {
+    }
+}
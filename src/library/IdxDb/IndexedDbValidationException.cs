@@ -0,0 +1,36 @@
+using System.Text.Json;
+
+namespace IdxDb;
+
+/// <summary>
+/// The exception thrown when a write is rejected because records break the schema of their object store.
+/// </summary>
+public class IndexedDbValidationException : IndexedDbException
+{
+    /// <summary>
+    /// The name of the JavaScript error raised when a record breaks the schema.
+    /// </summary>
+    internal const string ErrorName = "ValidationError";
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbValidationException"/> class.
+    /// </summary>
+    /// <param name="message">The message listing the violations.</param>
+    /// <param name="databaseName">The name of the database, when it is known.</param>
+    /// <param name="storeName">The name of the object store, when it is known.</param>
+    /// <param name="operation">The name of the operation that failed, such as <c>addOne</c>, when it is known.</param>
+    /// <param name="key">The key of the first invalid record, when it is known.</param>
+    /// <param name="violations">Every field that breaks the schema.</param>
+    /// <param name="innerException">The JavaScript error that reported the failure.</param>
+    public IndexedDbValidationException(string message, string? databaseName, string? storeName, string? operation,
+        JsonElement? key, IReadOnlyList<SchemaViolation> violations, Exception? innerException)
+        : base(ErrorName, message, databaseName, storeName, operation, key, innerException)
+    {
+        Violations = violations;
+    }
+
+    /// <summary>
+    /// Gets every field that breaks the schema, with its path.
+    /// </summary>
+    public IReadOnlyList<SchemaViolation> Violations { get; }
+}
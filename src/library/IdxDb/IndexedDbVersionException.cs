@@ -0,0 +1,19 @@
+namespace IdxDb;
+
+/// <summary>
+/// The exception thrown when a database is opened with a version lower than the one on disk.
+/// </summary>
+public class IndexedDbVersionException : IndexedDbException
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="IndexedDbVersionException"/> class.
+    /// </summary>
+    /// <param name="message">The message describing the failure.</param>
+    /// <param name="databaseName">The name of the database, when it is known.</param>
+    /// <param name="operation">The name of the operation that failed, such as <c>addOne</c>, when it is known.</param>
+    /// <param name="innerException">The JavaScript error that reported the failure.</param>
+    public IndexedDbVersionException(string message, string? databaseName, string? operation, Exception? innerException)
+        : base("VersionError", message, databaseName, null, operation, null, innerException)
+    {
+    }
+}
@@ -0,0 +1,22 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The number of records that share one key of an index, as returned by a group count.
+/// </summary>
+/// <typeparam name="TKey">The type of the index keys.</typeparam>
+public class KeyCount<TKey>
+{
+    /// <summary>
+    /// Gets or sets the index key.
+    /// </summary>
+    [JsonPropertyName("key")]
+    public TKey Key { get; set; } = default!;
+
+    /// <summary>
+    /// Gets or sets the number of records with the key.
+    /// </summary>
+    [JsonPropertyName("count")]
+    public int Count { get; set; }
+}
@@ -0,0 +1,22 @@
+namespace IdxDb;
+
+/// <summary>
+/// The names of the built-in key generators, for <see cref="IndexedDbInterop.DefineKeyGeneratorAsync"/>.
+/// </summary>
+public static class KeyGenerator
+{
+    /// <summary>
+    /// A random UUID, such as <c>"3b241101-e2bb-4255-8caf-4136c566a962"</c>.
+    /// </summary>
+    public const string Guid = "guid";
+
+    /// <summary>
+    /// A ULID: 26 characters that sort in creation order, such as <c>"01ARZ3NDEKTSV4RRFFQ69G5FAV"</c>.
+    /// </summary>
+    public const string Ulid = "ulid";
+
+    /// <summary>
+    /// A version 7 UUID, whose leading timestamp makes keys sort in creation order.
+    /// </summary>
+    public const string TimeOrdered = "timeOrdered";
+}
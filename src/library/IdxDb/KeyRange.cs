@@ -0,0 +1,95 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A serializable description of an IndexedDB key range, converted to an <c>IDBKeyRange</c> on the JavaScript side.
+/// </summary>
+public class KeyRange
+{
+    /// <summary>
+    /// Gets the single key matched by the range, if the range was created with <see cref="Only"/>.
+    /// </summary>
+    [JsonPropertyName("only")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public object? Key { get; private init; }
+
+    /// <summary>
+    /// Gets the leading components of the compound keys matched by the range, if the range was created with <see cref="StartsWith"/>.
+    /// </summary>
+    [JsonPropertyName("prefix")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public object[]? Prefix { get; private init; }
+
+    /// <summary>
+    /// Gets the lower bound of the range, or <c>null</c> if the range has no lower bound.
+    /// </summary>
+    [JsonPropertyName("lower")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public object? Lower { get; private init; }
+
+    /// <summary>
+    /// Gets the upper bound of the range, or <c>null</c> if the range has no upper bound.
+    /// </summary>
+    [JsonPropertyName("upper")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public object? Upper { get; private init; }
+
+    /// <summary>
+    /// Gets a value indicating whether the lower bound is excluded from the range.
+    /// </summary>
+    [JsonPropertyName("lowerOpen")]
+    public bool LowerOpen { get; private init; }
+
+    /// <summary>
+    /// Gets a value indicating whether the upper bound is excluded from the range.
+    /// </summary>
+    [JsonPropertyName("upperOpen")]
+    public bool UpperOpen { get; private init; }
+
+    /// <summary>
+    /// Creates a range that matches a single key.
+    /// </summary>
+    /// <param name="key">The key to match.</param>
+    /// <returns>The key range.</returns>
+    public static KeyRange Only(object key)
+        => new() { Key = key };
+
+    /// <summary>
+    /// Creates a range that matches every compound key starting with the given components, for example every
+    /// <c>[tenantId, createdAt]</c> key of one tenant.
+    /// </summary>
+    /// <param name="prefix">The leading components of the keys to match.</param>
+    /// <returns>The key range.</returns>
+    public static KeyRange StartsWith(params object[] prefix)
+        => new() { Prefix = prefix };
+
+    /// <summary>
+    /// Creates a range with only a lower bound.
+    /// </summary>
+    /// <param name="lower">The lower bound.</param>
+    /// <param name="open">Indicates whether the lower bound is excluded.</param>
+    /// <returns>The key range.</returns>
+    public static KeyRange LowerBound(object lower, bool open = false)
+        => new() { Lower = lower, LowerOpen = open };
+
+    /// <summary>
+    /// Creates a range with only an upper bound.
+    /// </summary>
+    /// <param name="upper">The upper bound.</param>
+    /// <param name="open">Indicates whether the upper bound is excluded.</param>
+    /// <returns>The key range.</returns>
+    public static KeyRange UpperBound(object upper, bool open = false)
+        => new() { Upper = upper, UpperOpen = open };
+
+    /// <summary>
+    /// Creates a range with both a lower and an upper bound.
+    /// </summary>
+    /// <param name="lower">The lower bound.</param>
+    /// <param name="upper">The upper bound.</param>
+    /// <param name="lowerOpen">Indicates whether the lower bound is excluded.</param>
+    /// <param name="upperOpen">Indicates whether the upper bound is excluded.</param>
+    /// <returns>The key range.</returns>
+    public static KeyRange Bound(object lower, object upper, bool lowerOpen = false, bool upperOpen = false)
+        => new() { Lower = lower, Upper = upper, LowerOpen = lowerOpen, UpperOpen = upperOpen };
+}
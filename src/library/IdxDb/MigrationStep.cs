@@ -0,0 +1,171 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A single step of a <see cref="DatabaseMigration"/>. Use the static factory methods to create steps.
+/// </summary>
+public class MigrationStep
+{
+    private MigrationStep(string type)
+    {
+        Type = type;
+    }
+
+    /// <summary>
+    /// Gets the kind of step ('createStore', 'deleteStore', 'createIndex', 'deleteIndex', 'renameStore' or 'transform').
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string Type { get; }
+
+    /// <summary>
+    /// Gets the name of the store or index created or deleted by the step.
+    /// </summary>
+    [JsonPropertyName("name")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Name { get; private init; }
+
+    /// <summary>
+    /// Gets the name of the store an index or transform step applies to.
+    /// </summary>
+    [JsonPropertyName("store")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Store { get; private init; }
+
+    /// <summary>
+    /// Gets the object store options (keyPath and autoIncrement) of a created or renamed store.
+    /// </summary>
+    [JsonPropertyName("options")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public object? Options { get; private init; }
+
+    /// <summary>
+    /// Gets the indexes created together with a store.
+    /// </summary>
+    [JsonPropertyName("indexes")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public object[]? Indexes { get; private init; }
+
+    /// <summary>
+    /// Gets the key path of a created index: a property name, or an array of property names for a compound index.
+    /// </summary>
+    [JsonPropertyName("keyPath")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public object? KeyPath { get; private init; }
+
+    /// <summary>
+    /// Gets a value indicating whether a created index enforces unique values.
+    /// </summary>
+    [JsonPropertyName("unique")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingDefault)]
+    public bool Unique { get; private init; }
+
+    /// <summary>
+    /// Gets a value indicating whether a created index adds one entry per element of an array value.
+    /// </summary>
+    [JsonPropertyName("multiEntry")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingDefault)]
+    public bool MultiEntry { get; private init; }
+
+    /// <summary>
+    /// Gets the name of the store renamed by the step.
+    /// </summary>
+    [JsonPropertyName("from")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? From { get; private init; }
+
+    /// <summary>
+    /// Gets the new name of the store renamed by the step.
+    /// </summary>
+    [JsonPropertyName("to")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? To { get; private init; }
+
+    /// <summary>
+    /// Gets the name under which the record transform was registered with <c>registerMigrationTransform</c>.
+    /// </summary>
+    [JsonPropertyName("transform")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Transform { get; private init; }
+
+    /// <summary>
+    /// Creates an object store.
+    /// </summary>
+    /// <param name="name">The name of the store.</param>
+    /// <param name="keyPath">The key path of the store, or <c>null</c> for out-of-line keys.</param>
+    /// <param name="autoIncrement">Indicates whether the store generates keys.</param>
+    /// <param name="indexes">The indexes to create on the store ({ name, keyPath, unique, multiEntry }).</param>
+    /// <returns>The migration step.</returns>
+    public static MigrationStep CreateStore(string name, string? keyPath, bool autoIncrement = false,
+        params object[] indexes)
+        => new("createStore")
+        {
+            Name = name,
+            Options = new { keyPath, autoIncrement },
+            Indexes = indexes
+        };
+
+    /// <summary>
+    /// Deletes an object store and all of its records.
+    /// </summary>
+    /// <param name="name">The name of the store.</param>
+    /// <returns>The migration step.</returns>
+    public static MigrationStep DeleteStore(string name)
+        => new("deleteStore") { Name = name };
+
+    /// <summary>
+    /// Creates an index on an existing object store.
+    /// </summary>
+    /// <param name="store">The name of the store.</param>
+    /// <param name="name">The name of the index.</param>
+    /// <param name="keyPath">The key path of the index: a property name, or an array of property names.</param>
+    /// <param name="unique">Indicates whether the index enforces unique values.</param>
+    /// <param name="multiEntry">Indicates whether the index adds one entry per element of an array value.</param>
+    /// <returns>The migration step.</returns>
+    public static MigrationStep CreateIndex(string store, string name, object keyPath, bool unique = false,
+        bool multiEntry = false)
+        => new("createIndex")
+        {
+            Store = store,
+            Name = name,
+            KeyPath = keyPath,
+            Unique = unique,
+            MultiEntry = multiEntry
+        };
+
+    /// <summary>
+    /// Deletes an index from an object store.
+    /// </summary>
+    /// <param name="store">The name of the store.</param>
+    /// <param name="name">The name of the index.</param>
+    /// <returns>The migration step.</returns>
+    public static MigrationStep DeleteIndex(string store, string name)
+        => new("deleteIndex") { Store = store, Name = name };
+
+    /// <summary>
+    /// Renames an object store by copying its records and indexes into a new store and deleting the original.
+    /// Passing a key path also changes the key path of the store.
+    /// </summary>
+    /// <param name="from">The current name of the store.</param>
+    /// <param name="to">The new name of the store.</param>
+    /// <param name="keyPath">The key path of the new store, or <c>null</c> to keep the current one.</param>
+    /// <param name="autoIncrement">Indicates whether the new store generates keys; only used with <paramref name="keyPath"/>.</param>
+    /// <returns>The migration step.</returns>
+    public static MigrationStep RenameStore(string from, string to, string? keyPath = null, bool autoIncrement = false)
+        => new("renameStore")
+        {
+            From = from,
+            To = to,
+            Options = keyPath is null ? null : new { keyPath, autoIncrement }
+        };
+
+    /// <summary>
+    /// Rewrites every record of an object store with a JavaScript function registered through
+    /// <c>registerMigrationTransform</c>. Records for which the function returns <c>undefined</c> are deleted.
+    /// </summary>
+    /// <param name="store">The name of the store.</param>
+    /// <param name="transform">The name under which the transform was registered.</param>
+    /// <returns>The migration step.</returns>
+    public static MigrationStep TransformRecords(string store, string transform)
+        => new("transform") { Store = store, Transform = transform };
+}
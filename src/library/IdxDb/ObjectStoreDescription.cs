@@ -0,0 +1,73 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The live schema of an object store, as described by <see cref="IndexedDbInterop.DescribeDatabaseAsync"/>.
+/// </summary>
+public class ObjectStoreDescription
+{
+    /// <summary>
+    /// Gets or sets the name of the object store.
+    /// </summary>
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the key path: a string, an array of strings for a compound key, or
+    /// <see cref="JsonValueKind.Null"/> when the keys are kept out of line.
+    /// </summary>
+    [JsonPropertyName("keyPath")]
+    public JsonElement KeyPath { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the object store generates its keys.
+    /// </summary>
+    [JsonPropertyName("autoIncrement")]
+    public bool AutoIncrement { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of records in the object store.
+    /// </summary>
+    [JsonPropertyName("count")]
+    public int Count { get; set; }
+
+    /// <summary>
+    /// Gets or sets the indexes of the object store, in name order.
+    /// </summary>
+    [JsonPropertyName("indexes")]
+    public IndexDescription[] Indexes { get; set; } = [];
+
+    /// <summary>
+    /// Reads the key path as a list of paths.
+    /// </summary>
+    /// <returns>One path, the paths of a compound key, or none when the keys are kept out of line.</returns>
+    public string[] GetKeyPath()
+    {
+        return ReadKeyPath(KeyPath);
+    }
+
+    /// <summary>
+    /// Finds an index by name.
+    /// </summary>
+    /// <param name="indexName">The name of the index.</param>
+    /// <returns>The index, or <c>null</c> if the object store has none by that name.</returns>
+    public IndexDescription? FindIndex(string indexName)
+    {
+        return Indexes.FirstOrDefault(index => index.Name == indexName);
+    }
+
+    /// <summary>
+    /// Reads a key path as sent by JavaScript: a string, an array of strings, or null.
+    /// </summary>
+    internal static string[] ReadKeyPath(JsonElement keyPath)
+    {
+        return keyPath.ValueKind switch
+        {
+            JsonValueKind.String => [keyPath.GetString()!],
+            JsonValueKind.Array => keyPath.EnumerateArray().Select(path => path.GetString()!).ToArray(),
+            _ => [],
+        };
+    }
+}
@@ -0,0 +1,45 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// Describes how long an operation took, as reported by the timing hook.
+/// </summary>
+public class OperationTiming
+{
+    /// <summary>
+    /// Gets or sets the name of the database.
+    /// </summary>
+    [JsonPropertyName("dbName")]
+    public string DbName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the object store.
+    /// </summary>
+    [JsonPropertyName("storeName")]
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the operation, such as <c>addOne</c>.
+    /// </summary>
+    [JsonPropertyName("operation")]
+    public string Operation { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the duration of the operation in milliseconds, hooks included.
+    /// </summary>
+    [JsonPropertyName("duration")]
+    public double Duration { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the operation succeeded.
+    /// </summary>
+    [JsonPropertyName("succeeded")]
+    public bool Succeeded { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the error the operation failed with, such as <c>ConstraintError</c>, or <c>null</c>.
+    /// </summary>
+    [JsonPropertyName("error")]
+    public string? Error { get; set; }
+}
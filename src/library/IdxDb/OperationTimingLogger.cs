@@ -0,0 +1,39 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.JSInterop;
+
+namespace IdxDb;
+
+/// <summary>
+/// Writes the timings reported by the hook added with <see cref="IndexedDbInterop.AddTimingHookAsync"/> to a logger.
+/// </summary>
+internal sealed class OperationTimingLogger
+{
+    private readonly ILogger _logger;
+    private readonly LogLevel _level;
+
+    public OperationTimingLogger(ILogger logger, LogLevel level)
+    {
+        _logger = logger;
+        _level = level;
+    }
+
+    /// <summary>
+    /// Logs a timing reported by JavaScript: successful operations at the configured level, failed ones as warnings.
+    /// Not intended to be called from .NET code.
+    /// </summary>
+    /// <param name="timing">The timing.</param>
+    [JSInvokable]
+    public void OnOperationTimed(OperationTiming timing)
+    {
+        if (timing.Succeeded)
+        {
+            _logger.Log(_level, "IndexedDB {Operation} on {DbName}/{StoreName} took {Duration:0.0} ms",
+                timing.Operation, timing.DbName, timing.StoreName, timing.Duration);
+        }
+        else
+        {
+            _logger.LogWarning("IndexedDB {Operation} on {DbName}/{StoreName} failed with {Error} after {Duration:0.0} ms",
+                timing.Operation, timing.DbName, timing.StoreName, timing.Error, timing.Duration);
+        }
+    }
+}
@@ -0,0 +1,42 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// Describes one page of a cursor-based range query.
+/// </summary>
+public class QueryOptions
+{
+    /// <summary>
+    /// Gets or sets the name of the index to read through. The primary key is used when <c>null</c>.
+    /// </summary>
+    [JsonPropertyName("indexName")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? IndexName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the key range to read. All records are read when <c>null</c>.
+    /// </summary>
+    [JsonPropertyName("range")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public KeyRange? Range { get; set; }
+
+    /// <summary>
+    /// Gets or sets the cursor direction ('next', 'prev', 'nextunique' or 'prevunique').
+    /// </summary>
+    [JsonPropertyName("direction")]
+    public string Direction { get; set; } = "next";
+
+    /// <summary>
+    /// Gets or sets the maximum number of records to return.
+    /// </summary>
+    [JsonPropertyName("limit")]
+    public int Limit { get; set; } = 50;
+
+    /// <summary>
+    /// Gets or sets the continuation token returned with the previous page.
+    /// </summary>
+    [JsonPropertyName("continuationToken")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? ContinuationToken { get; set; }
+}
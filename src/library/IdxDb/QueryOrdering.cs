@@ -0,0 +1,21 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A field the records read by <see cref="IndexedDbInterop.FindAsync{T}"/> are sorted by.
+/// </summary>
+public class QueryOrdering
+{
+    /// <summary>
+    /// Gets or sets the JavaScript name of the field, dotted for a nested field.
+    /// </summary>
+    [JsonPropertyName("field")]
+    public string Field { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the records are sorted in descending order.
+    /// </summary>
+    [JsonPropertyName("descending")]
+    public bool Descending { get; set; }
+}
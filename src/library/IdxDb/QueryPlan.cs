@@ -0,0 +1,73 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// How <see cref="IndexedDbInterop.FindAsync{T}"/> reads a query, as returned by
+/// <see cref="IndexedDbInterop.ExplainAsync"/> and reported by the query plan hook.
+/// </summary>
+public class QueryPlan
+{
+    /// <summary>
+    /// Gets or sets the name of the database, when the plan is reported by the query plan hook.
+    /// </summary>
+    [JsonPropertyName("dbName")]
+    public string? DbName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the object store, when the plan is reported by the query plan hook.
+    /// </summary>
+    [JsonPropertyName("storeName")]
+    public string? StoreName { get; set; }
+
+    /// <summary>
+    /// Gets or sets how the records are read: 'index', 'primaryKey', or 'scan' for the whole store.
+    /// </summary>
+    [JsonPropertyName("strategy")]
+    public string Strategy { get; set; } = "scan";
+
+    /// <summary>
+    /// Gets or sets the name of the index read, or <c>null</c> when the object store is read by primary key.
+    /// </summary>
+    [JsonPropertyName("indexName")]
+    public string? IndexName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the key path of the index or primary key read, or <c>null</c> for a scan.
+    /// </summary>
+    [JsonPropertyName("keyPath")]
+    public string? KeyPath { get; set; }
+
+    /// <summary>
+    /// Gets or sets the key range read, as a range descriptor (<c>only</c>, or <c>lower</c>, <c>upper</c>,
+    /// <c>lowerOpen</c> and <c>upperOpen</c>), or <c>null</c> for every key.
+    /// </summary>
+    [JsonPropertyName("range")]
+    public JsonElement? Range { get; set; }
+
+    /// <summary>
+    /// Gets or sets the conditions turned into the key range.
+    /// </summary>
+    [JsonPropertyName("predicates")]
+    public QueryPredicate[] Predicates { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the conditions evaluated on each record the cursor reads.
+    /// </summary>
+    [JsonPropertyName("filters")]
+    public QueryPredicate[] Filters { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the direction of the cursor ('next' or 'prev').
+    /// </summary>
+    [JsonPropertyName("direction")]
+    public string Direction { get; set; } = "next";
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the matching records are sorted in memory, because no index read
+    /// gives the requested order. The whole key range is then read before the page is taken.
+    /// </summary>
+    [JsonPropertyName("sortInMemory")]
+    public bool SortInMemory { get; set; }
+}
@@ -0,0 +1,24 @@
+using Microsoft.JSInterop;
+
+namespace IdxDb;
+
+/// <summary>
+/// Hands the plans reported by the hook added with <see cref="IndexedDbInterop.AddQueryPlanHookAsync"/> to its callback.
+/// </summary>
+internal sealed class QueryPlanListener
+{
+    private readonly Func<QueryPlan, Task> _handler;
+
+    public QueryPlanListener(Func<QueryPlan, Task> handler)
+    {
+        _handler = handler;
+    }
+
+    /// <summary>
+    /// Receives a plan reported by JavaScript. Not intended to be called from .NET code.
+    /// </summary>
+    /// <param name="plan">The plan.</param>
+    [JSInvokable]
+    public Task OnQueryPlanned(QueryPlan plan)
+        => _handler(plan);
+}
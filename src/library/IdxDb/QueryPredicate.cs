@@ -0,0 +1,48 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A condition on a field of the records read by <see cref="IndexedDbInterop.FindAsync{T}"/>.
+/// </summary>
+public class QueryPredicate
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="QueryPredicate"/> class.
+    /// </summary>
+    public QueryPredicate()
+    {
+    }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="QueryPredicate"/> class.
+    /// </summary>
+    /// <param name="field">The JavaScript name of the field, dotted for a nested field.</param>
+    /// <param name="op">The operator: 'eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'startsWith' or 'contains'.</param>
+    /// <param name="value">The value to compare with; an array for 'in'.</param>
+    public QueryPredicate(string field, string op, object? value)
+    {
+        Field = field;
+        Op = op;
+        Value = value;
+    }
+
+    /// <summary>
+    /// Gets or sets the JavaScript name of the field, dotted for a nested field (for example <c>"address.city"</c>).
+    /// </summary>
+    [JsonPropertyName("field")]
+    public string Field { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the operator: 'eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in' (the field equals one of the values),
+    /// 'startsWith' or 'contains' (a string field contains the text, or an array field contains the value).
+    /// </summary>
+    [JsonPropertyName("op")]
+    public string Op { get; set; } = "eq";
+
+    /// <summary>
+    /// Gets or sets the value to compare with; an array for 'in'.
+    /// </summary>
+    [JsonPropertyName("value")]
+    public object? Value { get; set; }
+}
@@ -0,0 +1,29 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// One page of records returned by a range query.
+/// </summary>
+/// <typeparam name="T">The type of the records.</typeparam>
+public class QueryResult<T>
+{
+    /// <summary>
+    /// Gets or sets the records of the page.
+    /// </summary>
+    [JsonPropertyName("items")]
+    public T[] Items { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the token to pass in <see cref="QueryOptions.ContinuationToken"/> to read the next page,
+    /// or <c>null</c> when there are no more records.
+    /// </summary>
+    [JsonPropertyName("continuationToken")]
+    public string? ContinuationToken { get; set; }
+
+    /// <summary>
+    /// Gets a value indicating whether more records are available after this page.
+    /// </summary>
+    [JsonIgnore]
+    public bool HasMore => ContinuationToken is not null;
+}
@@ -0,0 +1,198 @@
+using System.Collections;
+using System.Linq.Expressions;
+using System.Reflection;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// Translates the lambda expressions of a <see cref="RepositoryQuery{TItem}"/> into the predicates and fields of a
+/// <see cref="FindOptions"/>.
+/// </summary>
+/// <remarks>
+/// Fields are named as JavaScript interop serializes them: camelCase, or their <see cref="JsonPropertyNameAttribute"/>.
+/// Parts of an expression that do not depend on the item, such as captured variables, are evaluated once.
+/// </remarks>
+internal static class QueryTranslator
+{
+    /// <summary>
+    /// Translates a condition made of comparisons joined with <c>&amp;&amp;</c>.
+    /// </summary>
+    /// <exception cref="NotSupportedException">A part of the condition has no query operator.</exception>
+    public static IEnumerable<QueryPredicate> TranslatePredicate(LambdaExpression predicate)
+    {
+        var predicates = new List<QueryPredicate>();
+        Translate(predicate.Body, predicate.Parameters[0], predicates);
+        return predicates;
+    }
+
+    /// <summary>
+    /// Translates the selector of a field, such as <c>item =&gt; item.Address.City</c>, into its dotted JavaScript name.
+    /// </summary>
+    /// <exception cref="NotSupportedException">The selector does not select a property of the item.</exception>
+    public static string TranslateField(LambdaExpression selector)
+    {
+        return FieldOf(selector.Body, selector.Parameters[0])
+            ?? throw Unsupported(selector.Body);
+    }
+
+    private static void Translate(Expression expression, ParameterExpression item, List<QueryPredicate> predicates)
+    {
+        switch (expression)
+        {
+            case BinaryExpression { NodeType: ExpressionType.AndAlso } and:
+                Translate(and.Left, item, predicates);
+                Translate(and.Right, item, predicates);
+                return;
+
+            case BinaryExpression binary when ComparisonOperator(binary.NodeType) is { } op:
+                predicates.Add(TranslateComparison(binary, op, item));
+                return;
+
+            case UnaryExpression { NodeType: ExpressionType.Not } not when FieldOf(not.Operand, item) is { } negated:
+                predicates.Add(new QueryPredicate(negated, "eq", false));
+                return;
+
+            case MethodCallExpression call:
+                predicates.Add(TranslateCall(call, item));
+                return;
+
+            default:
+                if (expression.Type == typeof(bool) && FieldOf(expression, item) is { } flag)
+                {
+                    predicates.Add(new QueryPredicate(flag, "eq", true));
+                    return;
+                }
+
+                throw Unsupported(expression);
+        }
+    }
+
+    private static QueryPredicate TranslateComparison(BinaryExpression binary, string op, ParameterExpression item)
+    {
+        if (FieldOf(binary.Left, item) is { } field && !DependsOn(binary.Right, item))
+        {
+            return new QueryPredicate(field, op, Evaluate(binary.Right));
+        }
+
+        if (FieldOf(binary.Right, item) is { } flipped && !DependsOn(binary.Left, item))
+        {
+            // 5 < item.Price reads item.Price > 5.
+            var mirrored = op switch { "lt" => "gt", "lte" => "gte", "gt" => "lt", "gte" => "lte", _ => op };
+            return new QueryPredicate(flipped, mirrored, Evaluate(binary.Left));
+        }
+
+        throw Unsupported(binary);
+    }
+
+    private static QueryPredicate TranslateCall(MethodCallExpression call, ParameterExpression item)
+    {
+        if (call.Method.DeclaringType == typeof(string) && call.Object is not null && call.Arguments.Count == 1 &&
+            FieldOf(call.Object, item) is { } text && !DependsOn(call.Arguments[0], item))
+        {
+            var op = call.Method.Name switch { "StartsWith" => "startsWith", "Contains" => "contains", _ => null };
+            if (op is not null)
+            {
+                return new QueryPredicate(text, op, Evaluate(call.Arguments[0]));
+            }
+        }
+
+        if (call.Method.Name == "Contains")
+        {
+            // Enumerable.Contains(source, value) or source.Contains(value) on a collection.
+            var (source, value) = call.Object is null && call.Arguments.Count == 2
+                ? (call.Arguments[0], call.Arguments[1])
+                : (call.Object, call.Arguments.Count == 1 ? call.Arguments[0] : null);
+            if (source is not null && value is not null)
+            {
+                if (FieldOf(value, item) is { } field && !DependsOn(source, item) && Evaluate(source) is IEnumerable values)
+                {
+                    return new QueryPredicate(field, "in", values.Cast<object?>().ToArray());
+                }
+
+                if (FieldOf(source, item) is { } collection && !DependsOn(value, item))
+                {
+                    return new QueryPredicate(collection, "contains", Evaluate(value));
+                }
+            }
+        }
+
+        throw Unsupported(call);
+    }
+
+    private static string? ComparisonOperator(ExpressionType nodeType)
+    {
+        return nodeType switch
+        {
+            ExpressionType.Equal => "eq",
+            ExpressionType.NotEqual => "ne",
+            ExpressionType.LessThan => "lt",
+            ExpressionType.LessThanOrEqual => "lte",
+            ExpressionType.GreaterThan => "gt",
+            ExpressionType.GreaterThanOrEqual => "gte",
+            _ => null,
+        };
+    }
+
+    /// <summary>
+    /// Returns the dotted JavaScript name of a chain of properties read from the item, or <c>null</c> when the
+    /// expression is something else. Conversions, such as those of nullable or enum comparisons, are skipped.
+    /// </summary>
+    private static string? FieldOf(Expression expression, ParameterExpression item)
+    {
+        while (expression is UnaryExpression { NodeType: ExpressionType.Convert or ExpressionType.ConvertChecked } conversion)
+        {
+            expression = conversion.Operand;
+        }
+
+        var names = new List<string>();
+        while (expression is MemberExpression { Member: PropertyInfo or FieldInfo } member)
+        {
+            names.Add(member.Member.GetCustomAttribute<JsonPropertyNameAttribute>()?.Name
+                ?? JsonNamingPolicy.CamelCase.ConvertName(member.Member.Name));
+            expression = member.Expression!;
+        }
+
+        if (expression != item || names.Count == 0)
+        {
+            return null;
+        }
+
+        names.Reverse();
+        return string.Join('.', names);
+    }
+
+    private static bool DependsOn(Expression expression, ParameterExpression item)
+    {
+        var finder = new ParameterFinder(item);
+        finder.Visit(expression);
+        return finder.Found;
+    }
+
+    private static object? Evaluate(Expression expression)
+    {
+        return expression is ConstantExpression constant
+            ? constant.Value
+            : Expression.Lambda(expression).Compile().DynamicInvoke();
+    }
+
+    private static NotSupportedException Unsupported(Expression expression)
+    {
+        return new NotSupportedException($"The expression '{expression}' cannot be translated to an IndexedDB query.");
+    }
+
+    /// <summary>
+    /// Tells whether an expression reads the item.
+    /// </summary>
+    private sealed class ParameterFinder(ParameterExpression item) : ExpressionVisitor
+    {
+        public bool Found { get; private set; }
+
+        protected override Expression VisitParameter(ParameterExpression node)
+        {
+            Found |= node == item;
+            return node;
+        }
+    }
+}
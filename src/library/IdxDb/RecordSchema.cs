@@ -0,0 +1,259 @@
+using System.Collections;
+using System.ComponentModel.DataAnnotations;
+using System.Reflection;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// Generates record schemas from .NET types, for <see cref="IndexedDbInterop.DefineSchemaAsync"/>.
+/// </summary>
+/// <remarks>
+/// Properties are named as JavaScript interop serializes them: camelCase, or their <see cref="JsonPropertyNameAttribute"/>.
+/// Non-nullable properties are required and cannot be <c>null</c>. The data annotations <see cref="RequiredAttribute"/>,
+/// <see cref="RangeAttribute"/>, <see cref="StringLengthAttribute"/>, <see cref="MinLengthAttribute"/>,
+/// <see cref="MaxLengthAttribute"/>, <see cref="LengthAttribute"/>, <see cref="RegularExpressionAttribute"/>,
+/// <see cref="EmailAddressAttribute"/> and <see cref="AllowedValuesAttribute"/> add the matching constraints, so a
+/// form model validated by Blazor is held to the same rules when it is stored.
+/// </remarks>
+public static class RecordSchema
+{
+    private static readonly Type[] IntegerTypes =
+    [
+        typeof(byte), typeof(sbyte), typeof(short), typeof(ushort), typeof(int), typeof(uint), typeof(long),
+        typeof(ulong),
+    ];
+
+    private static readonly Type[] NumberTypes = [typeof(float), typeof(double), typeof(decimal)];
+
+    private static readonly Type[] StringTypes =
+        [typeof(string), typeof(char), typeof(Guid), typeof(TimeSpan), typeof(DateOnly), typeof(TimeOnly), typeof(Uri)];
+
+    /// <summary>
+    /// Generates the schema of the records of type <typeparamref name="T"/>.
+    /// </summary>
+    /// <typeparam name="T">The type of the records.</typeparam>
+    /// <returns>The schema.</returns>
+    public static JsonObject For<T>()
+    {
+        return For(typeof(T));
+    }
+
+    /// <summary>
+    /// Generates the schema of the records of a type.
+    /// </summary>
+    /// <param name="type">The type of the records.</param>
+    /// <returns>The schema.</returns>
+    public static JsonObject For(Type type)
+    {
+        ArgumentNullException.ThrowIfNull(type);
+        return Describe(type, false, new NullabilityInfoContext(), []);
+    }
+
+    /// <summary>
+    /// Describes a type, recursing into the properties of objects and the items of collections.
+    /// </summary>
+    private static JsonObject Describe(Type type, bool nullable, NullabilityInfoContext nullability,
+        HashSet<Type> visiting)
+    {
+        type = Nullable.GetUnderlyingType(type) ?? type;
+
+        JsonObject schema;
+        if (StringTypes.Contains(type))
+        {
+            schema = new JsonObject { ["type"] = "string" };
+        }
+        else if (type == typeof(DateTime) || type == typeof(DateTimeOffset))
+        {
+            schema = new JsonObject { ["type"] = "string", ["format"] = "date-time" };
+        }
+        else if (type == typeof(bool))
+        {
+            schema = new JsonObject { ["type"] = "boolean" };
+        }
+        else if (type.IsEnum)
+        {
+            var values = Enum.GetValuesAsUnderlyingType(type).Cast<object>()
+                .Select(value => (JsonNode?)JsonValue.Create(Convert.ToInt64(value)));
+            schema = new JsonObject { ["type"] = "integer", ["enum"] = new JsonArray(values.ToArray()) };
+        }
+        else if (IntegerTypes.Contains(type))
+        {
+            schema = new JsonObject { ["type"] = "integer" };
+        }
+        else if (NumberTypes.Contains(type))
+        {
+            schema = new JsonObject { ["type"] = "number" };
+        }
+        else if (type == typeof(byte[]))
+        {
+            // Byte arrays reach JavaScript as a Uint8Array, which the schema types cannot describe.
+            schema = new JsonObject();
+        }
+        else if (FindGenericInterface(type, typeof(IDictionary<,>)) is { } dictionary)
+        {
+            schema = new JsonObject
+            {
+                ["type"] = "object",
+                ["additionalProperties"] =
+                    DescribeElement(dictionary.GetGenericArguments()[1], nullability, visiting),
+            };
+        }
+        else if (typeof(IEnumerable).IsAssignableFrom(type))
+        {
+            var itemType = type.IsArray ? type.GetElementType() : FindGenericInterface(type, typeof(IEnumerable<>))
+                ?.GetGenericArguments()[0];
+            schema = new JsonObject { ["type"] = "array" };
+            if (itemType is not null)
+            {
+                schema["items"] = DescribeElement(itemType, nullability, visiting);
+            }
+        }
+        else
+        {
+            schema = DescribeObject(type, nullability, visiting);
+        }
+
+        if (nullable && schema["type"] is { } declared)
+        {
+            schema["type"] = new JsonArray(declared.DeepClone(), "null");
+            if (schema["enum"] is JsonArray allowed)
+            {
+                allowed.Add(null);
+            }
+        }
+
+        return schema;
+    }
+
+    /// <summary>
+    /// Describes the items of a collection or the values of a dictionary, which may be <c>null</c> unless they are
+    /// value types.
+    /// </summary>
+    private static JsonObject DescribeElement(Type type, NullabilityInfoContext nullability, HashSet<Type> visiting)
+    {
+        return Describe(type, IsNullable(type), nullability, visiting);
+    }
+
+    /// <summary>
+    /// Describes the public properties of a class or struct.
+    /// </summary>
+    private static JsonObject DescribeObject(Type type, NullabilityInfoContext nullability, HashSet<Type> visiting)
+    {
+        var schema = new JsonObject { ["type"] = "object" };
+        if (!visiting.Add(type))
+        {
+            // A type that contains itself is only described once.
+            return schema;
+        }
+
+        var properties = new JsonObject();
+        var required = new JsonArray();
+        foreach (var property in type.GetProperties(BindingFlags.Public | BindingFlags.Instance))
+        {
+            if (property.GetMethod is null || property.GetIndexParameters().Length > 0 ||
+                property.GetCustomAttribute<JsonIgnoreAttribute>() is { Condition: JsonIgnoreCondition.Always })
+            {
+                continue;
+            }
+
+            var name = property.GetCustomAttribute<JsonPropertyNameAttribute>()?.Name
+                ?? JsonNamingPolicy.CamelCase.ConvertName(property.Name);
+            var requiredAttribute = property.GetCustomAttribute<RequiredAttribute>();
+            var nullable = requiredAttribute is null && IsNullable(property.PropertyType) &&
+                nullability.Create(property).ReadState != NullabilityState.NotNull;
+
+            var propertySchema = Describe(property.PropertyType, nullable, nullability, visiting);
+            ApplyAnnotations(propertySchema, property, requiredAttribute);
+            properties[name] = propertySchema;
+            if (!nullable)
+            {
+                required.Add(name);
+            }
+        }
+
+        visiting.Remove(type);
+        schema["properties"] = properties;
+        if (required.Count > 0)
+        {
+            schema["required"] = required;
+        }
+
+        return schema;
+    }
+
+    /// <summary>
+    /// Adds the constraints of the data annotations of a property to its schema.
+    /// </summary>
+    private static void ApplyAnnotations(JsonObject schema, PropertyInfo property, RequiredAttribute? required)
+    {
+        var isString = property.PropertyType == typeof(string);
+        var (minimumLength, maximumLength) = isString ? ("minLength", "maxLength") : ("minItems", "maxItems");
+
+        if (required is { AllowEmptyStrings: false } && isString)
+        {
+            schema["minLength"] = 1;
+        }
+
+        foreach (var attribute in property.GetCustomAttributes<ValidationAttribute>())
+        {
+            switch (attribute)
+            {
+                case RangeAttribute range when IsNumeric(range.Minimum) && IsNumeric(range.Maximum):
+                    var lower = range.MinimumIsExclusive ? "exclusiveMinimum" : "minimum";
+                    var upper = range.MaximumIsExclusive ? "exclusiveMaximum" : "maximum";
+                    schema[lower] = Convert.ToDouble(range.Minimum);
+                    schema[upper] = Convert.ToDouble(range.Maximum);
+                    break;
+                case StringLengthAttribute stringLength:
+                    schema["maxLength"] = stringLength.MaximumLength;
+                    if (stringLength.MinimumLength > 0)
+                    {
+                        schema["minLength"] = stringLength.MinimumLength;
+                    }
+                    break;
+                case MinLengthAttribute minLength:
+                    schema[minimumLength] = minLength.Length;
+                    break;
+                case MaxLengthAttribute { Length: > 0 } maxLength:
+                    schema[maximumLength] = maxLength.Length;
+                    break;
+                case LengthAttribute length:
+                    schema[minimumLength] = length.MinimumLength;
+                    schema[maximumLength] = length.MaximumLength;
+                    break;
+                case RegularExpressionAttribute regularExpression:
+                    // Data annotations match the whole value.
+                    schema["pattern"] = $"^(?:{regularExpression.Pattern})$";
+                    break;
+                case EmailAddressAttribute:
+                    schema["pattern"] = "^[^@]+@[^@]+$";
+                    break;
+                case AllowedValuesAttribute allowedValues:
+                    schema["enum"] = new JsonArray(allowedValues.Values
+                        .Select(value => JsonSerializer.SerializeToNode(value)).ToArray());
+                    break;
+            }
+        }
+    }
+
+    private static bool IsNullable(Type type)
+    {
+        return !type.IsValueType || Nullable.GetUnderlyingType(type) is not null;
+    }
+
+    private static bool IsNumeric(object? value)
+    {
+        return value is int or long or double or float or decimal;
+    }
+
+    private static Type? FindGenericInterface(Type type, Type definition)
+    {
+        return type.IsGenericType && type.GetGenericTypeDefinition() == definition
+            ? type
+            : type.GetInterfaces().FirstOrDefault(candidate =>
+                candidate.IsGenericType && candidate.GetGenericTypeDefinition() == definition);
+    }
+}
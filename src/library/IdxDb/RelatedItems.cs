@@ -0,0 +1,52 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// An item read by <see cref="IndexedDbInterop.GetWithRelatedAsync{TItem, TKey}"/>, with its related items.
+/// </summary>
+/// <typeparam name="TItem">The type of the item.</typeparam>
+public class RelatedItems<TItem>
+{
+    /// <summary>
+    /// The options JavaScript interop reads records with: camelCase property names.
+    /// </summary>
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    /// <summary>
+    /// Gets or sets the item.
+    /// </summary>
+    [JsonPropertyName("item")]
+    public TItem? Item { get; set; }
+
+    /// <summary>
+    /// Gets or sets the related items by store name: an array of children, or a parent that may be <c>null</c>.
+    /// </summary>
+    [JsonPropertyName("related")]
+    public Dictionary<string, JsonElement> Related { get; set; } = [];
+
+    /// <summary>
+    /// Deserializes the children of the item in a store that references the item's store.
+    /// </summary>
+    /// <typeparam name="T">The type of the children.</typeparam>
+    /// <param name="storeName">The name of the child store, which must have been included.</param>
+    /// <returns>The children.</returns>
+    /// <exception cref="KeyNotFoundException">The store was not included.</exception>
+    public T[] GetChildren<T>(string storeName)
+    {
+        return Related[storeName].Deserialize<T[]>(JsonOptions) ?? [];
+    }
+
+    /// <summary>
+    /// Deserializes the parent of the item in a store the item's store references.
+    /// </summary>
+    /// <typeparam name="T">The type of the parent.</typeparam>
+    /// <param name="storeName">The name of the parent store, which must have been included.</param>
+    /// <returns>The parent, or <c>default</c> when the item has none.</returns>
+    /// <exception cref="KeyNotFoundException">The store was not included.</exception>
+    public T? GetParent<T>(string storeName)
+    {
+        return Related[storeName].Deserialize<T>(JsonOptions);
+    }
+}
@@ -0,0 +1,211 @@
+using System.Linq.Expressions;
+
+namespace IdxDb;
+
+/// <summary>
+/// A query on the object store of an <see cref="IndexedDbRepository{TItem}"/>, built like a LINQ query and run by
+/// <see cref="IndexedDbInterop.FindAsync{T}"/> in the browser. Each method returns a new query and leaves this one
+/// unchanged.
+/// </summary>
+/// <remarks>
+/// Conditions are comparisons of a property with a value (<c>==</c>, <c>!=</c>, <c>&lt;</c>, <c>&lt;=</c>,
+/// <c>&gt;</c>, <c>&gt;=</c>), boolean properties, <c>string.StartsWith</c>, <c>string.Contains</c>, and
+/// <c>Contains</c> on a collection property or on a list of values, joined with <c>&amp;&amp;</c>. Other expressions
+/// throw a <see cref="NotSupportedException"/>. Conditions and orderings must come before <see cref="Skip"/> and
+/// <see cref="Take"/>, because the browser always applies them first.
+/// </remarks>
+/// <typeparam name="TItem">The type of items stored in the object store.</typeparam>
+public sealed class RepositoryQuery<TItem>
+{
+    private readonly IndexedDbRepository<TItem> _repository;
+    private readonly FindOptions _options;
+
+    internal RepositoryQuery(IndexedDbRepository<TItem> repository, FindOptions options)
+    {
+        _repository = repository;
+        _options = options;
+    }
+
+    /// <summary>
+    /// Keeps the items that meet a condition.
+    /// </summary>
+    /// <param name="predicate">The condition, such as <c>item =&gt; item.Price &lt; 10 &amp;&amp; item.Tags.Contains("new")</c>.</param>
+    /// <returns>The new query.</returns>
+    /// <exception cref="NotSupportedException">A part of the condition cannot be run in the browser, or the query is already paged.</exception>
+    public RepositoryQuery<TItem> Where(Expression<Func<TItem, bool>> predicate)
+    {
+        ArgumentNullException.ThrowIfNull(predicate, nameof(predicate));
+        ThrowIfPaged(nameof(Where));
+        return With(options => options.Where.AddRange(QueryTranslator.TranslatePredicate(predicate)));
+    }
+
+    /// <summary>
+    /// Keeps the items whose field meets a condition given by its operator.
+    /// </summary>
+    /// <param name="field">The JavaScript name of the field, dotted for a nested field.</param>
+    /// <param name="op">The operator: 'eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'startsWith' or 'contains'.</param>
+    /// <param name="value">The value to compare with; an array for 'in'.</param>
+    /// <returns>The new query.</returns>
+    /// <exception cref="NotSupportedException">The query is already paged.</exception>
+    public RepositoryQuery<TItem> Where(string field, string op, object? value)
+    {
+        ThrowIfPaged(nameof(Where));
+        return With(options => options.Where.Add(new QueryPredicate(field, op, value)));
+    }
+
+    /// <summary>
+    /// Sorts the items by a property, in ascending order.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the property.</typeparam>
+    /// <param name="selector">The property, such as <c>item =&gt; item.Name</c>.</param>
+    /// <returns>The new query.</returns>
+    /// <exception cref="NotSupportedException">The query is already paged.</exception>
+    public RepositoryQuery<TItem> OrderBy<TKey>(Expression<Func<TItem, TKey>> selector)
+    {
+        return Order(selector, descending: false, replace: true);
+    }
+
+    /// <summary>
+    /// Sorts the items by a property, in descending order.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the property.</typeparam>
+    /// <param name="selector">The property.</param>
+    /// <returns>The new query.</returns>
+    /// <exception cref="NotSupportedException">The query is already paged.</exception>
+    public RepositoryQuery<TItem> OrderByDescending<TKey>(Expression<Func<TItem, TKey>> selector)
+    {
+        return Order(selector, descending: true, replace: true);
+    }
+
+    /// <summary>
+    /// Sorts the items that the previous orderings leave tied by another property, in ascending order.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the property.</typeparam>
+    /// <param name="selector">The property.</param>
+    /// <returns>The new query.</returns>
+    /// <exception cref="NotSupportedException">The query is already paged.</exception>
+    public RepositoryQuery<TItem> ThenBy<TKey>(Expression<Func<TItem, TKey>> selector)
+    {
+        return Order(selector, descending: false, replace: false);
+    }
+
+    /// <summary>
+    /// Sorts the items that the previous orderings leave tied by another property, in descending order.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the property.</typeparam>
+    /// <param name="selector">The property.</param>
+    /// <returns>The new query.</returns>
+    /// <exception cref="NotSupportedException">The query is already paged.</exception>
+    public RepositoryQuery<TItem> ThenByDescending<TKey>(Expression<Func<TItem, TKey>> selector)
+    {
+        return Order(selector, descending: true, replace: false);
+    }
+
+    /// <summary>
+    /// Skips a number of matching items.
+    /// </summary>
+    /// <param name="count">The number of items to skip.</param>
+    /// <returns>The new query.</returns>
+    public RepositoryQuery<TItem> Skip(int count)
+    {
+        ArgumentOutOfRangeException.ThrowIfNegative(count, nameof(count));
+        return With(options =>
+        {
+            options.Skip += count;
+            options.Take = options.Take is { } take ? Math.Max(take - count, 0) : null;
+        });
+    }
+
+    /// <summary>
+    /// Returns at most a number of matching items.
+    /// </summary>
+    /// <param name="count">The maximum number of items.</param>
+    /// <returns>The new query.</returns>
+    public RepositoryQuery<TItem> Take(int count)
+    {
+        ArgumentOutOfRangeException.ThrowIfNegative(count, nameof(count));
+        return With(options => options.Take = options.Take is { } take ? Math.Min(take, count) : count);
+    }
+
+    /// <summary>
+    /// Runs the query.
+    /// </summary>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The matching items.</returns>
+    public Task<TItem[]> ToArrayAsync(string? transactionId = null)
+    {
+        return _repository.FindAsync(_options, transactionId);
+    }
+
+    /// <summary>
+    /// Runs the query and returns its first item.
+    /// </summary>
+    /// <param name="transactionId">The id of a transaction started with <see cref="IndexedDbInterop.BeginTransactionAsync"/>, or <c>null</c> to run in a transaction of its own.</param>
+    /// <returns>The first matching item, or <c>default</c> when there is none.</returns>
+    public async Task<TItem?> FirstOrDefaultAsync(string? transactionId = null)
+    {
+        var items = await Take(1).ToArrayAsync(transactionId);
+        return items.Length > 0 ? items[0] : default;
+    }
+
+    /// <summary>
+    /// Tells how the query would be run, without reading any item.
+    /// </summary>
+    /// <returns>The plan.</returns>
+    public Task<QueryPlan> ExplainAsync()
+    {
+        return _repository.ExplainAsync(_options);
+    }
+
+    /// <summary>
+    /// Returns the serializable description of the query.
+    /// </summary>
+    /// <returns>A copy of the query options.</returns>
+    public FindOptions ToFindOptions()
+    {
+        return Copy(_options);
+    }
+
+    private RepositoryQuery<TItem> Order<TKey>(Expression<Func<TItem, TKey>> selector, bool descending, bool replace)
+    {
+        ArgumentNullException.ThrowIfNull(selector, nameof(selector));
+        ThrowIfPaged(replace ? "OrderBy" : "ThenBy");
+        var ordering = new QueryOrdering { Field = QueryTranslator.TranslateField(selector), Descending = descending };
+        return With(options =>
+        {
+            if (replace)
+            {
+                options.OrderBy.Clear();
+            }
+
+            options.OrderBy.Add(ordering);
+        });
+    }
+
+    private void ThrowIfPaged(string method)
+    {
+        if (_options.Skip > 0 || _options.Take is not null)
+        {
+            throw new NotSupportedException(
+                $"{method} cannot follow Skip or Take: the query would filter and sort before paging.");
+        }
+    }
+
+    private RepositoryQuery<TItem> With(Action<FindOptions> change)
+    {
+        var options = Copy(_options);
+        change(options);
+        return new RepositoryQuery<TItem>(_repository, options);
+    }
+
+    private static FindOptions Copy(FindOptions options)
+    {
+        return new FindOptions
+        {
+            Where = [.. options.Where],
+            OrderBy = [.. options.OrderBy],
+            Skip = options.Skip,
+            Take = options.Take,
+        };
+    }
+}
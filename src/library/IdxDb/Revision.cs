@@ -0,0 +1,34 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A previous version of a record, kept by the history of its object store.
+/// </summary>
+/// <typeparam name="T">The type of the record.</typeparam>
+public class Revision<T>
+{
+    /// <summary>
+    /// Gets or sets the number of the revision, which increases with every write to the record.
+    /// </summary>
+    [JsonPropertyName("revision")]
+    public int Number { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the version was replaced or removed.
+    /// </summary>
+    [JsonPropertyName("recordedAt")]
+    public DateTime RecordedAt { get; set; }
+
+    /// <summary>
+    /// Gets or sets the write that replaced or removed the version ('update', 'delete', 'restore' or 'undelete').
+    /// </summary>
+    [JsonPropertyName("operation")]
+    public string Operation { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the version of the record.
+    /// </summary>
+    [JsonPropertyName("record")]
+    public T? Record { get; set; }
+}
@@ -0,0 +1,47 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A record read by <see cref="IndexedDbInterop.SampleRecordsAsync"/>, as it is stored.
+/// </summary>
+public class SampledRecord
+{
+    /// <summary>
+    /// The options JavaScript interop reads records with: camelCase property names.
+    /// </summary>
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    /// <summary>
+    /// Gets or sets the primary key of the record.
+    /// </summary>
+    [JsonPropertyName("key")]
+    public JsonElement Key { get; set; }
+
+    /// <summary>
+    /// Gets or sets the record.
+    /// </summary>
+    [JsonPropertyName("value")]
+    public JsonElement Value { get; set; }
+
+    /// <summary>
+    /// Deserializes the primary key of the record.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the key.</typeparam>
+    /// <returns>The key.</returns>
+    public TKey? GetKey<TKey>()
+    {
+        return Key.Deserialize<TKey>();
+    }
+
+    /// <summary>
+    /// Deserializes the record.
+    /// </summary>
+    /// <typeparam name="TItem">The type of the record.</typeparam>
+    /// <returns>The record.</returns>
+    public TItem? GetValue<TItem>()
+    {
+        return Value.Deserialize<TItem>(JsonOptions);
+    }
+}
@@ -0,0 +1,34 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A field of a record that breaks the schema of its object store.
+/// </summary>
+public class SchemaViolation
+{
+    /// <summary>
+    /// Gets or sets the path of the field, such as <c>name</c>, <c>address.city</c> or <c>tags[0]</c>. Bulk writes
+    /// prefix it with the index of the record, as in <c>[2].name</c>; it is empty when the record itself is invalid.
+    /// </summary>
+    [JsonPropertyName("path")]
+    public string Path { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the schema keyword the field breaks, such as <c>required</c>, <c>type</c> or <c>pattern</c>.
+    /// </summary>
+    [JsonPropertyName("keyword")]
+    public string Keyword { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets what is wrong with the field, such as <c>must be at least 0</c>.
+    /// </summary>
+    [JsonPropertyName("message")]
+    public string Message { get; set; } = string.Empty;
+
+    /// <inheritdoc />
+    public override string ToString()
+    {
+        return string.IsNullOrEmpty(Path) ? Message : $"{Path} {Message}";
+    }
+}
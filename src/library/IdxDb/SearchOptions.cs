@@ -0,0 +1,27 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// Options of a full-text search.
+/// </summary>
+public class SearchOptions
+{
+    /// <summary>
+    /// Gets or sets whether records must contain every term ('all') or at least one of them ('any').
+    /// </summary>
+    [JsonPropertyName("mode")]
+    public string Mode { get; set; } = "all";
+
+    /// <summary>
+    /// Gets or sets a value indicating whether terms also match the words they are a prefix of.
+    /// </summary>
+    [JsonPropertyName("prefix")]
+    public bool Prefix { get; set; }
+
+    /// <summary>
+    /// Gets or sets the maximum number of records to return.
+    /// </summary>
+    [JsonPropertyName("limit")]
+    public int Limit { get; set; } = 50;
+}
@@ -0,0 +1,24 @@
+namespace IdxDb;
+
+/// <summary>
+/// The names of the built-in storage backends, for <see cref="IndexedDbInterop.UseBackendAsync"/>.
+/// </summary>
+public static class StorageBackend
+{
+    /// <summary>
+    /// The browser's IndexedDB where it is available and accepts connections, and <see cref="Memory"/> otherwise.
+    /// This is the default.
+    /// </summary>
+    public const string Auto = "auto";
+
+    /// <summary>
+    /// The browser's IndexedDB.
+    /// </summary>
+    public const string IndexedDb = "indexedDB";
+
+    /// <summary>
+    /// An in-memory backend with the same object stores, key paths, indexes and key ranges as IndexedDB, whose
+    /// databases only live as long as the page.
+    /// </summary>
+    public const string Memory = "memory";
+}
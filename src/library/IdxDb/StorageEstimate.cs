@@ -0,0 +1,27 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// How much storage the origin uses and how much it may use, as estimated by the browser.
+/// </summary>
+public class StorageEstimate
+{
+    /// <summary>
+    /// Gets or sets the number of bytes used, or <c>null</c> when the browser does not report it.
+    /// </summary>
+    [JsonPropertyName("usage")]
+    public long? Usage { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of bytes the origin may use, or <c>null</c> when the browser does not report it.
+    /// </summary>
+    [JsonPropertyName("quota")]
+    public long? Quota { get; set; }
+
+    /// <summary>
+    /// Gets the share of the quota in use, between 0 and 1, or <c>null</c> when it cannot be computed.
+    /// </summary>
+    [JsonIgnore]
+    public double? UsedFraction => Usage is { } usage && Quota is > 0 and { } quota ? (double)usage / quota : null;
+}
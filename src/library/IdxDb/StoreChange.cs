@@ -0,0 +1,48 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A change committed to an object store, in this tab or in another tab of the app.
+/// </summary>
+public class StoreChange
+{
+    /// <summary>
+    /// Gets or sets the name of the database.
+    /// </summary>
+    [JsonPropertyName("dbName")]
+    public string DbName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the object store.
+    /// </summary>
+    [JsonPropertyName("storeName")]
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the kind of change ('add', 'update', 'delete' or 'clear').
+    /// </summary>
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the keys of the affected records. Empty for a 'clear' change, which affects every record.
+    /// </summary>
+    [JsonPropertyName("keys")]
+    public JsonElement[] Keys { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the change was made in another tab.
+    /// </summary>
+    [JsonPropertyName("remote")]
+    public bool Remote { get; set; }
+
+    /// <summary>
+    /// Deserializes the keys of the affected records.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the keys.</typeparam>
+    /// <returns>The keys of the affected records.</returns>
+    public TKey[] GetKeys<TKey>()
+        => Keys.Select(key => key.Deserialize<TKey>()!).ToArray();
+}
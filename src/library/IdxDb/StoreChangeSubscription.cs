@@ -0,0 +1,47 @@
+using Microsoft.JSInterop;
+
+namespace IdxDb;
+
+/// <summary>
+/// A subscription to the changes of an object store. Dispose it to stop receiving changes.
+/// </summary>
+public sealed class StoreChangeSubscription : IAsyncDisposable
+{
+    private readonly IJSObjectReference _module;
+    private readonly Func<StoreChange, Task> _handler;
+    private readonly DotNetObjectReference<StoreChangeSubscription> _selfReference;
+    private int _subscriptionId;
+
+    private StoreChangeSubscription(IJSObjectReference module, Func<StoreChange, Task> handler)
+    {
+        _module = module;
+        _handler = handler;
+        _selfReference = DotNetObjectReference.Create(this);
+    }
+
+    internal static async Task<StoreChangeSubscription> StartAsync(IJSObjectReference module, string dbName,
+        string storeName, Func<StoreChange, Task> handler, KeyRange? range)
+    {
+        var subscription = new StoreChangeSubscription(module, handler);
+        subscription._subscriptionId = await module.InvokeAsync<int>(
+            "subscribeStoreChanges", dbName, storeName, subscription._selfReference, range);
+        return subscription;
+    }
+
+    /// <summary>
+    /// Receives store changes from JavaScript. Not intended to be called from .NET code.
+    /// </summary>
+    /// <param name="change">The store change.</param>
+    [JSInvokable]
+    public Task OnStoreChanged(StoreChange change)
+        => _handler(change);
+
+    /// <summary>
+    /// Stops the subscription.
+    /// </summary>
+    public async ValueTask DisposeAsync()
+    {
+        await _module.InvokeVoidAsync("unsubscribeStoreChanges", _subscriptionId);
+        _selfReference.Dispose();
+    }
+}
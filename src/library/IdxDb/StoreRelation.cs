@@ -0,0 +1,30 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A foreign key of an object store: a field of its items that holds the primary key of an item of another
+/// store, its parent. Declare it with <see cref="IndexedDbInterop.DefineRelationsAsync"/> or in the
+/// <c>relations</c> of a store schema passed to <see cref="IndexedDbInterop.UpgradeDatabaseAsync"/>.
+/// </summary>
+public class StoreRelation
+{
+    /// <summary>
+    /// Gets or sets the JavaScript name of the field holding the key of the parent, dotted for a nested field.
+    /// </summary>
+    [JsonPropertyName("field")]
+    public string Field { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the parent object store.
+    /// </summary>
+    [JsonPropertyName("references")]
+    public string References { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets what deleting a parent does to its children: 'cascade' deletes them, 'nullify' sets their
+    /// field to <c>null</c>, and 'restrict' rejects the delete while children remain.
+    /// </summary>
+    [JsonPropertyName("onDelete")]
+    public string OnDelete { get; set; } = "restrict";
+}
@@ -0,0 +1,79 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// A local mutation the sync endpoint rejected because the record changed on the server, as given to the conflict
+/// callback of <see cref="IndexedDbInterop.DefineSyncAsync"/>.
+/// </summary>
+public class SyncConflict
+{
+    /// <summary>
+    /// The options JavaScript interop reads records with: camelCase property names.
+    /// </summary>
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    /// <summary>
+    /// Gets or sets the name of the object store.
+    /// </summary>
+    [JsonPropertyName("storeName")]
+    public string StoreName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the key of the record.
+    /// </summary>
+    [JsonPropertyName("key")]
+    public JsonElement Key { get; set; }
+
+    /// <summary>
+    /// Gets or sets the kind of local write: 'add', 'update', 'delete' or 'clear'.
+    /// </summary>
+    [JsonPropertyName("operation")]
+    public string Operation { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the local record, or <c>null</c> when it was deleted.
+    /// </summary>
+    [JsonPropertyName("local")]
+    public JsonElement? Local { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the local write was made, in milliseconds since the Unix epoch.
+    /// </summary>
+    [JsonPropertyName("localTimestamp")]
+    public long LocalTimestamp { get; set; }
+
+    /// <summary>
+    /// Gets or sets the server record, or <c>null</c> when it was deleted.
+    /// </summary>
+    [JsonPropertyName("remote")]
+    public JsonElement? Remote { get; set; }
+
+    /// <summary>
+    /// Gets or sets when the server record was written, in milliseconds since the Unix epoch, when the server
+    /// reports it.
+    /// </summary>
+    [JsonPropertyName("remoteTimestamp")]
+    public long? RemoteTimestamp { get; set; }
+
+    /// <summary>
+    /// Gets the local record as the given type.
+    /// </summary>
+    /// <typeparam name="T">The type of the record.</typeparam>
+    /// <returns>The record, or the default value when it was deleted.</returns>
+    public T? GetLocal<T>()
+    {
+        return Local is { ValueKind: not JsonValueKind.Null } local ? local.Deserialize<T>(JsonOptions) : default;
+    }
+
+    /// <summary>
+    /// Gets the server record as the given type.
+    /// </summary>
+    /// <typeparam name="T">The type of the record.</typeparam>
+    /// <returns>The record, or the default value when it was deleted.</returns>
+    public T? GetRemote<T>()
+    {
+        return Remote is { ValueKind: not JsonValueKind.Null } remote ? remote.Deserialize<T>(JsonOptions) : default;
+    }
+}
@@ -0,0 +1,25 @@
+using Microsoft.JSInterop;
+
+namespace IdxDb;
+
+/// <summary>
+/// Hands the sync conflicts of a database to the callback given to <see cref="IndexedDbInterop.DefineSyncAsync"/>.
+/// </summary>
+internal sealed class SyncConflictResolver
+{
+    private readonly Func<SyncConflict, Task<object?>> _resolve;
+
+    public SyncConflictResolver(Func<SyncConflict, Task<object?>> resolve)
+    {
+        _resolve = resolve;
+    }
+
+    /// <summary>
+    /// Resolves a conflict reported by JavaScript. Not intended to be called from .NET code.
+    /// </summary>
+    /// <param name="conflict">The conflict.</param>
+    /// <returns>The record to keep, or <c>null</c> to delete it.</returns>
+    [JSInvokable]
+    public Task<object?> ResolveConflict(SyncConflict conflict)
+        => _resolve(conflict);
+}
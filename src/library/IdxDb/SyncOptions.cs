@@ -0,0 +1,36 @@
+namespace IdxDb;
+
+/// <summary>
+/// Options of the synchronization of a database with an HTTP endpoint, for
+/// <see cref="IndexedDbInterop.DefineSyncAsync"/>.
+/// </summary>
+public class SyncOptions
+{
+    /// <summary>
+    /// Gets or sets the names of the object stores to sync. Their writes are recorded in the outbox.
+    /// </summary>
+    public string[] StoreNames { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the base URL of the sync endpoint, which receives <c>POST {Endpoint}/push</c> and
+    /// <c>POST {Endpoint}/pull</c> requests.
+    /// </summary>
+    public string Endpoint { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets headers added to every request, such as <c>Authorization</c>.
+    /// </summary>
+    public Dictionary<string, string> Headers { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets how a mutation the endpoint rejects is resolved: 'lastWriteWins' keeps the most recent of the
+    /// local and server versions, and 'serverWins' keeps the server's. A conflict callback given to
+    /// <see cref="IndexedDbInterop.DefineSyncAsync"/> replaces the strategy.
+    /// </summary>
+    public string ConflictStrategy { get; set; } = "lastWriteWins";
+
+    /// <summary>
+    /// Gets or sets the interval at which the database syncs by itself, or <c>null</c> to sync only on request.
+    /// </summary>
+    public TimeSpan? Interval { get; set; }
+}
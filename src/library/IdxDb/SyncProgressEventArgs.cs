@@ -0,0 +1,52 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// Describes the progress of a sync.
+/// </summary>
+public class SyncProgressEventArgs : EventArgs
+{
+    /// <summary>
+    /// Gets or sets the name of the database.
+    /// </summary>
+    [JsonPropertyName("dbName")]
+    public string DbName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the phase of the sync: 'started', 'pushed' (the outbox was sent), 'pulled' (a page of changes
+    /// was applied), 'completed' or 'failed'.
+    /// </summary>
+    [JsonPropertyName("phase")]
+    public string Phase { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the number of mutations pushed so far.
+    /// </summary>
+    [JsonPropertyName("pushed")]
+    public int Pushed { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of changes pulled so far.
+    /// </summary>
+    [JsonPropertyName("pulled")]
+    public int Pulled { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of conflicts resolved so far.
+    /// </summary>
+    [JsonPropertyName("conflicts")]
+    public int Conflicts { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of mutations waiting in the outbox.
+    /// </summary>
+    [JsonPropertyName("pending")]
+    public int Pending { get; set; }
+
+    /// <summary>
+    /// Gets or sets the message of the error that stopped the sync, in the 'failed' phase.
+    /// </summary>
+    [JsonPropertyName("error")]
+    public string? Error { get; set; }
+}
@@ -0,0 +1,34 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The outcome of a sync.
+/// </summary>
+public class SyncResult
+{
+    /// <summary>
+    /// Gets or sets the number of mutations pushed from the outbox.
+    /// </summary>
+    [JsonPropertyName("pushed")]
+    public int Pushed { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of changes pulled from the endpoint and applied.
+    /// </summary>
+    [JsonPropertyName("pulled")]
+    public int Pulled { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of conflicts resolved.
+    /// </summary>
+    [JsonPropertyName("conflicts")]
+    public int Conflicts { get; set; }
+
+    /// <summary>
+    /// Gets or sets the checkpoint the next pull starts from, as returned by the endpoint.
+    /// </summary>
+    [JsonPropertyName("checkpoint")]
+    public JsonElement? Checkpoint { get; set; }
+}
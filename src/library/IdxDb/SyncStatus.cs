@@ -0,0 +1,28 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The sync state of a database.
+/// </summary>
+public class SyncStatus
+{
+    /// <summary>
+    /// Gets or sets the number of mutations waiting in the outbox.
+    /// </summary>
+    [JsonPropertyName("pending")]
+    public int Pending { get; set; }
+
+    /// <summary>
+    /// Gets or sets the checkpoint the next pull starts from, or <c>null</c> before the first pull.
+    /// </summary>
+    [JsonPropertyName("checkpoint")]
+    public JsonElement? Checkpoint { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether a sync is running.
+    /// </summary>
+    [JsonPropertyName("syncing")]
+    public bool Syncing { get; set; }
+}
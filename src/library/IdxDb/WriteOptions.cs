@@ -0,0 +1,32 @@
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// Options of a single-item write.
+/// </summary>
+public class WriteOptions
+{
+    /// <summary>
+    /// Gets or sets the JavaScript name of the property holding the version of an item (for example <c>"version"</c>).
+    /// When set, the write is rejected with an <see cref="IndexedDbConcurrencyException"/> unless the item carries
+    /// the version currently stored, and the stored version is incremented. Versioning is off when <c>null</c>.
+    /// </summary>
+    [JsonPropertyName("versionField")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? VersionField { get; set; }
+
+    /// <summary>
+    /// Gets or sets how long the written item lives, overriding the time-to-live policy of the store.
+    /// Requires the store to have a policy (see <see cref="IndexedDbInterop.DefineExpiryAsync"/>).
+    /// </summary>
+    [JsonIgnore]
+    public TimeSpan? TimeToLive { get; set; }
+
+    /// <summary>
+    /// Gets the time to live in milliseconds, as sent to JavaScript.
+    /// </summary>
+    [JsonPropertyName("ttl")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public double? TimeToLiveMilliseconds => TimeToLive?.TotalMilliseconds;
+}
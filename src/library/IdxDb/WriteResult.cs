@@ -0,0 +1,39 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace IdxDb;
+
+/// <summary>
+/// The outcome of a single-item write that returns the stored item, such as a patch or an upsert.
+/// </summary>
+/// <typeparam name="T">The type of the record.</typeparam>
+public class WriteResult<T>
+{
+    /// <summary>
+    /// Gets or sets the key of the written item.
+    /// </summary>
+    [JsonPropertyName("key")]
+    public JsonElement Key { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the item was inserted rather than updated.
+    /// </summary>
+    [JsonPropertyName("inserted")]
+    public bool Inserted { get; set; }
+
+    /// <summary>
+    /// Gets or sets the item as stored, including merged fields, the incremented version and a generated key.
+    /// </summary>
+    [JsonPropertyName("record")]
+    public T? Record { get; set; }
+
+    /// <summary>
+    /// Deserializes the key of the written item.
+    /// </summary>
+    /// <typeparam name="TKey">The type of the key.</typeparam>
+    /// <returns>The key.</returns>
+    public TKey? GetKey<TKey>()
+    {
+        return Key.Deserialize<TKey>();
+    }
+}
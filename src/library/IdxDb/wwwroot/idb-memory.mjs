@@ -0,0 +1,1973 @@
+/**
+ * An in-memory storage backend: a Map-based implementation of the parts of the IndexedDB API that idb.mjs uses.
+ * It keeps the same object stores, key paths, key generators, indexes (unique, multi-entry and compound), key
+ * ranges, cursors and transactions as IndexedDB, including the ordering of keys, the scheduling of overlapping
+ * transactions and the rollback of aborted ones, but the databases only live as long as the page.
+ */
+
+/**
+ * The order of the key types: numbers sort first, then dates, strings, binary keys and arrays.
+ * @type {Object<string, number>}
+ */
+const keyTypeOrder = { number: 0, date: 1, string: 2, binary: 3, array: 4 };
+
+/**
+ * The largest number a key generator produces before it is exhausted.
+ * @type {number}
+ */
+const maxGeneratedKey = 2 ** 53;
+
+/**
+ * Runs a function in a later task, after the pending promise callbacks, as IndexedDB delivers its events.
+ * @type {function(function): void}
+ */
+const queueTask = createTaskQueue();
+
+/**
+ * Creates the function that queues tasks: setImmediate where it exists, a MessageChannel in browsers (which,
+ * unlike setTimeout, is not throttled when tasks are nested) and setTimeout otherwise.
+ * @returns {function(function): void} - The function that queues a task.
+ */
+function createTaskQueue() {
+  if (typeof setImmediate === 'function') {
+    return (task) => setImmediate(task);
+  }
+  if (typeof MessageChannel === 'function') {
+    const tasks = [];
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => tasks.shift()();
+    return (task) => {
+      tasks.push(task);
+      channel.port2.postMessage(null);
+    };
+  }
+  return (task) => setTimeout(task, 0);
+}
+
+/**
+ * Creates the DOMException IndexedDB reports for a failure.
+ * @param {string} name - The name of the error, such as 'ConstraintError'.
+ * @param {string} message - The message.
+ * @returns {DOMException} - The error.
+ */
+function domError(name, message) {
+  return new DOMException(message, name);
+}
+
+/**
+ * Tells the type of a key.
+ * @param {*} key - The value to inspect.
+ * @returns {string|null} - 'number', 'date', 'string', 'binary' or 'array', or null if the value is not a key.
+ */
+function keyType(key) {
+  if (typeof key === 'number') {
+    return Number.isNaN(key) ? null : 'number';
+  }
+  if (typeof key === 'string') {
+    return 'string';
+  }
+  if (Array.isArray(key)) {
+    return 'array';
+  }
+  // Tags rather than instanceof, so that dates and buffers from another realm are recognized.
+  const tag = Object.prototype.toString.call(key);
+  if (tag === '[object Date]') {
+    return Number.isNaN(key.getTime()) ? null : 'date';
+  }
+  if (tag === '[object ArrayBuffer]' || ArrayBuffer.isView(key)) {
+    return 'binary';
+  }
+  return null;
+}
+
+/**
+ * Tells whether a value is a valid key: a number other than NaN, a valid date, a string, a binary value or an
+ * array of valid keys without holes or cycles.
+ * @param {*} key - The value to inspect.
+ * @param {Set<Array>} [seen] - The arrays being inspected, to detect cycles.
+ * @returns {boolean} - True if the value is a valid key.
+ */
+function isValidKey(key, seen = new Set()) {
+  const type = keyType(key);
+  if (type !== 'array') {
+    return type !== null;
+  }
+  if (seen.has(key)) {
+    return false;
+  }
+  seen.add(key);
+  for (let index = 0; index < key.length; index++) {
+    if (!(index in key) || !isValidKey(key[index], seen)) {
+      return false;
+    }
+  }
+  seen.delete(key);
+  return true;
+}
+
+/**
+ * Throws the DataError IndexedDB reports when a value is not a valid key.
+ * @param {*} key - The value to check.
+ */
+function assertKey(key) {
+  if (!isValidKey(key)) {
+    throw domError('DataError', 'The parameter is not a valid key.');
+  }
+}
+
+/**
+ * Reads the bytes of a binary key.
+ * @param {ArrayBuffer|ArrayBufferView} key - The key.
+ * @returns {Uint8Array} - The bytes.
+ */
+function toBytes(key) {
+  return ArrayBuffer.isView(key)
+    ? new Uint8Array(key.buffer, key.byteOffset, key.byteLength)
+    : new Uint8Array(key);
+}
+
+/**
+ * Compares two valid keys.
+ * @param {*} first - The first key.
+ * @param {*} second - The second key.
+ * @returns {number} - -1, 0 or 1.
+ */
+function compareValidKeys(first, second) {
+  const firstType = keyType(first);
+  const secondType = keyType(second);
+  if (firstType !== secondType) {
+    return keyTypeOrder[firstType] < keyTypeOrder[secondType] ? -1 : 1;
+  }
+
+  switch (firstType) {
+    case 'date':
+      return Math.sign(first.getTime() - second.getTime());
+    case 'binary': {
+      const [firstBytes, secondBytes] = [toBytes(first), toBytes(second)];
+      const length = Math.min(firstBytes.length, secondBytes.length);
+      for (let index = 0; index < length; index++) {
+        if (firstBytes[index] !== secondBytes[index]) {
+          return firstBytes[index] < secondBytes[index] ? -1 : 1;
+        }
+      }
+      return Math.sign(firstBytes.length - secondBytes.length);
+    }
+    case 'array': {
+      const length = Math.min(first.length, second.length);
+      for (let index = 0; index < length; index++) {
+        const order = compareValidKeys(first[index], second[index]);
+        if (order !== 0) {
+          return order;
+        }
+      }
+      return Math.sign(first.length - second.length);
+    }
+    default:
+      // Numbers compare by value and strings by UTF-16 code units, which is what < does.
+      if (first === second) {
+        return 0;
+      }
+      return first < second ? -1 : 1;
+  }
+}
+
+/**
+ * Compares two keys in the order IndexedDB sorts them, like indexedDB.cmp.
+ * @param {*} first - The first key.
+ * @param {*} second - The second key.
+ * @returns {number} - -1 if the first key sorts before the second, 1 if it sorts after, and 0 if they are equal.
+ * @throws {DOMException} - A DataError if either value is not a valid key.
+ */
+export function compareKeys(first, second) {
+  assertKey(first);
+  assertKey(second);
+  return compareValidKeys(first, second);
+}
+
+/**
+ * A range of keys, like IDBKeyRange. The backend also accepts the IDBKeyRange instances of the browser.
+ */
+export class MemoryKeyRange {
+  /**
+   * Creates a range. Use the static methods, which validate the bounds.
+   * @param {*} lower - The lower bound, or undefined for none.
+   * @param {*} upper - The upper bound, or undefined for none.
+   * @param {boolean} lowerOpen - Whether the lower bound is excluded.
+   * @param {boolean} upperOpen - Whether the upper bound is excluded.
+   */
+  constructor(lower, upper, lowerOpen, upperOpen) {
+    this.lower = lower;
+    this.upper = upper;
+    this.lowerOpen = lowerOpen;
+    this.upperOpen = upperOpen;
+  }
+
+  /**
+   * Creates a range that matches a single key.
+   * @param {*} key - The key.
+   * @returns {MemoryKeyRange} - The range.
+   */
+  static only(key) {
+    assertKey(key);
+    return new MemoryKeyRange(key, key, false, false);
+  }
+
+  /**
+   * Creates a range with a lower bound.
+   * @param {*} lower - The lower bound.
+   * @param {boolean} [open=false] - Whether the bound is excluded.
+   * @returns {MemoryKeyRange} - The range.
+   */
+  static lowerBound(lower, open = false) {
+    assertKey(lower);
+    return new MemoryKeyRange(lower, undefined, Boolean(open), true);
+  }
+
+  /**
+   * Creates a range with an upper bound.
+   * @param {*} upper - The upper bound.
+   * @param {boolean} [open=false] - Whether the bound is excluded.
+   * @returns {MemoryKeyRange} - The range.
+   */
+  static upperBound(upper, open = false) {
+    assertKey(upper);
+    return new MemoryKeyRange(undefined, upper, true, Boolean(open));
+  }
+
+  /**
+   * Creates a range with both bounds.
+   * @param {*} lower - The lower bound.
+   * @param {*} upper - The upper bound.
+   * @param {boolean} [lowerOpen=false] - Whether the lower bound is excluded.
+   * @param {boolean} [upperOpen=false] - Whether the upper bound is excluded.
+   * @returns {MemoryKeyRange} - The range.
+   */
+  static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+    assertKey(lower);
+    assertKey(upper);
+    const order = compareValidKeys(lower, upper);
+    if (order > 0 || (order === 0 && (lowerOpen || upperOpen))) {
+      throw domError('DataError', 'The lower bound is greater than the upper bound.');
+    }
+    return new MemoryKeyRange(lower, upper, Boolean(lowerOpen), Boolean(upperOpen));
+  }
+
+  /**
+   * Tells whether a key is in the range.
+   * @param {*} key - The key.
+   * @returns {boolean} - True if the key is in the range.
+   */
+  includes(key) {
+    assertKey(key);
+    return isAboveLower(this, key) && isBelowUpper(this, key);
+  }
+}
+
+/**
+ * Tells whether a value is a key range rather than a key.
+ * @param {*} query - The value to inspect.
+ * @returns {boolean} - True if the value is a MemoryKeyRange or an IDBKeyRange.
+ */
+function isKeyRange(query) {
+  return query instanceof MemoryKeyRange
+    || (typeof IDBKeyRange === 'function' && query instanceof IDBKeyRange);
+}
+
+/**
+ * Converts the query of a request into a range.
+ * @param {*} query - A key, a key range, or null/undefined for every key.
+ * @param {boolean} [required=false] - Whether a query must be given, as for get and delete.
+ * @returns {{lower: *, upper: *, lowerOpen: boolean, upperOpen: boolean}|null} - The range, or null for every key.
+ */
+function toRange(query, required = false) {
+  if (query === undefined || query === null) {
+    if (required) {
+      throw domError('DataError', 'No key or key range was specified.');
+    }
+    return null;
+  }
+  if (isKeyRange(query)) {
+    return query;
+  }
+  assertKey(query);
+  return { lower: query, upper: query, lowerOpen: false, upperOpen: false };
+}
+
+/**
+ * Tells whether a key is above the lower bound of a range.
+ * @param {object|null} range - The range.
+ * @param {*} key - The key.
+ * @returns {boolean} - True if the key is above the lower bound, or the range has none.
+ */
+function isAboveLower(range, key) {
+  if (range === null || range.lower === undefined) {
+    return true;
+  }
+  const order = compareValidKeys(key, range.lower);
+  return range.lowerOpen ? order > 0 : order >= 0;
+}
+
+/**
+ * Tells whether a key is below the upper bound of a range.
+ * @param {object|null} range - The range.
+ * @param {*} key - The key.
+ * @returns {boolean} - True if the key is below the upper bound, or the range has none.
+ */
+function isBelowUpper(range, key) {
+  if (range === null || range.upper === undefined) {
+    return true;
+  }
+  const order = compareValidKeys(key, range.upper);
+  return range.upperOpen ? order < 0 : order <= 0;
+}
+
+/**
+ * Finds the first position of a sorted list at which a condition holds, given that it holds for every later
+ * position too.
+ * @param {Array} list - The sorted list.
+ * @param {function(*): boolean} condition - The condition.
+ * @returns {number} - The position, or the length of the list if the condition never holds.
+ */
+function bisect(list, condition) {
+  let [low, high] = [0, list.length];
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (condition(list[middle])) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Returns the entries of a sorted list whose keys are in a range.
+ * @param {Array<{key: *}>} entries - The entries, sorted by key.
+ * @param {object|null} range - The range, or null for every entry.
+ * @returns {Array<{key: *}>} - The entries in the range, in order.
+ */
+function entriesInRange(entries, range) {
+  const start = bisect(entries, (entry) => isAboveLower(range, entry.key));
+  const end = bisect(entries, (entry) => !isBelowUpper(range, entry.key));
+  return entries.slice(start, Math.max(start, end));
+}
+
+/**
+ * Compares two index entries: by index key, then by primary key.
+ * @param {{key: *, primaryKey: *}} first - The first entry.
+ * @param {{key: *, primaryKey: *}} second - The second entry.
+ * @returns {number} - -1, 0 or 1.
+ */
+function compareEntries(first, second) {
+  return compareValidKeys(first.key, second.key) || compareValidKeys(first.primaryKey, second.primaryKey);
+}
+
+/**
+ * Evaluates a key path on a value.
+ * @param {*} value - The value.
+ * @param {string|string[]} keyPath - The key path: a possibly dotted property name, '' for the value itself, or
+ * an array of them.
+ * @returns {*} - The value at the key path, or undefined if the value does not have it.
+ */
+function evaluateKeyPath(value, keyPath) {
+  if (Array.isArray(keyPath)) {
+    const values = keyPath.map((path) => evaluateKeyPath(value, path));
+    return values.includes(undefined) ? undefined : values;
+  }
+  if (keyPath === '') {
+    return value;
+  }
+  return keyPath.split('.').reduce((current, name) => {
+    if (current === undefined || current === null) {
+      return undefined;
+    }
+    if (name === 'length' && (typeof current === 'string' || Array.isArray(current))) {
+      return current.length;
+    }
+    return typeof current === 'object' && Object.hasOwn(current, name) ? current[name] : undefined;
+  }, value);
+}
+
+/**
+ * Tells whether a generated key can be written into a value at a key path.
+ * @param {*} value - The value.
+ * @param {string} keyPath - The key path.
+ * @returns {boolean} - True if every object on the path exists or can be created.
+ */
+function canInjectKey(value, keyPath) {
+  const names = keyPath.split('.');
+  let current = value;
+  for (const name of names.slice(0, -1)) {
+    if (current === null || typeof current !== 'object' || Array.isArray(current)) {
+      return false;
+    }
+    if (!Object.hasOwn(current, name)) {
+      return true;
+    }
+    current = current[name];
+  }
+  return current !== null && typeof current === 'object' && !Array.isArray(current);
+}
+
+/**
+ * Writes a generated key into a value at a key path, creating the missing objects on the path.
+ * @param {object} value - The value.
+ * @param {string} keyPath - The key path.
+ * @param {*} key - The key.
+ */
+function injectKey(value, keyPath, key) {
+  const names = keyPath.split('.');
+  const parent = names.slice(0, -1).reduce((current, name) => {
+    if (!Object.hasOwn(current, name)) {
+      current[name] = {};
+    }
+    return current[name];
+  }, value);
+  parent[names[names.length - 1]] = key;
+}
+
+/**
+ * Computes the keys under which an index lists a value.
+ * @param {IndexState} index - The index.
+ * @param {*} value - The value of the record.
+ * @returns {Array<*>} - The index keys: none if the value has no valid key at the key path, the distinct valid
+ * items of an array for a multi-entry index, or a single key.
+ */
+function indexKeysOf(index, value) {
+  const key = evaluateKeyPath(value, index.keyPath);
+  if (index.multiEntry && Array.isArray(key)) {
+    const keys = [];
+    key.filter((item) => isValidKey(item)).forEach((item) => {
+      if (!keys.some((other) => compareValidKeys(other, item) === 0)) {
+        keys.push(item);
+      }
+    });
+    return keys;
+  }
+  return key !== undefined && isValidKey(key) ? [key] : [];
+}
+
+/**
+ * The schema and records of an object store.
+ */
+class StoreState {
+  /**
+   * Creates an empty object store.
+   * @param {string} name - The name of the object store.
+   * @param {string|string[]|null} keyPath - The key path, or null for out-of-line keys.
+   * @param {boolean} autoIncrement - Whether the object store has a key generator.
+   */
+  constructor(name, keyPath, autoIncrement) {
+    this.name = name;
+    this.keyPath = keyPath;
+    this.autoIncrement = autoIncrement;
+    this.currentNumber = 1;
+    /** @type {Array<{key: *, value: *}>} */
+    this.records = [];
+    /** @type {Map<string, IndexState>} */
+    this.indexes = new Map();
+  }
+
+  /**
+   * Finds the record with a key.
+   * @param {*} key - The key.
+   * @returns {{key: *, value: *}|undefined} - The record, or undefined if there is none.
+   */
+  find(key) {
+    const position = bisect(this.records, (record) => compareValidKeys(record.key, key) >= 0);
+    const record = this.records[position];
+    return record !== undefined && compareValidKeys(record.key, key) === 0 ? record : undefined;
+  }
+
+  /**
+   * Writes a record and lists it in the indexes, replacing the record with the same key.
+   * @param {*} key - The key.
+   * @param {*} value - The value, which is stored as is.
+   * @returns {{key: *, value: *}|undefined} - The record that was replaced.
+   */
+  write(key, value) {
+    const previous = this.remove(key);
+    const record = { key, value };
+    this.records.splice(bisect(this.records, (other) => compareValidKeys(other.key, key) > 0), 0, record);
+    this.indexes.forEach((index) => index.add(record));
+    return previous;
+  }
+
+  /**
+   * Removes a record and its index entries.
+   * @param {*} key - The key.
+   * @returns {{key: *, value: *}|undefined} - The record that was removed.
+   */
+  remove(key) {
+    const record = this.find(key);
+    if (record !== undefined) {
+      this.records.splice(this.records.indexOf(record), 1);
+      this.indexes.forEach((index) => index.remove(record));
+    }
+    return record;
+  }
+}
+
+/**
+ * The definition and entries of an index.
+ */
+class IndexState {
+  /**
+   * Creates an index and lists the records of its object store.
+   * @param {string} name - The name of the index.
+   * @param {string|string[]} keyPath - The key path.
+   * @param {boolean} unique - Whether two records cannot share an index key.
+   * @param {boolean} multiEntry - Whether an array value lists the record under each of its items.
+   * @param {Array<{key: *, value: *}>} records - The records of the object store.
+   */
+  constructor(name, keyPath, unique, multiEntry, records) {
+    this.name = name;
+    this.keyPath = keyPath;
+    this.unique = unique;
+    this.multiEntry = multiEntry;
+    /** @type {Array<{key: *, primaryKey: *}>} */
+    this.entries = [];
+    records.forEach((record) => this.add(record));
+  }
+
+  /**
+   * Finds the entries with an index key.
+   * @param {*} key - The index key.
+   * @returns {Array<{key: *, primaryKey: *}>} - The entries.
+   */
+  find(key) {
+    return entriesInRange(this.entries, { lower: key, upper: key, lowerOpen: false, upperOpen: false });
+  }
+
+  /**
+   * Tells whether a record would break the uniqueness of the index.
+   * @param {*} primaryKey - The key of the record.
+   * @param {*} value - The value of the record.
+   * @returns {boolean} - True if another record already has one of its index keys.
+   */
+  conflicts(primaryKey, value) {
+    return this.unique && indexKeysOf(this, value)
+      .some((key) => this.find(key).some((entry) => compareValidKeys(entry.primaryKey, primaryKey) !== 0));
+  }
+
+  /**
+   * Lists a record under its index keys.
+   * @param {{key: *, value: *}} record - The record.
+   */
+  add(record) {
+    indexKeysOf(this, record.value).forEach((key) => {
+      const entry = { key, primaryKey: record.key };
+      this.entries.splice(bisect(this.entries, (other) => compareEntries(other, entry) > 0), 0, entry);
+    });
+  }
+
+  /**
+   * Removes the entries of a record.
+   * @param {{key: *, value: *}} record - The record.
+   */
+  remove(record) {
+    indexKeysOf(this, record.value).forEach((key) => {
+      const entry = { key, primaryKey: record.key };
+      const position = bisect(this.entries, (other) => compareEntries(other, entry) >= 0);
+      if (position < this.entries.length && compareEntries(this.entries[position], entry) === 0) {
+        this.entries.splice(position, 1);
+      }
+    });
+  }
+}
+
+/**
+ * The state of a database shared by its connections.
+ */
+class DatabaseState {
+  /**
+   * Creates a database that does not have a version yet.
+   * @param {string} name - The name of the database.
+   */
+  constructor(name) {
+    this.name = name;
+    this.version = 0;
+    /** @type {Map<string, StoreState>} */
+    this.stores = new Map();
+    /** @type {Set<MemoryDatabase>} */
+    this.connections = new Set();
+    /** @type {Array<MemoryTransaction>} */
+    this.transactions = [];
+    /** @type {Array<function>} */
+    this.closeWaiters = [];
+    /** @type {Array<function>} */
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Starts the transactions that no earlier transaction blocks. Overlapping transactions run one after the
+   * other, in the order they were created, unless they are both read-only.
+   */
+  startTransactions() {
+    this.transactions.forEach((transaction, position) => {
+      const blocked = this.transactions.slice(0, position).some((earlier) => earlier.overlaps(transaction)
+        && (earlier.mode !== 'readonly' || transaction.mode !== 'readonly'));
+      if (transaction.state === 'waiting' && !blocked) {
+        transaction.start();
+      }
+    });
+  }
+
+  /**
+   * Removes a finished transaction and starts the ones it blocked.
+   * @param {MemoryTransaction} transaction - The transaction.
+   */
+  release(transaction) {
+    this.transactions.splice(this.transactions.indexOf(transaction), 1);
+    this.startTransactions();
+    if (this.transactions.length === 0) {
+      this.idleWaiters.splice(0).forEach((callback) => callback());
+    }
+  }
+
+  /**
+   * Runs a callback once every connection is closed.
+   * @param {function} callback - The callback.
+   */
+  whenClosed(callback) {
+    if (this.connections.size === 0) {
+      callback();
+    } else {
+      this.closeWaiters.push(callback);
+    }
+  }
+
+  /**
+   * Runs a callback once no transaction is running or waiting.
+   * @param {function} callback - The callback.
+   */
+  whenIdle(callback) {
+    if (this.transactions.length === 0) {
+      callback();
+    } else {
+      this.idleWaiters.push(callback);
+    }
+  }
+}
+
+/**
+ * A list of names, like DOMStringList.
+ */
+class NameList extends Array {
+  /**
+   * Tells whether the list contains a name.
+   * @param {string} name - The name.
+   * @returns {boolean} - True if the list contains the name.
+   */
+  contains(name) {
+    return this.includes(name);
+  }
+
+  /**
+   * Returns the name at a position.
+   * @param {number} index - The position.
+   * @returns {string|null} - The name, or null if the position is out of range.
+   */
+  item(index) {
+    return this[index] ?? null;
+  }
+}
+
+/**
+ * Creates the object an event handler receives.
+ * @param {string} type - The type of the event.
+ * @param {object} target - The object the event is fired at.
+ * @param {object} [properties={}] - The other properties of the event, such as oldVersion.
+ * @returns {object} - The event.
+ */
+function createEvent(type, target, properties = {}) {
+  return {
+    type,
+    target,
+    currentTarget: target,
+    defaultPrevented: false,
+    propagationStopped: false,
+    preventDefault() {
+      this.defaultPrevented = true;
+    },
+    stopPropagation() {
+      this.propagationStopped = true;
+    },
+    ...properties,
+  };
+}
+
+/**
+ * Calls the handler of an event, such as onsuccess for a 'success' event.
+ * @param {object} target - The object the event is fired at.
+ * @param {object} event - The event.
+ * @returns {boolean} - False if the handler threw.
+ */
+function dispatch(target, event) {
+  const handler = target[`on${event.type}`];
+  if (typeof handler !== 'function') {
+    return true;
+  }
+  try {
+    event.currentTarget = target;
+    handler.call(target, event);
+    return true;
+  } catch (error) {
+    queueTask(() => {
+      throw error;
+    });
+    return false;
+  }
+}
+
+/**
+ * A request, like IDBRequest.
+ */
+class MemoryRequest {
+  /**
+   * Creates a pending request.
+   * @param {object|null} source - The object store, index or cursor the request was made on.
+   * @param {MemoryTransaction|null} transaction - The transaction.
+   */
+  constructor(source, transaction) {
+    this.source = source;
+    this.transaction = transaction;
+    this.readyState = 'pending';
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+  }
+}
+
+/**
+ * A request to open or delete a database, like IDBOpenDBRequest.
+ */
+class MemoryOpenRequest extends MemoryRequest {
+  /**
+   * Creates a pending request.
+   */
+  constructor() {
+    super(null, null);
+    this.onupgradeneeded = null;
+    this.onblocked = null;
+  }
+
+  /**
+   * Completes the request successfully.
+   * @param {*} result - The result.
+   * @param {object} [properties={}] - The other properties of the success event.
+   */
+  succeed(result, properties = {}) {
+    this.readyState = 'done';
+    this.result = result;
+    dispatch(this, createEvent('success', this, properties));
+  }
+
+  /**
+   * Fails the request.
+   * @param {DOMException} error - The error.
+   */
+  fail(error) {
+    this.readyState = 'done';
+    this.result = undefined;
+    this.error = error;
+    dispatch(this, createEvent('error', this));
+  }
+}
+
+/**
+ * A transaction, like IDBTransaction. Requests run one at a time, each in its own task; the transaction
+ * commits once a task passes without a new request, and aborting it undoes every change it made.
+ */
+class MemoryTransaction {
+  /**
+   * Creates a transaction that waits for the transactions it overlaps.
+   * @param {MemoryDatabase} db - The connection.
+   * @param {string[]} storeNames - The names of the object stores in scope.
+   * @param {string} mode - 'readonly', 'readwrite' or 'versionchange'.
+   * @param {string} [durability='default'] - The durability hint, which the backend ignores.
+   */
+  constructor(db, storeNames, mode, durability = 'default') {
+    this.db = db;
+    this.mode = mode;
+    this.durability = durability;
+    this.scope = storeNames;
+    this.error = null;
+    this.oncomplete = null;
+    this.onabort = null;
+    this.onerror = null;
+    this.state = 'waiting';
+    this.commitRequested = false;
+    this.scheduled = false;
+    /** @type {Array<{request: MemoryRequest, operation: function(): *}>} */
+    this.queue = [];
+    /** @type {Array<function>} */
+    this.journal = [];
+    /** @type {Map<StoreState, MemoryObjectStore>} */
+    this.stores = new Map();
+    /** @type {function|null} */
+    this.onstart = null;
+    /** @type {function(boolean)|null} */
+    this.onfinish = null;
+  }
+
+  /**
+   * Gets the names of the object stores in scope.
+   * @returns {NameList} - The names, sorted.
+   */
+  get objectStoreNames() {
+    return NameList.from(this.mode === 'versionchange' ? this.db.state.stores.keys() : this.scope).sort();
+  }
+
+  /**
+   * Returns an object store in scope.
+   * @param {string} name - The name of the object store.
+   * @returns {MemoryObjectStore} - The object store.
+   */
+  objectStore(name) {
+    if (this.state === 'finished') {
+      throw domError('InvalidStateError', 'The transaction has finished.');
+    }
+    const store = this.db.state.stores.get(name);
+    if (store === undefined || (this.mode !== 'versionchange' && !this.scope.includes(name))) {
+      throw domError('NotFoundError', `No object store named '${name}' is in the scope of the transaction.`);
+    }
+    if (!this.stores.has(store)) {
+      this.stores.set(store, new MemoryObjectStore(this, store));
+    }
+    return this.stores.get(store);
+  }
+
+  /**
+   * Aborts the transaction, undoing its changes.
+   */
+  abort() {
+    if (this.state === 'finished') {
+      throw domError('InvalidStateError', 'The transaction has finished.');
+    }
+    this.finish(null);
+  }
+
+  /**
+   * Commits the transaction once its pending requests have run, without waiting for another task.
+   */
+  commit() {
+    if (this.state === 'finished') {
+      throw domError('InvalidStateError', 'The transaction has finished.');
+    }
+    this.commitRequested = true;
+    this.schedule();
+  }
+
+  /**
+   * Tells whether the transaction overlaps another one.
+   * @param {MemoryTransaction} other - The other transaction.
+   * @returns {boolean} - True if they share an object store, or either changes the schema.
+   */
+  overlaps(other) {
+    return this.mode === 'versionchange' || other.mode === 'versionchange'
+      || this.scope.some((name) => other.scope.includes(name));
+  }
+
+  /**
+   * Throws the error IndexedDB reports for a request on a transaction that cannot take one.
+   * @param {boolean} [write=false] - Whether the request writes.
+   */
+  assertActive(write = false) {
+    if (this.state === 'finished' || this.commitRequested) {
+      throw domError('TransactionInactiveError', 'The transaction is not active.');
+    }
+    if (write && this.mode === 'readonly') {
+      throw domError('ReadOnlyError', 'The transaction is read-only.');
+    }
+  }
+
+  /**
+   * Places a request.
+   * @param {MemoryRequest} request - The request.
+   * @param {function(): *} operation - Computes the result of the request, or throws its error.
+   * @returns {MemoryRequest} - The request.
+   */
+  enqueue(request, operation) {
+    request.readyState = 'pending';
+    this.queue.push({ request, operation });
+    this.schedule();
+    return request;
+  }
+
+  /**
+   * Records how to undo a change.
+   * @param {function} undo - Undoes the change.
+   */
+  record(undo) {
+    this.journal.push(undo);
+  }
+
+  /**
+   * Starts the transaction once no earlier transaction blocks it.
+   */
+  start() {
+    this.state = 'running';
+    queueTask(() => {
+      if (this.state !== 'running') {
+        return;
+      }
+      if (this.onstart) {
+        this.onstart();
+      }
+      this.schedule();
+    });
+  }
+
+  /**
+   * Runs the next request in a later task, if none is scheduled.
+   */
+  schedule() {
+    if (this.scheduled || this.state !== 'running') {
+      return;
+    }
+    this.scheduled = true;
+    queueTask(() => {
+      this.scheduled = false;
+      this.step();
+    });
+  }
+
+  /**
+   * Runs the next request, or commits the transaction if no request was placed.
+   */
+  step() {
+    if (this.state !== 'running') {
+      return;
+    }
+    const next = this.queue.shift();
+    if (next === undefined) {
+      this.finish(true);
+      return;
+    }
+
+    const { request, operation } = next;
+    let result;
+    try {
+      result = operation();
+    } catch (error) {
+      request.readyState = 'done';
+      request.result = undefined;
+      request.error = error;
+      const event = createEvent('error', request);
+      dispatch(request, event);
+      if (!event.propagationStopped) {
+        dispatch(this, event);
+      }
+      if (this.state === 'running' && !event.defaultPrevented) {
+        this.finish(error);
+        return;
+      }
+      this.schedule();
+      return;
+    }
+
+    request.readyState = 'done';
+    request.result = result;
+    request.error = null;
+    if (!dispatch(request, createEvent('success', request)) && this.state === 'running') {
+      this.finish(domError('AbortError', 'An exception was thrown by a success event handler.'));
+      return;
+    }
+    this.schedule();
+  }
+
+  /**
+   * Commits or aborts the transaction, then fires its complete or abort event.
+   * @param {true|DOMException|null} outcome - True to commit, or the error of the abort (null if it was
+   * requested).
+   */
+  finish(outcome) {
+    const committed = outcome === true;
+    const pending = this.queue.splice(0);
+    this.state = 'finished';
+    if (!committed) {
+      this.error = outcome;
+      this.journal.reverse().forEach((undo) => undo());
+    }
+    this.journal = [];
+
+    queueTask(() => {
+      pending.forEach(({ request }) => {
+        request.readyState = 'done';
+        request.result = undefined;
+        request.error = domError('AbortError', 'The transaction was aborted.');
+        dispatch(request, createEvent('error', request));
+      });
+      dispatch(this, createEvent(committed ? 'complete' : 'abort', this));
+      if (this.onfinish) {
+        this.onfinish(committed);
+      }
+      this.db.state.release(this);
+    });
+  }
+}
+
+/**
+ * A connection to a database, like IDBDatabase.
+ */
+class MemoryDatabase {
+  /**
+   * Creates a connection.
+   * @param {DatabaseState} state - The database.
+   */
+  constructor(state) {
+    this.state = state;
+    this.name = state.name;
+    this.version = state.version;
+    this.closed = false;
+    /** @type {MemoryTransaction|null} */
+    this.upgrade = null;
+    this.onversionchange = null;
+    this.onclose = null;
+    this.onabort = null;
+    this.onerror = null;
+  }
+
+  /**
+   * Gets the names of the object stores.
+   * @returns {NameList} - The names, sorted.
+   */
+  get objectStoreNames() {
+    return NameList.from(this.state.stores.keys()).sort();
+  }
+
+  /**
+   * Starts a transaction.
+   * @param {string|string[]} storeNames - The name(s) of the object store(s).
+   * @param {string} [mode='readonly'] - 'readonly' or 'readwrite'.
+   * @param {{durability: string}} [options={}] - The durability hint.
+   * @returns {MemoryTransaction} - The transaction.
+   */
+  transaction(storeNames, mode = 'readonly', { durability = 'default' } = {}) {
+    if (this.closed || this.upgrade !== null) {
+      throw domError('InvalidStateError', 'The connection is closed or running a version change.');
+    }
+    if (mode !== 'readonly' && mode !== 'readwrite') {
+      throw new TypeError(`'${mode}' is not a valid transaction mode.`);
+    }
+    const names = [...new Set(typeof storeNames === 'string' ? [storeNames] : storeNames)];
+    if (names.length === 0) {
+      throw domError('InvalidAccessError', 'The transaction needs at least one object store.');
+    }
+    const missing = names.find((name) => !this.state.stores.has(name));
+    if (missing !== undefined) {
+      throw domError('NotFoundError', `No object store named '${missing}' exists.`);
+    }
+
+    const transaction = new MemoryTransaction(this, names, mode, durability);
+    this.state.transactions.push(transaction);
+    this.state.startTransactions();
+    return transaction;
+  }
+
+  /**
+   * Creates an object store, during an upgrade.
+   * @param {string} name - The name of the object store.
+   * @param {{keyPath: (string|string[]|null), autoIncrement: boolean}} [options={}] - The key path and whether
+   * the object store has a key generator.
+   * @returns {MemoryObjectStore} - The object store.
+   */
+  createObjectStore(name, { keyPath = null, autoIncrement = false } = {}) {
+    const upgrade = this.assertUpgrading();
+    if (this.state.stores.has(name)) {
+      throw domError('ConstraintError', `An object store named '${name}' already exists.`);
+    }
+    if (autoIncrement && (keyPath === '' || Array.isArray(keyPath))) {
+      throw domError('InvalidAccessError', 'A key generator needs a non-empty, single key path.');
+    }
+
+    const store = new StoreState(name, keyPath ?? null, Boolean(autoIncrement));
+    this.state.stores.set(name, store);
+    upgrade.record(() => this.state.stores.delete(name));
+    return upgrade.objectStore(name);
+  }
+
+  /**
+   * Deletes an object store, during an upgrade.
+   * @param {string} name - The name of the object store.
+   */
+  deleteObjectStore(name) {
+    const upgrade = this.assertUpgrading();
+    const store = this.state.stores.get(name);
+    if (store === undefined) {
+      throw domError('NotFoundError', `No object store named '${name}' exists.`);
+    }
+    this.state.stores.delete(name);
+    upgrade.record(() => this.state.stores.set(name, store));
+  }
+
+  /**
+   * Closes the connection once its transactions have finished.
+   */
+  close() {
+    this.closed = true;
+    this.state.connections.delete(this);
+    if (this.state.connections.size === 0) {
+      this.state.closeWaiters.splice(0).forEach((callback) => callback());
+    }
+  }
+
+  /**
+   * Returns the running upgrade transaction, or throws the error IndexedDB reports outside of an upgrade.
+   * @returns {MemoryTransaction} - The upgrade transaction.
+   */
+  assertUpgrading() {
+    if (this.upgrade === null || this.upgrade.state === 'finished') {
+      throw domError('InvalidStateError', 'The schema can only be changed during an upgrade.');
+    }
+    return this.upgrade;
+  }
+}
+
+/**
+ * The requests that read records, shared by object stores and indexes. Subclasses list their entries, sorted by
+ * key, in an entries property.
+ */
+class MemorySource {
+  /**
+   * Creates a source.
+   * @param {MemoryTransaction} transaction - The transaction.
+   * @param {StoreState} store - The object store the records belong to.
+   */
+  constructor(transaction, store) {
+    this.transaction = transaction;
+    this.store = store;
+  }
+
+  /**
+   * Reads the primary key of an entry.
+   * @param {object} entry - The entry.
+   * @returns {*} - The primary key.
+   */
+  primaryKeyOf(entry) {
+    return entry.key;
+  }
+
+  /**
+   * Reads a copy of the value of an entry.
+   * @param {object} entry - The entry.
+   * @returns {*} - The value.
+   */
+  valueOf(entry) {
+    return structuredClone(this.store.find(this.primaryKeyOf(entry)).value);
+  }
+
+  /**
+   * Places a read request on the entries in a range.
+   * @param {*} query - A key, a key range, or null/undefined for every key.
+   * @param {function(Array<object>): *} read - Computes the result from the entries in the range.
+   * @param {boolean} [required=false] - Whether a query must be given.
+   * @returns {MemoryRequest} - The request.
+   */
+  read(query, read, required = false) {
+    this.transaction.assertActive();
+    const range = toRange(query, required);
+    return this.transaction.enqueue(new MemoryRequest(this, this.transaction),
+      () => read(entriesInRange(this.entries, range)));
+  }
+
+  /**
+   * Reads the value of the first record in a range.
+   * @param {*} query - A key or a key range.
+   * @returns {MemoryRequest} - The request, whose result is the value or undefined.
+   */
+  get(query) {
+    return this.read(query, (entries) => (entries.length === 0 ? undefined : this.valueOf(entries[0])), true);
+  }
+
+  /**
+   * Reads the primary key of the first record in a range.
+   * @param {*} query - A key or a key range.
+   * @returns {MemoryRequest} - The request, whose result is the key or undefined.
+   */
+  getKey(query) {
+    return this.read(query, (entries) => (entries.length === 0 ? undefined : this.primaryKeyOf(entries[0])), true);
+  }
+
+  /**
+   * Reads the values of the records in a range.
+   * @param {*} [query] - A key or a key range.
+   * @param {number} [count] - The maximum number of values; 0 or undefined for all.
+   * @returns {MemoryRequest} - The request, whose result is the values.
+   */
+  getAll(query, count) {
+    return this.read(query, (entries) => entries.slice(0, count || undefined).map((entry) => this.valueOf(entry)));
+  }
+
+  /**
+   * Reads the primary keys of the records in a range.
+   * @param {*} [query] - A key or a key range.
+   * @param {number} [count] - The maximum number of keys; 0 or undefined for all.
+   * @returns {MemoryRequest} - The request, whose result is the keys.
+   */
+  getAllKeys(query, count) {
+    return this.read(query, (entries) => entries.slice(0, count || undefined).map((entry) => this.primaryKeyOf(entry)));
+  }
+
+  /**
+   * Counts the records in a range.
+   * @param {*} [query] - A key or a key range.
+   * @returns {MemoryRequest} - The request, whose result is the count.
+   */
+  count(query) {
+    return this.read(query, (entries) => entries.length);
+  }
+
+  /**
+   * Opens a cursor over the records in a range.
+   * @param {*} [query] - A key or a key range.
+   * @param {string} [direction='next'] - 'next', 'nextunique', 'prev' or 'prevunique'.
+   * @returns {MemoryRequest} - The request, whose result is the cursor, or null once it is exhausted.
+   */
+  openCursor(query, direction = 'next') {
+    return this.openAnyCursor(query, direction, true);
+  }
+
+  /**
+   * Opens a cursor over the keys of the records in a range.
+   * @param {*} [query] - A key or a key range.
+   * @param {string} [direction='next'] - 'next', 'nextunique', 'prev' or 'prevunique'.
+   * @returns {MemoryRequest} - The request, whose result is the cursor, or null once it is exhausted.
+   */
+  openKeyCursor(query, direction = 'next') {
+    return this.openAnyCursor(query, direction, false);
+  }
+
+  /**
+   * Opens a cursor.
+   * @param {*} query - A key or a key range.
+   * @param {string} direction - The direction.
+   * @param {boolean} withValue - Whether the cursor reads the values.
+   * @returns {MemoryRequest} - The request.
+   */
+  openAnyCursor(query, direction, withValue) {
+    this.transaction.assertActive();
+    if (!['next', 'nextunique', 'prev', 'prevunique'].includes(direction)) {
+      throw new TypeError(`'${direction}' is not a valid cursor direction.`);
+    }
+    const range = toRange(query);
+    const request = new MemoryRequest(this, this.transaction);
+    const cursor = new MemoryCursor(this, request, range, direction, withValue);
+    return this.transaction.enqueue(request, () => cursor.move());
+  }
+}
+
+/**
+ * An object store, like IDBObjectStore.
+ */
+class MemoryObjectStore extends MemorySource {
+  /**
+   * Creates an object store in a transaction.
+   * @param {MemoryTransaction} transaction - The transaction.
+   * @param {StoreState} store - The object store.
+   */
+  constructor(transaction, store) {
+    super(transaction, store);
+    /** @type {Map<IndexState, MemoryIndex>} */
+    this.indexObjects = new Map();
+  }
+
+  get name() {
+    return this.store.name;
+  }
+
+  get keyPath() {
+    return this.store.keyPath;
+  }
+
+  get autoIncrement() {
+    return this.store.autoIncrement;
+  }
+
+  get indexNames() {
+    return NameList.from(this.store.indexes.keys()).sort();
+  }
+
+  get entries() {
+    return this.store.records;
+  }
+
+  valueOf(entry) {
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Adds a record; fails with a ConstraintError if its key is taken.
+   * @param {*} value - The value.
+   * @param {*} [key] - The key, for an object store with out-of-line keys.
+   * @returns {MemoryRequest} - The request, whose result is the key.
+   */
+  add(value, key) {
+    return this.write(value, key, true);
+  }
+
+  /**
+   * Adds or replaces a record.
+   * @param {*} value - The value.
+   * @param {*} [key] - The key, for an object store with out-of-line keys.
+   * @returns {MemoryRequest} - The request, whose result is the key.
+   */
+  put(value, key) {
+    return this.write(value, key, false);
+  }
+
+  /**
+   * Deletes the records in a range.
+   * @param {*} query - A key or a key range.
+   * @returns {MemoryRequest} - The request.
+   */
+  delete(query) {
+    this.transaction.assertActive(true);
+    const range = toRange(query, true);
+    return this.transaction.enqueue(new MemoryRequest(this, this.transaction), () => {
+      entriesInRange(this.store.records, range).forEach((record) => this.removeRecord(record.key));
+      return undefined;
+    });
+  }
+
+  /**
+   * Deletes every record.
+   * @returns {MemoryRequest} - The request.
+   */
+  clear() {
+    this.transaction.assertActive(true);
+    return this.transaction.enqueue(new MemoryRequest(this, this.transaction), () => {
+      const { store } = this;
+      const saved = { records: store.records, entries: new Map([...store.indexes.values()].map((index) => [index, index.entries])) };
+      store.records = [];
+      store.indexes.forEach((index) => {
+        index.entries = [];
+      });
+      this.transaction.record(() => {
+        store.records = saved.records;
+        saved.entries.forEach((entries, index) => {
+          index.entries = entries;
+        });
+      });
+      return undefined;
+    });
+  }
+
+  /**
+   * Returns an index of the object store.
+   * @param {string} name - The name of the index.
+   * @returns {MemoryIndex} - The index.
+   */
+  index(name) {
+    if (this.transaction.state === 'finished') {
+      throw domError('InvalidStateError', 'The transaction has finished.');
+    }
+    const index = this.store.indexes.get(name);
+    if (index === undefined) {
+      throw domError('NotFoundError', `No index named '${name}' exists on object store '${this.name}'.`);
+    }
+    if (!this.indexObjects.has(index)) {
+      this.indexObjects.set(index, new MemoryIndex(this, index));
+    }
+    return this.indexObjects.get(index);
+  }
+
+  /**
+   * Creates an index, during an upgrade. Existing records that break a unique index abort the upgrade.
+   * @param {string} name - The name of the index.
+   * @param {string|string[]} keyPath - The key path.
+   * @param {{unique: boolean, multiEntry: boolean}} [options={}] - The index parameters.
+   * @returns {MemoryIndex} - The index.
+   */
+  createIndex(name, keyPath, { unique = false, multiEntry = false } = {}) {
+    const upgrade = this.transaction.db.assertUpgrading();
+    if (this.store.indexes.has(name)) {
+      throw domError('ConstraintError', `An index named '${name}' already exists.`);
+    }
+    if (multiEntry && Array.isArray(keyPath)) {
+      throw domError('InvalidAccessError', 'A multi-entry index cannot have a compound key path.');
+    }
+
+    const index = new IndexState(name, keyPath, Boolean(unique), Boolean(multiEntry), this.store.records);
+    this.store.indexes.set(name, index);
+    upgrade.record(() => this.store.indexes.delete(name));
+    const duplicated = index.unique && index.entries
+      .some((entry, position) => position > 0 && compareValidKeys(index.entries[position - 1].key, entry.key) === 0);
+    if (duplicated) {
+      queueTask(() => {
+        if (upgrade.state !== 'finished') {
+          upgrade.finish(domError('ConstraintError', `The records break the uniqueness of index '${name}'.`));
+        }
+      });
+    }
+    return this.index(name);
+  }
+
+  /**
+   * Deletes an index, during an upgrade.
+   * @param {string} name - The name of the index.
+   */
+  deleteIndex(name) {
+    const upgrade = this.transaction.db.assertUpgrading();
+    const index = this.store.indexes.get(name);
+    if (index === undefined) {
+      throw domError('NotFoundError', `No index named '${name}' exists on object store '${this.name}'.`);
+    }
+    this.store.indexes.delete(name);
+    upgrade.record(() => this.store.indexes.set(name, index));
+  }
+
+  /**
+   * Validates a write and places its request. The value is copied when the write is made, as IndexedDB does.
+   * @param {*} value - The value.
+   * @param {*} key - The out-of-line key, or undefined.
+   * @param {boolean} noOverwrite - Whether an existing record makes the write fail.
+   * @returns {MemoryRequest} - The request, whose result is the key.
+   */
+  write(value, key, noOverwrite) {
+    this.transaction.assertActive(true);
+    const { keyPath, autoIncrement } = this.store;
+    if (keyPath !== null && key !== undefined) {
+      throw domError('DataError', 'An object store with in-line keys does not take a key parameter.');
+    }
+    if (keyPath === null && !autoIncrement && key === undefined) {
+      throw domError('DataError', 'An object store with out-of-line keys needs a key parameter.');
+    }
+    if (key !== undefined) {
+      assertKey(key);
+    }
+
+    const copy = structuredClone(value);
+    const inlineKey = keyPath === null ? undefined : evaluateKeyPath(copy, keyPath);
+    if (inlineKey !== undefined) {
+      assertKey(inlineKey);
+    } else if (keyPath !== null && (!autoIncrement || !canInjectKey(copy, keyPath))) {
+      throw domError('DataError', 'The value does not have a valid key at the key path of the object store.');
+    }
+
+    return this.transaction.enqueue(new MemoryRequest(this, this.transaction), () => {
+      let recordKey = key ?? inlineKey;
+      if (recordKey === undefined) {
+        recordKey = this.generateKey();
+        if (keyPath !== null) {
+          injectKey(copy, keyPath, recordKey);
+        }
+      } else if (autoIncrement && typeof recordKey === 'number') {
+        this.advanceGenerator(recordKey);
+      }
+      this.writeRecord(recordKey, copy, noOverwrite);
+      return recordKey;
+    });
+  }
+
+  /**
+   * Produces the next key of the key generator.
+   * @returns {number} - The key.
+   */
+  generateKey() {
+    const { store } = this;
+    if (store.currentNumber > maxGeneratedKey) {
+      throw domError('ConstraintError', 'The key generator of the object store is exhausted.');
+    }
+    const key = store.currentNumber;
+    this.advanceGenerator(key);
+    return key;
+  }
+
+  /**
+   * Moves the key generator past a numeric key.
+   * @param {number} key - The key.
+   */
+  advanceGenerator(key) {
+    const { store } = this;
+    const next = Math.min(Math.floor(key) + 1, maxGeneratedKey + 1);
+    if (next > store.currentNumber) {
+      const previous = store.currentNumber;
+      store.currentNumber = next;
+      this.transaction.record(() => {
+        store.currentNumber = previous;
+      });
+    }
+  }
+
+  /**
+   * Writes a record, checking the constraints of the object store and its indexes.
+   * @param {*} key - The key.
+   * @param {*} value - The value.
+   * @param {boolean} noOverwrite - Whether an existing record makes the write fail.
+   */
+  writeRecord(key, value, noOverwrite) {
+    const { store } = this;
+    if (noOverwrite && store.find(key) !== undefined) {
+      throw domError('ConstraintError', `A record with key ${JSON.stringify(key)} already exists in object store '${store.name}'.`);
+    }
+    const conflict = [...store.indexes.values()].find((index) => index.conflicts(key, value));
+    if (conflict !== undefined) {
+      throw domError('ConstraintError', `Unique index '${conflict.name}' already has a record with the same key.`);
+    }
+
+    const previous = store.write(key, value);
+    this.transaction.record(() => {
+      if (previous === undefined) {
+        store.remove(key);
+      } else {
+        store.write(key, previous.value);
+      }
+    });
+  }
+
+  /**
+   * Removes a record.
+   * @param {*} key - The key.
+   */
+  removeRecord(key) {
+    const { store } = this;
+    const previous = store.remove(key);
+    if (previous !== undefined) {
+      this.transaction.record(() => store.write(key, previous.value));
+    }
+  }
+}
+
+/**
+ * An index, like IDBIndex.
+ */
+class MemoryIndex extends MemorySource {
+  /**
+   * Creates an index in a transaction.
+   * @param {MemoryObjectStore} objectStore - The object store.
+   * @param {IndexState} index - The index.
+   */
+  constructor(objectStore, index) {
+    super(objectStore.transaction, objectStore.store);
+    this.objectStore = objectStore;
+    this.index = index;
+  }
+
+  get name() {
+    return this.index.name;
+  }
+
+  get keyPath() {
+    return this.index.keyPath;
+  }
+
+  get unique() {
+    return this.index.unique;
+  }
+
+  get multiEntry() {
+    return this.index.multiEntry;
+  }
+
+  get entries() {
+    return this.index.entries;
+  }
+
+  primaryKeyOf(entry) {
+    return entry.primaryKey;
+  }
+}
+
+/**
+ * A cursor, like IDBCursor and IDBCursorWithValue. It remembers its position rather than an offset, so records
+ * written or deleted while it iterates are seen or skipped as IndexedDB does.
+ */
+class MemoryCursor {
+  /**
+   * Creates a cursor before its first record.
+   * @param {MemorySource} source - The object store or index.
+   * @param {MemoryRequest} request - The request that delivers the cursor.
+   * @param {object|null} range - The range.
+   * @param {string} direction - The direction.
+   * @param {boolean} withValue - Whether the cursor reads the values.
+   */
+  constructor(source, request, range, direction, withValue) {
+    this.source = source;
+    this.request = request;
+    this.range = range;
+    this.direction = direction;
+    this.withValue = withValue;
+    this.key = undefined;
+    this.primaryKey = undefined;
+    this.gotValue = false;
+    if (withValue) {
+      this.value = undefined;
+    }
+  }
+
+  /**
+   * Moves to the next record that the cursor delivers.
+   * @param {*} [targetKey] - The key to move to, or undefined for the next key.
+   * @param {*} [targetPrimaryKey] - The primary key to move to, with the key.
+   * @returns {MemoryCursor|null} - The cursor, or null once it is exhausted.
+   */
+  move(targetKey = undefined, targetPrimaryKey = undefined) {
+    const { entries } = this.source;
+    const forward = this.direction.startsWith('next');
+    const unique = this.direction.endsWith('unique');
+    const hasPosition = this.key !== undefined;
+    const position = { key: this.key, primaryKey: this.primaryKey };
+    const target = { key: targetKey, primaryKey: targetPrimaryKey };
+    const compare = (entry, other, withPrimaryKey) => (withPrimaryKey
+      ? compareEntries({ key: entry.key, primaryKey: this.source.primaryKeyOf(entry) }, other)
+      : compareValidKeys(entry.key, other.key));
+
+    let found;
+    if (forward) {
+      const start = Math.max(
+        bisect(entries, (entry) => isAboveLower(this.range, entry.key)),
+        hasPosition ? bisect(entries, (entry) => compare(entry, position, !unique) > 0) : 0,
+        targetKey === undefined ? 0 : bisect(entries, (entry) => compare(entry, target, targetPrimaryKey !== undefined) >= 0),
+      );
+      found = entries[start];
+      if (found !== undefined && !isBelowUpper(this.range, found.key)) {
+        found = undefined;
+      }
+    } else {
+      const end = Math.min(
+        bisect(entries, (entry) => !isBelowUpper(this.range, entry.key)),
+        hasPosition ? bisect(entries, (entry) => compare(entry, position, !unique) >= 0) : entries.length,
+        targetKey === undefined ? entries.length : bisect(entries, (entry) => compare(entry, target, targetPrimaryKey !== undefined) > 0),
+      ) - 1;
+      found = entries[end];
+      if (found !== undefined && !isAboveLower(this.range, found.key)) {
+        found = undefined;
+      }
+      if (found !== undefined && unique) {
+        // A unique cursor delivers the first record of each key, whichever the direction.
+        found = entries[bisect(entries, (entry) => compareValidKeys(entry.key, found.key) >= 0)];
+      }
+    }
+
+    if (found === undefined) {
+      this.key = undefined;
+      this.primaryKey = undefined;
+      this.gotValue = false;
+      return null;
+    }
+    this.key = found.key;
+    this.primaryKey = this.source.primaryKeyOf(found);
+    if (this.withValue) {
+      this.value = this.source.valueOf(found);
+    }
+    this.gotValue = true;
+    return this;
+  }
+
+  /**
+   * Throws the error IndexedDB reports when the cursor cannot move.
+   */
+  assertMovable() {
+    this.source.transaction.assertActive();
+    if (!this.gotValue) {
+      throw domError('InvalidStateError', 'The cursor is being iterated or has reached its end.');
+    }
+  }
+
+  /**
+   * Moves to the next record, or to the next record at or past a key.
+   * @param {*} [key] - The key to move to.
+   */
+  continue(key = undefined) {
+    this.assertMovable();
+    if (key !== undefined) {
+      assertKey(key);
+      const order = compareValidKeys(key, this.key);
+      if (this.direction.startsWith('next') ? order <= 0 : order >= 0) {
+        throw domError('DataError', 'The key is not past the position of the cursor.');
+      }
+    }
+    this.gotValue = false;
+    this.source.transaction.enqueue(this.request, () => this.move(key));
+  }
+
+  /**
+   * Moves to the next record at or past a key and primary key, for an index cursor.
+   * @param {*} key - The key.
+   * @param {*} primaryKey - The primary key.
+   */
+  continuePrimaryKey(key, primaryKey) {
+    this.assertMovable();
+    if (!(this.source instanceof MemoryIndex) || this.direction.endsWith('unique')) {
+      throw domError('InvalidAccessError', 'continuePrimaryKey needs an index cursor that is not unique.');
+    }
+    assertKey(key);
+    assertKey(primaryKey);
+    const order = compareEntries({ key, primaryKey }, { key: this.key, primaryKey: this.primaryKey });
+    if (this.direction === 'next' ? order <= 0 : order >= 0) {
+      throw domError('DataError', 'The key is not past the position of the cursor.');
+    }
+    this.gotValue = false;
+    this.source.transaction.enqueue(this.request, () => this.move(key, primaryKey));
+  }
+
+  /**
+   * Moves forward by a number of records.
+   * @param {number} count - The number of records.
+   */
+  advance(count) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new TypeError('The count must be a positive integer.');
+    }
+    this.assertMovable();
+    this.gotValue = false;
+    this.source.transaction.enqueue(this.request, () => {
+      let result = this;
+      for (let step = 0; step < count && result !== null; step++) {
+        result = this.move();
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Replaces the record at the position of the cursor.
+   * @param {*} value - The new value.
+   * @returns {MemoryRequest} - The request, whose result is the primary key.
+   */
+  update(value) {
+    const objectStore = this.objectStore();
+    const copy = structuredClone(value);
+    const { keyPath } = objectStore.store;
+    if (keyPath !== null) {
+      const key = evaluateKeyPath(copy, keyPath);
+      if (key === undefined || !isValidKey(key) || compareValidKeys(key, this.primaryKey) !== 0) {
+        throw domError('DataError', 'The value does not have the key of the record at the cursor.');
+      }
+    }
+    const { primaryKey } = this;
+    return this.source.transaction.enqueue(new MemoryRequest(this, this.source.transaction), () => {
+      objectStore.writeRecord(primaryKey, copy, false);
+      return primaryKey;
+    });
+  }
+
+  /**
+   * Deletes the record at the position of the cursor.
+   * @returns {MemoryRequest} - The request.
+   */
+  delete() {
+    const objectStore = this.objectStore();
+    const { primaryKey } = this;
+    return this.source.transaction.enqueue(new MemoryRequest(this, this.source.transaction), () => {
+      objectStore.removeRecord(primaryKey);
+      return undefined;
+    });
+  }
+
+  /**
+   * Returns the object store of the cursor, for a write at its position.
+   * @returns {MemoryObjectStore} - The object store.
+   */
+  objectStore() {
+    this.source.transaction.assertActive(true);
+    if (!this.gotValue || !this.withValue) {
+      throw domError('InvalidStateError', 'The cursor is not on a record it can change.');
+    }
+    return this.source instanceof MemoryIndex ? this.source.objectStore : this.source;
+  }
+}
+
+/**
+ * A set of in-memory databases, like IDBFactory.
+ */
+class MemoryFactory {
+  /**
+   * Creates a factory without databases.
+   */
+  constructor() {
+    /** @type {Map<string, DatabaseState>} */
+    this.states = new Map();
+    /** @type {Map<string, Array<function(function): void>>} */
+    this.queues = new Map();
+  }
+
+  /**
+   * Opens a connection, upgrading the database when a higher version is requested.
+   * @param {string} name - The name of the database.
+   * @param {number} [version] - The version; defaults to the current version, or 1.
+   * @returns {MemoryOpenRequest} - The request, whose result is the connection.
+   */
+  open(name, version = undefined) {
+    if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+      throw new TypeError('The version must be a positive integer.');
+    }
+    const request = new MemoryOpenRequest();
+    this.enqueue(String(name), (done) => this.runOpen(request, String(name), version, done));
+    return request;
+  }
+
+  /**
+   * Deletes a database once its connections are closed.
+   * @param {string} name - The name of the database.
+   * @returns {MemoryOpenRequest} - The request.
+   */
+  deleteDatabase(name) {
+    const request = new MemoryOpenRequest();
+    this.enqueue(String(name), (done) => {
+      const state = this.states.get(String(name));
+      if (state === undefined) {
+        request.succeed(undefined, { oldVersion: 0, newVersion: null });
+        done();
+        return;
+      }
+      this.closeOthers(state, request, null, () => state.whenIdle(() => {
+        this.states.delete(state.name);
+        request.succeed(undefined, { oldVersion: state.version, newVersion: null });
+        done();
+      }));
+    });
+    return request;
+  }
+
+  /**
+   * Compares two keys.
+   * @param {*} first - The first key.
+   * @param {*} second - The second key.
+   * @returns {number} - -1, 0 or 1.
+   */
+  cmp(first, second) {
+    return compareKeys(first, second);
+  }
+
+  /**
+   * Lists the databases.
+   * @returns {Promise<Array<{name: string, version: number}>>} - The names and versions.
+   */
+  async databases() {
+    return [...this.states.values()]
+      .filter((state) => state.version > 0)
+      .map(({ name, version }) => ({ name, version }));
+  }
+
+  /**
+   * Runs the opens and deletes of a database one after the other.
+   * @param {string} name - The name of the database.
+   * @param {function(function): void} job - Runs a request, and calls its argument once it is done.
+   */
+  enqueue(name, job) {
+    const queue = this.queues.get(name) ?? [];
+    this.queues.set(name, queue);
+    queue.push(job);
+    if (queue.length > 1) {
+      return;
+    }
+    const runNext = () => queueTask(() => queue[0](() => {
+      queue.shift();
+      if (queue.length > 0) {
+        runNext();
+      } else {
+        this.queues.delete(name);
+      }
+    }));
+    runNext();
+  }
+
+  /**
+   * Opens a connection.
+   * @param {MemoryOpenRequest} request - The request.
+   * @param {string} name - The name of the database.
+   * @param {number|undefined} version - The requested version.
+   * @param {function} done - Called once the request is done.
+   */
+  runOpen(request, name, version, done) {
+    const existing = this.states.get(name);
+    const oldVersion = existing?.version ?? 0;
+    const newVersion = version ?? Math.max(oldVersion, 1);
+    if (newVersion < oldVersion) {
+      request.fail(domError('VersionError', `The requested version (${newVersion}) is less than the existing version (${oldVersion}).`));
+      done();
+      return;
+    }
+
+    const state = existing ?? new DatabaseState(name);
+    this.states.set(name, state);
+    if (newVersion === oldVersion) {
+      const db = new MemoryDatabase(state);
+      state.connections.add(db);
+      request.succeed(db);
+      done();
+      return;
+    }
+
+    this.closeOthers(state, request, newVersion, () => this.runUpgrade(request, state, oldVersion, newVersion, done));
+  }
+
+  /**
+   * Runs the upgrade transaction of an open request.
+   * @param {MemoryOpenRequest} request - The request.
+   * @param {DatabaseState} state - The database.
+   * @param {number} oldVersion - The current version.
+   * @param {number} newVersion - The requested version.
+   * @param {function} done - Called once the request is done.
+   */
+  runUpgrade(request, state, oldVersion, newVersion, done) {
+    const db = new MemoryDatabase(state);
+    state.connections.add(db);
+    const upgrade = new MemoryTransaction(db, [], 'versionchange');
+    db.upgrade = upgrade;
+    state.version = newVersion;
+    db.version = newVersion;
+    upgrade.record(() => {
+      state.version = oldVersion;
+      db.version = oldVersion;
+    });
+
+    request.result = db;
+    request.transaction = upgrade;
+    request.readyState = 'done';
+    upgrade.onstart = () => {
+      if (!dispatch(request, createEvent('upgradeneeded', request, { oldVersion, newVersion }))) {
+        upgrade.finish(domError('AbortError', 'An exception was thrown by an upgradeneeded event handler.'));
+      }
+    };
+    upgrade.onfinish = (committed) => {
+      db.upgrade = null;
+      request.transaction = null;
+      if (committed) {
+        request.succeed(db);
+      } else {
+        db.close();
+        if (oldVersion === 0) {
+          // A database created by an aborted upgrade does not exist.
+          this.states.delete(state.name);
+        }
+        request.fail(domError('AbortError', 'The upgrade transaction was aborted.'));
+      }
+      done();
+    };
+    state.transactions.push(upgrade);
+    state.startTransactions();
+  }
+
+  /**
+   * Asks the other connections to close, reports that the request is blocked if they do not, and proceeds
+   * once they are all closed.
+   * @param {DatabaseState} state - The database.
+   * @param {MemoryOpenRequest} request - The open or delete request.
+   * @param {number|null} newVersion - The requested version, or null for a delete.
+   * @param {function} proceed - Called once every connection is closed.
+   */
+  closeOthers(state, request, newVersion, proceed) {
+    const oldVersion = state.version;
+    [...state.connections]
+      .filter((db) => !db.closed)
+      .forEach((db) => dispatch(db, createEvent('versionchange', db, { oldVersion, newVersion })));
+    if (state.connections.size > 0) {
+      dispatch(request, createEvent('blocked', request, { oldVersion, newVersion }));
+    }
+    state.whenClosed(proceed);
+  }
+}
+
+/**
+ * Creates an in-memory backend: a factory with its own databases, used like the browser's indexedDB.
+ * @returns {MemoryFactory} - The factory.
+ */
+export function createMemoryFactory() {
+  return new MemoryFactory();
+}
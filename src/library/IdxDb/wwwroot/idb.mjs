@@ -1,325 +1,5619 @@
+import { compareKeys, createMemoryFactory, MemoryKeyRange } from './idb-memory.mjs';
+
+/**
+ * A cache to store opened database instances to prevent reopening.
+ * @type {Map<string, IDBDatabase>}
+ */
+const dbCache = new Map();
+
+/**
+ * The transactions started with beginTransaction, keyed by transaction id.
+ * @type {Map<string, {dbName: string, transaction: IDBTransaction, storeNames: string[], active: boolean, completion: Promise<void>, idleTimeout: number, idleTimer: *}>}
+ */
+const transactions = new Map();
+
+/**
+ * A counter used to generate transaction ids.
+ * @type {number}
+ */
+let transactionCounter = 0;
+
+/**
+ * The record transforms that migrations can refer to by name.
+ * @type {Map<string, function(object, object): (object|undefined)>}
+ */
+const migrationTransforms = new Map();
+
+/**
+ * The key generators that object stores can use, by name. 'guid', 'ulid' and 'timeOrdered' are built in.
+ * @type {Map<string, function(): *>}
+ */
+const keyGenerators = new Map([
+  ['guid', () => crypto.randomUUID()],
+  ['ulid', generateUlid],
+  ['timeOrdered', generateTimeOrderedUuid],
+]);
+
+/**
+ * The handlers notified of connection events, keyed by subscription id.
+ * @type {Map<number, function|object>}
+ */
+const connectionEventHandlers = new Map();
+
+/**
+ * A counter used to generate subscription ids.
+ * @type {number}
+ */
+let subscriptionCounter = 0;
+
+/**
+ * The store change subscriptions, keyed by subscription id.
+ * @type {Map<number, {dbName: string, storeName: string, range: IDBKeyRange|undefined, handler: function|object}>}
+ */
+const storeChangeSubscriptions = new Map();
+
+/**
+ * The changes made by transactions that have not committed yet.
+ * @type {WeakMap<IDBTransaction, Array<object>>}
+ */
+const pendingChanges = new WeakMap();
+
+/**
+ * The channel used to exchange store changes with other tabs, created on first use.
+ * @type {BroadcastChannel|null}
+ */
+let changeChannel = null;
+
+/**
+ * The full-text search definitions, keyed by "dbName/storeName".
+ * @type {Map<string, {fields: string[], prefixLength: number}>}
+ */
+const searchIndexes = new Map();
+
+/**
+ * The history policies, keyed by "dbName/storeName".
+ * @type {Map<string, {softDelete: boolean, deletedField: string, maxRevisions: number|null, maxAge: number|null}>}
+ */
+const historyPolicies = new Map();
+
+/**
+ * The relations of child object stores to their parent stores, keyed by "dbName/storeName" of the child.
+ * @type {Map<string, Array<{dbName: string, storeName: string, field: string, references: string, onDelete: string}>>}
+ */
+const storeRelations = new Map();
+
+/**
+ * The names of the key generators of object stores, keyed by "dbName/storeName".
+ * @type {Map<string, string>}
+ */
+const storeKeyGenerators = new Map();
+
+/**
+ * The time-to-live policies, keyed by "dbName/storeName".
+ * @type {Map<string, {ttl: number, field: string, timer: *}>}
+ */
+const expiryPolicies = new Map();
+
+/**
+ * The encryption keys, keyed by key id.
+ * @type {Map<string, {encryptionKey: CryptoKey, hmacKey: CryptoKey|null}>}
+ */
+const encryptionKeys = new Map();
+
+/**
+ * The encryption policies, keyed by "dbName/storeName".
+ * @type {Map<string, {keyId: string, fields: string[]|null, plaintext: Set<string>, hashed: string[], hashedIndexes: Map<string, string>}>}
+ */
+const encryptionPolicies = new Map();
+
+/**
+ * The eviction policies applied when a write exceeds the storage quota, keyed by database name.
+ * @type {Map<string, {storeName: string, indexName: string|null, count: number}>}
+ */
+const evictionPolicies = new Map();
+
+/**
+ * The record schemas enforced on writes, keyed by "dbName/storeName".
+ * @type {Map<string, object>}
+ */
+const recordSchemas = new Map();
+
+/**
+ * The sync policies, keyed by database name.
+ * @type {Map<string, {storeNames: string[], endpoint: string, headers: object, conflictStrategy: string, resolver: function|object|null, timer: *, running: Promise<object>|null}>}
+ */
+const syncPolicies = new Map();
+
+/**
+ * The handlers notified of sync progress, keyed by subscription id.
+ * @type {Map<number, function|object>}
+ */
+const syncEventHandlers = new Map();
+
+/**
+ * The storage backends added with registerBackend, and the in-memory backend, keyed by name. The browser's
+ * IndexedDB is the 'indexedDB' backend.
+ * @type {Map<string, IDBFactory|object>}
+ */
+const backends = new Map([['memory', createMemoryFactory()]]);
+
+/**
+ * The backends chosen with useBackend, keyed by database name. Other databases pick one automatically.
+ * @type {Map<string, string>}
+ */
+const backendSelections = new Map();
+
+/**
+ * The backend of each cached connection, keyed by database name.
+ * @type {Map<string, string>}
+ */
+const connectionBackends = new Map();
+
+/**
+ * Whether IndexedDB refused a connection, in which case the automatic choice is the in-memory backend.
+ * @type {boolean}
+ */
+let indexedDbRefused = false;
+
+/**
+ * The hooks that run around record operations, keyed by hook id, in the order they were added.
+ * @type {Map<number, {dbName: string|null, storeName: string|null, operations: string[]|null, before: function|null, after: function|null}>}
+ */
+const operationHooks = new Map();
+
+/**
+ * A counter used to generate hook ids.
+ * @type {number}
+ */
+let hookCounter = 0;
+
+/**
+ * The prefix of the stack line that carries the details of an IndexedDbError to .NET.
+ * @type {string}
+ */
+const errorDetailsPrefix = 'IdxDbError ';
+
+/**
+ * The error the exported functions reject with. Its name is its code (the name of the DOMException it stands
+ * for, such as 'ConstraintError' or 'NotFoundError'), and it records where the failure happened.
+ */
+class IndexedDbError extends Error {
+  /**
+   * Creates an error.
+   * @param {string} code - The error code.
+   * @param {string} message - The message.
+   * @param {object} [details={}] - Where the failure happened.
+   * @param {string|null} [details.dbName] - The name of the database.
+   * @param {string|null} [details.storeName] - The name(s) of the object store(s), separated by commas.
+   * @param {string|null} [details.operation] - The name of the exported function that failed.
+   * @param {*} [details.key] - The key of the offending record.
+   * @param {string|null} [details.missing] - What does not exist, for a NotFoundError ('objectStore' or 'record').
+   * @param {Array<{path: string, keyword: string, message: string}>|null} [details.violations] - The schema
+   * violations, for a ValidationError.
+   * @param {*} [cause] - The original error.
+   */
+  constructor(code, message, {
+    dbName = null, storeName = null, operation = null, key = null, missing = null, violations = null,
+  } = {}, cause = undefined) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = code;
+    this.code = code;
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.operation = operation;
+    this.key = key ?? null;
+    this.missing = missing;
+    this.violations = violations;
+    // Blazor hands a JavaScript error to .NET as its message followed by its stack, so the details travel on a
+    // line of their own at the top of the stack, where IndexedDbInterop reads them.
+    this.stack = `${errorDetailsPrefix}${JSON.stringify(this)}\n${this.stack}`;
+  }
+
+  /**
+   * Returns the serializable form of the error.
+   * @returns {{code: string, message: string, dbName: string|null, storeName: string|null, operation: string|null,
+   * key: *, missing: string|null, violations: Array<object>|null}} - The error details; keys JSON cannot represent
+   * use the snapshot encodings.
+   */
+  toJSON() {
+    let key = null;
+    try {
+      key = encodeValue(this.key);
+    } catch {
+      // Keys are always encodable; anything else is left out.
+    }
+    return {
+      code: this.code,
+      message: this.message,
+      dbName: this.dbName,
+      storeName: this.storeName,
+      operation: this.operation,
+      key,
+      missing: this.missing,
+      violations: this.violations,
+    };
+  }
+}
+
+/**
+ * Turns any error into an IndexedDbError, filling in the details it lacks. The details recorded closest to the
+ * failure win, except for the operation, which names the outermost function the caller invoked.
+ * @param {*} error - The error.
+ * @param {object} [details={}] - What is known about where the failure happened.
+ * @param {object} [details.item] - The record being written, whose key is reported when no key is given.
+ * @returns {IndexedDbError} - The normalized error.
+ */
+function toIndexedDbError(error, { dbName = null, storeName = null, operation = null, key = null, item } = {}) {
+  const inner = error instanceof IndexedDbError ? error : null;
+  const code = typeof error?.name === 'string' && error.name !== 'Error' ? error.name : 'UnknownError';
+  const innerStore = inner?.storeName ?? storeName;
+  return new IndexedDbError(code, error?.message ?? String(error), {
+    dbName: inner?.dbName ?? dbName,
+    storeName: innerStore,
+    operation: operation ?? inner?.operation ?? null,
+    key: inner?.key ?? key ?? (item === undefined ? null : keyOfItem(inner?.dbName ?? dbName, innerStore, item)),
+    missing: inner?.missing ?? null,
+    violations: inner?.violations ?? null,
+  }, inner ? inner.cause : error);
+}
+
+/**
+ * Reads the key of a record being written, for error reports.
+ * @param {string|null} dbName - The name of the database.
+ * @param {string|null} storeName - The name of the object store.
+ * @param {object} item - The record.
+ * @returns {*} - The key, or null if it cannot be determined.
+ */
+function keyOfItem(dbName, storeName, item) {
+  try {
+    const { keyPath } = dbCache.get(dbName).transaction(storeName, 'readonly').objectStore(storeName);
+    return keyPath === null ? null : getKeyPathValue(item, keyPath) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns a rejection handler that normalizes the error with the given details and rethrows it.
+ * @param {object} details - What is known about where the failure happened.
+ * @returns {function(*): never} - The handler.
+ */
+function rethrowAs(details) {
+  return (error) => {
+    throw toIndexedDbError(error, details);
+  };
+}
+
+/**
+ * Creates the error reported when an object store does not exist.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @returns {IndexedDbError} - The error.
+ */
+function objectStoreNotFound(dbName, storeName) {
+  return new IndexedDbError('NotFoundError', `Object store '${storeName}' does not exist in database '${dbName}'.`,
+    { dbName, storeName, missing: 'objectStore' });
+}
+
+/**
+ * Delivers an event to a handler, which is either a JavaScript function or a DotNetObjectReference.
+ * @param {function|object} handler - The handler.
+ * @param {string} methodName - The [JSInvokable] method called on a DotNetObjectReference.
+ * @param {object} payload - The event payload.
+ */
+function notifyHandler(handler, methodName, payload) {
+  try {
+    const result = typeof handler === 'function'
+      ? handler(payload)
+      : handler.invokeMethodAsync(methodName, payload);
+    Promise.resolve(result).catch((error) => console.error(error));
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+/**
+ * Notifies every connection event handler.
+ * @param {object} payload - The event ({ dbName, type, oldVersion, newVersion }).
+ */
+function emitConnectionEvent(payload) {
+  connectionEventHandlers.forEach((handler) => notifyHandler(handler, 'OnConnectionEvent', payload));
+}
+
+/**
+ * Subscribes to connection events: 'versionchange' (another connection wants to upgrade or delete the
+ * database, so the cached connection was closed), 'blocked' (an upgrade or delete is waiting for other
+ * connections to close) and 'close' (the browser closed the connection).
+ * @param {function|object} handler - A function, or a DotNetObjectReference with an OnConnectionEvent method.
+ * @returns {number} - The subscription id to pass to unsubscribeConnectionEvents.
+ */
+export function subscribeConnectionEvents(handler) {
+  const subscriptionId = ++subscriptionCounter;
+  connectionEventHandlers.set(subscriptionId, handler);
+  return subscriptionId;
+}
+
+/**
+ * Removes a subscription created with subscribeConnectionEvents.
+ * @param {number} subscriptionId - The subscription id.
+ * @returns {boolean} - True if the subscription existed.
+ */
+export function unsubscribeConnectionEvents(subscriptionId) {
+  return connectionEventHandlers.delete(subscriptionId);
+}
+
+/**
+ * Closes a connection and removes it from the cache. Transactions started with beginTransaction on the
+ * connection are aborted first, since they would otherwise keep the connection open forever.
+ * @param {string} dbName - The name of the database.
+ * @param {IDBDatabase} [db] - The connection to close; defaults to the cached connection.
+ */
+function closeConnection(dbName, db = dbCache.get(dbName)) {
+  if (!db) {
+    return;
+  }
+
+  transactions.forEach((entry, transactionId) => {
+    if (entry.transaction.db === db) {
+      abortTransaction(transactionId);
+    }
+  });
+
+  db.close();
+  if (dbCache.get(dbName) === db) {
+    dbCache.delete(dbName);
+  }
+}
+
+/**
+ * The names of the errors with which an unusable IndexedDB refuses connections.
+ * @type {string[]}
+ */
+const unavailableErrors = ['InvalidStateError', 'SecurityError', 'UnknownError'];
+
+/**
+ * Adds a storage backend that databases can use with useBackend. A backend is an object with the open,
+ * deleteDatabase and cmp methods of IDBFactory, whose connections behave like IDBDatabase; its requests
+ * receive IDBKeyRange instances (or the in-memory backend's key ranges where the browser has none).
+ * @param {string} backendName - The name of the backend.
+ * @param {IDBFactory|object} factory - The backend.
+ */
+export function registerBackend(backendName, factory) {
+  if (['auto', 'indexedDB', 'memory'].includes(backendName)) {
+    throw new IndexedDbError('DataError', `The storage backend '${backendName}' is built in and cannot be replaced.`,
+      { operation: 'registerBackend' });
+  }
+  if (['open', 'deleteDatabase', 'cmp'].some((method) => typeof factory?.[method] !== 'function')) {
+    throw new IndexedDbError('DataError', 'A storage backend needs open, deleteDatabase and cmp methods.',
+      { operation: 'registerBackend' });
+  }
+  backends.set(backendName, factory);
+}
+
+/**
+ * Chooses the storage backend of a database: 'indexedDB' (the browser's), 'memory' (kept in memory for the
+ * lifetime of the page), a backend added with registerBackend, or 'auto' (the default), which uses IndexedDB
+ * where it is available and memory otherwise. A connection opened with another backend is closed, so that
+ * the next operation opens the database with the chosen one.
+ * @param {string} dbName - The name of the database.
+ * @param {string} backendName - The name of the backend, or 'auto'.
+ */
+export function useBackend(dbName, backendName) {
+  if (backendName !== 'auto' && backendName !== 'indexedDB' && !backends.has(backendName)) {
+    throw new IndexedDbError('NotFoundError', `No storage backend is named '${backendName}'.`,
+      { dbName, operation: 'useBackend' });
+  }
+  if (backendName === 'auto') {
+    backendSelections.delete(dbName);
+  } else {
+    backendSelections.set(dbName, backendName);
+  }
+  if (dbCache.has(dbName) && connectionBackends.get(dbName) !== selectBackend(dbName)) {
+    closeConnection(dbName);
+  }
+}
+
+/**
+ * Reports the storage backend of a database: the one its open connection uses, or the one its next
+ * connection will use.
+ * @param {string} dbName - The name of the database.
+ * @returns {string} - The name of the backend, such as 'indexedDB' or 'memory'.
+ */
+export function getBackend(dbName) {
+  return dbCache.has(dbName) ? connectionBackends.get(dbName) : selectBackend(dbName);
+}
+
+/**
+ * Picks the backend of the next connection to a database.
+ * @param {string} dbName - The name of the database.
+ * @returns {string} - The name of the backend.
+ */
+function selectBackend(dbName) {
+  return backendSelections.get(dbName)
+    ?? (typeof indexedDB === 'undefined' || indexedDB === null || indexedDbRefused ? 'memory' : 'indexedDB');
+}
+
+/**
+ * Returns the factory of a backend.
+ * @param {string} dbName - The name of the database, for error reports.
+ * @param {string} backendName - The name of the backend.
+ * @returns {IDBFactory|object} - The factory.
+ */
+function backendFactory(dbName, backendName) {
+  if (backendName !== 'indexedDB') {
+    return backends.get(backendName);
+  }
+  if (typeof indexedDB === 'undefined' || indexedDB === null) {
+    throw new IndexedDbError('NotSupportedError', 'IndexedDB is not available in this environment.', { dbName });
+  }
+  return indexedDB;
+}
+
+/**
+ * Opens an IndexedDB database and caches the connection. A cached connection is reused unless a higher
+ * version is requested, in which case it is closed and the database is reopened (and upgraded).
+ * The cached connection closes itself when another connection needs to upgrade or delete the database.
+ * @param {string} dbName - The name of the database.
+ * @param {number} [version] - The version number of the database. When omitted, the current version is
+ * opened, or version 1 if the database does not exist yet.
+ * @param {function} [upgradeCallback=null] - Optional callback for handling database upgrades.
+ * @param {object} [options={}] - The connection options.
+ * @param {string|null} [options.backend=null] - The storage backend, chosen as with useBackend; by default the
+ * one chosen earlier, or one picked automatically. When IndexedDB refuses the connection, an automatically
+ * picked backend falls back to memory.
+ * @returns {Promise<IDBDatabase>} - A promise that resolves to the database instance.
+ */
+export async function openIndexedDB(dbName, version = undefined, upgradeCallback = null, { backend = null } = {}) {
+  if (backend !== null) {
+    useBackend(dbName, backend);
+  }
+  const cached = dbCache.get(dbName);
+  if (cached) {
+    if (version === undefined || version === null || cached.version >= version) {
+      return cached;
+    }
+    closeConnection(dbName, cached);
+  }
+
+  const backendName = selectBackend(dbName);
+  return connect(dbName, version, upgradeCallback, backendName, backendName === 'indexedDB' && !backendSelections.has(dbName));
+}
+
+/**
+ * Opens a connection with a backend and caches it.
+ * @param {string} dbName - The name of the database.
+ * @param {number|undefined|null} version - The version number, or undefined/null for the current version.
+ * @param {function|null} upgradeCallback - The callback handling upgrades.
+ * @param {string} backendName - The name of the backend.
+ * @param {boolean} canFallBack - Whether the in-memory backend is used if IndexedDB refuses the connection.
+ * @returns {Promise<IDBDatabase>} - A promise that resolves to the database instance.
+ */
+function connect(dbName, version, upgradeCallback, backendName, canFallBack) {
+  return new Promise((resolve, reject) => {
+    // Private browsing modes and sandboxed frames can expose an IndexedDB that refuses every connection.
+    const fallBack = (error) => {
+      if (!canFallBack || !unavailableErrors.includes(error?.name)) {
+        return false;
+      }
+      indexedDbRefused = true;
+      resolve(connect(dbName, version, upgradeCallback, 'memory', false));
+      return true;
+    };
+
+    let request;
+    try {
+      const factory = backendFactory(dbName, backendName);
+      request = version === undefined || version === null
+        ? factory.open(dbName)
+        : factory.open(dbName, version);
+    } catch (error) {
+      if (!fallBack(error)) {
+        reject(error);
+      }
+      return;
+    }
+    let upgradeError = null;
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (upgradeCallback) {
+        // The callback may be asynchronous; a failure aborts the upgrade and is reported instead of the AbortError.
+        const fail = (error) => {
+          upgradeError = error;
+          try {
+            event.target.transaction.abort();
+          } catch {
+            // The upgrade transaction has already finished.
+          }
+        };
+        try {
+          Promise.resolve(upgradeCallback(db, event)).catch(fail);
+        } catch (error) {
+          fail(error);
+        }
+      }
+    };
+
+    request.onblocked = (event) => {
+      emitConnectionEvent({ dbName, type: 'blocked', oldVersion: event.oldVersion, newVersion: event.newVersion });
+    };
+
+    request.onsuccess = (event) => {
+      const db = event.target.result;
+
+      db.onversionchange = (versionEvent) => {
+        closeConnection(dbName, db);
+        emitConnectionEvent({
+          dbName,
+          type: 'versionchange',
+          oldVersion: versionEvent.oldVersion,
+          newVersion: versionEvent.newVersion,
+        });
+      };
+
+      db.onclose = () => {
+        if (dbCache.get(dbName) === db) {
+          dbCache.delete(dbName);
+        }
+        emitConnectionEvent({ dbName, type: 'close', oldVersion: db.version, newVersion: null });
+      };
+
+      dbCache.set(dbName, db);
+      connectionBackends.set(dbName, backendName);
+      resolve(db);
+    };
+
+    request.onerror = (event) => {
+      if (upgradeError === null && fallBack(event.target.error)) {
+        return;
+      }
+      reject(toIndexedDbError(upgradeError ?? event.target.error, { dbName, operation: 'openIndexedDB' }));
+    };
+  });
+}
+
+/**
+ * Upgrades the database schema, adding or modifying object stores and indexes.
+ * @param {string} dbName - The name of the database.
+ * @param {number} newVersion - The new version number for the database.
+ * @param {Array<object>} storeSchemas - An array of store schema definitions. Indexes are described as
+ * { name, keyPath, unique, multiEntry }, where keyPath is a string or an array of strings for a compound index.
+ * A schema can list relations ({ field, references, onDelete }) to declare with defineRelations; an index is
+ * added on each relation field that no index of the schema covers.
+ * @returns {Promise<void>}
+ */
+export async function upgradeDatabase(dbName, newVersion, storeSchemas) {
+  await openIndexedDB(dbName, newVersion, (db, event) => {
+    storeSchemas.forEach((schema) => {
+      const indexes = [...schema.indexes ?? [], ...relationIndexes(schema)];
+      if (!db.objectStoreNames.contains(schema.name)) {
+        const store = db.createObjectStore(schema.name, schema.options);
+        createIndexes(store, indexes);
+      } else if (schema.modify) {
+        // Handle modifications like adding indexes
+        const store = event.target.transaction.objectStore(schema.name);
+        createIndexes(store, indexes.filter((index) => !store.indexNames.contains(index.name)));
+      }
+    });
+  }).catch(rethrowAs({ dbName, operation: 'upgradeDatabase' }));
+
+  storeSchemas
+    .filter((schema) => schema.relations !== undefined)
+    .forEach((schema) => defineRelations(dbName, schema.name, schema.relations));
+}
+
+/**
+ * Creates an index on an object store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {string} indexName - The name of the index to create.
+ * @param {string|string[]} keyPath - The key path, or an array of key paths for a compound index.
+ * @param {boolean|object} [options={}] - The index parameters ({ unique, multiEntry }), or a boolean
+ * telling whether the index should enforce unique values.
+ * @returns {Promise<void>}
+ */
+export async function createIndex(dbName, storeName, indexName, keyPath, options = {}) {
+  const { unique = false, multiEntry = false } = typeof options === 'boolean' ? { unique: options } : options ?? {};
+  const db = await openIndexedDB(dbName);
+  if (!db.objectStoreNames.contains(storeName)) {
+    throw objectStoreNotFound(dbName, storeName);
+  }
+  await upgradeDatabase(dbName, db.version + 1, [
+    {
+      name: storeName,
+      modify: true,
+      indexes: [{ name: indexName, keyPath, unique, multiEntry }],
+    },
+  ]).catch(rethrowAs({ dbName, storeName, operation: 'createIndex' }));
+}
+
+/**
+ * Deletes an index from an object store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {string} indexName - The name of the index to delete.
+ * @returns {Promise<void>}
+ */
+export async function deleteIndex(dbName, storeName, indexName) {
+  const db = await openIndexedDB(dbName);
+  if (!db.objectStoreNames.contains(storeName)) {
+    throw objectStoreNotFound(dbName, storeName);
+  }
+  await openIndexedDB(dbName, db.version + 1, (upgradedDb, event) => {
+    event.target.transaction.objectStore(storeName).deleteIndex(indexName);
+  }).catch(rethrowAs({ dbName, storeName, operation: 'deleteIndex' }));
+}
+
+/**
+ * Registers a record transform that migration steps of type 'transform' can refer to by name.
+ * The transform receives a record and a context ({ storeName, oldVersion, newVersion }) and returns the
+ * new record, or undefined to delete the record. It must be synchronous: the upgrade transaction commits
+ * as soon as it has no pending request.
+ * @param {string} name - The name migrations use to refer to the transform.
+ * @param {function(object, object): (object|undefined)} transform - The transform.
+ */
+export function registerMigrationTransform(name, transform) {
+  migrationTransforms.set(name, transform);
+}
+
+/**
+ * Creates the indexes of an index definition list on an object store.
+ * @param {IDBObjectStore} store - The object store.
+ * @param {Array<object>} [indexes=[]] - The index definitions ({ name, keyPath, unique, multiEntry }).
+ */
+function createIndexes(store, indexes = []) {
+  indexes.forEach((index) => {
+    store.createIndex(index.name, index.keyPath, { unique: !!index.unique, multiEntry: !!index.multiEntry });
+  });
+}
+
+/**
+ * Copies every record of an object store into a newly created store and deletes the original.
+ * Indexes of the original store are recreated on the new one.
+ * @param {IDBDatabase} db - The database being upgraded.
+ * @param {IDBTransaction} transaction - The upgrade transaction.
+ * @param {object} step - The step ({ from, to, options }). Without options the key path and
+ * auto-increment flag of the original store are kept.
+ * @returns {Promise<void>}
+ */
+async function renameStoreByCopy(db, transaction, step) {
+  const source = transaction.objectStore(step.from);
+  const target = db.createObjectStore(step.to, step.options ?? {
+    keyPath: source.keyPath,
+    autoIncrement: source.autoIncrement,
+  });
+
+  Array.from(source.indexNames).forEach((indexName) => {
+    const index = source.index(indexName);
+    target.createIndex(indexName, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+  });
+
+  const writes = [];
+  await walkCursor(source.openCursor(), (cursor) => {
+    writes.push(promisifyRequest(target.keyPath === null
+      ? target.put(cursor.value, cursor.primaryKey)
+      : target.put(cursor.value)));
+  });
+  await Promise.all(writes);
+
+  db.deleteObjectStore(step.from);
+}
+
+/**
+ * Rewrites every record of an object store with a registered transform.
+ * @param {IDBTransaction} transaction - The upgrade transaction.
+ * @param {object} step - The step ({ store, transform }).
+ * @param {object} context - The context passed to the transform.
+ * @returns {Promise<void>}
+ */
+async function transformRecords(transaction, step, context) {
+  const transform = migrationTransforms.get(step.transform);
+  if (!transform) {
+    throw new Error(`No migration transform is registered under the name '${step.transform}'.`);
+  }
+
+  const writes = [];
+  await walkCursor(transaction.objectStore(step.store).openCursor(), (cursor) => {
+    const record = transform(cursor.value, { ...context, storeName: step.store });
+    writes.push(promisifyRequest(record === undefined ? cursor.delete() : cursor.update(record)));
+  });
+  await Promise.all(writes);
+}
+
+/**
+ * Applies a single migration step inside the upgrade transaction.
+ * @param {IDBDatabase} db - The database being upgraded.
+ * @param {IDBTransaction} transaction - The upgrade transaction.
+ * @param {object} step - The migration step.
+ * @param {object} context - The migration context ({ oldVersion, newVersion }).
+ * @returns {Promise<void>}
+ */
+async function applyMigrationStep(db, transaction, step, context) {
+  switch (step.type) {
+    case 'createStore':
+      createIndexes(db.createObjectStore(step.name, step.options), step.indexes);
+      break;
+    case 'deleteStore':
+      db.deleteObjectStore(step.name);
+      break;
+    case 'createIndex':
+      createIndexes(transaction.objectStore(step.store), [step]);
+      break;
+    case 'deleteIndex':
+      transaction.objectStore(step.store).deleteIndex(step.name);
+      break;
+    case 'renameStore':
+      await renameStoreByCopy(db, transaction, step);
+      break;
+    case 'transform':
+      await transformRecords(transaction, step, context);
+      break;
+    default:
+      throw new Error(`Unknown migration step type '${step.type}'.`);
+  }
+}
+
+/**
+ * Brings a database up to the highest version of a list of migrations. Every migration whose version is
+ * above the version currently on disk is applied in ascending order, inside the single upgrade transaction,
+ * so a database several versions behind is upgraded in one go and a failing step leaves it untouched.
+ * @param {string} dbName - The name of the database.
+ * @param {Array<{version: number, steps: Array<object>}>} migrations - The migrations. Each step has a type
+ * ('createStore', 'deleteStore', 'createIndex', 'deleteIndex', 'renameStore' or 'transform') and the
+ * properties that type needs.
+ * @returns {Promise<number>} - A promise that resolves to the version of the database after the migration.
+ */
+export async function migrateDatabase(dbName, migrations) {
+  const ordered = [...migrations].sort((a, b) => a.version - b.version);
+  const targetVersion = ordered.length > 0 ? ordered[ordered.length - 1].version : 1;
+
+  const db = await openIndexedDB(dbName, targetVersion, async (upgradingDb, event) => {
+    const transaction = event.target.transaction;
+    const context = { oldVersion: event.oldVersion, newVersion: event.newVersion };
+
+    for (const migration of ordered) {
+      if (migration.version <= event.oldVersion || migration.version > event.newVersion) {
+        continue;
+      }
+      for (const step of migration.steps ?? []) {
+        await applyMigrationStep(upgradingDb, transaction, step, context);
+      }
+    }
+  }).catch(rethrowAs({ dbName, operation: 'migrateDatabase' }));
+  return db.version;
+}
+
+/**
+ * Closes the cached connection to a database. The next operation on the database reopens it.
+ * @param {string} dbName - The name of the database.
+ * @returns {boolean} - True if a connection was open.
+ */
+export function closeDatabase(dbName) {
+  const wasOpen = dbCache.has(dbName);
+  closeConnection(dbName);
+  return wasOpen;
+}
+
+/**
+ * Deletes a database. The cached connection is closed first; connections held by other tabs are asked to
+ * close through their versionchange event, and a 'blocked' connection event is emitted while they do not.
+ * @param {string} dbName - The name of the database.
+ * @returns {Promise<boolean>} - A promise that resolves to true once the database has been deleted.
+ */
+export async function deleteDatabase(dbName) {
+  closeConnection(dbName);
+
+  return new Promise((resolve, reject) => {
+    const request = backendFactory(dbName, getBackend(dbName)).deleteDatabase(dbName);
+
+    request.onblocked = (event) => {
+      emitConnectionEvent({ dbName, type: 'blocked', oldVersion: event.oldVersion, newVersion: null });
+    };
+    request.onsuccess = () => resolve(true);
+    request.onerror = (event) => reject(toIndexedDbError(event.target.error, { dbName, operation: 'deleteDatabase' }));
+  });
+}
+
+/**
+ * Lists the databases of every storage backend that can enumerate them: the browser's IndexedDB through
+ * indexedDB.databases(), the in-memory backend, and the backends added with registerBackend that have a
+ * databases method. A backend that refuses to list its databases is skipped.
+ * @returns {Promise<Array<{name: string, version: number, backend: string}>>} - A promise that resolves to the
+ * databases.
+ */
+export async function listDatabases() {
+  const sources = [['indexedDB', typeof indexedDB === 'undefined' ? null : indexedDB], ...backends];
+  const lists = await Promise.all(sources.map(async ([backend, factory]) => {
+    if (typeof factory?.databases !== 'function') {
+      return [];
+    }
+    try {
+      return (await factory.databases()).map(({ name, version }) => ({ name, version, backend }));
+    } catch (error) {
+      if (unavailableErrors.includes(error?.name)) {
+        return [];
+      }
+      throw toIndexedDbError(error, { operation: 'listDatabases' });
+    }
+  }));
+  return lists.flat();
+}
+
+/**
+ * Describes the schema of a database: its version and backend, and for each object store its key path,
+ * auto-increment flag, record count and indexes. The database is opened, at version 1 if it does not exist.
+ * @param {string} dbName - The name of the database.
+ * @returns {Promise<{name: string, version: number, backend: string, stores: Array<object>}>} - A promise that
+ * resolves to the description; each store is { name, keyPath, autoIncrement, count, indexes } and each index
+ * { name, keyPath, unique, multiEntry }.
+ */
+export async function describeDatabase(dbName) {
+  const db = await openIndexedDB(dbName);
+  const description = { name: dbName, version: db.version, backend: getBackend(dbName), stores: [] };
+  const names = Array.from(db.objectStoreNames);
+  if (names.length === 0) {
+    return description;
+  }
+
+  description.stores = await runInTransaction({ dbName, operation: 'describeDatabase' }, names, 'readonly', null, (transaction) =>
+    Promise.all(names.map(async (storeName) => {
+      const store = transaction.objectStore(storeName);
+      return {
+        name: storeName,
+        keyPath: store.keyPath,
+        autoIncrement: store.autoIncrement,
+        count: await promisifyRequest(store.count()),
+        indexes: Array.from(store.indexNames, (indexName) => {
+          const index = store.index(indexName);
+          return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+        }),
+      };
+    })));
+  return description;
+}
+
+/**
+ * Reads the first records of an object store in key order, as they are stored: encrypted fields stay
+ * encrypted and expired records are included.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {number} [count=10] - The maximum number of records to read.
+ * @returns {Promise<Array<{key: *, value: *}>>} - A promise that resolves to the records and their keys.
+ */
+export async function sampleRecords(dbName, storeName, count = 10) {
+  return runInTransaction({ dbName, operation: 'sampleRecords' }, storeName, 'readonly', null, async (transaction) => {
+    const store = transaction.objectStore(storeName);
+    const [keys, values] = await Promise.all([
+      promisifyRequest(store.getAllKeys(null, count)),
+      promisifyRequest(store.getAll(null, count)),
+    ]);
+    return keys.map((key, i) => ({ key, value: values[i] }));
+  });
+}
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request - The request to wrap.
+ * @returns {Promise<*>} - A promise that resolves to the request result.
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Creates a promise that settles when a transaction completes or aborts.
+ * @param {IDBTransaction} transaction - The transaction to observe.
+ * @returns {Promise<void>} - A promise that resolves on complete and rejects on abort.
+ */
+function transactionCompletion(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error ?? new IndexedDbError('AbortError', 'The transaction was aborted.'));
+  });
+}
+
+/**
+ * Looks up a transaction started with beginTransaction.
+ * @param {string} transactionId - The id returned by beginTransaction.
+ * @param {string} dbName - The name of the database the caller expects the transaction to belong to.
+ * @returns {IDBTransaction} - The transaction.
+ */
+function getTransaction(transactionId, dbName) {
+  const entry = transactions.get(transactionId);
+  if (!entry) {
+    throw new IndexedDbError('InvalidStateError', `No open transaction with id '${transactionId}'.`);
+  }
+  if (entry.dbName !== dbName) {
+    throw new IndexedDbError('InvalidStateError', `Transaction '${transactionId}' belongs to database '${entry.dbName}', not '${dbName}'.`);
+  }
+  resetIdleTimer(transactionId, entry);
+  return entry.transaction;
+}
+
+/**
+ * Restarts the countdown after which a transaction started with beginTransaction is aborted for lack of use.
+ * @param {string} transactionId - The id returned by beginTransaction.
+ * @param {object} entry - The transaction entry.
+ */
+function resetIdleTimer(transactionId, entry) {
+  clearTimeout(entry.idleTimer);
+  entry.idleTimer = entry.idleTimeout > 0
+    ? setTimeout(() => abortTransaction(transactionId), entry.idleTimeout)
+    : null;
+}
+
+/**
+ * Runs an operation inside a transaction. When a transaction id is given the operation joins that
+ * transaction and resolves as soon as its own requests succeed; otherwise a new transaction is created
+ * and the returned promise only resolves once it has committed. A failing operation aborts the
+ * transaction, so that none of the requests it already issued are kept, and rejects with an IndexedDbError.
+ * @param {{dbName: string, operation: string, key?: *, item?: object}} context - The database, and the name of
+ * the exported function with the key or record it works on, which are reported when the operation fails.
+ * @param {string|string[]} storeNames - The name(s) of the object store(s) the operation touches.
+ * @param {string} mode - The transaction mode ('readonly' or 'readwrite').
+ * @param {string|null} transactionId - The id of a transaction started with beginTransaction, or null.
+ * @param {function(IDBTransaction): Promise<*>|*} operation - The operation to run.
+ * @returns {Promise<*>} - A promise that resolves to the result of the operation.
+ */
+async function runInTransaction(context, storeNames, mode, transactionId, operation) {
+  const { dbName } = context;
+  const run = async (transaction) => {
+    try {
+      return await operation(transaction);
+    } catch (error) {
+      try {
+        transaction.abort();
+      } catch {
+        // The transaction has already aborted.
+      }
+      throw error;
+    }
+  };
+
+  try {
+    if (transactionId != null) {
+      return await run(getTransaction(transactionId, dbName));
+    }
+
+    const db = await openIndexedDB(dbName);
+    const missing = [].concat(storeNames).find((name) => !db.objectStoreNames.contains(name));
+    if (missing !== undefined) {
+      throw objectStoreNotFound(dbName, missing);
+    }
+    const names = withCompanionStores(dbName, storeNames);
+    const transaction = db.transaction(names, mode);
+    // Operations on encrypted stores await WebCrypto between requests, which must not let the transaction commit.
+    const entry = { transaction, storeNames: [].concat(names), active: isEncrypted(dbName, storeNames) };
+    keepAlive(entry);
+    const [result] = await Promise.all([
+      run(transaction).finally(() => {
+        entry.active = false;
+      }),
+      transactionCompletion(transaction),
+    ]);
+    publishChanges(transaction);
+    return result;
+  } catch (error) {
+    throw toIndexedDbError(error, { ...context, storeName: [].concat(storeNames).join(', ') });
+  }
+}
+
+/**
+ * Reads the value at a key path of a record: a property name (possibly dotted), or an array of them.
+ * @param {object} value - The record.
+ * @param {string|string[]|null} keyPath - The key path.
+ * @returns {*} - The value at the key path, or undefined if the record does not have it.
+ */
+function getKeyPathValue(value, keyPath) {
+  if (keyPath === null || keyPath === undefined || value === null || typeof value !== 'object') {
+    return undefined;
+  }
+  if (Array.isArray(keyPath)) {
+    return keyPath.map((path) => getKeyPathValue(value, path));
+  }
+  return keyPath === '' ? value : keyPath.split('.').reduce((current, name) => current?.[name], value);
+}
+
+/**
+ * Issues one write request per entry and waits for all of them. By default the first failure rejects
+ * (and aborts the transaction). In continue-on-error mode failures are prevented from aborting the
+ * transaction and every entry is reported as { index, key, success, error }, where error is the name of
+ * the DOMException.
+ * @param {Array<*>} entries - The items or keys to write.
+ * @param {function(*, number): IDBRequest} issue - Issues the request for an entry, given with its index.
+ * @param {function(*): *} keyOf - Returns the key of an entry, used when the request does not report one.
+ * @param {{continueOnError: boolean}|null} options - The bulk write options, null for the defaults.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the per-entry report.
+ */
+function writeEach(entries, issue, keyOf, options) {
+  const continueOnError = options?.continueOnError ?? false;
+  return Promise.all(entries.map((entry, index) => {
+    let request;
+    try {
+      request = issue(entry, index);
+    } catch (error) {
+      // Invalid keys and values are rejected synchronously, before a request exists.
+      if (!continueOnError) {
+        return Promise.reject(toIndexedDbError(error, { key: keyOf(entry) }));
+      }
+      return { index, key: keyOf(entry) ?? null, success: false, error: error.name };
+    }
+
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve({ index, key: request.result ?? keyOf(entry), success: true, error: null });
+      request.onerror = (event) => {
+        if (!continueOnError) {
+          reject(toIndexedDbError(request.error, { key: keyOf(entry) }));
+          return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        resolve({ index, key: keyOf(entry) ?? null, success: false, error: request.error.name });
+      };
+    });
+  }));
+}
+
+/**
+ * Queues the change notification for the successful entries of a bulk write and builds its result.
+ * @param {IDBTransaction} transaction - The transaction of the bulk write.
+ * @param {{dbName: string, storeName: string, type: string}} change - The change, without its keys.
+ * @param {Array<object>} report - The per-entry report returned by writeEach.
+ * @param {{continueOnError: boolean}|null} options - The bulk write options, null for the defaults.
+ * @returns {boolean|Array<object>} - True, or the report in continue-on-error mode.
+ */
+function completeBulkWrite(transaction, change, report, options) {
+  const keys = report.filter((entry) => entry.success).map((entry) => entry.key);
+  if (keys.length > 0) {
+    queueChange(transaction, { ...change, keys });
+  }
+  return options?.continueOnError ? report : true;
+}
+
+/**
+ * Checks the version an item was read at against the stored one and returns the item with the next version.
+ * A missing version counts as null, so an item without a version only matches a record that was never
+ * versioned (or a new item), and the first versioned write stores version 1.
+ * @param {string} storeName - The name of the object store, for the error message.
+ * @param {*} key - The key of the item, for the error message.
+ * @param {object} item - The item about to be written.
+ * @param {object|undefined} existing - The stored record, or undefined when there is none.
+ * @param {string} versionField - The property holding the version.
+ * @returns {object} - A copy of the item with the incremented version.
+ * @throws {IndexedDbError} - A VersionConflictError when the versions differ.
+ */
+function applyVersion(storeName, key, item, existing, versionField) {
+  const expected = item[versionField] ?? null;
+  const actual = existing?.[versionField] ?? null;
+  if (expected !== actual) {
+    throw new IndexedDbError('VersionConflictError',
+      `Version conflict in object store '${storeName}' for key ${JSON.stringify(key ?? null)}: expected version ${expected}, found ${actual}.`,
+      { storeName, key });
+  }
+  return { ...item, [versionField]: (actual ?? 0) + 1 };
+}
+
+/**
+ * Walks a cursor request, calling a visitor for each record. After the visitor returns, the cursor is
+ * moved to the next record unless the visitor returned false (stop walking) or true (the visitor has
+ * already moved the cursor itself, e.g. with continue(key) or continuePrimaryKey). A visitor may also
+ * return a promise of one of these outcomes, e.g. to decrypt the record first; the transaction must then be
+ * kept alive while it settles.
+ * @param {IDBRequest} request - The request returned by openCursor or openKeyCursor.
+ * @param {function(IDBCursor): (boolean|void|Promise<boolean|void>)} visit - The visitor.
+ * @returns {Promise<void>} - A promise that resolves once the walk has stopped or the cursor is exhausted.
+ */
+function walkCursor(request, visit) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const advance = (outcome) => {
+        if (outcome === false) {
+          resolve();
+        } else if (outcome !== true) {
+          cursor.continue();
+        }
+      };
+      try {
+        const outcome = visit(cursor);
+        if (typeof outcome?.then === 'function') {
+          outcome.then(advance).catch(reject);
+        } else {
+          advance(outcome);
+        }
+      } catch (error) {
+        reject(error);
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Tells whether a value is a serializable key range descriptor rather than a key. Plain objects are never
+ * valid IndexedDB keys, so any plain object is treated as a descriptor.
+ * @param {*} value - The value to inspect.
+ * @returns {boolean} - True if the value is a range descriptor.
+ */
+function isRangeDescriptor(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Returns the class that creates key ranges: the browser's IDBKeyRange, which every backend accepts, or the
+ * in-memory backend's where the browser has none.
+ * @returns {typeof IDBKeyRange} - The key range class.
+ */
+function keyRanges() {
+  return typeof IDBKeyRange === 'undefined' ? MemoryKeyRange : IDBKeyRange;
+}
+
+/**
+ * Converts a serializable range descriptor into an IDBKeyRange. A descriptor is either
+ * { only }, { prefix } or any combination of { lower, upper, lowerOpen, upperOpen }. A prefix is the
+ * leading part of a compound key: { prefix: [tenantId] } matches every [tenantId, ...] key. Keys,
+ * IDBKeyRange instances and null/undefined are returned unchanged.
+ * @param {object|*} descriptor - The range descriptor, key or IDBKeyRange.
+ * @returns {IDBKeyRange|*} - The key range, or the input if it was not a descriptor.
+ */
+function toKeyRange(descriptor) {
+  if (!isRangeDescriptor(descriptor)) {
+    return descriptor ?? undefined;
+  }
+
+  const { only, prefix, lower, upper, lowerOpen = false, upperOpen = false } = descriptor;
+  if (only !== undefined && only !== null) {
+    return keyRanges().only(only);
+  }
+  if (Array.isArray(prefix)) {
+    // An empty array sorts after every other key component.
+    return keyRanges().bound(prefix, [...prefix, []]);
+  }
+
+  const hasLower = lower !== undefined && lower !== null;
+  const hasUpper = upper !== undefined && upper !== null;
+  if (hasLower && hasUpper) {
+    return keyRanges().bound(lower, upper, lowerOpen, upperOpen);
+  }
+  if (hasLower) {
+    return keyRanges().lowerBound(lower, lowerOpen);
+  }
+  if (hasUpper) {
+    return keyRanges().upperBound(upper, upperOpen);
+  }
+  return undefined;
+}
+
+/**
+ * Encodes bytes as a base64 string.
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} - The base64 string.
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string into bytes.
+ * @param {string} base64 - The base64 string to decode.
+ * @returns {Uint8Array} - The decoded bytes.
+ */
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * The typed arrays that encodeValue can represent, keyed by constructor name.
+ * @type {Object<string, function>}
+ */
+const typedArrayTypes = {
+  Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+  Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array, BigUint64Array,
+};
+
+/**
+ * Converts a value into a JSON-safe representation. Values JSON cannot represent directly (Date, ArrayBuffer,
+ * typed arrays, DataView, Blob, Map, Set, NaN and infinities) become { $type, ... } objects; plain objects that
+ * happen to have a $type property are escaped.
+ * Blob contents can only be read asynchronously: each Blob is encoded as a placeholder that is pushed onto
+ * the blobs array together with the Blob, and the caller fills in the placeholders (see encodeBlobs).
+ * @param {*} value - The value to encode.
+ * @param {Array<{placeholder: object, blob: Blob}>} [blobs] - Collects the Blobs to read; Blobs are rejected when omitted.
+ * @returns {*} - The JSON-safe representation.
+ */
+function encodeValue(value, blobs) {
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return { $type: 'Number', value: String(value) };
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => encodeValue(item, blobs));
+  }
+
+  // Type tags rather than instanceof, so that values cloned in another realm are recognized too.
+  const type = Object.prototype.toString.call(value).slice(8, -1);
+  if (type === 'Date') {
+    return { $type: 'Date', value: Number.isNaN(value.getTime()) ? null : value.toISOString() };
+  }
+  if (type === 'ArrayBuffer') {
+    return { $type: 'ArrayBuffer', base64: toBase64(new Uint8Array(value)) };
+  }
+  if (ArrayBuffer.isView(value)) {
+    return { $type: type, base64: toBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+  }
+  if (type === 'Blob' || type === 'File') {
+    if (!blobs) {
+      throw new IndexedDbError('DataError', 'Blobs cannot be encoded here.');
+    }
+    const placeholder = { $type: 'Blob', mimeType: value.type, base64: null };
+    blobs.push({ placeholder, blob: value });
+    return placeholder;
+  }
+  if (type === 'Map') {
+    return { $type: 'Map', entries: Array.from(value, ([k, v]) => [encodeValue(k, blobs), encodeValue(v, blobs)]) };
+  }
+  if (type === 'Set') {
+    return { $type: 'Set', values: Array.from(value, (item) => encodeValue(item, blobs)) };
+  }
+
+  const encoded = {};
+  Object.entries(value).forEach(([name, item]) => {
+    encoded[name] = encodeValue(item, blobs);
+  });
+  return Object.hasOwn(value, '$type') ? { $type: 'Object', value: encoded } : encoded;
+}
+
+/**
+ * Reads the contents of the Blobs collected by encodeValue into their placeholders.
+ * @param {Array<{placeholder: object, blob: Blob}>} blobs - The Blobs collected by encodeValue.
+ * @returns {Promise<void>}
+ */
+async function encodeBlobs(blobs) {
+  await Promise.all(blobs.map(async ({ placeholder, blob }) => {
+    placeholder.base64 = toBase64(new Uint8Array(await blob.arrayBuffer()));
+  }));
+}
+
+/**
+ * Reverses encodeValue.
+ * @param {*} value - The JSON-safe representation of a value.
+ * @returns {*} - The value.
+ */
+function decodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  switch (value.$type) {
+    case undefined:
+      break;
+    case 'Number':
+      return Number(value.value);
+    case 'Date':
+      return new Date(value.value ?? NaN);
+    case 'ArrayBuffer':
+      return fromBase64(value.base64).buffer;
+    case 'DataView':
+      return new DataView(fromBase64(value.base64).buffer);
+    case 'Blob':
+      return new Blob([fromBase64(value.base64)], { type: value.mimeType });
+    case 'Map':
+      return new Map(value.entries.map(([k, v]) => [decodeValue(k), decodeValue(v)]));
+    case 'Set':
+      return new Set(value.values.map(decodeValue));
+    case 'Object':
+      return decodeObject(value.value);
+    default:
+      if (Object.hasOwn(typedArrayTypes, value.$type)) {
+        return new typedArrayTypes[value.$type](fromBase64(value.base64).buffer);
+      }
+      throw new IndexedDbError('DataError', `Unknown encoded type '${value.$type}'.`);
+  }
+  return decodeObject(value);
+}
+
+/**
+ * Decodes every property of an encoded plain object.
+ * @param {object} value - The encoded object.
+ * @returns {object} - The decoded object.
+ */
+function decodeObject(value) {
+  const decoded = {};
+  Object.entries(value).forEach(([name, item]) => {
+    decoded[name] = decodeValue(item);
+  });
+  return decoded;
+}
+
+/**
+ * Creates an opaque continuation token from a cursor position.
+ * @param {*} key - The cursor key of the last returned record.
+ * @param {*} primaryKey - The primary key of the last returned record.
+ * @returns {string} - The continuation token.
+ */
+function createContinuationToken(key, primaryKey) {
+  const json = JSON.stringify({ k: encodeValue(key), p: encodeValue(primaryKey) });
+  return toBase64(new TextEncoder().encode(json));
+}
+
+/**
+ * Reads a continuation token created by createContinuationToken.
+ * @param {string} token - The continuation token.
+ * @returns {{key: *, primaryKey: *}} - The cursor position stored in the token.
+ */
+function parseContinuationToken(token) {
+  try {
+    const { k, p } = JSON.parse(new TextDecoder().decode(fromBase64(token)));
+    return { key: decodeValue(k), primaryKey: decodeValue(p) };
+  } catch {
+    throw new IndexedDbError('DataError', 'The continuation token is not valid.');
+  }
+}
+
+/**
+ * Records a change made by a transaction, to be published once the transaction commits.
+ * @param {IDBTransaction} transaction - The transaction that made the change.
+ * @param {{dbName: string, storeName: string, type: string, keys: Array}} change - The change.
+ */
+function queueChange(transaction, change) {
+  const changes = pendingChanges.get(transaction);
+  if (changes) {
+    changes.push(change);
+  } else {
+    pendingChanges.set(transaction, [change]);
+  }
+}
+
+/**
+ * Publishes the changes of a committed transaction to the subscribers of this tab and to other tabs.
+ * @param {IDBTransaction} transaction - The committed transaction.
+ */
+function publishChanges(transaction) {
+  const changes = pendingChanges.get(transaction);
+  if (!changes) {
+    return;
+  }
+
+  pendingChanges.delete(transaction);
+  const channel = getChangeChannel();
+  changes.forEach((change) => {
+    dispatchChange({ ...change, remote: false });
+    try {
+      channel?.postMessage(change);
+    } catch (error) {
+      // Keys that cannot be cloned are not broadcast; subscribers of this tab have been notified.
+      console.error(error);
+    }
+  });
+}
+
+/**
+ * Delivers a change to the matching subscriptions of this tab. Subscriptions with a key range only
+ * receive the keys inside their range; a 'clear' change is delivered to every subscription of the store.
+ * @param {{dbName: string, storeName: string, type: string, keys: Array, remote: boolean}} change - The change.
+ */
+function dispatchChange(change) {
+  storeChangeSubscriptions.forEach((subscription) => {
+    if (subscription.dbName !== change.dbName || subscription.storeName !== change.storeName) {
+      return;
+    }
+
+    let keys = change.keys;
+    if (subscription.range && change.type !== 'clear') {
+      keys = keys.filter((key) => subscription.range.includes(key));
+      if (keys.length === 0) {
+        return;
+      }
+    }
+    notifyHandler(subscription.handler, 'OnStoreChanged', { ...change, keys });
+  });
+}
+
+/**
+ * Returns the channel shared with other tabs, creating it on first use.
+ * @returns {BroadcastChannel|null} - The channel, or null where BroadcastChannel is not supported.
+ */
+function getChangeChannel() {
+  if (changeChannel === null && typeof BroadcastChannel !== 'undefined') {
+    changeChannel = new BroadcastChannel('idxdb-store-changes');
+    changeChannel.onmessage = (event) => dispatchChange({ ...event.data, remote: true });
+  }
+  return changeChannel;
+}
+
+/**
+ * Subscribes to the changes committed to an object store, in this tab and in other tabs of the app.
+ * Handlers receive { dbName, storeName, type, keys, remote } where type is 'add', 'update', 'delete'
+ * or 'clear' and remote tells whether the change was made in another tab.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {function|object} handler - A function, or a DotNetObjectReference with an OnStoreChanged method.
+ * @param {object} [range=null] - A range descriptor restricting the keys the subscription is notified about.
+ * @returns {number} - The subscription id to pass to unsubscribeStoreChanges.
+ */
+export function subscribeStoreChanges(dbName, storeName, handler, range = null) {
+  getChangeChannel();
+  const subscriptionId = ++subscriptionCounter;
+  storeChangeSubscriptions.set(subscriptionId, { dbName, storeName, range: toKeyRange(range), handler });
+  return subscriptionId;
+}
+
+/**
+ * Removes a subscription created with subscribeStoreChanges.
+ * @param {number} subscriptionId - The subscription id.
+ * @returns {boolean} - True if the subscription existed.
+ */
+export function unsubscribeStoreChanges(subscriptionId) {
+  return storeChangeSubscriptions.delete(subscriptionId);
+}
+
+/**
+ * The operations whose records the timestamp hook stamps.
+ * @type {string[]}
+ */
+const stampedOperations = ['addOne', 'addMany', 'putMany', 'updateOne', 'upsertOne', 'patchOne'];
+
+/**
+ * Adds a hook that runs around record operations (getOne, getAll, addOne, updateOne, deleteOne and the others).
+ * Both functions receive the call ({ dbName, storeName, operation, payload }), where the payload is what the
+ * operation was given: the record, the records, the key, the keys, the range or the options. The before function
+ * may replace call.payload, or return { result } to skip the operation and resolve with that result instead; an
+ * error it throws fails the operation. The after function also receives the result, the error and the duration
+ * in milliseconds, and may replace call.result.
+ * @param {object} hook - The hook.
+ * @param {string} [hook.dbName=null] - The database to hook, or null for every database.
+ * @param {string} [hook.storeName=null] - The object store to hook, or null for every object store.
+ * @param {string[]} [hook.operations=null] - The operations to hook, or null for every operation.
+ * @param {function(object): *} [hook.before=null] - Runs before the operation, in the order the hooks were added.
+ * @param {function(object): *} [hook.after=null] - Runs after the operation, in the reverse order.
+ * @returns {number} - The hook id to pass to removeHook.
+ */
+export function addHook({ dbName = null, storeName = null, operations = null, before = null, after = null } = {}) {
+  if (typeof before !== 'function' && typeof after !== 'function') {
+    throw new IndexedDbError('DataError', 'A hook needs a before or an after function.');
+  }
+
+  const hookId = ++hookCounter;
+  operationHooks.set(hookId, { dbName, storeName, operations, before, after });
+  return hookId;
+}
+
+/**
+ * Removes a hook added with addHook or one of the built-in hooks.
+ * @param {number} hookId - The hook id.
+ * @returns {boolean} - True if the hook existed.
+ */
+export function removeHook(hookId) {
+  return operationHooks.delete(hookId);
+}
+
+/**
+ * Adds a hook that writes every operation, with its payload, its result and its duration, to console.debug.
+ * @param {object} [options={}] - The databases, object stores and operations to log ({ dbName, storeName, operations }).
+ * @returns {number} - The hook id to pass to removeHook.
+ */
+export function addLoggingHook({ dbName = null, storeName = null, operations = null } = {}) {
+  return addHook({
+    dbName,
+    storeName,
+    operations,
+    after: (call) => {
+      const summary = `[IdxDb] ${call.operation} on '${call.dbName}/${call.storeName}'`;
+      const duration = `${call.duration.toFixed(1)} ms`;
+      if (call.error) {
+        console.debug(`${summary} failed after ${duration}`, call.payload, call.error);
+      } else {
+        console.debug(`${summary} took ${duration}`, call.payload, call.result);
+      }
+    },
+  });
+}
+
+/**
+ * Adds a hook that reports the duration of every operation ({ dbName, storeName, operation, duration, succeeded,
+ * error }) to a handler.
+ * @param {function|object} handler - A function, or a DotNetObjectReference with an OnOperationTimed method.
+ * @param {object} [options={}] - The timing options.
+ * @param {string} [options.dbName=null] - The database to time, or null for every database.
+ * @param {string} [options.storeName=null] - The object store to time, or null for every object store.
+ * @param {string[]} [options.operations=null] - The operations to time, or null for every operation.
+ * @param {number} [options.threshold=0] - The duration in milliseconds below which operations are not reported.
+ * @returns {number} - The hook id to pass to removeHook.
+ */
+export function addTimingHook(handler, { dbName = null, storeName = null, operations = null, threshold = 0 } = {}) {
+  return addHook({
+    dbName,
+    storeName,
+    operations,
+    after: (call) => {
+      if (call.duration >= threshold) {
+        notifyHandler(handler, 'OnOperationTimed', {
+          dbName: call.dbName,
+          storeName: call.storeName,
+          operation: call.operation,
+          duration: call.duration,
+          succeeded: call.error === null,
+          error: call.error ? call.error.code ?? call.error.name : null,
+        });
+      }
+    },
+  });
+}
+
+/**
+ * Adds a hook that reports the plan of every find query ({ dbName, storeName, ...plan }, as returned by explain)
+ * to a handler, to check which index a query uses.
+ * @param {function|object} handler - A function, or a DotNetObjectReference with an OnQueryPlanned method.
+ * @param {object} [options={}] - The hook options.
+ * @param {string} [options.dbName=null] - The database to report, or null for every database.
+ * @param {string} [options.storeName=null] - The object store to report, or null for every object store.
+ * @returns {number} - The hook id to pass to removeHook.
+ */
+export function addQueryPlanHook(handler, { dbName = null, storeName = null } = {}) {
+  return addHook({
+    dbName,
+    storeName,
+    operations: ['find'],
+    after: (call) => {
+      if (call.plan) {
+        notifyHandler(handler, 'OnQueryPlanned', { dbName: call.dbName, storeName: call.storeName, ...call.plan });
+      }
+    },
+  });
+}
+
+/**
+ * Adds a hook that stamps the records written by addOne, addMany, putMany, updateOne, upsertOne and patchOne with
+ * the time of the write. Adds set the created field, unless the record already has one; every write sets the
+ * updated field.
+ * @param {object} [options={}] - The timestamp options.
+ * @param {string} [options.dbName=null] - The database to stamp, or null for every database.
+ * @param {string} [options.storeName=null] - The object store to stamp, or null for every object store.
+ * @param {string|null} [options.createdField='createdAt'] - The field set when a record is added, or null.
+ * @param {string|null} [options.updatedField='updatedAt'] - The field set on every write, or null.
+ * @returns {number} - The hook id to pass to removeHook.
+ */
+export function addTimestampHook({ dbName = null, storeName = null, createdField = 'createdAt', updatedField = 'updatedAt' } = {}) {
+  return addHook({
+    dbName,
+    storeName,
+    operations: stampedOperations,
+    before: (call) => {
+      const now = new Date();
+      const adding = call.operation === 'addOne' || call.operation === 'addMany';
+      const stamp = (record) => {
+        if (record === null || typeof record !== 'object') {
+          return record;
+        }
+        const stamped = { ...record };
+        if (adding && createdField) {
+          stamped[createdField] = record[createdField] ?? now;
+        }
+        if (updatedField) {
+          stamped[updatedField] = now;
+        }
+        return stamped;
+      };
+
+      if (call.operation === 'patchOne') {
+        call.payload = updatedField ? { ...call.payload, changes: { ...call.payload.changes, [updatedField]: now } } : call.payload;
+      } else if (Array.isArray(call.payload)) {
+        call.payload = call.payload.map(stamp);
+      } else {
+        call.payload = stamp(call.payload);
+      }
+    },
+  });
+}
+
+/**
+ * Runs a record operation through the hooks that apply to it: the before hooks in the order they were added,
+ * then the operation, then the after hooks in the reverse order. Errors thrown by an after hook are logged and
+ * do not change the outcome of the operation.
+ * @param {{dbName: string, storeName: string, operation: string}} context - The operation.
+ * @param {*} payload - What the operation was given.
+ * @param {function(*, object|null): Promise<*>} run - Runs the operation with the payload, as left by the before
+ * hooks, and the call the after hooks will see (null when no hook applies), where it can leave details such as a
+ * query plan.
+ * @returns {Promise<*>} - A promise that resolves to the result of the operation.
+ */
+async function withHooks(context, payload, run) {
+  const hooks = [...operationHooks.values()].filter((hook) =>
+    (hook.dbName === null || hook.dbName === context.dbName) &&
+    (hook.storeName === null || hook.storeName === context.storeName) &&
+    (hook.operations === null || hook.operations.includes(context.operation)));
+  if (hooks.length === 0) {
+    return run(payload, null);
+  }
+
+  const call = { ...context, payload, result: undefined, error: null, duration: 0, shortCircuited: false };
+  const startedAt = performance.now();
+  try {
+    for (const hook of hooks) {
+      const outcome = hook.before ? await hook.before(call) : undefined;
+      if (outcome !== null && typeof outcome === 'object' && 'result' in outcome) {
+        call.result = outcome.result;
+        call.shortCircuited = true;
+        break;
+      }
+    }
+  } catch (error) {
+    call.error = toIndexedDbError(error, context);
+  }
+
+  if (call.error === null && !call.shortCircuited) {
+    try {
+      call.result = await run(call.payload, call);
+    } catch (error) {
+      call.error = error;
+    }
+  }
+  call.duration = performance.now() - startedAt;
+
+  for (const hook of hooks.reverse()) {
+    try {
+      await hook.after?.(call);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+  if (call.error !== null) {
+    throw call.error;
+  }
+  return call.result;
+}
+
+/**
+ * Clears all records from an object store. Rejected on a store other stores reference, since it does not apply
+ * the delete rules of the relations.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<boolean>} - A promise that resolves to true if the operation is successful.
+ */
+export async function clearStore(dbName, storeName, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'clearStore' }, null, () => {
+    assertUnreferenced(dbName, storeName, 'clearStore');
+    return runInTransaction({ dbName, operation: 'clearStore' }, storeName, 'readwrite', transactionId, async (transaction) => {
+      await promisifyRequest(transaction.objectStore(storeName).clear());
+      await syncSearchIndex(transaction, dbName, storeName, { type: 'clear' });
+      await recordMutations(transaction, dbName, storeName, 'clear');
+      queueChange(transaction, { dbName, storeName, type: 'clear', keys: [] });
+      return true;
+    });
+  });
+}
+
+/**
+ * Retrieves all items from an object store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<Array>} - A promise that resolves to an array of items.
+ */
+export async function getAll(dbName, storeName, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'getAll' }, null, () =>
+    runInTransaction({ dbName, operation: 'getAll' }, storeName, 'readonly', transactionId, async (transaction) =>
+      withoutHidden(dbName, storeName, await decryptRecords(await promisifyRequest(transaction.objectStore(storeName).getAll())))));
+}
+
+/**
+ * Retrieves all items that match a query on a specific index.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {string} indexName - The name of the index to query.
+ * @param {*} query - The key to match (an array for a compound index), a range descriptor or an IDBKeyRange.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<Array>} - A promise that resolves to an array of matching items.
+ */
+export async function getAllByIndex(dbName, storeName, indexName, query, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'getAllByIndex' }, { indexName, query }, async ({ indexName, query }) => {
+    const storedQuery = await toStoredQuery(dbName, storeName, indexName, query);
+    return runInTransaction({ dbName, operation: 'getAllByIndex' }, storeName, 'readonly', transactionId, async (transaction) => {
+      const index = transaction.objectStore(storeName).index(indexName);
+      return withoutHidden(dbName, storeName, await decryptRecords(await promisifyRequest(index.getAll(toKeyRange(storedQuery)))));
+    });
+  });
+}
+
+/**
+ * Reads one page of records in key order, optionally through an index and restricted to a key range.
+ * The returned continuation token resumes right after the last record of the page, in the same direction.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} [options={}] - The query options.
+ * @param {string} [options.indexName] - The name of the index to read through; the primary key is used when omitted.
+ * @param {object} [options.range] - A range descriptor ({ only } or { lower, upper, lowerOpen, upperOpen }).
+ * @param {string} [options.direction='next'] - The cursor direction ('next', 'prev', 'nextunique' or 'prevunique').
+ * @param {number} [options.limit=50] - The maximum number of records to return.
+ * @param {string} [options.continuationToken] - The token returned with the previous page.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<{items: Array, continuationToken: string|null}>} - A promise that resolves to the page of
+ * records and the token for the next page, which is null when there are no more records.
+ */
+export async function query(dbName, storeName, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'query' }, options, async (options) => {
+    const { indexName, range, direction = 'next', limit = 50, continuationToken } = options ?? {};
+    const resumeFrom = continuationToken ? parseContinuationToken(continuationToken) : null;
+    const sign = direction.startsWith('prev') ? -1 : 1;
+    const unique = direction.endsWith('unique');
+
+    return runInTransaction({ dbName, operation: 'query' }, storeName, 'readonly', transactionId, async (transaction) => {
+      const store = transaction.objectStore(storeName);
+      const source = indexName ? store.index(indexName) : store;
+      const encrypted = isEncrypted(dbName, storeName);
+      const items = [];
+      let last = null;
+      let hasMore = false;
+      let resumed = resumeFrom === null;
+
+      await walkCursor(source.openCursor(toKeyRange(range), direction), (cursor) => {
+        if (!resumed) {
+          // Position of the cursor relative to the token, in the direction of travel.
+          let position = sign * compareKeys(cursor.key, resumeFrom.key);
+          if (position === 0 && indexName && !unique) {
+            position = sign * compareKeys(cursor.primaryKey, resumeFrom.primaryKey);
+          }
+
+          if (position < 0) {
+            if (indexName && !unique) {
+              cursor.continuePrimaryKey(resumeFrom.key, resumeFrom.primaryKey);
+            } else {
+              cursor.continue(resumeFrom.key);
+            }
+            return true;
+          }
+
+          resumed = true;
+          if (position === 0) {
+            return undefined;
+          }
+        }
+
+        // Records are decrypted before the check, since the fields it reads may be encrypted.
+        const take = (record) => {
+          if (isHidden(dbName, storeName, record)) {
+            return undefined;
+          }
+          if (items.length === limit) {
+            hasMore = true;
+            return false;
+          }
+
+          items.push(record);
+          last = { key: cursor.key, primaryKey: cursor.primaryKey };
+          return undefined;
+        };
+        return encrypted ? decryptRecord(cursor.value).then(take) : take(cursor.value);
+      });
+
+      return {
+        items,
+        continuationToken: hasMore && last ? createContinuationToken(last.key, last.primaryKey) : null,
+      };
+    });
+  });
+}
+
+/**
+ * The operators of the where clause of find, with how each one tests the value of a field.
+ * @type {Object<string, function(*, *): boolean>}
+ */
+const queryOperators = {
+  eq: (actual, value) => sameValue(actual, value),
+  ne: (actual, value) => !sameValue(actual, value),
+  lt: (actual, value) => compareFieldValues(actual, value) < 0,
+  lte: (actual, value) => compareFieldValues(actual, value) <= 0,
+  gt: (actual, value) => compareFieldValues(actual, value) > 0,
+  gte: (actual, value) => compareFieldValues(actual, value) >= 0,
+  in: (actual, value) => value.some((candidate) => sameValue(actual, candidate)),
+  startsWith: (actual, value) => typeof actual === 'string' && actual.startsWith(value),
+  contains: (actual, value) => (typeof actual === 'string'
+    ? typeof value === 'string' && actual.includes(value)
+    : Array.isArray(actual) && actual.some((element) => sameValue(element, value))),
+};
+
+/**
+ * Compares two field values in key order, so that a predicate evaluated on a record agrees with the key range it
+ * would be turned into.
+ * @param {*} first - The first value.
+ * @param {*} second - The second value.
+ * @returns {number} - -1, 0 or 1, or NaN when either value is not a valid key (every comparison with NaN is false).
+ */
+function compareFieldValues(first, second) {
+  try {
+    return compareKeys(first, second);
+  } catch {
+    return NaN;
+  }
+}
+
+/**
+ * Tells whether a field value equals a value: in key order for keys, strictly otherwise. A missing field
+ * equals null.
+ * @param {*} actual - The value of the field.
+ * @param {*} value - The value to compare with.
+ * @returns {boolean} - True if they are equal.
+ */
+function sameValue(actual, value) {
+  if (value === null) {
+    return actual === null || actual === undefined;
+  }
+  return actual === value || compareFieldValues(actual, value) === 0;
+}
+
+/**
+ * Checks a find query and fills in its defaults.
+ * @param {object} spec - The query ({ where, orderBy, skip, take }).
+ * @param {{dbName: string, storeName: string, operation: string}} context - The operation, for the errors.
+ * @returns {{where: Array<object>, orderBy: Array<{field: string, descending: boolean}>, skip: number, take: number|null}} - The query.
+ * @throws {IndexedDbError} - A DataError when a predicate, an ordering or a bound is invalid.
+ */
+function normalizeQuery(spec, context) {
+  const { where = [], orderBy = [], skip = 0, take = null } = spec ?? {};
+  const predicates = [].concat(where ?? []);
+  for (const { field, op, value } of predicates) {
+    if (typeof field !== 'string' || field === '') {
+      throw new IndexedDbError('DataError', 'A predicate needs the name of a field.', context);
+    }
+    if (!Object.hasOwn(queryOperators, op)) {
+      throw new IndexedDbError('DataError', `Unsupported query operator '${op}' on field '${field}'.`, context);
+    }
+    if (op === 'in' && !Array.isArray(value)) {
+      throw new IndexedDbError('DataError', `The 'in' operator on field '${field}' needs an array of values.`, context);
+    }
+    if (op === 'startsWith' && typeof value !== 'string') {
+      throw new IndexedDbError('DataError', `The 'startsWith' operator on field '${field}' needs a string.`, context);
+    }
+  }
+
+  const orderings = [].concat(orderBy ?? []).map((ordering) =>
+    (typeof ordering === 'string' ? { field: ordering, descending: false } : { field: ordering?.field, descending: !!ordering?.descending }));
+  if (orderings.some(({ field }) => typeof field !== 'string' || field === '')) {
+    throw new IndexedDbError('DataError', 'An ordering needs the name of a field.', context);
+  }
+  if (!Number.isInteger(skip) || skip < 0 || (take !== null && (!Number.isInteger(take) || take < 0))) {
+    throw new IndexedDbError('DataError', 'skip and take must be non-negative integers.', context);
+  }
+  return { where: predicates, orderBy: orderings, skip, take };
+}
+
+/**
+ * Tells whether a predicate value can bound a key range.
+ * @param {*} value - The value.
+ * @returns {boolean} - True if the value is a valid key.
+ */
+function isRangeValue(value) {
+  return value !== null && value !== undefined && !Number.isNaN(compareFieldValues(value, value));
+}
+
+/**
+ * Turns the predicates on the field of an index into the key range that reads the fewest records, and scores it.
+ * eq (and contains on a multi-entry index) reads exact keys; lt, lte, gt and gte are merged into one range; in
+ * and startsWith read a range that can hold other keys too, so they are evaluated again on the records.
+ * @param {Array<object>} predicates - The predicates on the field.
+ * @param {{unique: boolean, multiEntry: boolean, hashed: boolean}} index - The index.
+ * @returns {{range: object, used: Array<object>, exact: boolean, score: number}|null} - The range, the
+ * predicates it covers, whether it covers them exactly and its score, or null when no predicate fits.
+ */
+function rangeFor(predicates, { unique, multiEntry, hashed }) {
+  const usable = predicates.filter(({ op, value }) => (op === 'in' ? value.length > 0 && value.every(isRangeValue) : isRangeValue(value)));
+  const first = (...ops) => usable.find((predicate) => ops.includes(predicate.op));
+
+  const equality = multiEntry ? first('contains') : first('eq');
+  if (equality) {
+    return { range: { only: equality.value }, used: [equality], exact: true, score: unique ? 6 : 5 };
+  }
+  if (multiEntry || hashed) {
+    return null;
+  }
+
+  const within = first('in');
+  if (within) {
+    const sorted = [...within.value].sort(compareKeys);
+    return { range: { lower: sorted[0], upper: sorted[sorted.length - 1] }, used: [within], exact: false, score: 4 };
+  }
+  const lower = first('gt', 'gte');
+  const upper = first('lt', 'lte');
+  if (lower || upper) {
+    const used = [lower, upper].filter(Boolean);
+    return {
+      range: { lower: lower?.value, upper: upper?.value, lowerOpen: lower?.op === 'gt', upperOpen: upper?.op === 'lt' },
+      used,
+      exact: true,
+      score: used.length === 2 ? 3 : 2,
+    };
+  }
+  const prefix = first('startsWith');
+  if (prefix) {
+    return { range: { lower: prefix.value, upper: `${prefix.value}\uffff` }, used: [prefix], exact: false, score: 3 };
+  }
+  return null;
+}
+
+/**
+ * Chooses how find reads an object store: through the index (or primary key) whose key range reads the fewest
+ * records, preferring the index that also gives the requested order, or a scan of the whole store. The other
+ * predicates are evaluated on the records as the cursor reads them. Only indexes on a single field qualify; an
+ * index on a hashed field only serves eq. When no predicate gives a range, the whole index on the single ordering
+ * field is read in order, so that the read can stop once the page is full.
+ * @param {IDBObjectStore} store - The object store.
+ * @param {Map<string, string>} hashedIndexes - The indexes on hashed fields of the store, mapped to their fields.
+ * @param {{where: Array<object>, orderBy: Array<object>}} spec - The normalized query.
+ * @param {Set<string>} [partialIndexes=new Set()] - The indexes that lack some records of the store, which cannot
+ * give the order of the whole store.
+ * @returns {object} - The plan ({ strategy, indexName, keyPath, range, predicates, filters, direction, sortInMemory }).
+ */
+function planQuery(store, hashedIndexes, { where, orderBy }, partialIndexes = new Set()) {
+  const sources = Array.from(store.indexNames, (name) => {
+    const index = store.index(name);
+    return { indexName: name, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry, hashed: hashedIndexes.has(name) };
+  });
+  if (typeof store.keyPath === 'string' && store.keyPath !== '') {
+    sources.unshift({ indexName: null, keyPath: store.keyPath, unique: true, multiEntry: false, hashed: false });
+  }
+
+  const [ordering] = orderBy;
+  let best = null;
+  for (const source of sources.filter(({ keyPath }) => typeof keyPath === 'string')) {
+    const ordered = orderBy.length === 1 && !source.multiEntry && !source.hashed && ordering.field === source.keyPath;
+    const candidate = rangeFor(where.filter(({ field }) => field === source.keyPath), source)
+      ?? (ordered && !partialIndexes.has(source.indexName) ? { range: null, used: [], exact: true, score: 0 } : null);
+    if (candidate === null) {
+      continue;
+    }
+    // Of two ranges as selective, the one that also gives the order wins: it spares the sort.
+    const score = candidate.score + (ordered ? 0.5 : 0);
+    if (best === null || score > best.score) {
+      best = { ...candidate, source, ordered, score };
+    }
+  }
+
+  if (best === null) {
+    return {
+      strategy: 'scan',
+      indexName: null,
+      keyPath: null,
+      range: null,
+      predicates: [],
+      filters: where,
+      direction: 'next',
+      sortInMemory: orderBy.length > 0,
+    };
+  }
+  return {
+    strategy: best.source.indexName === null ? 'primaryKey' : 'index',
+    indexName: best.source.indexName,
+    keyPath: best.source.keyPath,
+    range: best.range,
+    predicates: best.used,
+    filters: best.exact ? where.filter((predicate) => !best.used.includes(predicate)) : where,
+    direction: best.ordered && ordering.descending ? 'prev' : 'next',
+    sortInMemory: orderBy.length > 0 && !best.ordered,
+  };
+}
+
+/**
+ * Tells whether a record matches every predicate.
+ * @param {object} record - The record, decrypted.
+ * @param {Array<object>} predicates - The predicates.
+ * @returns {boolean} - True if it matches them all.
+ */
+function matchesPredicates(record, predicates) {
+  return predicates.every(({ field, op, value }) => queryOperators[op](getKeyPathValue(record, field), value));
+}
+
+/**
+ * Compares two records by a list of orderings. Records without a valid key in a field sort before the others,
+ * as null does in LINQ.
+ * @param {Array<{field: string, descending: boolean}>} orderBy - The orderings.
+ * @returns {function(object, object): number} - The comparator.
+ */
+function recordComparator(orderBy) {
+  return (first, second) => {
+    for (const { field, descending } of orderBy) {
+      const a = getKeyPathValue(first, field);
+      const b = getKeyPathValue(second, field);
+      const aValid = isRangeValue(a);
+      const bValid = isRangeValue(b);
+      const order = aValid && bValid ? compareKeys(a, b) : Number(aValid) - Number(bValid);
+      if (order !== 0) {
+        return descending ? -order : order;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Plans a find query in the transaction of an operation. An index holds only the records that have its field,
+ * so a plan that reads a whole index for its order is kept only when the index holds every record of the store.
+ * @param {IDBTransaction} transaction - The transaction.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} spec - The normalized query.
+ * @returns {Promise<object>} - The plan.
+ */
+async function planIn(transaction, dbName, storeName, spec) {
+  const hashedIndexes = encryptionPolicies.get(`${dbName}/${storeName}`)?.hashedIndexes ?? new Map();
+  const store = transaction.objectStore(storeName);
+  const partialIndexes = new Set();
+  for (;;) {
+    const plan = planQuery(store, hashedIndexes, spec, partialIndexes);
+    if (plan.range !== null || plan.indexName === null) {
+      return plan;
+    }
+    const [indexed, total] = await Promise.all([
+      promisifyRequest(store.index(plan.indexName).count()),
+      promisifyRequest(store.count()),
+    ]);
+    if (indexed === total) {
+      return plan;
+    }
+    partialIndexes.add(plan.indexName);
+  }
+}
+
+/**
+ * Reads the records that match a query, in order. The query is a plain object that .NET can build:
+ * { where: [{ field, op, value }], orderBy: [{ field, descending }], skip, take }, where op is one of eq, ne,
+ * lt, lte, gt, gte, in, startsWith and contains, and fields may be dotted. The predicates are combined with AND.
+ * One of them is turned into a key range on the best existing index (see explain); the others are evaluated on
+ * the records as a cursor reads them, so the store is never loaded whole, and the read stops as soon as the page
+ * is full unless the records must be sorted in memory. Comparisons follow the order of IndexedDB keys, where
+ * numbers sort before dates and dates before strings. Hooks on the find operation see the plan as call.plan.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} [spec={}] - The query.
+ * @param {Array<{field: string, op: string, value: *}>} [spec.where=[]] - The predicates.
+ * @param {Array<{field: string, descending: boolean}|string>} [spec.orderBy=[]] - The orderings; when empty,
+ * records come in the order of the index or primary key the plan reads.
+ * @param {number} [spec.skip=0] - The number of matching records to skip.
+ * @param {number} [spec.take=null] - The maximum number of records to return, or null for all of them.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<Array>} - A promise that resolves to the matching records.
+ */
+export async function find(dbName, storeName, spec = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'find' }, spec, async (spec, call) => {
+    const context = { dbName, storeName, operation: 'find' };
+    const normalized = normalizeQuery(spec, context);
+    const plan = await runInTransaction(context, storeName, 'readonly', transactionId, async (transaction) =>
+      planIn(transaction, dbName, storeName, normalized));
+    if (call !== null) {
+      call.plan = plan;
+    }
+
+    const { skip, take, orderBy } = normalized;
+    const storedRange = plan.indexName ? await toStoredQuery(dbName, storeName, plan.indexName, plan.range) : plan.range;
+    const wanted = plan.sortInMemory || take === null ? Infinity : skip + take;
+    const matches = await runInTransaction(context, storeName, 'readonly', transactionId, async (transaction) => {
+      const store = transaction.objectStore(storeName);
+      const source = plan.indexName ? store.index(plan.indexName) : store;
+      const encrypted = isEncrypted(dbName, storeName);
+      const found = [];
+      const accept = (record) => {
+        if (!isHidden(dbName, storeName, record) && matchesPredicates(record, plan.filters)) {
+          found.push(record);
+        }
+        return found.length < wanted ? undefined : false;
+      };
+      await walkCursor(source.openCursor(toKeyRange(storedRange), plan.direction), (cursor) =>
+        (encrypted ? decryptRecord(cursor.value).then(accept) : accept(cursor.value)));
+      return found;
+    });
+
+    if (plan.sortInMemory) {
+      matches.sort(recordComparator(orderBy));
+    }
+    return matches.slice(skip, take === null ? undefined : skip + take);
+  });
+}
+
+/**
+ * Tells how find would read a query without reading any record: the strategy ('index', 'primaryKey' or 'scan'),
+ * the index and its key path, the key range and the predicates it covers, the predicates left to evaluate on the
+ * records (filters), the cursor direction and whether the records are sorted in memory.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} [spec={}] - The query, as given to find.
+ * @returns {Promise<object>} - A promise that resolves to the plan.
+ */
+export async function explain(dbName, storeName, spec = {}) {
+  const context = { dbName, storeName, operation: 'explain' };
+  const normalized = normalizeQuery(spec, context);
+  return runInTransaction(context, storeName, 'readonly', null, async (transaction) =>
+    planIn(transaction, dbName, storeName, normalized));
+}
+
+/**
+ * Retrieves a single item by its key from an object store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {*} id - The key of the item to retrieve.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<object>} - A promise that resolves to the item, or undefined if not found.
+ */
+export async function getOne(dbName, storeName, id, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'getOne' }, id, (id) =>
+    runInTransaction({ dbName, operation: 'getOne', key: id }, storeName, 'readonly', transactionId, async (transaction) => {
+      const item = await decryptRecord(await promisifyRequest(transaction.objectStore(storeName).get(id)));
+      return item === undefined || isHidden(dbName, storeName, item) ? undefined : item;
+    }));
+}
+
+/**
+ * Adds a single item to an object store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} item - The item to add.
+ * @param {object} [options={}] - The write options.
+ * @param {number} [options.ttl] - The time to live of the item in milliseconds, overriding the store's.
+ * @param {boolean} [options.returnRecord=false] - Resolve to the stored item along with its key.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<*|{key: *, inserted: boolean, record: object}>} - A promise that resolves to the key of the
+ * item, generated or not, or with returnRecord to the key and the item as stored, with the key in its key path.
+ */
+export async function addOne(dbName, storeName, item, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'addOne' }, item, (item) =>
+    withQuotaHandling(dbName, storeName, 'addOne', transactionId, () =>
+      runInTransaction({ dbName, operation: 'addOne', item }, withRelatedStores(dbName, storeName, 'parents'), 'readwrite', transactionId, async (transaction) => {
+        const store = transaction.objectStore(storeName);
+        const keyed = withGeneratedKey(dbName, storeName, store.keyPath, item);
+        assertValid(dbName, storeName, keyed);
+        await assertParentsExist(transaction, dbName, storeName, keyed);
+        const stamped = stampExpiry(dbName, storeName, keyed, options);
+        const record = await encryptRecord(dbName, storeName, stamped);
+        const key = await promisifyRequest(store.add(record));
+        await syncSearchIndex(transaction, dbName, storeName, { type: 'put', entries: [{ key, record }] });
+        await recordMutations(transaction, dbName, storeName, 'add', [{ key, record }]);
+        queueChange(transaction, { dbName, storeName, type: 'add', keys: [key] });
+        return options?.returnRecord ? { key, inserted: true, record: withStoredKey(store, stamped, key) } : key;
+      })));
+}
+
+/**
+ * Adds multiple items to an object store in a single transaction.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {Array<object>} items - An array of items to add.
+ * @param {object} [options={}] - The bulk write options.
+ * @param {boolean} [options.continueOnError=false] - Keep the items that succeed instead of rolling back the
+ * whole batch on the first failure, and report the outcome of every item.
+ * @param {number} [options.ttl] - The time to live of the items in milliseconds, overriding the store's.
+ * @param {boolean} [options.returnRecord=false] - Resolve to the stored items along with their keys.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<Array<*>|Array<object>>} - A promise that resolves to the keys of the items in input order,
+ * generated or not, or with returnRecord to their keys and stored items ({ key, inserted, record }). In
+ * continue-on-error mode it resolves to the per-item report ({ index, key, success, error }) instead.
+ */
+export async function addMany(dbName, storeName, items, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'addMany' }, items, (items) =>
+    withQuotaHandling(dbName, storeName, 'addMany', transactionId, () =>
+      runInTransaction({ dbName, operation: 'addMany' }, withRelatedStores(dbName, storeName, 'parents'), 'readwrite', transactionId, async (transaction) => {
+        const store = transaction.objectStore(storeName);
+        const keyed = items.map((item) => withGeneratedKey(dbName, storeName, store.keyPath, item));
+        const invalid = checkBatch(dbName, storeName, keyed, options);
+        const orphans = await findOrphans(transaction, dbName, storeName, keyed);
+        const stamped = keyed.map((item) => stampExpiry(dbName, storeName, item, options));
+        const records = await Promise.all(stamped.map((item) => encryptRecord(dbName, storeName, item)));
+        const report = await writeEach(records, (record, index) => {
+          if (invalid.has(index)) {
+            throw validationFailed(storeName, validateRecord(dbName, storeName, keyed[index]));
+          }
+          if (orphans.has(index)) {
+            throw orphans.get(index);
+          }
+          return store.add(record);
+        }, (record) => getKeyPathValue(record, store.keyPath), options);
+        const entries = writtenEntries(report, records);
+        await syncSearchIndex(transaction, dbName, storeName, { type: 'put', entries });
+        await recordMutations(transaction, dbName, storeName, 'add', entries);
+        const result = completeBulkWrite(transaction, { dbName, storeName, type: 'add' }, report, options);
+        if (options?.continueOnError) {
+          return result;
+        }
+        return options?.returnRecord
+          ? report.map(({ index, key }) => ({ key, inserted: true, record: withStoredKey(store, stamped[index], key) }))
+          : report.map((entry) => entry.key);
+      })));
+}
+
+/**
+ * Adds or replaces multiple items in an object store in a single transaction.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {Array<object>} items - An array of items to store.
+ * @param {object} [options={}] - The bulk write options.
+ * @param {boolean} [options.continueOnError=false] - Keep the items that succeed instead of rolling back the
+ * whole batch on the first failure, and report the outcome of every item.
+ * @param {number} [options.ttl] - The time to live of the items in milliseconds, overriding the store's.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<boolean|Array<object>>} - A promise that resolves to true if the operation is successful,
+ * or to the per-item report ({ index, key, success, error }) in continue-on-error mode.
+ */
+export async function putMany(dbName, storeName, items, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'putMany' }, items, (items) =>
+    withQuotaHandling(dbName, storeName, 'putMany', transactionId, () =>
+      runInTransaction({ dbName, operation: 'putMany' }, withRelatedStores(dbName, storeName, 'parents'), 'readwrite', transactionId, async (transaction) => {
+        const store = transaction.objectStore(storeName);
+        const keyed = items.map((item) => withGeneratedKey(dbName, storeName, store.keyPath, item));
+        const invalid = checkBatch(dbName, storeName, keyed, options);
+        const orphans = await findOrphans(transaction, dbName, storeName, keyed);
+        const records = await Promise.all(keyed.map((item) => encryptRecord(dbName, storeName, stampExpiry(dbName, storeName, item, options))));
+        const previous = historyPolicies.has(`${dbName}/${storeName}`)
+          ? await readStored(store, records.map((record) => getKeyPathValue(record, store.keyPath)))
+          : [];
+        const report = await writeEach(records, (record, index) => {
+          if (invalid.has(index)) {
+            throw validationFailed(storeName, validateRecord(dbName, storeName, keyed[index]));
+          }
+          if (orphans.has(index)) {
+            throw orphans.get(index);
+          }
+          return store.put(record);
+        }, (record) => getKeyPathValue(record, store.keyPath), options);
+        const entries = writtenEntries(report, records);
+        await saveRevisions(transaction, dbName, storeName, writtenEntries(report, previous), 'update');
+        await syncSearchIndex(transaction, dbName, storeName, { type: 'put', entries });
+        await recordMutations(transaction, dbName, storeName, 'update', entries);
+        return completeBulkWrite(transaction, { dbName, storeName, type: 'update' }, report, options);
+      })));
+}
+
+/**
+ * Deletes multiple items from an object store by their keys in a single transaction. On a store other stores
+ * reference, each delete applies the delete rules of the relations, as deleteOne does.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {Array<*>} keys - The keys of the items to delete.
+ * @param {object} [options={}] - The bulk write options.
+ * @param {boolean} [options.continueOnError=false] - Keep the deletes that succeed instead of rolling back the
+ * whole batch on the first failure, and report the outcome of every key. Not supported on a store other stores
+ * reference.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<boolean|Array<object>>} - A promise that resolves to true if the operation is successful,
+ * or to the per-key report ({ index, key, success, error }) in continue-on-error mode.
+ */
+export async function deleteMany(dbName, storeName, keys, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'deleteMany' }, keys, (keys) =>
+    runInTransaction({ dbName, operation: 'deleteMany' }, withRelatedStores(dbName, storeName, 'children'), 'readwrite', transactionId, async (transaction) => {
+      if (childRelations(dbName, storeName).length > 0) {
+        if (options?.continueOnError) {
+          throw new IndexedDbError('DataError',
+            `Object store '${storeName}' is referenced by other object stores, whose delete rules cannot be applied in continue-on-error mode.`,
+            { storeName });
+        }
+        const visited = [];
+        for (const key of keys) {
+          await deleteRecord(transaction, dbName, storeName, key, visited);
+        }
+        return true;
+      }
+
+      const store = transaction.objectStore(storeName);
+      const policy = historyPolicies.get(`${dbName}/${storeName}`);
+      const previous = policy ? await readStored(store, keys) : [];
+      const marked = policy?.softDelete
+        ? await Promise.all(previous.map((record) => (record === undefined ? undefined : markDeleted(dbName, storeName, record, policy))))
+        : [];
+      const report = await writeEach(keys, (key, index) => {
+        if (marked[index] === undefined) {
+          return store.delete(key);
+        }
+        return store.keyPath === null ? store.put(marked[index], key) : store.put(marked[index]);
+      }, (key) => key, options);
+      const deleted = report.filter((entry) => entry.success).map((entry) => entry.key);
+      await saveRevisions(transaction, dbName, storeName, writtenEntries(report, previous), 'delete');
+      if (!policy?.softDelete) {
+        await syncSearchIndex(transaction, dbName, storeName, { type: 'delete', keys: deleted });
+      }
+      await recordMutations(transaction, dbName, storeName, 'delete', deleted.map((key) => ({ key })));
+      return completeBulkWrite(transaction, { dbName, storeName, type: 'delete' }, report, options);
+    }));
+}
+
+/**
+ * Deletes every item whose key falls inside a key range. Rejected on a store other stores reference, since it
+ * does not apply the delete rules of the relations.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} range - A range descriptor ({ only } or { lower, upper, lowerOpen, upperOpen }).
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<number>} - A promise that resolves to the number of deleted items.
+ */
+export async function deleteRange(dbName, storeName, range, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'deleteRange' }, range, async (range) => {
+    const keyRange = toKeyRange(range);
+    if (keyRange === undefined) {
+      throw new IndexedDbError('DataError', 'deleteRange requires a key range; use clearStore to delete every item.',
+        { dbName, storeName, operation: 'deleteRange' });
+    }
+    assertUnreferenced(dbName, storeName, 'deleteRange');
+
+    return runInTransaction({ dbName, operation: 'deleteRange' }, storeName, 'readwrite', transactionId, async (transaction) => {
+      const store = transaction.objectStore(storeName);
+      const keys = await promisifyRequest(store.getAllKeys(keyRange));
+      await promisifyRequest(store.delete(keyRange));
+      await syncSearchIndex(transaction, dbName, storeName, { type: 'delete', range: keyRange });
+      await recordMutations(transaction, dbName, storeName, 'delete', keys.map((key) => ({ key })));
+      if (keys.length > 0) {
+        queueChange(transaction, { dbName, storeName, type: 'delete', keys });
+      }
+      return keys.length;
+    });
+  });
+}
+
+/**
+ * Updates an existing item in an object store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} item - The item to update.
+ * @param {object} [options={}] - The write options.
+ * @param {string} [options.versionField] - Enables optimistic concurrency: the item must carry the version
+ * currently stored in this property, which is incremented by the write.
+ * @param {number} [options.ttl] - The time to live of the item in milliseconds, overriding the store's.
+ * @param {boolean} [options.returnRecord=false] - Resolve to the stored item along with its key.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<*|{key: *, inserted: boolean, record: object}>} - A promise that resolves to the key of the
+ * item, or with returnRecord to the key and the item as stored, including its incremented version.
+ */
+export async function updateOne(dbName, storeName, item, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'updateOne' }, item, (item) =>
+    withQuotaHandling(dbName, storeName, 'updateOne', transactionId, () =>
+      runInTransaction({ dbName, operation: 'updateOne', item }, withRelatedStores(dbName, storeName, 'parents'), 'readwrite', transactionId, async (transaction) => {
+        assertValid(dbName, storeName, item);
+        await assertParentsExist(transaction, dbName, storeName, item);
+        const store = transaction.objectStore(storeName);
+        await keepRevisions(transaction, dbName, storeName, [getKeyPathValue(item, store.keyPath)], 'update');
+        let record = stampExpiry(dbName, storeName, item, options);
+        if (options?.versionField) {
+          const key = getKeyPathValue(item, store.keyPath);
+          const existing = key === undefined ? undefined : await decryptRecord(await promisifyRequest(store.get(key)));
+          record = applyVersion(storeName, key, record, existing, options.versionField);
+        }
+        const stored = await encryptRecord(dbName, storeName, record);
+        const key = await promisifyRequest(store.put(stored));
+        await syncSearchIndex(transaction, dbName, storeName, { type: 'put', entries: [{ key, record: stored }] });
+        await recordMutations(transaction, dbName, storeName, 'update', [{ key, record: stored }]);
+        queueChange(transaction, { dbName, storeName, type: 'update', keys: [key] });
+        return options?.returnRecord ? { key, inserted: false, record: withStoredKey(store, record, key) } : key;
+      })));
+}
+
+/**
+ * Changes some fields of a stored item. The item is read and merged with the changes inside a single
+ * readwrite transaction, so no concurrent write can slip in between.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {*} key - The key of the item to change.
+ * @param {object} changes - The fields to overwrite; other fields keep their stored value.
+ * @param {object} [options={}] - The write options.
+ * @param {string} [options.versionField] - Enables optimistic concurrency: the changes must carry the version
+ * currently stored in this property, which is incremented by the write.
+ * @param {number} [options.ttl] - A new time to live of the item in milliseconds.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<{key: *, inserted: boolean, record: object}>} - A promise that resolves to the key and the
+ * stored item. Rejects with a NotFoundError when there is no item with that key.
+ */
+export async function patchOne(dbName, storeName, key, changes, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'patchOne' }, { key, changes }, ({ key, changes }) =>
+    withQuotaHandling(dbName, storeName, 'patchOne', transactionId, () =>
+      runInTransaction({ dbName, operation: 'patchOne', key }, withRelatedStores(dbName, storeName, 'parents'), 'readwrite', transactionId, async (transaction) => {
+        const store = transaction.objectStore(storeName);
+        const existing = await decryptRecord(await promisifyRequest(store.get(key)));
+        if (existing === undefined) {
+          throw new IndexedDbError('NotFoundError', `Object store '${storeName}' has no item with key ${JSON.stringify(key)}.`,
+            { storeName, key, missing: 'record' });
+        }
+
+        const merged = { ...existing, ...changes };
+        assertValid(dbName, storeName, merged);
+        await assertParentsExist(transaction, dbName, storeName, merged);
+        await keepRevisions(transaction, dbName, storeName, [key], 'update');
+        let record = stampExpiry(dbName, storeName, merged, options);
+        if (options?.versionField) {
+          record = applyVersion(storeName, key, record, existing, options.versionField);
+        }
+        if (store.keyPath !== null && compareKeys(getKeyPathValue(record, store.keyPath), key) !== 0) {
+          throw new IndexedDbError('DataError', 'patchOne cannot change the key of an item.');
+        }
+        const stored = await encryptRecord(dbName, storeName, record);
+        await promisifyRequest(store.keyPath === null ? store.put(stored, key) : store.put(stored));
+        await syncSearchIndex(transaction, dbName, storeName, { type: 'put', entries: [{ key, record: stored }] });
+        await recordMutations(transaction, dbName, storeName, 'update', [{ key, record: stored }]);
+        queueChange(transaction, { dbName, storeName, type: 'update', keys: [key] });
+        return { key, inserted: false, record };
+      })));
+}
+
+/**
+ * Adds an item, or replaces it when an item with the same key is already stored.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} item - The item to store.
+ * @param {object} [options={}] - The write options.
+ * @param {string} [options.versionField] - Enables optimistic concurrency: the item must carry the version
+ * currently stored in this property (none for a new item), which is incremented by the write.
+ * @param {number} [options.ttl] - The time to live of the item in milliseconds, overriding the store's.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<{key: *, inserted: boolean, record: object}>} - A promise that resolves to the key, whether
+ * the item was inserted rather than updated, and the stored item.
+ */
+export async function upsertOne(dbName, storeName, item, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'upsertOne' }, item, (item) =>
+    withQuotaHandling(dbName, storeName, 'upsertOne', transactionId, () =>
+      runInTransaction({ dbName, operation: 'upsertOne', item }, withRelatedStores(dbName, storeName, 'parents'), 'readwrite', transactionId, async (transaction) => {
+        const store = transaction.objectStore(storeName);
+        const keyed = withGeneratedKey(dbName, storeName, store.keyPath, item);
+        assertValid(dbName, storeName, keyed);
+        await assertParentsExist(transaction, dbName, storeName, keyed);
+        const currentKey = getKeyPathValue(keyed, store.keyPath);
+        const existing = currentKey === undefined ? undefined : await decryptRecord(await promisifyRequest(store.get(currentKey)));
+        await keepRevisions(transaction, dbName, storeName, [currentKey], 'update');
+        const stamped = stampExpiry(dbName, storeName, keyed, options);
+        const record = options?.versionField
+          ? applyVersion(storeName, currentKey, stamped, existing, options.versionField)
+          : stamped;
+        const stored = await encryptRecord(dbName, storeName, record);
+        const key = await promisifyRequest(store.put(stored));
+        const inserted = existing === undefined;
+        await syncSearchIndex(transaction, dbName, storeName, { type: 'put', entries: [{ key, record: stored }] });
+        await recordMutations(transaction, dbName, storeName, inserted ? 'add' : 'update', [{ key, record: stored }]);
+        queueChange(transaction, { dbName, storeName, type: inserted ? 'add' : 'update', keys: [key] });
+        return { key, inserted, record: withStoredKey(store, record, key) };
+      })));
+}
+
+/**
+ * Deletes an item from an object store by its key. When other stores reference the store through relations,
+ * their delete rules are applied to the item's children in the same transaction.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {*} id - The key of the item to delete.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<boolean>} - A promise that resolves to true if the operation is successful.
+ */
+export async function deleteOne(dbName, storeName, id, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'deleteOne' }, id, (id) =>
+    runInTransaction({ dbName, operation: 'deleteOne', key: id }, withRelatedStores(dbName, storeName, 'children'), 'readwrite', transactionId, async (transaction) => {
+      await deleteRecord(transaction, dbName, storeName, id);
+      return true;
+    }));
+}
+
+/**
+ * Counts the number of records in an object store, optionally through an index and restricted to a key range.
+ * Like the other aggregations that only read keys (min, max, distinctKeys and groupCount), it does not see
+ * which records reads hide: it counts expired records until purgeExpired deletes them, and soft-deleted records.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} [options={}] - The aggregation options.
+ * @param {string} [options.indexName] - The name of the index to count through; the primary key is used when omitted.
+ * @param {object} [options.range] - A range descriptor ({ only }, { prefix } or { lower, upper, lowerOpen, upperOpen }).
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<number>} - A promise that resolves to the count of records.
+ */
+export async function count(dbName, storeName, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'count' }, options, async (options) => {
+    const { indexName, range } = options ?? {};
+    const storedRange = indexName ? await toStoredQuery(dbName, storeName, indexName, range) : range;
+    return runInTransaction({ dbName, operation: 'count' }, storeName, 'readonly', transactionId, (transaction) =>
+      promisifyRequest(aggregationSource(transaction, storeName, indexName).count(toKeyRange(storedRange))));
+  });
+}
+
+/**
+ * Returns the object store, or one of its indexes, an aggregation reads.
+ * @param {IDBTransaction} transaction - The transaction.
+ * @param {string} storeName - The name of the object store.
+ * @param {string} [indexName] - The name of the index, if any.
+ * @returns {IDBObjectStore|IDBIndex} - The store or index.
+ */
+function aggregationSource(transaction, storeName, indexName) {
+  const store = transaction.objectStore(storeName);
+  return indexName ? store.index(indexName) : store;
+}
+
+/**
+ * Reads the first key of an index or object store in a direction, with a single cursor step.
+ * @param {string} operation - The name of the exported operation.
+ * @param {string} direction - The cursor direction ('next' or 'prev').
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} options - The aggregation options ({ indexName, range }).
+ * @param {string} transactionId - The id of a transaction started with beginTransaction, or null.
+ * @returns {Promise<*>} - A promise that resolves to the key, or null if the range is empty.
+ */
+async function firstKey(operation, direction, dbName, storeName, options, transactionId) {
+  const { indexName, range } = options ?? {};
+  const storedRange = indexName ? await toStoredQuery(dbName, storeName, indexName, range) : range;
+  return runInTransaction({ dbName, operation }, storeName, 'readonly', transactionId, async (transaction) => {
+    const source = aggregationSource(transaction, storeName, indexName);
+    const cursor = await promisifyRequest(source.openKeyCursor(toKeyRange(storedRange), direction));
+    return cursor ? cursor.key : null;
+  });
+}
+
+/**
+ * Returns the smallest key of an index, or the smallest primary key, within a key range.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} [options={}] - The aggregation options.
+ * @param {string} [options.indexName] - The name of the index to read; the primary key is used when omitted.
+ * @param {object} [options.range] - A range descriptor ({ only }, { prefix } or { lower, upper, lowerOpen, upperOpen }).
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<*>} - A promise that resolves to the smallest key, or null if the range is empty.
+ */
+export async function min(dbName, storeName, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'min' }, options, (options) =>
+    firstKey('min', 'next', dbName, storeName, options, transactionId));
+}
+
+/**
+ * Returns the largest key of an index, or the largest primary key, within a key range.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} [options={}] - The aggregation options.
+ * @param {string} [options.indexName] - The name of the index to read; the primary key is used when omitted.
+ * @param {object} [options.range] - A range descriptor ({ only }, { prefix } or { lower, upper, lowerOpen, upperOpen }).
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<*>} - A promise that resolves to the largest key, or null if the range is empty.
+ */
+export async function max(dbName, storeName, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'max' }, options, (options) =>
+    firstKey('max', 'prev', dbName, storeName, options, transactionId));
+}
+
+/**
+ * Lists the distinct keys of an index within a key range, in ascending order.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} options - The aggregation options.
+ * @param {string} options.indexName - The name of the index to read.
+ * @param {object} [options.range] - A range descriptor ({ only }, { prefix } or { lower, upper, lowerOpen, upperOpen }).
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<Array<*>>} - A promise that resolves to the distinct keys.
+ */
+export async function distinctKeys(dbName, storeName, options, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'distinctKeys' }, options, async (options) => {
+    const { indexName, range } = options ?? {};
+    const storedRange = indexName ? await toStoredQuery(dbName, storeName, indexName, range) : range;
+    return runInTransaction({ dbName, operation: 'distinctKeys' }, storeName, 'readonly', transactionId, async (transaction) => {
+      const keys = [];
+      const source = aggregationSource(transaction, storeName, indexName);
+      await walkCursor(source.openKeyCursor(toKeyRange(storedRange), 'nextunique'), (cursor) => {
+        keys.push(cursor.key);
+      });
+      return keys;
+    });
+  });
+}
+
+/**
+ * Counts the records of each distinct key of an index within a key range, in one pass over the index keys.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} options - The aggregation options.
+ * @param {string} options.indexName - The name of the index to group by.
+ * @param {object} [options.range] - A range descriptor ({ only }, { prefix } or { lower, upper, lowerOpen, upperOpen }).
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<Array<{key: *, count: number}>>} - A promise that resolves to one group per distinct key,
+ * in ascending key order.
+ */
+export async function groupCount(dbName, storeName, options, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'groupCount' }, options, async (options) => {
+    const { indexName, range } = options ?? {};
+    const storedRange = indexName ? await toStoredQuery(dbName, storeName, indexName, range) : range;
+    return runInTransaction({ dbName, operation: 'groupCount' }, storeName, 'readonly', transactionId, async (transaction) => {
+      const groups = [];
+      const source = aggregationSource(transaction, storeName, indexName);
+      await walkCursor(source.openKeyCursor(toKeyRange(storedRange), 'next'), (cursor) => {
+        const last = groups[groups.length - 1];
+        if (last && compareKeys(last.key, cursor.key) === 0) {
+          last.count += 1;
+        } else {
+          groups.push({ key: cursor.key, count: 1 });
+        }
+      });
+      return groups;
+    });
+  });
+}
+
+/**
+ * Reads the numeric values of a field over the records of a key range, skipping expired records and values
+ * that are not finite numbers. The records are read with a cursor, and decrypted one at a time, so that they
+ * are never held in memory together.
+ * @param {string} operation - The name of the exported operation.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} options - The aggregation options ({ field, indexName, range }).
+ * @param {string} transactionId - The id of a transaction started with beginTransaction, or null.
+ * @returns {Promise<{sum: number, count: number}>} - A promise that resolves to the total and number of values.
+ */
+async function foldField(operation, dbName, storeName, options, transactionId) {
+  const { field, indexName, range } = options ?? {};
+  if (typeof field !== 'string' || field === '') {
+    throw new IndexedDbError('DataError', `${operation} needs the name of a numeric field.`,
+      { dbName, storeName, operation });
+  }
+
+  const storedRange = indexName ? await toStoredQuery(dbName, storeName, indexName, range) : range;
+  return runInTransaction({ dbName, operation }, storeName, 'readonly', transactionId, async (transaction) => {
+    const total = { sum: 0, count: 0 };
+    const add = (record) => {
+      const value = getKeyPathValue(record, field);
+      if (typeof value === 'number' && Number.isFinite(value) && !isHidden(dbName, storeName, record)) {
+        total.sum += value;
+        total.count += 1;
+      }
+    };
+
+    const encrypted = isEncrypted(dbName, storeName);
+    const source = aggregationSource(transaction, storeName, indexName);
+    await walkCursor(source.openCursor(toKeyRange(storedRange)), (cursor) =>
+      (encrypted ? decryptRecord(cursor.value).then(add) : add(cursor.value)));
+    return total;
+  });
+}
+
+/**
+ * Adds up a numeric field (possibly dotted) over the records of a key range. Records whose field is missing
+ * or not a number are skipped.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} options - The aggregation options.
+ * @param {string} options.field - The field to add up.
+ * @param {string} [options.indexName] - The name of the index the range applies to; the primary key is used when omitted.
+ * @param {object} [options.range] - A range descriptor ({ only }, { prefix } or { lower, upper, lowerOpen, upperOpen }).
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<number>} - A promise that resolves to the sum, 0 when no record has the field.
+ */
+export async function sum(dbName, storeName, options, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'sum' }, options, async (options) =>
+    (await foldField('sum', dbName, storeName, options, transactionId)).sum);
+}
+
+/**
+ * Averages a numeric field (possibly dotted) over the records of a key range. Records whose field is missing
+ * or not a number are skipped.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} options - The aggregation options.
+ * @param {string} options.field - The field to average.
+ * @param {string} [options.indexName] - The name of the index the range applies to; the primary key is used when omitted.
+ * @param {object} [options.range] - A range descriptor ({ only }, { prefix } or { lower, upper, lowerOpen, upperOpen }).
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<number|null>} - A promise that resolves to the average, or null when no record has the field.
+ */
+export async function avg(dbName, storeName, options, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'avg' }, options, async (options) => {
+    const total = await foldField('avg', dbName, storeName, options, transactionId);
+    return total.count === 0 ? null : total.sum / total.count;
+  });
+}
+
+/**
+ * Keeps a transaction alive by chaining cheap read requests until it is committed or aborted.
+ * Without this the browser auto-commits the transaction as soon as no request is pending,
+ * which happens between two interop calls coming from .NET.
+ * @param {object} entry - The transaction entry registered by beginTransaction.
+ */
+function keepAlive(entry) {
+  if (!entry.active) {
+    return;
+  }
+  try {
+    const request = entry.transaction.objectStore(entry.storeNames[0]).get(-Infinity);
+    request.onsuccess = () => keepAlive(entry);
+    request.onerror = (event) => event.preventDefault();
+  } catch {
+    entry.active = false;
+  }
+}
+
+/**
+ * Begins a transaction across one or more object stores. The returned id can be passed to the
+ * CRUD functions so that they run inside this transaction, and must eventually be passed to
+ * commitTransaction or abortTransaction. A transaction that no operation joins for idleTimeout
+ * milliseconds is aborted, so that a caller that fails between begin and commit does not keep its stores
+ * locked for the lifetime of the page; its id is then unknown to commitTransaction. The transaction also covers
+ * the stores that the relations of the given stores reach, the parents that writes check and the children that
+ * deletes cascade to or clear, so that the operations joining it can apply the relation rules.
+ * @param {string} dbName - The name of the database.
+ * @param {string|string[]} storeNames - The name(s) of the object store(s).
+ * @param {string} [mode='readwrite'] - The transaction mode ('readonly' or 'readwrite').
+ * @param {string} [durability='default'] - The durability hint ('default', 'strict' or 'relaxed').
+ * @param {number} [idleTimeout=30000] - The idle time in milliseconds after which the transaction is
+ * aborted, or 0 to keep it open until it is committed or aborted.
+ * @returns {Promise<string>} - A promise that resolves to the transaction id.
+ */
+export async function beginTransaction(dbName, storeNames, mode = 'readwrite', durability = 'default', idleTimeout = 30000) {
+  const db = await openIndexedDB(dbName);
+  const missing = [].concat(storeNames).find((name) => !db.objectStoreNames.contains(name));
+  if (missing !== undefined) {
+    throw objectStoreNotFound(dbName, missing);
+  }
+  const scope = [...new Set([].concat(storeNames).flatMap((name) => [
+    ...[].concat(withRelatedStores(dbName, name, 'parents')),
+    ...[].concat(withRelatedStores(dbName, name, 'children')),
+  ]))];
+  const transaction = db.transaction(withCompanionStores(dbName, scope), mode, { durability });
+  const transactionId = `tx-${++transactionCounter}`;
+  const entry = {
+    dbName,
+    transaction,
+    storeNames: Array.isArray(storeNames) ? storeNames : [storeNames],
+    active: true,
+    completion: transactionCompletion(transaction),
+    idleTimeout,
+    idleTimer: null,
+  };
+
+  // Settled transactions stop the keep-alive loop and the idle timer; the outcome is reported by commit or abort.
+  const settle = () => {
+    entry.active = false;
+    clearTimeout(entry.idleTimer);
+  };
+  entry.completion.then(settle, settle);
+
+  transactions.set(transactionId, entry);
+  resetIdleTimer(transactionId, entry);
+  keepAlive(entry);
+  return transactionId;
+}
+
+/**
+ * Commits a transaction started with beginTransaction.
+ * @param {string} transactionId - The id returned by beginTransaction.
+ * @returns {Promise<boolean>} - A promise that resolves to true once the transaction has committed,
+ * or rejects with the error that caused the transaction to abort.
+ */
+export async function commitTransaction(transactionId) {
+  const entry = transactions.get(transactionId);
+  if (!entry) {
+    throw new IndexedDbError('InvalidStateError', `No open transaction with id '${transactionId}'.`,
+      { operation: 'commitTransaction' });
+  }
+
+  transactions.delete(transactionId);
+  clearTimeout(entry.idleTimer);
+  if (entry.active) {
+    entry.active = false;
+    try {
+      entry.transaction.commit?.();
+    } catch {
+      // The transaction has already aborted; the completion promise carries the reason.
+    }
+  }
+  await entry.completion.catch((error) => {
+    throw error?.name === 'QuotaExceededError'
+      ? quotaExceeded(entry.dbName, entry.storeNames, 'commitTransaction')
+      : toIndexedDbError(error,
+        { dbName: entry.dbName, storeName: entry.storeNames.join(', '), operation: 'commitTransaction' });
+  });
+  publishChanges(entry.transaction);
+  return true;
+}
+
+/**
+ * Aborts a transaction started with beginTransaction, rolling back every change made inside it.
+ * Aborting a transaction that already aborted on its own is not an error.
+ * @param {string} transactionId - The id returned by beginTransaction.
+ * @returns {Promise<boolean>} - A promise that resolves to true once the transaction has been rolled back.
+ */
+export async function abortTransaction(transactionId) {
+  const entry = transactions.get(transactionId);
+  if (!entry) {
+    return true;
+  }
+
+  transactions.delete(transactionId);
+  clearTimeout(entry.idleTimer);
+  entry.active = false;
+  try {
+    entry.transaction.abort();
+  } catch {
+    // The transaction has already finished.
+  }
+  await entry.completion.catch(() => {});
+  return true;
+}
+
+/**
+ * Reports how much storage the origin uses and how much it may use.
+ * @returns {Promise<{usage: number|null, quota: number|null}>} - A promise that resolves to the usage and quota in
+ * bytes, which are null when the browser does not expose them.
+ */
+export async function estimateStorage() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+    return { usage: null, quota: null };
+  }
+  const { usage = null, quota = null } = await navigator.storage.estimate();
+  return { usage, quota };
+}
+
+/**
+ * Asks the browser to keep the origin's data when it runs low on storage instead of evicting it.
+ * @returns {Promise<boolean>} - A promise that resolves to true if the storage is persisted.
+ */
+export async function persistStorage() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.persist) {
+    return false;
+  }
+  return navigator.storage.persist();
+}
+
+/**
+ * Tells whether the origin's storage is persisted.
+ * @returns {Promise<boolean>} - A promise that resolves to true if the browser will not evict the data.
+ */
+export async function isStoragePersisted() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.persisted) {
+    return false;
+  }
+  return navigator.storage.persisted();
+}
+
+/**
+ * Gives a database an eviction policy: when a write exceeds the storage quota, the oldest records of one store are
+ * deleted and the write is retried once. Writes made inside a transaction started with beginTransaction are not
+ * retried, since the failed write aborts that transaction. Policies are kept in memory, so call this at startup.
+ * @param {string} dbName - The name of the database.
+ * @param {object} options - The eviction options.
+ * @param {string} options.storeName - The object store to evict records from.
+ * @param {string} [options.indexName=null] - The index whose lowest keys are the oldest records, such as a
+ * creation date; the primary key is used when omitted.
+ * @param {number} [options.count=100] - The number of records to delete.
+ */
+export function defineEviction(dbName, { storeName, indexName = null, count = 100 } = {}) {
+  if (!storeName || !(count > 0)) {
+    throw new IndexedDbError('DataError', 'An eviction policy needs a store name and a positive count.',
+      { dbName, storeName, operation: 'defineEviction' });
+  }
+  evictionPolicies.set(dbName, { storeName, indexName, count });
+}
+
+/**
+ * Removes the eviction policy of a database.
+ * @param {string} dbName - The name of the database.
+ * @returns {boolean} - True if the database had a policy.
+ */
+export function removeEviction(dbName) {
+  return evictionPolicies.delete(dbName);
+}
+
+/**
+ * Deletes the oldest records named by the eviction policy of a database.
+ * @param {string} dbName - The name of the database.
+ * @param {{storeName: string, indexName: string|null, count: number}} policy - The eviction policy.
+ * @returns {Promise<number>} - A promise that resolves to the number of deleted records.
+ */
+async function evict(dbName, { storeName, indexName, count }) {
+  const keys = await runInTransaction({ dbName, operation: 'evict' }, storeName, 'readonly', null, (transaction) => {
+    const store = transaction.objectStore(storeName);
+    return promisifyRequest((indexName ? store.index(indexName) : store).getAllKeys(null, count));
+  });
+  if (keys.length > 0) {
+    await deleteMany(dbName, storeName, keys);
+  }
+  return keys.length;
+}
+
+/**
+ * Runs a write and turns a QuotaExceededError into one that names the store and the operation. When the database
+ * has an eviction policy and the write runs in a transaction of its own, the oldest records are evicted and the
+ * write is retried once before giving up.
+ * @param {string} dbName - The name of the database.
+ * @param {string|string[]} storeNames - The name(s) of the object store(s) written to.
+ * @param {string} operation - The name of the operation, as reported in the error.
+ * @param {string|null} transactionId - The id of a transaction started with beginTransaction, or null.
+ * @param {function(): Promise<*>} write - The write.
+ * @returns {Promise<*>} - A promise that resolves to the result of the write.
+ */
+async function withQuotaHandling(dbName, storeNames, operation, transactionId, write) {
+  try {
+    return await write();
+  } catch (error) {
+    if (error?.name !== 'QuotaExceededError') {
+      throw error;
+    }
+  }
+
+  const policy = evictionPolicies.get(dbName);
+  if (transactionId == null && policy && await evict(dbName, policy) > 0) {
+    try {
+      return await write();
+    } catch (error) {
+      if (error?.name !== 'QuotaExceededError') {
+        throw error;
+      }
+    }
+  }
+  throw quotaExceeded(dbName, storeNames, operation);
+}
+
+/**
+ * Creates the error reported when a write exceeds the storage quota.
+ * @param {string} dbName - The name of the database.
+ * @param {string|string[]} storeNames - The name(s) of the object store(s) written to.
+ * @param {string} operation - The name of the operation.
+ * @returns {IndexedDbError} - The error.
+ */
+function quotaExceeded(dbName, storeNames, operation) {
+  const storeName = [].concat(storeNames).join(', ');
+  return new IndexedDbError('QuotaExceededError',
+    `Storage quota exceeded by ${operation} on object store '${storeName}' of database '${dbName}'.`,
+    { dbName, storeName, operation });
+}
+
+/**
+ * The checks behind the schema types. Dates are objects here; schemas describe them as date-time strings.
+ * @type {Object<string, function(*): boolean>}
+ */
+const schemaTypeChecks = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !isDate(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null,
+};
+
+/**
+ * Tells whether a value is a Date, including Dates created in another realm.
+ * @param {*} value - The value.
+ * @returns {boolean} - True if the value is a Date.
+ */
+function isDate(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+/**
+ * Checks a value against a schema, collecting every violation. Supports the JSON Schema keywords type, enum,
+ * minimum, maximum, exclusiveMinimum, exclusiveMaximum, minLength, maxLength, pattern, format ('date-time'),
+ * properties, required, additionalProperties, items, minItems and maxItems.
+ * @param {*} value - The value.
+ * @param {object} schema - The schema.
+ * @param {string} path - The path of the value in the record, such as 'address.city' or 'tags[0]'.
+ * @param {Array<{path: string, keyword: string, message: string}>} violations - Receives the violations.
+ */
+function checkSchema(value, schema, path, violations) {
+  const fail = (keyword, message) => violations.push({ path, keyword, message });
+  const dateTime = schema.format === 'date-time';
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    const matches = types.some((type) => schemaTypeChecks[type]?.(value)) || (dateTime && isDate(value));
+    if (!matches) {
+      fail('type', `must be of type ${types.join(' or ')}`);
+      return;
+    }
+  }
+  if (schema.enum !== undefined && !schema.enum.some((allowed) => allowed === value)) {
+    fail('enum', `must be one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be at most ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match the pattern ${schema.pattern}`);
+    }
+  }
+  if (dateTime && Number.isNaN((isDate(value) ? value : new Date(value)).getTime())) {
+    fail('format', 'must be a date-time');
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkSchema(item, schema.items, `${path}[${index}]`, violations));
+    }
+  }
+
+  if (schemaTypeChecks.object(value)) {
+    const properties = schema.properties ?? {};
+    const childPath = (name) => (path ? `${path}.${name}` : name);
+    (schema.required ?? []).forEach((name) => {
+      if (value[name] === undefined) {
+        violations.push({ path: childPath(name), keyword: 'required', message: 'is required' });
+      }
+    });
+    Object.keys(value).forEach((name) => {
+      if (value[name] === undefined) {
+        return;
+      }
+      if (Object.hasOwn(properties, name)) {
+        checkSchema(value[name], properties[name], childPath(name), violations);
+      } else if (schema.additionalProperties === false) {
+        violations.push({ path: childPath(name), keyword: 'additionalProperties', message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        checkSchema(value[name], schema.additionalProperties, childPath(name), violations);
+      }
+    });
+  }
+}
+
+/**
+ * Creates the error reported when records break the schema of their store.
+ * @param {string} storeName - The name of the object store.
+ * @param {Array<{path: string, keyword: string, message: string}>} violations - The violations.
+ * @param {*} [key] - The key of the offending record.
+ * @returns {IndexedDbError} - The error.
+ */
+function validationFailed(storeName, violations, key = null) {
+  const list = violations.map((violation) => `${violation.path || 'the record'} ${violation.message}`).join('; ');
+  return new IndexedDbError('ValidationError', `Object store '${storeName}' rejected an invalid record: ${list}.`,
+    { storeName, key, violations });
+}
+
+/**
+ * Gives an object store a record schema, a JSON Schema subset checked by addOne, addMany, putMany, updateOne,
+ * patchOne and upsertOne before anything is written. Invalid records are rejected with a ValidationError listing
+ * every violation with its path. Schemas are kept in memory, so call this at startup.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} schema - The schema of the records, such as { type: 'object', required: ['name'],
+ * properties: { name: { type: 'string', minLength: 1 }, age: { type: 'integer', minimum: 0 } } }.
+ */
+export function defineSchema(dbName, storeName, schema) {
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new IndexedDbError('DataError', 'A record schema must be an object.',
+      { dbName, storeName, operation: 'defineSchema' });
+  }
+  recordSchemas.set(`${dbName}/${storeName}`, schema);
+}
+
+/**
+ * Removes the record schema of an object store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @returns {boolean} - True if the store had a schema.
+ */
+export function removeSchema(dbName, storeName) {
+  return recordSchemas.delete(`${dbName}/${storeName}`);
+}
+
+/**
+ * Checks a record against the schema of an object store without writing it, for instance to validate a form.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} record - The record.
+ * @returns {Array<{path: string, keyword: string, message: string}>} - The violations; empty when the record is
+ * valid or the store has no schema.
+ */
+export function validateRecord(dbName, storeName, record) {
+  const schema = recordSchemas.get(`${dbName}/${storeName}`);
+  const violations = [];
+  if (schema) {
+    checkSchema(record, schema, '', violations);
+  }
+  return violations;
+}
+
+/**
+ * Rejects a record that breaks the schema of its object store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} record - The record about to be written.
+ */
+function assertValid(dbName, storeName, record) {
+  const violations = validateRecord(dbName, storeName, record);
+  if (violations.length > 0) {
+    throw validationFailed(storeName, violations);
+  }
+}
+
+/**
+ * Checks the records of a bulk write against the schema of their object store. By default the first invalid
+ * record fails the whole write, with the violations of every record prefixed by its index; in continue-on-error
+ * mode the invalid records are returned so that they can be reported and skipped.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {Array<object>} items - The records about to be written.
+ * @param {{continueOnError: boolean}|null} options - The bulk write options, null for the defaults.
+ * @returns {Set<number>} - The indexes of the invalid records.
+ */
+function checkBatch(dbName, storeName, items, options) {
+  const invalid = new Set();
+  const violations = [];
+  items.forEach((item, index) => {
+    const found = validateRecord(dbName, storeName, item);
+    if (found.length > 0) {
+      invalid.add(index);
+      found.forEach((violation) => {
+        violations.push({ ...violation, path: violation.path ? `[${index}].${violation.path}` : `[${index}]` });
+      });
+    }
+  });
+  if (violations.length > 0 && !options?.continueOnError) {
+    const first = items[invalid.values().next().value];
+    throw validationFailed(storeName, violations, keyOfItem(dbName, storeName, first));
+  }
+  return invalid;
+}
+
+/**
+ * Converts a stored or supplied expiry (a Date, a timestamp in milliseconds or a date string) into a Date.
+ * @param {Date|number|string} value - The expiry.
+ * @returns {Date} - The expiry as a Date.
+ */
+function toExpiryDate(value) {
+  const date = isDate(value) ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new IndexedDbError('DataError', `'${value}' is not a valid expiry time.`);
+  }
+  return date;
+}
+
+/**
+ * Returns the item to store with its expiry time set, for stores with a time-to-live policy. A ttl passed
+ * with the write always sets a fresh expiry; otherwise an item keeps the expiry it carries, and an item
+ * without one expires after the store's ttl.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} item - The item about to be written.
+ * @param {{ttl: number}} [options] - The write options.
+ * @returns {object} - The item, or a copy of it with the expiry field set.
+ */
+function stampExpiry(dbName, storeName, item, options) {
+  const policy = expiryPolicies.get(`${dbName}/${storeName}`);
+  const ttl = options?.ttl ?? null;
+  if (!policy) {
+    if (ttl !== null) {
+      throw new IndexedDbError('DataError', `Object store '${storeName}' has no time-to-live policy.`);
+    }
+    return item;
+  }
+  if (item === null || typeof item !== 'object') {
+    return item;
+  }
+
+  let expiresAt = null;
+  if (ttl !== null) {
+    expiresAt = new Date(Date.now() + ttl);
+  } else if (item[policy.field] !== undefined && item[policy.field] !== null) {
+    expiresAt = toExpiryDate(item[policy.field]);
+  } else if (policy.ttl !== null) {
+    expiresAt = new Date(Date.now() + policy.ttl);
+  }
+  return expiresAt === null ? item : { ...item, [policy.field]: expiresAt };
+}
+
+/**
+ * Tells whether a record of a store with a time-to-live policy has expired.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} record - The record.
+ * @returns {boolean} - True if the record has expired.
+ */
+function isExpired(dbName, storeName, record) {
+  const policy = expiryPolicies.get(`${dbName}/${storeName}`);
+  const expiresAt = policy ? record?.[policy.field] : null;
+  return expiresAt !== undefined && expiresAt !== null && toExpiryDate(expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Tells whether reads treat a record as missing: it has expired, or it was soft-deleted.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} record - The record.
+ * @returns {boolean} - True if the record is hidden from reads.
+ */
+function isHidden(dbName, storeName, record) {
+  return isExpired(dbName, storeName, record) || isSoftDeleted(dbName, storeName, record);
+}
+
+/**
+ * Removes the expired and soft-deleted records from a list of records.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {Array<object>} records - The records.
+ * @returns {Array<object>} - The records reads can see.
+ */
+function withoutHidden(dbName, storeName, records) {
+  return expiryPolicies.has(`${dbName}/${storeName}`) || historyPolicies.has(`${dbName}/${storeName}`)
+    ? records.filter((record) => !isHidden(dbName, storeName, record))
+    : records;
+}
+
+/**
+ * Gives an object store a time-to-live policy. Writes stamp an expiry time on each record, in an indexed
+ * field, and reads treat expired records as missing until purgeExpired deletes them. The index is created
+ * the first time the policy is defined. Policies live in memory, so call this at startup.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} options - The policy.
+ * @param {number} [options.ttl=null] - The time to live of records in milliseconds. Without it, only
+ * records written with an explicit expiry or ttl expire.
+ * @param {string} [options.field='expiresAt'] - The property holding the expiry time, and the name of its index.
+ * @param {number} [options.purgeInterval=0] - When greater than 0, purgeExpired runs every this many milliseconds.
+ * @returns {Promise<void>}
+ */
+export async function defineExpiry(dbName, storeName, { ttl = null, field = 'expiresAt', purgeInterval = 0 } = {}) {
+  const db = await openIndexedDB(dbName);
+  if (!db.objectStoreNames.contains(storeName)) {
+    throw objectStoreNotFound(dbName, storeName);
+  }
+  if (!db.transaction(storeName).objectStore(storeName).indexNames.contains(field)) {
+    await openIndexedDB(dbName, db.version + 1, (upgradedDb, event) => {
+      event.target.transaction.objectStore(storeName).createIndex(field, field);
+    }).catch(rethrowAs({ dbName, storeName, operation: 'defineExpiry' }));
+  }
+
+  removeExpiry(dbName, storeName);
+  const policy = { ttl, field, timer: null };
+  if (purgeInterval > 0) {
+    // A failed sweep is simply retried on the next tick.
+    policy.timer = setInterval(() => purgeExpired(dbName, storeName).catch(() => {}), purgeInterval);
+  }
+  expiryPolicies.set(`${dbName}/${storeName}`, policy);
+}
+
+/**
+ * Removes the time-to-live policy of an object store and stops its purge timer. Stored expiry times are kept.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @returns {boolean} - True if the store had a policy.
+ */
+export function removeExpiry(dbName, storeName) {
+  const policy = expiryPolicies.get(`${dbName}/${storeName}`);
+  if (policy?.timer) {
+    clearInterval(policy.timer);
+  }
+  return expiryPolicies.delete(`${dbName}/${storeName}`);
+}
+
+/**
+ * Deletes the expired records of an object store, read from its expiry index up to the current time. Each delete
+ * is recorded like deleteOne records it, in the history and the sync outbox, and applies the delete rules of the
+ * stores that reference the object store, in the same transaction; a 'restrict' rule with children left fails the
+ * whole sweep. Expired records are removed even from stores with soft deletes.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store, which must have a time-to-live policy.
+ * @returns {Promise<number>} - A promise that resolves to the number of deleted records.
+ */
+export async function purgeExpired(dbName, storeName) {
+  const policy = expiryPolicies.get(`${dbName}/${storeName}`);
+  if (!policy) {
+    throw new IndexedDbError('NotFoundError', `Object store '${storeName}' has no time-to-live policy.`,
+      { dbName, storeName, operation: 'purgeExpired' });
+  }
+
+  return runInTransaction({ dbName, operation: 'purgeExpired' }, withRelatedStores(dbName, storeName, 'children'), 'readwrite', null, async (transaction) => {
+    const index = transaction.objectStore(storeName).index(policy.field);
+    const keys = await promisifyRequest(index.getAllKeys(keyRanges().upperBound(new Date())));
+    const visited = [];
+    for (const key of keys) {
+      await deleteRecord(transaction, dbName, storeName, key, visited, true);
+    }
+    return keys.length;
+  });
+}
+
+/**
+ * Derives an encryption key from a passphrase with PBKDF2 and registers it under a key id. The derived bits
+ * are split into a non-extractable AES-GCM key and a non-extractable HMAC key used for hashed fields.
+ * @param {string} keyId - The id the key is registered under.
+ * @param {string} passphrase - The passphrase.
+ * @param {string} salt - The salt, which must be the same every time the key is derived.
+ * @param {number} [iterations=310000] - The number of PBKDF2 iterations.
+ * @returns {Promise<void>} - A promise that resolves once the key is registered.
+ */
+export async function deriveEncryptionKey(keyId, passphrase, salt, iterations = 310000) {
+  const encoder = new TextEncoder();
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations }, material, 512));
+  const [encryptionKey, hmacKey] = await Promise.all([
+    crypto.subtle.importKey('raw', bits.slice(0, 32), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']),
+    crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+  ]);
+  encryptionKeys.set(keyId, { encryptionKey, hmacKey });
+}
+
+/**
+ * Registers CryptoKey handles under a key id, for example non-extractable keys generated or unwrapped by the
+ * application and passed from .NET as IJSObjectReference.
+ * @param {string} keyId - The id the key is registered under.
+ * @param {CryptoKey} encryptionKey - An AES-GCM key usable for encrypt and decrypt.
+ * @param {CryptoKey|null} [hmacKey=null] - An HMAC key usable for sign, required by stores with hashed fields.
+ */
+export function registerEncryptionKey(keyId, encryptionKey, hmacKey = null) {
+  if (encryptionKey?.algorithm?.name !== 'AES-GCM') {
+    throw new IndexedDbError('InvalidAccessError', 'The encryption key must be an AES-GCM CryptoKey.');
+  }
+  if (hmacKey !== null && hmacKey?.algorithm?.name !== 'HMAC') {
+    throw new IndexedDbError('InvalidAccessError', 'The hashing key must be an HMAC CryptoKey.');
+  }
+  encryptionKeys.set(keyId, { encryptionKey, hmacKey });
+}
+
+/**
+ * Removes a registered key. Records encrypted with it cannot be read until it is registered again.
+ * @param {string} keyId - The id of the key.
+ * @returns {boolean} - True if a key was registered under that id.
+ */
+export function forgetEncryptionKey(keyId) {
+  return encryptionKeys.delete(keyId);
+}
+
+/**
+ * Looks up a registered key.
+ * @param {string} keyId - The id of the key.
+ * @returns {{encryptionKey: CryptoKey, hmacKey: CryptoKey|null}} - The key.
+ */
+function getEncryptionKey(keyId) {
+  const key = encryptionKeys.get(keyId);
+  if (!key) {
+    throw new IndexedDbError('InvalidAccessError', `No encryption key is registered under '${keyId}'.`);
+  }
+  return key;
+}
+
+/**
+ * Tells whether any of the given object stores encrypts its records.
+ * @param {string} dbName - The name of the database.
+ * @param {string|string[]} storeNames - The name(s) of the object store(s).
+ * @returns {boolean} - True if at least one store has an encryption policy.
+ */
+function isEncrypted(dbName, storeNames) {
+  return [].concat(storeNames).some((name) => encryptionPolicies.has(`${dbName}/${name}`));
+}
+
+/**
+ * Computes the keyed hash stored in place of a hashed field, hashing arrays element by element so that a
+ * multiEntry index on the field keeps working.
+ * @param {CryptoKey} hmacKey - The HMAC key.
+ * @param {*} value - The field value.
+ * @returns {Promise<string|Array<string>>} - The base64 hash(es).
+ */
+async function hashValue(hmacKey, value) {
+  if (Array.isArray(value)) {
+    return Promise.all(value.map((item) => hashValue(hmacKey, item)));
+  }
+  const data = new TextEncoder().encode(JSON.stringify(encodeValue(value)));
+  return toBase64(new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, data)));
+}
+
+/**
+ * Tells whether an encryption policy takes a top-level field out of plaintext, by sealing or hashing it.
+ * @param {object} policy - The encryption policy of the store.
+ * @param {string} name - The name of the field.
+ * @returns {boolean} - True if the field is not stored as it is.
+ */
+function isSealed(policy, name) {
+  return !policy.plaintext.has(name)
+    && (policy.fields === null || policy.fields.includes(name) || policy.hashed.includes(name));
+}
+
+/**
+ * Throws when a store would both encrypt a field and index it for search: the search tokens are stored in
+ * plaintext, so they would reveal what the encryption hides.
+ * @param {object|undefined} policy - The encryption policy of the store, if any.
+ * @param {{fields: string[]}|undefined} definition - The search definition of the store, if any.
+ * @param {{dbName: string, storeName: string, operation: string}} context - The context of the error.
+ * @throws {IndexedDbError} - A DataError naming the first searchable field that is encrypted.
+ */
+function assertSearchableInPlaintext(policy, definition, context) {
+  const field = policy && definition?.fields.find((path) => isSealed(policy, path.split('.')[0]));
+  if (field !== undefined && field !== null) {
+    throw new IndexedDbError('DataError',
+      `The searchable field '${field}' is encrypted; list it in plaintextFields to make it searchable.`,
+      context);
+  }
+}
+
+/**
+ * Encrypts a record as the encryption policy of its store requires. Plaintext fields are kept as they are,
+ * hashed fields are replaced by their keyed hash, and the other fields are sealed in the __encrypted envelope.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} record - The record to store.
+ * @returns {Promise<object>} - The record as it is stored, or the record itself when the store is not encrypted.
+ */
+async function encryptRecord(dbName, storeName, record) {
+  const policy = encryptionPolicies.get(`${dbName}/${storeName}`);
+  if (!policy || record === null || typeof record !== 'object') {
+    return record;
+  }
+
+  const { encryptionKey, hmacKey } = getEncryptionKey(policy.keyId);
+  const stored = {};
+  const sealed = {};
+  Object.entries(record).forEach(([name, value]) => {
+    if (isSealed(policy, name)) {
+      sealed[name] = value;
+    } else {
+      stored[name] = value;
+    }
+  });
+  await Promise.all(policy.hashed
+    .filter((name) => record[name] !== undefined && record[name] !== null)
+    .map(async (name) => {
+      stored[name] = await hashValue(hmacKey, record[name]);
+    }));
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, encryptionKey, new TextEncoder().encode(JSON.stringify(encodeValue(sealed))));
+  stored.__encrypted = { keyId: policy.keyId, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+  return stored;
+}
+
+/**
+ * Restores a record stored by encryptRecord. Records without an envelope are returned unchanged.
+ * @param {object} record - The stored record.
+ * @returns {Promise<object>} - The record as it was written.
+ */
+async function decryptRecord(record) {
+  const envelope = record?.__encrypted;
+  if (!envelope) {
+    return record;
+  }
+
+  const { encryptionKey } = getEncryptionKey(envelope.keyId);
+  let data;
+  try {
+    data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) }, encryptionKey, fromBase64(envelope.data));
+  } catch {
+    throw new IndexedDbError('InvalidAccessError', `The record could not be decrypted with key '${envelope.keyId}'.`);
+  }
+  const { __encrypted, ...stored } = record;
+  return { ...stored, ...decodeValue(JSON.parse(new TextDecoder().decode(data))) };
+}
+
+/**
+ * Restores the records stored by encryptRecord.
+ * @param {Array<object>} records - The stored records.
+ * @returns {Promise<Array<object>>} - The records as they were written.
+ */
+function decryptRecords(records) {
+  return Promise.all(records.map(decryptRecord));
+}
+
+/**
+ * Turns an index query into the query on stored values, hashing it when the index is on a hashed field.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {string} indexName - The name of the index.
+ * @param {*} query - The key to match or a range descriptor.
+ * @returns {Promise<*>} - The query to run against the index.
+ */
+async function toStoredQuery(dbName, storeName, indexName, query) {
+  const field = encryptionPolicies.get(`${dbName}/${storeName}`)?.hashedIndexes.get(indexName);
+  if (field === undefined || query === null || query === undefined) {
+    return query;
+  }
+
+  const { hmacKey } = getEncryptionKey(encryptionPolicies.get(`${dbName}/${storeName}`).keyId);
+  if (isRangeDescriptor(query)) {
+    if (!('only' in query)) {
+      throw new IndexedDbError('DataError', `Index '${indexName}' is on the hashed field '${field}' and only supports exact matches.`);
+    }
+    return { only: await hashValue(hmacKey, query.only) };
+  }
+  return hashValue(hmacKey, query);
+}
+
+/**
+ * Encrypts the records of an object store from now on. Key path and indexed fields always stay in plaintext
+ * so that keys and indexes keep working; a field listed in hashedFields is stored as a keyed hash instead,
+ * which still supports exact-match lookups through its index but not ranges or ordering. Records written
+ * before the call are read as they are and encrypted the next time they are written or rotated.
+ * Expiry and version fields must stay in plaintext: define the expiry first, or list them in plaintextFields.
+ * Search tokens are stored in plaintext, so fields indexed for search must be listed in plaintextFields too.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} options - The encryption options.
+ * @param {string} options.keyId - The id of a registered key.
+ * @param {Array<string>|null} [options.fields=null] - The fields to encrypt; the whole record when null.
+ * @param {Array<string>} [options.plaintextFields=[]] - More fields to keep in plaintext.
+ * @param {Array<string>} [options.hashedFields=[]] - Indexed fields to store as a keyed hash.
+ * @returns {Promise<void>} - A promise that resolves once the policy is in place.
+ */
+export async function defineEncryption(dbName, storeName, { keyId, fields = null, plaintextFields = [], hashedFields = [] } = {}) {
+  const { hmacKey } = getEncryptionKey(keyId);
+  if (hashedFields.length > 0 && hmacKey === null) {
+    throw new IndexedDbError('InvalidAccessError', 'Hashed fields require an encryption key registered with an HMAC key.',
+      { dbName, storeName, operation: 'defineEncryption' });
+  }
+
+  const db = await openIndexedDB(dbName);
+  if (!db.objectStoreNames.contains(storeName)) {
+    throw objectStoreNotFound(dbName, storeName);
+  }
+  const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+  const topLevel = (keyPath) => [].concat(keyPath ?? []).filter((path) => path !== '').map((path) => path.split('.')[0]);
+  const keyFields = topLevel(store.keyPath);
+  const hashedKeyField = hashedFields.find((field) => keyFields.includes(field));
+  if (hashedKeyField !== undefined) {
+    throw new IndexedDbError('DataError', `The key path field '${hashedKeyField}' cannot be hashed.`,
+      { dbName, storeName, operation: 'defineEncryption' });
+  }
+
+  const plaintext = new Set([...keyFields, ...plaintextFields]);
+  const hashedIndexes = new Map();
+  Array.from(store.indexNames).forEach((indexName) => {
+    const { keyPath } = store.index(indexName);
+    if (typeof keyPath === 'string' && hashedFields.includes(keyPath)) {
+      hashedIndexes.set(indexName, keyPath);
+    }
+    topLevel(keyPath).forEach((field) => plaintext.add(field));
+  });
+  hashedFields.forEach((field) => plaintext.delete(field));
+
+  const policy = { keyId, fields, plaintext, hashed: [...hashedFields], hashedIndexes };
+  assertSearchableInPlaintext(policy, searchIndexes.get(`${dbName}/${storeName}`),
+    { dbName, storeName, operation: 'defineEncryption' });
+  encryptionPolicies.set(`${dbName}/${storeName}`, policy);
+}
+
+/**
+ * Re-encrypts every record of an object store with another registered key, in batches that each run in
+ * their own transaction. The previous versions kept by its history and the payloads of its mutations waiting in
+ * the sync outbox are re-encrypted too. New writes use the new key as soon as the rotation starts, and the old
+ * key must stay registered until it finishes.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {string} keyId - The id of the new key.
+ * @param {number} [batchSize=100] - The number of records read per transaction.
+ * @returns {Promise<number>} - A promise that resolves to the number of re-encrypted records.
+ */
+export async function rotateEncryptionKey(dbName, storeName, keyId, batchSize = 100) {
+  const policy = encryptionPolicies.get(`${dbName}/${storeName}`);
+  if (!policy) {
+    throw new IndexedDbError('NotFoundError', `Object store '${storeName}' is not encrypted.`,
+      { dbName, storeName, operation: 'rotateEncryptionKey' });
+  }
+  const { hmacKey } = getEncryptionKey(keyId);
+  if (policy.hashed.length > 0 && hmacKey === null) {
+    throw new IndexedDbError('InvalidAccessError', 'Hashed fields require an encryption key registered with an HMAC key.',
+      { dbName, storeName, operation: 'rotateEncryptionKey' });
+  }
+  policy.keyId = keyId;
+
+  let rotated = 0;
+  let lastKey;
+  let done = false;
+  while (!done) {
+    const range = lastKey === undefined ? undefined : keyRanges().lowerBound(lastKey, true);
+    await runInTransaction({ dbName, operation: 'rotateEncryptionKey' }, storeName, 'readwrite', null, async (transaction) => {
+      const store = transaction.objectStore(storeName);
+      const [keys, records] = await Promise.all([
+        promisifyRequest(store.getAllKeys(range, batchSize)),
+        promisifyRequest(store.getAll(range, batchSize)),
+      ]);
+      done = keys.length < batchSize;
+      lastKey = keys[keys.length - 1];
+
+      const entries = [];
+      for (let i = 0; i < records.length; i++) {
+        if (records[i]?.__encrypted?.keyId === keyId) {
+          continue;
+        }
+        const record = await encryptRecord(dbName, storeName, await decryptRecord(records[i]));
+        await promisifyRequest(store.keyPath === null ? store.put(record, keys[i]) : store.put(record));
+        entries.push({ key: keys[i], record });
+      }
+      await syncSearchIndex(transaction, dbName, storeName, { type: 'put', entries });
+      rotated += entries.length;
+    });
+  }
+
+  await reencryptCompanion(dbName, storeName, historyStoreName(storeName), 'record', () => true, batchSize);
+  await reencryptCompanion(dbName, storeName, outboxStoreName, 'payload', (entry) => entry.storeName === storeName, batchSize);
+  return rotated;
+}
+
+/**
+ * Re-encrypts with the current key of an object store the records a companion store holds in one of its
+ * fields, such as history revisions or outbox payloads, in batches that each run in their own transaction.
+ * Entries without an envelope, written before the store was encrypted, are left as they are.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the encrypted object store.
+ * @param {string} companionName - The name of the companion store; nothing is done when it does not exist.
+ * @param {string} field - The property of the entries holding a stored record.
+ * @param {function(object): boolean} belongs - Tells whether an entry holds a record of the object store.
+ * @param {number} batchSize - The number of entries read per transaction.
+ * @returns {Promise<void>}
+ */
+async function reencryptCompanion(dbName, storeName, companionName, field, belongs, batchSize) {
+  const db = await openIndexedDB(dbName);
+  if (!db.objectStoreNames.contains(companionName)) {
+    return;
+  }
+
+  const { keyId } = encryptionPolicies.get(`${dbName}/${storeName}`);
+  let lastKey;
+  let done = false;
+  while (!done) {
+    const range = lastKey === undefined ? undefined : keyRanges().lowerBound(lastKey, true);
+    // The object store is part of the scope so that the transaction is kept alive while WebCrypto runs.
+    await runInTransaction({ dbName, operation: 'rotateEncryptionKey' }, [storeName, companionName], 'readwrite', null, async (transaction) => {
+      const companion = transaction.objectStore(companionName);
+      const [keys, entries] = await Promise.all([
+        promisifyRequest(companion.getAllKeys(range, batchSize)),
+        promisifyRequest(companion.getAll(range, batchSize)),
+      ]);
+      done = keys.length < batchSize;
+      lastKey = keys[keys.length - 1];
+
+      for (const entry of entries) {
+        const envelope = entry[field]?.__encrypted;
+        if (!envelope || envelope.keyId === keyId || !belongs(entry)) {
+          continue;
+        }
+        const record = await encryptRecord(dbName, storeName, await decryptRecord(entry[field]));
+        await promisifyRequest(companion.put({ ...entry, [field]: record }));
+      }
+    });
+  }
+}
+
+/**
+ * Returns the name of the companion store holding the search tokens of an object store.
+ * @param {string} storeName - The name of the object store.
+ * @returns {string} - The name of the companion store.
+ */
+function searchStoreName(storeName) {
+  return `${storeName}__search`;
+}
+
+/**
+ * Adds the companion stores of the given object stores, so that a transaction over them can also keep
+ * their search tokens, revision history and sync outbox up to date.
+ * @param {string} dbName - The name of the database.
+ * @param {string|string[]} storeNames - The name(s) of the object store(s).
+ * @returns {string|string[]} - The store names, with the companion stores appended when there are any.
+ */
+function withCompanionStores(dbName, storeNames) {
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+  const companions = names
+    .filter((name) => searchIndexes.has(`${dbName}/${name}`))
+    .map(searchStoreName)
+    .concat(names.filter((name) => historyPolicies.has(`${dbName}/${name}`)).map(historyStoreName))
+    .concat(names.some((name) => isSynced(dbName, name)) ? [outboxStoreName] : [])
+    .filter((name) => !names.includes(name));
+  return companions.length === 0 ? storeNames : [...names, ...companions];
+}
+
+/**
+ * Splits a text into search tokens: lowercase words and numbers with their diacritics removed.
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} - The tokens, in order of appearance.
+ */
+function tokenize(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 0);
+}
+
+/**
+ * Builds the companion entry of a record: its tokens, how often each occurs and, when enabled, the
+ * prefixes of every token that are at least prefixLength characters long.
+ * @param {*} key - The primary key of the record.
+ * @param {object} record - The record.
+ * @param {{fields: string[], prefixLength: number}} definition - The search definition of the store.
+ * @returns {{key: *, tokens: string[], prefixes: string[], frequencies: object}} - The companion entry.
+ */
+function buildSearchEntry(key, record, { fields, prefixLength }) {
+  const frequencies = {};
+  fields.forEach((field) => {
+    const value = getKeyPathValue(record, field);
+    (Array.isArray(value) ? value : [value])
+      .filter((text) => typeof text === 'string')
+      .forEach((text) => tokenize(text).forEach((token) => {
+        frequencies[token] = (frequencies[token] ?? 0) + 1;
+      }));
+  });
+
+  const tokens = Object.keys(frequencies);
+  const prefixes = new Set();
+  if (prefixLength > 0) {
+    tokens.forEach((token) => {
+      for (let length = prefixLength; length < token.length; length++) {
+        prefixes.add(token.slice(0, length));
+      }
+    });
+  }
+  return { key, tokens, prefixes: [...prefixes], frequencies };
+}
+
+/**
+ * Pairs the items a bulk write stored with their keys.
+ * @param {Array<object>} report - The per-item report returned by writeEach.
+ * @param {Array<object>} items - The items of the bulk write.
+ * @returns {Array<{key: *, record: object}>} - The written records.
+ */
+function writtenEntries(report, items) {
+  return report.filter((entry) => entry.success).map((entry) => ({ key: entry.key, record: items[entry.index] }));
+}
+
+/**
+ * Keeps the search tokens of a store in step with a write made in the same transaction. Does nothing for
+ * stores without a search definition.
+ * @param {IDBTransaction} transaction - The transaction of the write.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} write - The write: { type: 'put', entries: [{ key, record }] }, { type: 'delete', keys },
+ * { type: 'delete', range } or { type: 'clear' }.
+ * @returns {Promise<void>}
+ */
+async function syncSearchIndex(transaction, dbName, storeName, write) {
+  const definition = searchIndexes.get(`${dbName}/${storeName}`);
+  if (!definition) {
+    return;
+  }
+
+  const companion = transaction.objectStore(searchStoreName(storeName));
+  switch (write.type) {
+    case 'put':
+      await Promise.all(write.entries.map(({ key, record }) =>
+        promisifyRequest(companion.put(buildSearchEntry(key, record, definition)))));
+      break;
+    case 'delete':
+      if (write.range) {
+        await promisifyRequest(companion.delete(write.range));
+      } else {
+        await Promise.all(write.keys.map((key) => promisifyRequest(companion.delete(key))));
+      }
+      break;
+    case 'clear':
+      await promisifyRequest(companion.clear());
+      break;
+    default:
+      throw new IndexedDbError('DataError', `Unknown search index write '${write.type}'.`);
+  }
+}
+
+/**
+ * Makes string fields of an object store searchable with search. The tokens of every record are kept in a
+ * companion store ("<storeName>__search") that each write updates in the same transaction; the companion
+ * store is created, and filled from the existing records, the first time the definition is made.
+ * Definitions live in memory, so call this at startup, like registerMigrationTransform. After changing the
+ * fields of an existing definition, call rebuildSearchIndex. On an encrypted store, only fields kept in plaintext
+ * can be indexed, since the tokens would reveal the encrypted contents.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} options - The search definition.
+ * @param {string[]} options.fields - The key paths of the string (or string array) fields to index.
+ * @param {number} [options.prefixLength=0] - When greater than 0, every token prefix of at least this many
+ * characters is indexed too, which makes prefix searches exact lookups instead of range scans.
+ * @returns {Promise<void>}
+ */
+export async function defineSearchIndex(dbName, storeName, { fields, prefixLength = 0 } = {}) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new IndexedDbError('DataError', 'A search index needs at least one field.',
+      { dbName, storeName, operation: 'defineSearchIndex' });
+  }
+
+  const companionName = searchStoreName(storeName);
+  const db = await openIndexedDB(dbName);
+  if (!db.objectStoreNames.contains(storeName)) {
+    throw objectStoreNotFound(dbName, storeName);
+  }
+
+  assertSearchableInPlaintext(encryptionPolicies.get(`${dbName}/${storeName}`), { fields },
+    { dbName, storeName, operation: 'defineSearchIndex' });
+  searchIndexes.set(`${dbName}/${storeName}`, { fields, prefixLength });
+  if (!db.objectStoreNames.contains(companionName)) {
+    await openIndexedDB(dbName, db.version + 1, (upgradedDb) => {
+      const companion = upgradedDb.createObjectStore(companionName, { keyPath: 'key' });
+      companion.createIndex('tokens', 'tokens', { multiEntry: true });
+      companion.createIndex('prefixes', 'prefixes', { multiEntry: true });
+    }).catch(rethrowAs({ dbName, storeName, operation: 'defineSearchIndex' }));
+    await rebuildSearchIndex(dbName, storeName);
+  }
+}
+
+/**
+ * Recomputes the search tokens of every record of an object store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @returns {Promise<number>} - A promise that resolves to the number of indexed records.
+ */
+export async function rebuildSearchIndex(dbName, storeName) {
+  const definition = searchIndexes.get(`${dbName}/${storeName}`);
+  if (!definition) {
+    throw new IndexedDbError('NotFoundError', `Object store '${storeName}' has no search index.`,
+      { dbName, storeName, operation: 'rebuildSearchIndex' });
+  }
+
+  return runInTransaction({ dbName, operation: 'rebuildSearchIndex' }, storeName, 'readwrite', null, async (transaction) => {
+    const companion = transaction.objectStore(searchStoreName(storeName));
+    await promisifyRequest(companion.clear());
+    let indexed = 0;
+    await walkCursor(transaction.objectStore(storeName).openCursor(), (cursor) => {
+      companion.put(buildSearchEntry(cursor.primaryKey, cursor.value, definition));
+      indexed++;
+    });
+    return indexed;
+  });
+}
+
+/**
+ * Finds the companion entries matching one search term and weighs each match by how often the term
+ * occurs in the record. Prefix matches weigh half as much as whole-word matches.
+ * @param {IDBObjectStore} companion - The companion store.
+ * @param {string} term - The normalized search term.
+ * @param {boolean} prefix - Whether the term also matches words it is a prefix of.
+ * @param {number} prefixLength - The shortest indexed prefix, or 0 if prefixes are not indexed.
+ * @returns {Promise<Map<string, {key: *, weight: number}>>} - The matches, keyed by encoded primary key.
+ */
+async function matchSearchTerm(companion, term, prefix, prefixLength) {
+  const requests = [companion.index('tokens').getAll(term)];
+  if (prefix) {
+    requests.push(prefixLength > 0 && term.length >= prefixLength
+      ? companion.index('prefixes').getAll(term)
+      : companion.index('tokens').getAll(keyRanges().bound(term, `${term}\uffff`, true, false)));
+  }
+
+  const matches = new Map();
+  (await Promise.all(requests.map(promisifyRequest))).flat().forEach((entry) => {
+    const id = JSON.stringify(encodeValue(entry.key));
+    if (matches.has(id)) {
+      return;
+    }
+    const weight = Object.entries(entry.frequencies).reduce((total, [token, frequency]) => {
+      if (token === term) {
+        return total + frequency;
+      }
+      return prefix && token.startsWith(term) ? total + frequency / 2 : total;
+    }, 0);
+    matches.set(id, { key: entry.key, weight });
+  });
+  return matches;
+}
+
+/**
+ * Searches the indexed fields of an object store and returns the matching records, best match first.
+ * The text is tokenized like the indexed fields. Records are ranked by TF-IDF: terms that occur often in a
+ * record count more, and terms that occur in few records count more than common ones.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store, which must have a search definition.
+ * @param {string} text - The text to search for.
+ * @param {object} [options={}] - The search options.
+ * @param {string} [options.mode='all'] - 'all' to match records containing every term, 'any' for any term.
+ * @param {boolean} [options.prefix=false] - Whether terms also match the words they are a prefix of.
+ * @param {number} [options.limit=50] - The maximum number of records to return.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the matching records, ranked.
+ */
+export async function search(dbName, storeName, text, options = {}, transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'search' }, { text, options }, async ({ text, options }) => {
+    const { mode = 'all', prefix = false, limit = 50 } = options ?? {};
+    const definition = searchIndexes.get(`${dbName}/${storeName}`);
+    if (!definition) {
+      throw new IndexedDbError('NotFoundError', `Object store '${storeName}' has no search index.`,
+        { dbName, storeName, operation: 'search' });
+    }
+    if (mode !== 'all' && mode !== 'any') {
+      throw new IndexedDbError('DataError', `Unknown search mode '${mode}'.`, { dbName, storeName, operation: 'search' });
+    }
+
+    const terms = [...new Set(tokenize(text))];
+    if (terms.length === 0) {
+      return [];
+    }
+
+    return runInTransaction({ dbName, operation: 'search' }, storeName, 'readonly', transactionId, async (transaction) => {
+      const companion = transaction.objectStore(searchStoreName(storeName));
+      const [total, termMatches] = await Promise.all([
+        promisifyRequest(companion.count()),
+        Promise.all(terms.map((term) => matchSearchTerm(companion, term, prefix, definition.prefixLength))),
+      ]);
+
+      const scores = new Map();
+      termMatches.forEach((matches) => {
+        const inverseFrequency = Math.log(1 + total / Math.max(matches.size, 1));
+        matches.forEach(({ key, weight }, id) => {
+          const score = scores.get(id) ?? { key, score: 0, terms: 0 };
+          score.score += weight * inverseFrequency;
+          score.terms++;
+          scores.set(id, score);
+        });
+      });
+
+      const ranked = [...scores.values()]
+        .filter((score) => mode === 'any' || score.terms === terms.length)
+        .sort((a, b) => b.score - a.score || compareKeys(a.key, b.key))
+        .slice(0, limit);
+      const store = transaction.objectStore(storeName);
+      const records = await decryptRecords(await Promise.all(ranked.map(({ key }) => promisifyRequest(store.get(key)))));
+      return records.filter((record) => record !== undefined && !isHidden(dbName, storeName, record));
+    });
+  });
+}
+
+/**
+ * Returns the name of the companion store holding the previous versions of the records of an object store.
+ * @param {string} storeName - The name of the object store.
+ * @returns {string} - The name of the companion store.
+ */
+function historyStoreName(storeName) {
+  return `${storeName}__history`;
+}
+
+/**
+ * Returns the key range covering every revision of a record in a history store.
+ * @param {*} key - The key of the record.
+ * @returns {IDBKeyRange} - The key range.
+ */
+function revisionRange(key) {
+  return keyRanges().bound([key, 0], [key, Infinity]);
+}
+
+/**
+ * Reads the stored form of some records. Keys that are missing or invalid read as undefined.
+ * @param {IDBObjectStore} store - The object store.
+ * @param {Array<*>} keys - The keys of the records.
+ * @returns {Promise<Array<object|undefined>>} - A promise that resolves to the records, in the order of the keys.
+ */
+function readStored(store, keys) {
+  return Promise.all(keys.map((key) => {
+    try {
+      return key === undefined ? undefined : promisifyRequest(store.get(key));
+    } catch {
+      return undefined;
+    }
+  }));
+}
+
+/**
+ * Copies the previous versions of some records into the history store of their object store, numbering each
+ * revision after the last one of its record, then prunes the revisions the retention limits no longer keep.
+ * Does nothing for object stores without a history policy.
+ * @param {IDBTransaction} transaction - The transaction of the write, which covers the history store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {Array<{key: *, record: object|undefined}>} revisions - The keys and stored forms of the records;
+ * records that did not exist are skipped.
+ * @param {string} operation - The write that replaced or removed the records ('update', 'delete', 'restore'
+ * or 'undelete').
+ * @returns {Promise<void>}
+ */
+async function saveRevisions(transaction, dbName, storeName, revisions, operation) {
+  const policy = historyPolicies.get(`${dbName}/${storeName}`);
+  if (!policy) {
+    return;
+  }
+
+  const history = transaction.objectStore(historyStoreName(storeName));
+  const recordedAt = new Date();
+  for (const { key, record } of revisions) {
+    if (record === undefined) {
+      continue;
+    }
+    const keys = await promisifyRequest(history.getAllKeys(revisionRange(key)));
+    const revision = keys.length === 0 ? 1 : keys[keys.length - 1][1] + 1;
+    await promisifyRequest(history.add({ key, revision, recordedAt, operation, record }));
+    await pruneRevisions(history, key, [...keys, [key, revision]], policy);
+  }
+}
+
+/**
+ * Reads the stored versions of some records and copies them into the history store before a write replaces or
+ * removes them. Does nothing for object stores without a history policy.
+ * @param {IDBTransaction} transaction - The transaction of the write.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {Array<*>} keys - The keys of the records about to be written.
+ * @param {string} operation - The write.
+ * @returns {Promise<void>}
+ */
+async function keepRevisions(transaction, dbName, storeName, keys, operation) {
+  if (!historyPolicies.has(`${dbName}/${storeName}`)) {
+    return;
+  }
+  const records = await readStored(transaction.objectStore(storeName), keys);
+  await saveRevisions(transaction, dbName, storeName, keys.map((key, i) => ({ key, record: records[i] })), operation);
+}
+
+/**
+ * Deletes the revisions of a record that the retention limits of its history policy no longer keep.
+ * @param {IDBObjectStore} history - The history store.
+ * @param {*} key - The key of the record.
+ * @param {Array<Array<*>>} keys - The keys of the revisions of the record, oldest first.
+ * @param {{maxRevisions: number|null, maxAge: number|null}} policy - The retention limits.
+ * @returns {Promise<number>} - A promise that resolves to the number of deleted revisions.
+ */
+async function pruneRevisions(history, key, keys, { maxRevisions, maxAge }) {
+  let pruned = maxRevisions === null ? 0 : Math.max(keys.length - maxRevisions, 0);
+  if (maxAge !== null) {
+    const entries = await promisifyRequest(history.getAll(revisionRange(key)));
+    const cutoff = Date.now() - maxAge;
+    while (pruned < entries.length && entries[pruned].recordedAt.getTime() < cutoff) {
+      pruned++;
+    }
+  }
+  if (pruned > 0) {
+    await promisifyRequest(history.delete(keyRanges().bound(keys[0], keys[pruned - 1])));
+  }
+  return pruned;
+}
+
+/**
+ * Tells whether a record of a store with soft deletes was deleted.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} record - The record.
+ * @returns {boolean} - True if the record is marked as deleted.
+ */
+function isSoftDeleted(dbName, storeName, record) {
+  const policy = historyPolicies.get(`${dbName}/${storeName}`);
+  const deletedAt = policy?.softDelete ? record?.[policy.deletedField] : null;
+  return deletedAt !== undefined && deletedAt !== null;
+}
+
+/**
+ * Returns the stored form of a record marked as deleted.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} stored - The stored form of the record.
+ * @param {{deletedField: string}} policy - The history policy of the object store.
+ * @returns {Promise<object>} - A promise that resolves to the record to store, encrypted again if need be.
+ */
+async function markDeleted(dbName, storeName, stored, { deletedField }) {
+  return encryptRecord(dbName, storeName, { ...await decryptRecord(stored), [deletedField]: new Date() });
+}
+
+/**
+ * Returns a copy of a record without its deletion mark.
+ * @param {object} record - The record, decrypted.
+ * @param {{deletedField: string}} policy - The history policy of the object store.
+ * @returns {object} - The record to restore.
+ */
+function withoutDeletionMark(record, { deletedField }) {
+  const restored = { ...record };
+  delete restored[deletedField];
+  return restored;
+}
+
+/**
+ * Keeps the previous versions of the records of an object store. updateOne, patchOne, upsertOne, putMany,
+ * deleteOne and deleteMany copy the version they replace or remove into a companion store
+ * ("<storeName>__history"), in their transaction, with a revision number and a timestamp. With soft deletes,
+ * deleteOne and deleteMany mark records as deleted instead of removing them, and reads treat marked records as
+ * missing until undelete restores them; deleteRange and clearStore still remove records for good. The companion
+ * store is created the first time the policy is defined. Policies live in memory, so call this at startup.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} [options={}] - The policy.
+ * @param {boolean} [options.softDelete=false] - Whether deletes only mark records as deleted.
+ * @param {string} [options.deletedField='deletedAt'] - The property holding the deletion time of a soft-deleted record.
+ * @param {number} [options.maxRevisions=null] - The number of revisions kept per record, or null to keep them all.
+ * @param {number} [options.maxAge=null] - How long revisions are kept in milliseconds, or null to keep them all.
+ * @returns {Promise<void>}
+ */
+export async function defineHistory(dbName, storeName, { softDelete = false, deletedField = 'deletedAt', maxRevisions = null, maxAge = null } = {}) {
+  const companionName = historyStoreName(storeName);
+  const db = await openIndexedDB(dbName);
+  if (!db.objectStoreNames.contains(storeName)) {
+    throw objectStoreNotFound(dbName, storeName);
+  }
+  if (!db.objectStoreNames.contains(companionName)) {
+    await openIndexedDB(dbName, db.version + 1, (upgradedDb) => {
+      upgradedDb.createObjectStore(companionName, { keyPath: ['key', 'revision'] });
+    }).catch(rethrowAs({ dbName, storeName, operation: 'defineHistory' }));
+  }
+
+  historyPolicies.set(`${dbName}/${storeName}`, { softDelete, deletedField, maxRevisions, maxAge });
+}
+
+/**
+ * Stops keeping the previous versions of the records of an object store, and turns soft deletes off. The
+ * history and the records marked as deleted are kept.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @returns {boolean} - True if the store had a policy.
+ */
+export function removeHistory(dbName, storeName) {
+  return historyPolicies.delete(`${dbName}/${storeName}`);
+}
+
+/**
+ * Returns the history policy of an object store, or throws when it has none.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {string} operation - The name of the operation, for the error.
+ * @returns {{softDelete: boolean, deletedField: string, maxRevisions: number|null, maxAge: number|null}} - The policy.
+ */
+function historyPolicy(dbName, storeName, operation) {
+  const policy = historyPolicies.get(`${dbName}/${storeName}`);
+  if (!policy) {
+    throw new IndexedDbError('NotFoundError', `Object store '${storeName}' keeps no history.`,
+      { dbName, storeName, operation });
+  }
+  return policy;
+}
+
+/**
+ * Lists the previous versions of a record, oldest first.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {*} key - The key of the record.
+ * @returns {Promise<Array<{revision: number, recordedAt: Date, operation: string, record: object}>>} - A promise
+ * that resolves to the revisions: the version each write replaced or removed, and when and how.
+ */
+export async function getHistory(dbName, storeName, key) {
+  historyPolicy(dbName, storeName, 'getHistory');
+  return runInTransaction({ dbName, operation: 'getHistory', key }, storeName, 'readonly', null, async (transaction) => {
+    const entries = await promisifyRequest(transaction.objectStore(historyStoreName(storeName)).getAll(revisionRange(key)));
+    return Promise.all(entries.map(async ({ revision, recordedAt, operation, record }) =>
+      ({ revision, recordedAt, operation, record: await decryptRecord(record) })));
+  });
+}
+
+/**
+ * Puts a previous version of a record back in its object store. The version it replaces is kept in the history
+ * in turn, so a restore can itself be undone.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {*} key - The key of the record.
+ * @param {number} revision - The revision to restore, as listed by getHistory.
+ * @returns {Promise<object>} - A promise that resolves to the restored record. Rejects with a NotFoundError
+ * when the record has no such revision.
+ */
+export async function restoreRevision(dbName, storeName, key, revision) {
+  historyPolicy(dbName, storeName, 'restoreRevision');
+  return withQuotaHandling(dbName, storeName, 'restoreRevision', null, () =>
+    runInTransaction({ dbName, operation: 'restoreRevision', key }, storeName, 'readwrite', null, async (transaction) => {
+      const entry = await promisifyRequest(transaction.objectStore(historyStoreName(storeName)).get([key, revision]));
+      if (entry === undefined) {
+        throw new IndexedDbError('NotFoundError', `Item ${JSON.stringify(key)} of object store '${storeName}' has no revision ${revision}.`,
+          { storeName, key, missing: 'record' });
+      }
+      return putRevision(transaction, dbName, storeName, key, await decryptRecord(entry.record), 'restore');
+    }));
+}
+
+/**
+ * Restores a deleted record: clears the deletion mark of a soft-deleted record, or puts back the last revision
+ * of a record that was removed.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {*} key - The key of the record.
+ * @returns {Promise<boolean>} - A promise that resolves to true if the record was restored, or false if it was
+ * not deleted. Rejects with a NotFoundError when a removed record has no revision to restore.
+ */
+export async function undelete(dbName, storeName, key) {
+  const policy = historyPolicy(dbName, storeName, 'undelete');
+  return withQuotaHandling(dbName, storeName, 'undelete', null, () =>
+    runInTransaction({ dbName, operation: 'undelete', key }, storeName, 'readwrite', null, async (transaction) => {
+      const [stored] = await readStored(transaction.objectStore(storeName), [key]);
+      if (stored !== undefined) {
+        const record = await decryptRecord(stored);
+        if (record?.[policy.deletedField] === undefined || record[policy.deletedField] === null) {
+          return false;
+        }
+        await putRevision(transaction, dbName, storeName, key, withoutDeletionMark(record, policy), 'undelete');
+        return true;
+      }
+
+      const keys = await promisifyRequest(transaction.objectStore(historyStoreName(storeName)).getAllKeys(revisionRange(key)));
+      if (keys.length === 0) {
+        throw new IndexedDbError('NotFoundError', `Item ${JSON.stringify(key)} of object store '${storeName}' has no revision to restore.`,
+          { storeName, key, missing: 'record' });
+      }
+      const entry = await promisifyRequest(transaction.objectStore(historyStoreName(storeName)).get(keys[keys.length - 1]));
+      await putRevision(transaction, dbName, storeName, key, withoutDeletionMark(await decryptRecord(entry.record), policy), 'undelete');
+      return true;
+    }));
+}
+
+/**
+ * Writes a restored version of a record, keeping the version it replaces in the history.
+ * @param {IDBTransaction} transaction - The readwrite transaction.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {*} key - The key of the record.
+ * @param {object} record - The restored version, decrypted.
+ * @param {string} operation - The write ('restore' or 'undelete').
+ * @returns {Promise<object>} - A promise that resolves to the restored record.
+ */
+async function putRevision(transaction, dbName, storeName, key, record, operation) {
+  const store = transaction.objectStore(storeName);
+  const [previous] = await readStored(store, [key]);
+  await saveRevisions(transaction, dbName, storeName, [{ key, record: previous }], operation);
+  const stored = await encryptRecord(dbName, storeName, record);
+  await promisifyRequest(store.keyPath === null ? store.put(stored, key) : store.put(stored));
+  const type = previous === undefined ? 'add' : 'update';
+  await syncSearchIndex(transaction, dbName, storeName, { type: 'put', entries: [{ key, record: stored }] });
+  await recordMutations(transaction, dbName, storeName, type, [{ key, record: stored }]);
+  queueChange(transaction, { dbName, storeName, type, keys: [key] });
+  return record;
+}
+
+/**
+ * Deletes the revisions that the retention limits of the history policy of an object store no longer keep.
+ * Writes prune the revisions of the records they touch; this prunes the others, such as those past their
+ * maximum age.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @returns {Promise<number>} - A promise that resolves to the number of deleted revisions.
+ */
+export async function pruneHistory(dbName, storeName) {
+  const policy = historyPolicy(dbName, storeName, 'pruneHistory');
+  const companionName = historyStoreName(storeName);
+  return runInTransaction({ dbName, operation: 'pruneHistory' }, companionName, 'readwrite', null, async (transaction) => {
+    const history = transaction.objectStore(companionName);
+    const keys = await promisifyRequest(history.getAllKeys());
+    let pruned = 0;
+    for (let start = 0; start < keys.length;) {
+      let end = start + 1;
+      while (end < keys.length && compareKeys(keys[end][0], keys[start][0]) === 0) {
+        end++;
+      }
+      pruned += await pruneRevisions(history, keys[start][0], keys.slice(start, end), policy);
+      start = end;
+    }
+    return pruned;
+  });
+}
+
+/**
+ * Lists the records of an object store with soft deletes that are marked as deleted.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the deleted records.
+ */
+export async function getDeleted(dbName, storeName) {
+  const policy = historyPolicy(dbName, storeName, 'getDeleted');
+  return runInTransaction({ dbName, operation: 'getDeleted' }, storeName, 'readonly', null, async (transaction) => {
+    const records = await decryptRecords(await promisifyRequest(transaction.objectStore(storeName).getAll()));
+    return policy.softDelete ? records.filter((record) => isSoftDeleted(dbName, storeName, record)) : [];
+  });
+}
+
+/**
+ * The rules deleteOne can apply to the children of a deleted item.
+ * @type {string[]}
+ */
+const deleteRules = ['cascade', 'nullify', 'restrict'];
+
+/**
+ * Declares the foreign keys of an object store. Each relation says that a field of the items holds the primary
+ * key of an item of another store, its parent. addOne, addMany, putMany, updateOne, patchOne and upsertOne reject
+ * an item whose field points to a missing parent with a ConstraintError; a null or absent field is allowed.
+ * deleteOne on a parent applies the delete rule of each relation in its transaction: 'cascade' deletes the
+ * children (and applies their own rules), 'nullify' sets their field to null, and 'restrict' rejects the delete
+ * while children remain. deleteMany applies the rules to each of its keys, except in continue-on-error mode, which it
+ * rejects, like deleteRange and clearStore, on a store other stores reference. upgradeDatabase calls
+ * this for the store schemas that list relations. Relations live in memory, so declare them at startup.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the child object store.
+ * @param {Array<object>} relations - The relations ({ field, references, onDelete }), where references is the
+ * name of the parent store and onDelete defaults to 'restrict'. An empty array removes the relations.
+ */
+export function defineRelations(dbName, storeName, relations) {
+  const checked = (relations ?? []).map(({ field, references, onDelete = 'restrict' } = {}) => {
+    if (typeof field !== 'string' || field === '' || typeof references !== 'string' || references === '') {
+      throw new IndexedDbError('DataError', 'A relation needs a field and the name of the object store it references.',
+        { dbName, storeName, operation: 'defineRelations' });
+    }
+    if (!deleteRules.includes(onDelete)) {
+      throw new IndexedDbError('DataError', `Unsupported delete rule '${onDelete}'; use 'cascade', 'nullify' or 'restrict'.`,
+        { dbName, storeName, operation: 'defineRelations' });
+    }
+    return { dbName, storeName, field, references, onDelete };
+  });
+
+  if (checked.length === 0) {
+    storeRelations.delete(`${dbName}/${storeName}`);
+  } else {
+    storeRelations.set(`${dbName}/${storeName}`, checked);
+  }
+}
+
+/**
+ * Lists the indexes upgradeDatabase adds to a store schema so that the children of an item can be found
+ * without a scan: one per relation field that no index of the schema already covers.
+ * @param {object} schema - The store schema ({ name, indexes, relations }).
+ * @returns {Array<object>} - The index definitions.
+ */
+function relationIndexes(schema) {
+  const indexes = schema.indexes ?? [];
+  return (schema.relations ?? [])
+    .filter(({ field }) => !indexes.some((index) => index.keyPath === field))
+    .map(({ field }) => ({ name: `${field}Index`, keyPath: field }));
+}
+
+/**
+ * Returns the relations of an object store to its parents.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @returns {Array<object>} - The relations.
+ */
+function parentRelations(dbName, storeName) {
+  return storeRelations.get(`${dbName}/${storeName}`) ?? [];
+}
+
+/**
+ * Returns the relations of other object stores to an object store, each naming its child store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the parent object store.
+ * @returns {Array<object>} - The relations.
+ */
+function childRelations(dbName, storeName) {
+  return [...storeRelations.values()].flat()
+    .filter((relation) => relation.dbName === dbName && relation.references === storeName);
+}
+
+/**
+ * Lists the object stores a write needs besides its own: the parents whose keys it checks ('parents'), or
+ * every store a delete reaches through the delete rules ('children').
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {string} direction - 'parents' or 'children'.
+ * @returns {string|string[]} - The store name alone when it has no relation in that direction, or the names.
+ */
+function withRelatedStores(dbName, storeName, direction) {
+  const names = new Set([storeName]);
+  if (direction === 'parents') {
+    parentRelations(dbName, storeName).forEach((relation) => names.add(relation.references));
+  } else {
+    const pending = [storeName];
+    while (pending.length > 0) {
+      for (const relation of childRelations(dbName, pending.pop())) {
+        if (!names.has(relation.storeName) && relation.onDelete === 'cascade') {
+          pending.push(relation.storeName);
+        }
+        names.add(relation.storeName);
+      }
+    }
+  }
+  return names.size === 1 ? storeName : [...names];
+}
+
+/**
+ * Finds the items whose foreign keys point to missing parents, or to parents that reads hide.
+ * @param {IDBTransaction} transaction - The transaction of the write, which covers the parent stores.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {Array<object>} items - The items about to be written.
+ * @returns {Promise<Map<number, IndexedDbError>>} - A promise that resolves to the error of each orphan, by index.
+ */
+async function findOrphans(transaction, dbName, storeName, items) {
+  const orphans = new Map();
+  const keyPath = transaction.objectStore(storeName).keyPath;
+  for (const { field, references } of parentRelations(dbName, storeName)) {
+    const parents = transaction.objectStore(references);
+    await Promise.all(items.map(async (item, index) => {
+      const value = getKeyPathValue(item, field);
+      if (value === undefined || value === null || orphans.has(index)) {
+        return;
+      }
+      if (!(await parentExists(dbName, references, parents, value))) {
+        orphans.set(index, new IndexedDbError('ConstraintError',
+          `Field '${field}' of an item of object store '${storeName}' references the missing item ${JSON.stringify(value)} of object store '${references}'.`,
+          { storeName, key: getKeyPathValue(item, keyPath) }));
+      }
+    }));
+  }
+  return orphans;
+}
+
+/**
+ * Tells whether a parent item exists as reads see it: expired and soft-deleted items count as missing.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the parent object store.
+ * @param {IDBObjectStore} store - The parent object store, in the transaction of the write.
+ * @param {*} key - The key of the parent item.
+ * @returns {Promise<boolean>} - A promise that resolves to true if the parent exists.
+ */
+async function parentExists(dbName, storeName, store, key) {
+  if (!expiryPolicies.has(`${dbName}/${storeName}`) && !historyPolicies.has(`${dbName}/${storeName}`)) {
+    return await promisifyRequest(store.count(key)) > 0;
+  }
+  const parent = await decryptRecord(await promisifyRequest(store.get(key)));
+  return parent !== undefined && !isHidden(dbName, storeName, parent);
+}
+
+/**
+ * Throws when an operation would delete items of an object store other stores reference without applying
+ * the delete rules of their relations.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {string} operation - The name of the operation.
+ * @throws {IndexedDbError} - A DataError when other stores reference the store.
+ */
+function assertUnreferenced(dbName, storeName, operation) {
+  const relation = childRelations(dbName, storeName)[0];
+  if (relation) {
+    throw new IndexedDbError('DataError',
+      `Object store '${storeName}' is referenced by object store '${relation.storeName}'; delete its items with deleteOne or deleteMany so that the delete rules apply.`,
+      { dbName, storeName, operation });
+  }
+}
+
+/**
+ * Throws when the foreign keys of an item point to missing parents.
+ * @param {IDBTransaction} transaction - The transaction of the write, which covers the parent stores.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} item - The item about to be written.
+ * @returns {Promise<void>}
+ */
+async function assertParentsExist(transaction, dbName, storeName, item) {
+  const [orphan] = (await findOrphans(transaction, dbName, storeName, [item])).values();
+  if (orphan) {
+    throw orphan;
+  }
+}
+
+/**
+ * Reads the children of an item through a relation, with their index when the child store has one on the field.
+ * @param {IDBTransaction} transaction - The transaction, which covers the child store.
+ * @param {object} relation - The relation, naming the child store.
+ * @param {*} key - The key of the parent item.
+ * @returns {Promise<{keys: Array<*>, records: Array<object>}>} - A promise that resolves to the primary keys and
+ * the decrypted records of the children.
+ */
+async function readChildren(transaction, relation, key) {
+  const { dbName, storeName, field } = relation;
+  const store = transaction.objectStore(storeName);
+  const indexName = Array.from(store.indexNames).find((name) => store.index(name).keyPath === field);
+  if (indexName !== undefined) {
+    const query = await toStoredQuery(dbName, storeName, indexName, key);
+    const index = store.index(indexName);
+    const [keys, records] = await Promise.all([
+      promisifyRequest(index.getAllKeys(query)),
+      promisifyRequest(index.getAll(query)),
+    ]);
+    return { keys, records: await decryptRecords(records) };
+  }
+
+  const [keys, records] = await Promise.all([promisifyRequest(store.getAllKeys()), promisifyRequest(store.getAll())]);
+  const decrypted = await decryptRecords(records);
+  const matches = decrypted.map((record) => sameValue(getKeyPathValue(record, field), key));
+  return {
+    keys: keys.filter((_, index) => matches[index]),
+    records: decrypted.filter((_, index) => matches[index]),
+  };
+}
+
+/**
+ * Deletes a record, or marks it as deleted when its store has soft deletes, then applies the delete rules of
+ * the stores that reference it.
+ * @param {IDBTransaction} transaction - The transaction, which covers every store the rules reach.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {*} key - The key of the record.
+ * @param {Array<{storeName: string, key: *}>} [visited=[]] - The records already deleted by this delete, so that
+ * cycles between records end.
+ * @param {boolean} [purge=false] - Whether to remove the record even from a store with soft deletes.
+ * @returns {Promise<void>}
+ */
+async function deleteRecord(transaction, dbName, storeName, key, visited = [], purge = false) {
+  visited.push({ storeName, key });
+  const store = transaction.objectStore(storeName);
+  const policy = historyPolicies.get(`${dbName}/${storeName}`);
+  const [previous] = policy ? await readStored(store, [key]) : [];
+  await saveRevisions(transaction, dbName, storeName, [{ key, record: previous }], 'delete');
+  if (policy?.softDelete && !purge) {
+    if (previous !== undefined) {
+      const marked = await markDeleted(dbName, storeName, previous, policy);
+      await promisifyRequest(store.keyPath === null ? store.put(marked, key) : store.put(marked));
+    }
+  } else {
+    await promisifyRequest(store.delete(key));
+    await syncSearchIndex(transaction, dbName, storeName, { type: 'delete', keys: [key] });
+  }
+  await recordMutations(transaction, dbName, storeName, 'delete', [{ key }]);
+  queueChange(transaction, { dbName, storeName, type: 'delete', keys: [key] });
+
+  for (const relation of childRelations(dbName, storeName)) {
+    const children = (await readChildren(transaction, relation, key)).keys.filter((childKey) =>
+      !visited.some((entry) => entry.storeName === relation.storeName && compareKeys(entry.key, childKey) === 0));
+    if (children.length === 0) {
+      continue;
+    }
+    if (relation.onDelete === 'restrict') {
+      throw new IndexedDbError('ConstraintError',
+        `Item ${JSON.stringify(key)} of object store '${storeName}' is still referenced by ${children.length} item(s) of object store '${relation.storeName}'.`,
+        { storeName, key });
+    }
+    for (const childKey of children) {
+      if (relation.onDelete === 'cascade') {
+        await deleteRecord(transaction, dbName, relation.storeName, childKey, visited);
+      } else {
+        await clearReference(transaction, relation, childKey);
+      }
+    }
+  }
+}
+
+/**
+ * Sets the foreign key of a child record to null, as an update of the record.
+ * @param {IDBTransaction} transaction - The transaction, which covers the child store.
+ * @param {object} relation - The relation, naming the child store and the field.
+ * @param {*} key - The key of the child record.
+ * @returns {Promise<void>}
+ */
+async function clearReference(transaction, { dbName, storeName, field }, key) {
+  const store = transaction.objectStore(storeName);
+  await keepRevisions(transaction, dbName, storeName, [key], 'update');
+  const record = await decryptRecord(await promisifyRequest(store.get(key)));
+  const stored = await encryptRecord(dbName, storeName, withFieldValue(record, field, null));
+  await promisifyRequest(store.keyPath === null ? store.put(stored, key) : store.put(stored));
+  await syncSearchIndex(transaction, dbName, storeName, { type: 'put', entries: [{ key, record: stored }] });
+  await recordMutations(transaction, dbName, storeName, 'update', [{ key, record: stored }]);
+  queueChange(transaction, { dbName, storeName, type: 'update', keys: [key] });
+}
+
+/**
+ * Returns a copy of a record with a field, dotted for a nested field, set to a value.
+ * @param {object} record - The record.
+ * @param {string} path - The field.
+ * @param {*} value - The value.
+ * @returns {object} - The copy.
+ */
+function withFieldValue(record, path, value) {
+  const [name, ...rest] = path.split('.');
+  return { ...record, [name]: rest.length === 0 ? value : withFieldValue(record?.[name] ?? {}, rest.join('.'), value) };
+}
+
+/**
+ * Reads an item together with its related items, in a single transaction. Each included store is either a
+ * child store that references the item's store, read as the list of the item's children, or a parent store the
+ * item's store references, read as the item's parent (null when its field is empty).
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {*} key - The key of the item.
+ * @param {Array<string>} [include=[]] - The names of the related stores to read.
+ * @param {string} [transactionId=null] - The id of a transaction started with beginTransaction.
+ * @returns {Promise<{item: object, related: object}|null>} - A promise that resolves to the item and its related
+ * items by store name, or to null when there is no item with that key. Rejects with a NotFoundError when an
+ * included store has no relation with the item's store.
+ */
+export async function getWithRelated(dbName, storeName, key, include = [], transactionId = null) {
+  return withHooks({ dbName, storeName, operation: 'getWithRelated' }, { key, include }, ({ key, include }) => {
+    const links = include.map((name) => {
+      const children = childRelations(dbName, storeName).filter((relation) => relation.storeName === name);
+      const parents = parentRelations(dbName, storeName).filter((relation) => relation.references === name);
+      if (children.length === 0 && parents.length === 0) {
+        throw new IndexedDbError('NotFoundError', `Object store '${storeName}' has no relation with object store '${name}'.`,
+          { dbName, storeName, operation: 'getWithRelated' });
+      }
+      return { name, children, parents };
+    });
+
+    return runInTransaction({ dbName, operation: 'getWithRelated', key }, [storeName, ...include], 'readonly', transactionId, async (transaction) => {
+      const item = await decryptRecord(await promisifyRequest(transaction.objectStore(storeName).get(key)));
+      if (item === undefined || isHidden(dbName, storeName, item)) {
+        return null;
+      }
+
+      const related = {};
+      for (const { name, children, parents } of links) {
+        if (children.length > 0) {
+          const lists = await Promise.all(children.map((relation) => readChildren(transaction, relation, key)));
+          related[name] = lists.flatMap(({ records }) => records).filter((record) => !isHidden(dbName, name, record));
+        } else {
+          const value = getKeyPathValue(item, parents[0].field);
+          const parent = value === undefined || value === null
+            ? undefined
+            : await decryptRecord(await promisifyRequest(transaction.objectStore(name).get(value)));
+          related[name] = parent === undefined || isHidden(dbName, name, parent) ? null : parent;
+        }
+      }
+      return { item, related };
+    });
+  });
+}
+
+/**
+ * Registers a key generator that object stores can use by name, or replaces one. The generator is called
+ * without arguments for each new item and must return a valid key synchronously.
+ * @param {string} name - The name stores use to refer to the generator.
+ * @param {function(): *} generate - The generator.
+ */
+export function registerKeyGenerator(name, generate) {
+  keyGenerators.set(name, generate);
+}
+
+/**
+ * Generates the primary keys of the new items of an object store in the browser. addOne, addMany, upsertOne
+ * and putMany write a generated key into the key path property of an item that has none (undefined or null).
+ * The built-in generators are 'guid' (a random UUID), 'ulid' (a ULID, sortable by creation time) and
+ * 'timeOrdered' (a version 7 UUID, also sortable by creation time). Generators live in memory, so call this at
+ * startup.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store, which must have a single key path and no
+ * auto-increment.
+ * @param {string} generator - The name of a built-in or registered generator.
+ * @returns {Promise<void>}
+ */
+export async function defineKeyGenerator(dbName, storeName, generator) {
+  if (!keyGenerators.has(generator)) {
+    throw new IndexedDbError('NotFoundError', `No key generator is registered under '${generator}'.`,
+      { dbName, storeName, operation: 'defineKeyGenerator' });
+  }
+  const db = await openIndexedDB(dbName);
+  if (!db.objectStoreNames.contains(storeName)) {
+    throw objectStoreNotFound(dbName, storeName);
+  }
+  const store = db.transaction(storeName).objectStore(storeName);
+  if (typeof store.keyPath !== 'string' || store.keyPath === '' || store.autoIncrement) {
+    throw new IndexedDbError('DataError', `Object store '${storeName}' needs a single key path and no auto-increment to use a key generator.`,
+      { dbName, storeName, operation: 'defineKeyGenerator' });
+  }
+
+  storeKeyGenerators.set(`${dbName}/${storeName}`, generator);
+}
+
+/**
+ * Stops generating the primary keys of the new items of an object store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @returns {boolean} - True if the store had a key generator.
+ */
+export function removeKeyGenerator(dbName, storeName) {
+  return storeKeyGenerators.delete(`${dbName}/${storeName}`);
+}
+
+/**
+ * Gives an item without a key the next key of the generator of its object store.
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {string|string[]|null} keyPath - The key path of the object store.
+ * @param {object} item - The item about to be written.
+ * @returns {object} - The item, or a copy of it with the generated key.
+ */
+function withGeneratedKey(dbName, storeName, keyPath, item) {
+  const generator = storeKeyGenerators.get(`${dbName}/${storeName}`);
+  if (generator === undefined || typeof keyPath !== 'string' || getKeyPathValue(item, keyPath) != null) {
+    return item;
+  }
+  return withFieldValue(item, keyPath, keyGenerators.get(generator)());
+}
+
+/**
+ * Writes the key IndexedDB generated for an auto-increment object store back into the key path property of
+ * the record that was stored, as IndexedDB does in the stored copy.
+ * @param {IDBObjectStore} store - The object store.
+ * @param {object} record - The record, as given to the store.
+ * @param {*} key - The key of the stored record.
+ * @returns {object} - The record, or a copy of it with its key.
+ */
+function withStoredKey(store, record, key) {
+  return typeof store.keyPath === 'string' && store.keyPath !== '' && getKeyPathValue(record, store.keyPath) === undefined
+    ? withFieldValue(record, store.keyPath, key)
+    : record;
+}
+
+/**
+ * The Crockford base32 alphabet of ULIDs.
+ * @type {string}
+ */
+const ulidAlphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * The time and random digits of the last ULID, so that ULIDs generated in the same millisecond keep increasing.
+ * @type {{time: number, random: number[]}}
+ */
+const lastUlid = { time: -1, random: [] };
+
+/**
+ * Generates a ULID: 10 base32 digits of the current time in milliseconds followed by 16 random ones. Within a
+ * millisecond, each ULID increments the random part of the previous one.
+ * @returns {string} - The ULID.
+ */
+function generateUlid() {
+  const time = Date.now();
+  if (time === lastUlid.time) {
+    let digit = lastUlid.random.length - 1;
+    while (digit >= 0 && lastUlid.random[digit] === 31) {
+      lastUlid.random[digit--] = 0;
+    }
+    if (digit >= 0) {
+      lastUlid.random[digit] += 1;
+    }
+  } else {
+    lastUlid.time = time;
+    lastUlid.random = Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte & 31);
+  }
+
+  const timeDigits = [];
+  for (let rest = time, index = 0; index < 10; index++, rest = Math.floor(rest / 32)) {
+    timeDigits.unshift(rest % 32);
+  }
+  return [...timeDigits, ...lastUlid.random].map((digit) => ulidAlphabet[digit]).join('');
+}
+
+/**
+ * The time and counter of the last time-ordered UUID, so that UUIDs generated in the same millisecond keep
+ * increasing.
+ * @type {{time: number, counter: number}}
+ */
+const lastTimeOrderedUuid = { time: -1, counter: 0 };
+
+/**
+ * Generates a version 7 UUID: 48 bits of the current time in milliseconds, a 12-bit counter that orders the
+ * UUIDs of a millisecond, and 62 random bits.
+ * @returns {string} - The UUID, in lowercase hexadecimal.
+ */
+function generateTimeOrderedUuid() {
+  const time = Date.now();
+  lastTimeOrderedUuid.counter = time === lastTimeOrderedUuid.time ? (lastTimeOrderedUuid.counter + 1) & 0xfff : 0;
+  lastTimeOrderedUuid.time = time;
+
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  for (let index = 0; index < 6; index++) {
+    bytes[index] = Math.floor(time / 2 ** (8 * (5 - index))) & 0xff;
+  }
+  bytes[6] = 0x70 | (lastTimeOrderedUuid.counter >> 8);
+  bytes[7] = lastTimeOrderedUuid.counter & 0xff;
+  bytes[8] = 0x80 | (bytes[8] & 0x3f);
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * The name of the object store holding the description of every blob of a database.
+ * @type {string}
+ */
+const blobStoreName = '__blobs';
+
+/**
+ * The name of the object store holding the chunks of the blobs of a database.
+ * @type {string}
+ */
+const blobChunkStoreName = '__blobChunks';
+
+/**
+ * Creates the blob stores of a database the first time a blob is stored in it.
+ * @param {string} dbName - The name of the database.
+ * @returns {Promise<void>}
+ */
+async function ensureBlobStores(dbName) {
+  const db = await openIndexedDB(dbName);
+  if (db.objectStoreNames.contains(blobStoreName)) {
+    return;
+  }
+  await openIndexedDB(dbName, db.version + 1, (upgradedDb) => {
+    upgradedDb.createObjectStore(blobStoreName, { keyPath: 'key' });
+    upgradedDb.createObjectStore(blobChunkStoreName, { keyPath: ['blobId', 'index'] });
+  }).catch(rethrowAs({ dbName, operation: 'putBlob' }));
+}
+
 /**
- * A cache to store opened database instances to prevent reopening.
- * @type {Map<string, IDBDatabase>}
+ * Tells whether a database has blob stores, without creating them.
+ * @param {string} dbName - The name of the database.
+ * @returns {Promise<boolean>} - True if a blob was ever stored in the database.
  */
-const dbCache = new Map();
+async function hasBlobStores(dbName) {
+  return (await openIndexedDB(dbName)).objectStoreNames.contains(blobStoreName);
+}
+
+/**
+ * Returns the key range covering every chunk of a stored blob.
+ * @param {string} blobId - The id of the stored contents.
+ * @returns {IDBKeyRange} - The key range.
+ */
+function blobChunkRange(blobId) {
+  return keyRanges().bound([blobId, 0], [blobId, Infinity]);
+}
+
+/**
+ * Splits binary data into Blobs of at most chunkSize bytes, reading streams as they arrive so that the data is
+ * never held in memory as a whole.
+ * @param {Blob|ArrayBuffer|ArrayBufferView|ReadableStream|object} data - The data, or a DotNetStreamReference.
+ * @param {number} chunkSize - The maximum size of a chunk in bytes.
+ * @returns {AsyncGenerator<Blob>} - The chunks.
+ */
+async function* readChunks(data, chunkSize) {
+  const type = Object.prototype.toString.call(data).slice(8, -1);
+  if (type === 'Blob' || type === 'File') {
+    for (let offset = 0; offset < data.size; offset += chunkSize) {
+      yield data.slice(offset, offset + chunkSize);
+    }
+    return;
+  }
+  if (type === 'ArrayBuffer' || ArrayBuffer.isView(data)) {
+    const bytes = type === 'ArrayBuffer' ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+      yield new Blob([bytes.slice(offset, offset + chunkSize)]);
+    }
+    return;
+  }
+
+  // A DotNetStreamReference exposes its contents through stream().
+  const stream = typeof data?.getReader === 'function' ? data : await data?.stream?.();
+  if (typeof stream?.getReader !== 'function') {
+    throw new IndexedDbError('DataError', 'Blob data must be a Blob, an ArrayBuffer, a typed array or a stream.');
+  }
+
+  const reader = stream.getReader();
+  let pending = new Blob([]);
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    pending = new Blob([pending, value]);
+    while (pending.size >= chunkSize) {
+      yield pending.slice(0, chunkSize);
+      pending = pending.slice(chunkSize);
+    }
+  }
+  if (pending.size > 0) {
+    yield pending;
+  }
+}
+
+/**
+ * Removes the internal fields of a blob description.
+ * @param {object} entry - The stored description.
+ * @returns {{key: *, size: number, type: string, chunkCount: number, metadata: object, createdAt: Date, updatedAt: Date}} - The description.
+ */
+function toBlobInfo({ blobId, ...info }) {
+  return info;
+}
 
 /**
- * Opens an IndexedDB database and caches the connection.
+ * Stores binary data under a key, replacing the blob stored under that key. The data is split into chunks that are
+ * written one transaction at a time, and the blob only replaces the previous one once every chunk is stored, so
+ * a failed write leaves the previous blob in place.
  * @param {string} dbName - The name of the database.
- * @param {number} [version=1] - The version number of the database.
- * @param {function} [upgradeCallback=null] - Optional callback for handling database upgrades.
- * @returns {Promise<IDBDatabase>} - A promise that resolves to the database instance.
+ * @param {*} key - The key of the blob.
+ * @param {Blob|ArrayBuffer|ArrayBufferView|ReadableStream|object} data - The data, or a DotNetStreamReference.
+ * @param {object} [metadata={}] - Application data stored with the blob, such as a file name.
+ * @param {object} [options={}] - The blob options.
+ * @param {string} [options.type] - The MIME type; the type of a Blob is used when omitted.
+ * @param {number} [options.chunkSize=1048576] - The maximum size of a chunk in bytes.
+ * @returns {Promise<object>} - A promise that resolves to the description of the stored blob.
  */
-export async function openIndexedDB(dbName, version = 1, upgradeCallback = null) {
-  if (dbCache.has(dbName)) {
-    return dbCache.get(dbName);
+export async function putBlob(dbName, key, data, metadata = {}, { type, chunkSize = 1024 * 1024 } = {}) {
+  if (!(chunkSize > 0)) {
+    throw new IndexedDbError('DataError', 'The chunk size must be a positive number of bytes.',
+      { dbName, operation: 'putBlob', key });
   }
+  await ensureBlobStores(dbName);
 
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(dbName, version);
+  const blobId = crypto.randomUUID();
+  let chunkCount = 0;
+  let size = 0;
+  try {
+    for await (const chunk of readChunks(data, chunkSize)) {
+      const index = chunkCount;
+      await withQuotaHandling(dbName, blobChunkStoreName, 'putBlob', null, () =>
+        runInTransaction({ dbName, operation: 'putBlob', key }, blobChunkStoreName, 'readwrite', null, (transaction) =>
+          promisifyRequest(transaction.objectStore(blobChunkStoreName).put({ blobId, index, data: chunk }))));
+      chunkCount++;
+      size += chunk.size;
+    }
 
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (upgradeCallback) {
-        upgradeCallback(db, event);
-      }
-    };
+    return await withQuotaHandling(dbName, blobStoreName, 'putBlob', null, () =>
+      runInTransaction({ dbName, operation: 'putBlob', key }, [blobStoreName, blobChunkStoreName], 'readwrite', null, async (transaction) => {
+        const store = transaction.objectStore(blobStoreName);
+        const existing = await promisifyRequest(store.get(key));
+        if (existing) {
+          transaction.objectStore(blobChunkStoreName).delete(blobChunkRange(existing.blobId));
+        }
 
-    request.onsuccess = (event) => {
-      const db = event.target.result;
-      dbCache.set(dbName, db);
-      resolve(db);
-    };
+        const now = new Date();
+        const entry = {
+          key,
+          blobId,
+          size,
+          type: type ?? data?.type ?? '',
+          chunkCount,
+          metadata: metadata ?? {},
+          createdAt: existing?.createdAt ?? now,
+          updatedAt: now,
+        };
+        await promisifyRequest(store.put(entry));
+        return toBlobInfo(entry);
+      }));
+  } catch (error) {
+    await runInTransaction({ dbName, operation: 'putBlob', key }, blobChunkStoreName, 'readwrite', null, (transaction) =>
+      promisifyRequest(transaction.objectStore(blobChunkStoreName).delete(blobChunkRange(blobId)))).catch(() => {});
+    throw toIndexedDbError(error, { dbName, storeName: blobChunkStoreName, operation: 'putBlob', key });
+  }
+}
 
-    request.onerror = (event) => {
-      reject(event.target.error);
-    };
+/**
+ * Reads a stored blob. The chunks are joined into one Blob without copying them, so .NET can read it as a stream.
+ * @param {string} dbName - The name of the database.
+ * @param {*} key - The key of the blob.
+ * @returns {Promise<Blob|null>} - A promise that resolves to the blob, or null if there is none under that key.
+ */
+export async function getBlob(dbName, key) {
+  if (!await hasBlobStores(dbName)) {
+    return null;
+  }
+  return runInTransaction({ dbName, operation: 'getBlob', key }, [blobStoreName, blobChunkStoreName], 'readonly', null, async (transaction) => {
+    const entry = await promisifyRequest(transaction.objectStore(blobStoreName).get(key));
+    if (!entry) {
+      return null;
+    }
+    const chunks = await promisifyRequest(transaction.objectStore(blobChunkStoreName).getAll(blobChunkRange(entry.blobId)));
+    return new Blob(chunks.map((chunk) => chunk.data), { type: entry.type });
   });
 }
 
 /**
- * Upgrades the database schema, adding or modifying object stores and indexes.
+ * Lists the stored blobs in key order, without their contents.
  * @param {string} dbName - The name of the database.
- * @param {number} newVersion - The new version number for the database.
- * @param {Array<object>} storeSchemas - An array of store schema definitions.
- * @returns {Promise<void>}
+ * @param {string} [prefix=null] - Only lists the blobs whose string key starts with this prefix.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the descriptions of the blobs.
  */
-export async function upgradeDatabase(dbName, newVersion, storeSchemas) {
-  await openIndexedDB(dbName, newVersion, (db, event) => {
-    storeSchemas.forEach((schema) => {
-      if (!db.objectStoreNames.contains(schema.name)) {
-        const store = db.createObjectStore(schema.name, schema.options);
-        if (schema.indexes) {
-          schema.indexes.forEach((index) => {
-            store.createIndex(index.name, index.keyPath, { unique: index.unique });
-          });
-        }
-      } else if (schema.modify) {
-        // Handle modifications like adding indexes
-        const store = event.target.transaction.objectStore(schema.name);
-        schema.indexes.forEach((index) => {
-          if (!store.indexNames.contains(index.name)) {
-            store.createIndex(index.name, index.keyPath, { unique: index.unique });
-          }
-        });
-      }
-    });
+export async function listBlobs(dbName, prefix = null) {
+  if (!await hasBlobStores(dbName)) {
+    return [];
+  }
+  const range = prefix ? keyRanges().bound(prefix, `${prefix}\uffff`) : undefined;
+  return runInTransaction({ dbName, operation: 'listBlobs' }, blobStoreName, 'readonly', null, async (transaction) =>
+    (await promisifyRequest(transaction.objectStore(blobStoreName).getAll(range))).map(toBlobInfo));
+}
+
+/**
+ * Deletes a stored blob and its chunks.
+ * @param {string} dbName - The name of the database.
+ * @param {*} key - The key of the blob.
+ * @returns {Promise<boolean>} - A promise that resolves to true if a blob was stored under that key.
+ */
+export async function deleteBlob(dbName, key) {
+  if (!await hasBlobStores(dbName)) {
+    return false;
+  }
+  return runInTransaction({ dbName, operation: 'deleteBlob', key }, [blobStoreName, blobChunkStoreName], 'readwrite', null, async (transaction) => {
+    const store = transaction.objectStore(blobStoreName);
+    const entry = await promisifyRequest(store.get(key));
+    if (!entry) {
+      return false;
+    }
+    store.delete(key);
+    await promisifyRequest(transaction.objectStore(blobChunkStoreName).delete(blobChunkRange(entry.blobId)));
+    return true;
   });
 }
 
 /**
- * Creates an index on an object store.
+ * The name of the object store holding the mutations waiting to be pushed by sync.
+ * @type {string}
+ */
+const outboxStoreName = '__outbox';
+
+/**
+ * The name of the object store holding the sync checkpoint of a database.
+ * @type {string}
+ */
+const syncStateStoreName = '__syncState';
+
+/**
+ * Tells whether the writes to an object store are recorded in the sync outbox.
  * @param {string} dbName - The name of the database.
  * @param {string} storeName - The name of the object store.
- * @param {string} indexName - The name of the index to create.
- * @param {string|string[]} keyPath - The key path(s) for the index.
- * @param {boolean} [unique=false] - Whether the index should enforce unique values.
- * @returns {Promise<void>}
+ * @returns {boolean} - True if the store is synced.
  */
-export async function createIndex(dbName, storeName, indexName, keyPath, unique = false) {
-  await upgradeDatabase(dbName, undefined, [
-    {
-      name: storeName,
-      modify: true,
-      indexes: [{ name: indexName, keyPath: keyPath, unique: unique }],
-    },
-  ]);
+function isSynced(dbName, storeName) {
+  return syncPolicies.get(dbName)?.storeNames.includes(storeName) ?? false;
 }
 
 /**
- * Clears all records from an object store.
+ * Records the mutations of a write in the sync outbox, in the transaction of the write, so that a mutation is
+ * queued if and only if the write commits. Does nothing for stores that are not synced.
+ * @param {IDBTransaction} transaction - The transaction of the write.
  * @param {string} dbName - The name of the database.
  * @param {string} storeName - The name of the object store.
- * @returns {Promise<boolean>} - A promise that resolves to true if the operation is successful.
+ * @param {string} operation - The kind of write ('add', 'update', 'delete' or 'clear').
+ * @param {Array<{key: *, record?: object}>} [entries=[]] - The written keys, with the stored records of adds and updates.
+ * @returns {Promise<void>}
  */
-export async function clearStore(dbName, storeName) {
-  try {
-    const db = await openIndexedDB(dbName);
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(storeName, 'readwrite');
-      const store = transaction.objectStore(storeName);
-      const request = store.clear();
-
-      request.onsuccess = () => resolve(true);
-      request.onerror = (event) => reject(event.target.error);
-    });
-  } catch (error) {
-    throw error;
+async function recordMutations(transaction, dbName, storeName, operation, entries = []) {
+  if (!isSynced(dbName, storeName)) {
+    return;
   }
+
+  const outbox = transaction.objectStore(outboxStoreName);
+  const timestamp = Date.now();
+  const mutations = operation === 'clear'
+    ? [{ storeName, key: null, operation, payload: null, timestamp }]
+    : entries.map(({ key, record = null }) => ({ storeName, key, operation, payload: record, timestamp }));
+  await Promise.all(mutations.map((mutation) => promisifyRequest(outbox.add(mutation))));
 }
 
 /**
- * Retrieves all items from an object store.
+ * Notifies every sync event handler.
+ * @param {object} payload - The event ({ dbName, phase, pushed, pulled, conflicts, pending, error }).
+ */
+function emitSyncEvent(payload) {
+  syncEventHandlers.forEach((handler) => notifyHandler(handler, 'OnSyncProgress', payload));
+}
+
+/**
+ * Subscribes to the progress of sync: 'started', 'pushed' (the outbox was sent), 'pulled' (a page of remote
+ * changes was applied), 'completed' and 'failed'.
+ * @param {function|object} handler - A function, or a DotNetObjectReference with an OnSyncProgress method.
+ * @returns {number} - The subscription id to pass to unsubscribeSyncEvents.
+ */
+export function subscribeSyncEvents(handler) {
+  const subscriptionId = ++subscriptionCounter;
+  syncEventHandlers.set(subscriptionId, handler);
+  return subscriptionId;
+}
+
+/**
+ * Removes a subscription created with subscribeSyncEvents.
+ * @param {number} subscriptionId - The subscription id.
+ * @returns {boolean} - True if the subscription existed.
+ */
+export function unsubscribeSyncEvents(subscriptionId) {
+  return syncEventHandlers.delete(subscriptionId);
+}
+
+/**
+ * Starts recording the writes to some object stores of a database in an outbox store ("__outbox"), to be
+ * pushed to an HTTP endpoint by sync, which also pulls the changes made elsewhere. The outbox and checkpoint
+ * stores are created the first time. Policies live in memory, so call this at startup; mutations recorded
+ * before a restart stay in the outbox until the next sync.
+ *
+ * The endpoint receives JSON POST requests: "<endpoint>/push" with { mutations: [{ id, storeName, key,
+ * operation, payload, timestamp, force }] }, answered with { conflicts: [{ id, record, timestamp }] } listing
+ * the mutations it rejected with the current server record (null when deleted); and "<endpoint>/pull" with
+ * { checkpoint, storeNames }, answered with { changes: [{ storeName, key, operation, record }], checkpoint,
+ * hasMore }. A mutation sent with force: true must be applied regardless of conflicts.
  * @param {string} dbName - The name of the database.
- * @param {string} storeName - The name of the object store.
- * @returns {Promise<Array>} - A promise that resolves to an array of items.
+ * @param {object} options - The sync policy.
+ * @param {string[]} options.storeNames - The object stores to sync.
+ * @param {string} options.endpoint - The base URL of the sync endpoint.
+ * @param {object} [options.headers={}] - Headers added to every request, such as Authorization.
+ * @param {string} [options.conflictStrategy='lastWriteWins'] - How a rejected mutation is resolved:
+ * 'lastWriteWins' keeps the most recent of the two versions, 'serverWins' keeps the server's, and 'custom'
+ * asks the resolver.
+ * @param {function|object} [options.resolver=null] - With the 'custom' strategy, a function, or a
+ * DotNetObjectReference with a ResolveConflict method, that receives { storeName, key, operation, local,
+ * localTimestamp, remote, remoteTimestamp } and returns the record to keep, or null to delete it.
+ * @param {number} [options.interval=0] - When greater than 0, sync runs every this many milliseconds.
+ * @returns {Promise<void>}
  */
-export async function getAll(dbName, storeName) {
-  try {
-    const db = await openIndexedDB(dbName);
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(storeName, 'readonly');
-      const store = transaction.objectStore(storeName);
-      const request = store.getAll();
+export async function defineSync(dbName, {
+  storeNames,
+  endpoint,
+  headers = {},
+  conflictStrategy = 'lastWriteWins',
+  resolver = null,
+  interval = 0,
+} = {}) {
+  const details = { dbName, operation: 'defineSync' };
+  if (!Array.isArray(storeNames) || storeNames.length === 0) {
+    throw new IndexedDbError('DataError', 'Sync needs at least one object store.', details);
+  }
+  if (typeof endpoint !== 'string' || endpoint === '') {
+    throw new IndexedDbError('DataError', 'Sync needs the URL of an endpoint.', details);
+  }
+  if (!['lastWriteWins', 'serverWins', 'custom'].includes(conflictStrategy)) {
+    throw new IndexedDbError('DataError', `Unknown conflict strategy '${conflictStrategy}'.`, details);
+  }
+  if (conflictStrategy === 'custom' && !resolver) {
+    throw new IndexedDbError('DataError', "The 'custom' conflict strategy needs a resolver.", details);
+  }
 
-      request.onsuccess = (event) => resolve(event.target.result);
-      request.onerror = (event) => reject(event.target.error);
-    });
-  } catch (error) {
-    throw error;
+  const db = await openIndexedDB(dbName);
+  const missing = storeNames.find((name) => !db.objectStoreNames.contains(name));
+  if (missing !== undefined) {
+    throw objectStoreNotFound(dbName, missing);
+  }
+  if (!db.objectStoreNames.contains(outboxStoreName)) {
+    await openIndexedDB(dbName, db.version + 1, (upgradedDb) => {
+      upgradedDb.createObjectStore(outboxStoreName, { keyPath: 'id', autoIncrement: true });
+      upgradedDb.createObjectStore(syncStateStoreName, { keyPath: 'name' });
+    }).catch(rethrowAs(details));
   }
+
+  removeSync(dbName);
+  const policy = {
+    storeNames,
+    endpoint: endpoint.replace(/\/+$/, ''),
+    headers,
+    conflictStrategy,
+    resolver,
+    timer: null,
+    running: null,
+  };
+  if (interval > 0) {
+    // A failed round, typically while offline, is simply retried on the next tick.
+    policy.timer = setInterval(() => sync(dbName).catch(() => {}), interval);
+  }
+  syncPolicies.set(dbName, policy);
 }
 
 /**
- * Retrieves all items that match a query on a specific index.
+ * Stops recording the writes of a database for sync and stops its timer. The outbox and checkpoint are kept.
  * @param {string} dbName - The name of the database.
- * @param {string} storeName - The name of the object store.
- * @param {string} indexName - The name of the index to query.
- * @param {*} query - The query value or IDBKeyRange.
- * @returns {Promise<Array>} - A promise that resolves to an array of matching items.
+ * @returns {boolean} - True if the database had a sync policy.
  */
-export async function getAllByIndex(dbName, storeName, indexName, query) {
-  try {
-    const db = await openIndexedDB(dbName);
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(storeName, 'readonly');
-      const store = transaction.objectStore(storeName);
-      const index = store.index(indexName);
-      const request = index.getAll(query);
+export function removeSync(dbName) {
+  const policy = syncPolicies.get(dbName);
+  if (policy?.timer) {
+    clearInterval(policy.timer);
+  }
+  return syncPolicies.delete(dbName);
+}
 
-      request.onsuccess = (event) => resolve(event.target.result);
-      request.onerror = (event) => reject(event.target.error);
-    });
-  } catch (error) {
-    throw error;
+/**
+ * Returns the sync policy of a database.
+ * @param {string} dbName - The name of the database.
+ * @param {string} operation - The name of the exported operation, reported when there is no policy.
+ * @returns {object} - The policy.
+ */
+function getSyncPolicy(dbName, operation) {
+  const policy = syncPolicies.get(dbName);
+  if (!policy) {
+    throw new IndexedDbError('InvalidStateError', `Database '${dbName}' has no sync policy; call defineSync first.`,
+      { dbName, operation });
   }
+  return policy;
 }
 
 /**
- * Retrieves a single item by its key from an object store.
+ * Sends a JSON request to the sync endpoint and reads its JSON answer. Network failures and error statuses
+ * reject with a SyncError.
  * @param {string} dbName - The name of the database.
- * @param {string} storeName - The name of the object store.
- * @param {*} id - The key of the item to retrieve.
- * @returns {Promise<object>} - A promise that resolves to the item, or undefined if not found.
+ * @param {object} policy - The sync policy.
+ * @param {string} path - The path of the request under the endpoint ('push' or 'pull').
+ * @param {object} body - The request body.
+ * @returns {Promise<object>} - A promise that resolves to the answer.
  */
-export async function getOne(dbName, storeName, id) {
+async function postToEndpoint(dbName, policy, path, body) {
+  const url = `${policy.endpoint}/${path}`;
+  let response;
   try {
-    const db = await openIndexedDB(dbName);
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(storeName, 'readonly');
-      const store = transaction.objectStore(storeName);
-      const request = store.get(id);
-
-      request.onsuccess = (event) => resolve(event.target.result);
-      request.onerror = (event) => reject(event.target.error);
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...policy.headers },
+      body: JSON.stringify(body),
     });
   } catch (error) {
-    throw error;
+    throw new IndexedDbError('SyncError', `The sync endpoint ${url} could not be reached.`,
+      { dbName, operation: 'sync' }, error);
+  }
+  if (!response.ok) {
+    throw new IndexedDbError('SyncError', `The sync endpoint ${url} answered with status ${response.status}.`,
+      { dbName, operation: 'sync' });
   }
+  return (await response.json()) ?? {};
 }
 
 /**
- * Adds a single item to an object store.
- * @param {string} dbName - The name of the database.
- * @param {string} storeName - The name of the object store.
- * @param {object} item - The item to add.
- * @returns {Promise<boolean>} - A promise that resolves to true if the operation is successful.
+ * Converts a timestamp sent by the endpoint (milliseconds, an ISO string or a Date) to milliseconds.
+ * @param {number|string|Date|null} value - The timestamp.
+ * @returns {number} - The timestamp in milliseconds, or NaN when there is none.
  */
-export async function addOne(dbName, storeName, item) {
-  try {
-    const db = await openIndexedDB(dbName);
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(storeName, 'readwrite');
-      const store = transaction.objectStore(storeName);
-      const request = store.add(item);
+function toTimestamp(value) {
+  return value === null || value === undefined ? Number.NaN : new Date(value).getTime();
+}
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = (event) => reject(event.target.error);
-    });
-  } catch (error) {
-    throw error;
+/**
+ * Decides how a mutation the endpoint rejected is resolved.
+ * @param {object} policy - The sync policy.
+ * @param {object} mutation - The rejected mutation, with its decrypted payload.
+ * @param {{record: object|null, timestamp: *}} conflict - The server version.
+ * @returns {Promise<{push: object|null, apply: object|null}>} - A promise that resolves to the mutation to push
+ * again with force, and the change to apply locally, either of which may be null.
+ */
+async function resolveConflict(policy, mutation, conflict) {
+  const { storeName, key } = mutation;
+  const remote = conflict.record ?? null;
+  const remoteTimestamp = toTimestamp(conflict.timestamp);
+  const remoteChange = { storeName, key, operation: remote === null ? 'delete' : 'update', record: remote };
+  switch (policy.conflictStrategy) {
+    case 'serverWins':
+      return { push: null, apply: remoteChange };
+    case 'lastWriteWins':
+      // Ties, and server versions without a timestamp, go to the local write.
+      return remoteTimestamp > mutation.timestamp
+        ? { push: null, apply: remoteChange }
+        : { push: { ...mutation, force: true }, apply: null };
+    default: {
+      const input = {
+        storeName,
+        key,
+        operation: mutation.operation,
+        local: mutation.payload,
+        localTimestamp: mutation.timestamp,
+        remote,
+        remoteTimestamp: Number.isNaN(remoteTimestamp) ? null : remoteTimestamp,
+      };
+      const resolved = (await (typeof policy.resolver === 'function'
+        ? policy.resolver(input)
+        : policy.resolver.invokeMethodAsync('ResolveConflict', input))) ?? null;
+      const operation = resolved === null ? 'delete' : 'update';
+      return {
+        push: { ...mutation, operation, payload: resolved, timestamp: Date.now(), force: true },
+        apply: { storeName, key, operation, record: resolved },
+      };
+    }
   }
 }
 
 /**
- * Adds multiple items to an object store in a single transaction.
+ * Applies changes coming from the endpoint to the synced stores, without recording them in the outbox.
+ * Changes to keys that have a mutation in the outbox are skipped: the local mutation is pushed, and resolved,
+ * by the next sync.
  * @param {string} dbName - The name of the database.
- * @param {string} storeName - The name of the object store.
- * @param {Array<object>} items - An array of items to add.
- * @returns {Promise<boolean>} - A promise that resolves to true if the operation is successful.
+ * @param {object} policy - The sync policy.
+ * @param {Array<{storeName: string, key: *, operation: string, record: object}>} changes - The changes.
+ * @param {*} [checkpoint] - A checkpoint to store in the same transaction.
+ * @returns {Promise<number>} - A promise that resolves to the number of changes applied.
  */
-export async function addMany(dbName, storeName, items) {
-  try {
-    const db = await openIndexedDB(dbName);
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(storeName, 'readwrite');
-      const store = transaction.objectStore(storeName);
+async function applyRemoteChanges(dbName, policy, changes, checkpoint = undefined) {
+  const storeNames = [...policy.storeNames, outboxStoreName, syncStateStoreName];
+  return runInTransaction({ dbName, operation: 'sync' }, storeNames, 'readwrite', null, async (transaction) => {
+    const pending = await promisifyRequest(transaction.objectStore(outboxStoreName).getAll());
+    const isPending = ({ storeName, key }) => pending.some((mutation) => mutation.storeName === storeName &&
+      (mutation.operation === 'clear' || compareKeys(mutation.key, key) === 0));
 
-      items.forEach((item) => {
-        store.add(item);
-      });
+    let applied = 0;
+    for (const change of changes) {
+      const { storeName, key, operation, record } = change;
+      if (!policy.storeNames.includes(storeName) || isPending(change)) {
+        continue;
+      }
 
-      transaction.oncomplete = () => resolve(true);
-      transaction.onerror = (event) => reject(event.target.error);
-    });
-  } catch (error) {
-    throw error;
-  }
+      const store = transaction.objectStore(storeName);
+      if (operation === 'delete') {
+        await promisifyRequest(store.delete(key));
+        await syncSearchIndex(transaction, dbName, storeName, { type: 'delete', keys: [key] });
+        queueChange(transaction, { dbName, storeName, type: 'delete', keys: [key] });
+      } else {
+        const stored = await encryptRecord(dbName, storeName, record);
+        await promisifyRequest(store.keyPath === null ? store.put(stored, key) : store.put(stored));
+        await syncSearchIndex(transaction, dbName, storeName, { type: 'put', entries: [{ key, record: stored }] });
+        queueChange(transaction, { dbName, storeName, type: 'update', keys: [key] });
+      }
+      applied += 1;
+    }
+
+    if (checkpoint !== undefined) {
+      await promisifyRequest(transaction.objectStore(syncStateStoreName).put({ name: 'checkpoint', value: checkpoint }));
+    }
+    return applied;
+  });
 }
 
 /**
- * Updates an existing item in an object store.
+ * Pushes the outbox, resolving the conflicts the endpoint reports, and removes the pushed mutations.
  * @param {string} dbName - The name of the database.
- * @param {string} storeName - The name of the object store.
- * @param {object} item - The item to update.
- * @returns {Promise<boolean>} - A promise that resolves to true if the operation is successful.
+ * @param {object} policy - The sync policy.
+ * @returns {Promise<{pushed: number, conflicts: number}>} - A promise that resolves to the number of mutations
+ * pushed and of conflicts resolved.
  */
-export async function updateOne(dbName, storeName, item) {
-  try {
-    const db = await openIndexedDB(dbName);
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(storeName, 'readwrite');
-      const store = transaction.objectStore(storeName);
-      const request = store.put(item);
+async function pushOutbox(dbName, policy) {
+  const entries = await runInTransaction({ dbName, operation: 'sync' }, outboxStoreName, 'readonly', null, (transaction) =>
+    promisifyRequest(transaction.objectStore(outboxStoreName).getAll()));
+  if (entries.length === 0) {
+    return { pushed: 0, conflicts: 0 };
+  }
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = (event) => reject(event.target.error);
-    });
-  } catch (error) {
-    throw error;
+  const mutations = await Promise.all(entries.map(async (entry) => ({
+    ...entry,
+    payload: entry.payload === null ? null : await decryptRecord(entry.payload),
+    force: false,
+  })));
+  const { conflicts = [] } = await postToEndpoint(dbName, policy, 'push', { mutations });
+
+  const resolutions = await Promise.all(conflicts.map((conflict) => {
+    const mutation = mutations.find((candidate) => candidate.id === conflict.id);
+    return mutation ? resolveConflict(policy, mutation, conflict) : { push: null, apply: null };
+  }));
+  const forced = resolutions.map((resolution) => resolution.push).filter((mutation) => mutation !== null);
+  if (forced.length > 0) {
+    await postToEndpoint(dbName, policy, 'push', { mutations: forced });
+  }
+
+  // Mutations recorded while the push was in flight have higher ids and stay for the next sync.
+  const pushedIds = keyRanges().bound(entries[0].id, entries[entries.length - 1].id);
+  await runInTransaction({ dbName, operation: 'sync' }, outboxStoreName, 'readwrite', null, (transaction) =>
+    promisifyRequest(transaction.objectStore(outboxStoreName).delete(pushedIds)));
+
+  const applied = resolutions.map((resolution) => resolution.apply).filter((change) => change !== null);
+  if (applied.length > 0) {
+    await applyRemoteChanges(dbName, policy, applied);
   }
+  return { pushed: entries.length, conflicts: conflicts.length };
 }
 
 /**
- * Deletes an item from an object store by its key.
+ * Pulls the changes made since the stored checkpoint, page by page, storing the new checkpoint with each page.
  * @param {string} dbName - The name of the database.
- * @param {string} storeName - The name of the object store.
- * @param {*} id - The key of the item to delete.
- * @returns {Promise<boolean>} - A promise that resolves to true if the operation is successful.
+ * @param {object} policy - The sync policy.
+ * @param {function(number): void} onPage - Called with the running number of changes applied after each page.
+ * @returns {Promise<{pulled: number, checkpoint: *}>} - A promise that resolves to the number of changes applied
+ * and the new checkpoint.
  */
-export async function deleteOne(dbName, storeName, id) {
-  try {
-    const db = await openIndexedDB(dbName);
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(storeName, 'readwrite');
-      const store = transaction.objectStore(storeName);
-      const request = store.delete(id);
+async function pullChanges(dbName, policy, onPage) {
+  const state = await runInTransaction({ dbName, operation: 'sync' }, syncStateStoreName, 'readonly', null, (transaction) =>
+    promisifyRequest(transaction.objectStore(syncStateStoreName).get('checkpoint')));
+  let checkpoint = state?.value ?? null;
+  let pulled = 0;
+  let hasMore = true;
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = (event) => reject(event.target.error);
-    });
-  } catch (error) {
-    throw error;
+  while (hasMore) {
+    const page = await postToEndpoint(dbName, policy, 'pull', { checkpoint, storeNames: policy.storeNames });
+    checkpoint = page.checkpoint ?? checkpoint;
+    pulled += await applyRemoteChanges(dbName, policy, page.changes ?? [], checkpoint);
+    hasMore = page.hasMore === true && (page.changes?.length ?? 0) > 0;
+    onPage(pulled);
   }
+  return { pulled, checkpoint };
 }
 
 /**
- * Counts the number of records in an object store.
+ * Counts the mutations waiting in the outbox of a database.
  * @param {string} dbName - The name of the database.
- * @param {string} storeName - The name of the object store.
- * @returns {Promise<number>} - A promise that resolves to the count of records.
+ * @returns {Promise<number>} - A promise that resolves to the number of pending mutations.
  */
-export async function count(dbName, storeName) {
-  try {
-    const db = await openIndexedDB(dbName);
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(storeName, 'readonly');
-      const store = transaction.objectStore(storeName);
-      const request = store.count();
+function countPending(dbName) {
+  return runInTransaction({ dbName, operation: 'sync' }, outboxStoreName, 'readonly', null, (transaction) =>
+    promisifyRequest(transaction.objectStore(outboxStoreName).count()));
+}
 
-      request.onsuccess = (event) => resolve(event.target.result);
-      request.onerror = (event) => reject(event.target.error);
-    });
-  } catch (error) {
-    throw error;
+/**
+ * Synchronizes a database with its endpoint: pushes the outbox, resolving conflicts with the policy's strategy,
+ * then pulls the changes made since the stored checkpoint. Progress is reported to the sync event handlers.
+ * A call made while a sync of the same database is running returns the running sync.
+ * @param {string} dbName - The name of the database, which must have a sync policy.
+ * @returns {Promise<{pushed: number, pulled: number, conflicts: number, checkpoint: *}>} - A promise that
+ * resolves to the number of mutations pushed, changes pulled and conflicts resolved, and the new checkpoint.
+ * Rejects with a SyncError when the endpoint cannot be reached; the outbox is then kept for the next sync.
+ */
+export async function sync(dbName) {
+  const policy = getSyncPolicy(dbName, 'sync');
+  if (policy.running) {
+    return policy.running;
   }
+
+  const progress = { dbName, phase: 'started', pushed: 0, pulled: 0, conflicts: 0, pending: 0, error: null };
+  const report = (phase, changes = {}) => {
+    Object.assign(progress, changes, { phase });
+    emitSyncEvent({ ...progress });
+  };
+
+  policy.running = (async () => {
+    try {
+      report('started', { pending: await countPending(dbName) });
+      const { pushed, conflicts } = await pushOutbox(dbName, policy);
+      report('pushed', { pushed, conflicts, pending: await countPending(dbName) });
+      const { pulled, checkpoint } = await pullChanges(dbName, policy, (count) => report('pulled', { pulled: count }));
+      report('completed');
+      return { pushed, pulled, conflicts, checkpoint };
+    } catch (error) {
+      const failure = toIndexedDbError(error, { dbName, operation: 'sync' });
+      report('failed', { error: failure.message });
+      throw failure;
+    } finally {
+      policy.running = null;
+    }
+  })();
+  return policy.running;
 }
 
 /**
- * The current transaction instance.
+ * Describes the sync state of a database: the number of mutations waiting in the outbox, the stored checkpoint
+ * and whether a sync is running.
+ * @param {string} dbName - The name of the database, which must have a sync policy.
+ * @returns {Promise<{pending: number, checkpoint: *, syncing: boolean}>} - A promise that resolves to the state.
  */
-let currentTransaction = null;
+export async function getSyncStatus(dbName) {
+  const policy = getSyncPolicy(dbName, 'getSyncStatus');
+  const storeNames = [outboxStoreName, syncStateStoreName];
+  return runInTransaction({ dbName, operation: 'getSyncStatus' }, storeNames, 'readonly', null, async (transaction) => {
+    const [pending, state] = await Promise.all([
+      promisifyRequest(transaction.objectStore(outboxStoreName).count()),
+      promisifyRequest(transaction.objectStore(syncStateStoreName).get('checkpoint')),
+    ]);
+    return { pending, checkpoint: state?.value ?? null, syncing: policy.running !== null };
+  });
+}
 
 /**
- * Begins a transaction across one or more object stores.
+ * Exports a database to a portable JSON snapshot containing its schema (key paths, auto-increment flags and
+ * indexes) and every record. Values JSON cannot represent directly are stored with typed encodings.
  * @param {string} dbName - The name of the database.
- * @param {string|string[]} storeNames - The name(s) of the object store(s).
- * @param {string} mode - The transaction mode ('readonly' or 'readwrite').
- * @returns {Promise<void>}
+ * @param {string[]} [storeNames=null] - The object stores to export; every store is exported when omitted.
+ * @returns {Promise<string>} - A promise that resolves to the JSON snapshot.
  */
-export async function beginTransaction(dbName, storeNames, mode) {
+export async function exportDatabase(dbName, storeNames = null) {
   const db = await openIndexedDB(dbName);
-  currentTransaction = db.transaction(storeNames, mode);
+  const names = storeNames ?? Array.from(db.objectStoreNames);
+  if (names.length === 0) {
+    return JSON.stringify({ format: 'idxdb-snapshot', formatVersion: 1, name: dbName, version: db.version, stores: [] });
+  }
+
+  const stores = await runInTransaction({ dbName, operation: 'exportDatabase' }, names, 'readonly', null, (transaction) =>
+    Promise.all(names.map(async (storeName) => {
+      const store = transaction.objectStore(storeName);
+      const [keys, values] = await Promise.all([
+        promisifyRequest(store.getAllKeys()),
+        promisifyRequest(store.getAll()),
+      ]);
+      return {
+        name: storeName,
+        keyPath: store.keyPath,
+        autoIncrement: store.autoIncrement,
+        indexes: Array.from(store.indexNames, (indexName) => {
+          const index = store.index(indexName);
+          return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+        }),
+        keys,
+        values,
+      };
+    })));
+
+  const blobs = [];
+  const snapshot = {
+    format: 'idxdb-snapshot',
+    formatVersion: 1,
+    name: dbName,
+    version: db.version,
+    exportedAt: new Date().toISOString(),
+    stores: stores.map(({ keys, values, ...schema }) => ({
+      ...schema,
+      records: values.map((value, i) => ({ key: encodeValue(keys[i]), value: encodeValue(value, blobs) })),
+    })),
+  };
+  await encodeBlobs(blobs);
+  return JSON.stringify(snapshot);
 }
 
 /**
- * Commits the current transaction.
- * @returns {Promise<void>}
+ * Tells whether an object store has the key path and auto-increment flag described by a snapshot.
+ * @param {IDBObjectStore} store - The object store.
+ * @param {object} schema - The store schema from the snapshot.
+ * @returns {boolean} - True if the store matches the schema.
  */
-export async function commitTransaction() {
-  if (currentTransaction) {
-    currentTransaction.commit();
-    currentTransaction = null;
+function storeMatchesSchema(store, schema) {
+  return JSON.stringify(store.keyPath) === JSON.stringify(schema.keyPath) && store.autoIncrement === schema.autoIncrement;
+}
+
+/**
+ * Imports a JSON snapshot created by exportDatabase. Missing object stores and indexes are created first.
+ * Records are then loaded in a single transaction according to the mode:
+ * 'replace' clears each store before loading it (and recreates stores whose key path differs),
+ * 'merge' overwrites records with the same key, and 'skip-existing' keeps records whose key already exists; a
+ * record that breaks a unique index fails the import in every mode.
+ * Records are written as they are: imports do not record history revisions or sync mutations, do not update
+ * search tokens and do not check relations. A snapshot of a whole database carries its companion stores, so
+ * importing it restores them as they were exported; after importing only some stores, call rebuildSearchIndex
+ * for their search indexes.
+ * @param {string} dbName - The name of the database to import into.
+ * @param {string|object} snapshot - The snapshot, as JSON or already parsed.
+ * @param {string} [mode='replace'] - The import mode ('replace', 'merge' or 'skip-existing').
+ * @returns {Promise<{written: number, skipped: number}>} - A promise that resolves to the number of records
+ * written and skipped.
+ */
+export async function importDatabase(dbName, snapshot, mode = 'replace') {
+  const parsed = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+  if (parsed?.format !== 'idxdb-snapshot' || !Array.isArray(parsed.stores)) {
+    throw new IndexedDbError('DataError', 'The value is not an IdxDb snapshot.',
+      { dbName, operation: 'importDatabase' });
+  }
+  if (!['replace', 'merge', 'skip-existing'].includes(mode)) {
+    throw new IndexedDbError('DataError', `Unknown import mode '${mode}'.`, { dbName, operation: 'importDatabase' });
+  }
+
+  const db = await openIndexedDB(dbName);
+  const needsUpgrade = parsed.stores.some((schema) => {
+    if (!db.objectStoreNames.contains(schema.name)) {
+      return true;
+    }
+    const store = db.transaction(schema.name, 'readonly').objectStore(schema.name);
+    return !storeMatchesSchema(store, schema) || schema.indexes.some((index) => !store.indexNames.contains(index.name));
+  });
+
+  if (needsUpgrade) {
+    await openIndexedDB(dbName, Math.max(db.version + 1, parsed.version ?? 1), (upgradingDb, event) => {
+      const transaction = event.target.transaction;
+      parsed.stores.forEach((schema) => {
+        let store = upgradingDb.objectStoreNames.contains(schema.name) ? transaction.objectStore(schema.name) : null;
+        if (store && !storeMatchesSchema(store, schema)) {
+          if (mode !== 'replace') {
+            throw new IndexedDbError('DataError', `Object store '${schema.name}' has a different key path than the snapshot.`,
+              { dbName, storeName: schema.name, operation: 'importDatabase' });
+          }
+          upgradingDb.deleteObjectStore(schema.name);
+          store = null;
+        }
+        store ??= upgradingDb.createObjectStore(schema.name, { keyPath: schema.keyPath, autoIncrement: schema.autoIncrement });
+        createIndexes(store, schema.indexes.filter((index) => !store.indexNames.contains(index.name)));
+      });
+    }).catch(rethrowAs({ dbName, operation: 'importDatabase' }));
+  }
+
+  const storeNames = parsed.stores.map((schema) => schema.name);
+  const result = { written: 0, skipped: 0 };
+  if (storeNames.length === 0) {
+    return result;
   }
+
+  await withQuotaHandling(dbName, storeNames, 'importDatabase', null, () => {
+    result.written = 0;
+    result.skipped = 0;
+    return runInTransaction({ dbName, operation: 'importDatabase' }, storeNames, 'readwrite', null, (transaction) =>
+      Promise.all(parsed.stores.map(async (schema) => {
+        const store = transaction.objectStore(schema.name);
+        if (mode === 'replace') {
+          await promisifyRequest(store.clear());
+          queueChange(transaction, { dbName, storeName: schema.name, type: 'clear', keys: [] });
+        }
+
+        const keys = await Promise.all(schema.records.map(async (record) => {
+          const value = decodeValue(record.value);
+          const key = store.keyPath === null ? decodeValue(record.key) : undefined;
+          const primaryKey = store.keyPath === null ? key : getKeyPathValue(value, store.keyPath);
+          if (mode === 'skip-existing' && primaryKey !== undefined && await promisifyRequest(store.count(primaryKey)) > 0) {
+            result.skipped++;
+            return undefined;
+          }
+
+          const written = await promisifyRequest(mode === 'skip-existing' ? store.add(value, key) : store.put(value, key));
+          result.written++;
+          return written;
+        }));
+
+        const writtenKeys = keys.filter((key) => key !== undefined);
+        if (writtenKeys.length > 0) {
+          queueChange(transaction, { dbName, storeName: schema.name, type: 'update', keys: writtenKeys });
+        }
+      })));
+  });
+
+  return result;
 }
@@ -0,0 +1,111 @@
+import {
+  upgradeDatabase,
+  addMany,
+  addOne,
+  count,
+  min,
+  max,
+  distinctKeys,
+  groupCount,
+  sum,
+  avg,
+  registerEncryptionKey,
+  defineEncryption
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Aggregation Tests', () => {
+  const dbName = 'AggregationDB';
+  const storeName = 'orders';
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      {
+        name: storeName,
+        options: { keyPath: 'id' },
+        indexes: [
+          { name: 'statusIndex', keyPath: 'status', unique: false },
+          { name: 'placedAtIndex', keyPath: 'placedAt', unique: false },
+        ],
+      },
+      { name: 'secrets', options: { keyPath: 'id' } },
+      { name: 'empty', options: { keyPath: 'id' }, indexes: [{ name: 'statusIndex', keyPath: 'status', unique: false }] },
+    ]);
+
+    await addMany(dbName, storeName, [
+      { id: 1, status: 'open', placedAt: 10, total: 20, customer: { score: 1 } },
+      { id: 2, status: 'closed', placedAt: 11, total: 5, customer: { score: 3 } },
+      { id: 3, status: 'open', placedAt: 12, total: 15 },
+      { id: 4, status: 'shipped', placedAt: 12, total: 'n/a' },
+      { id: 5, status: 'open', placedAt: 14, total: 40, customer: { score: 5 } },
+    ]);
+  });
+
+  test('count should count through an index and a range', async () => {
+    expect(await count(dbName, storeName)).toBe(5);
+    expect(await count(dbName, storeName, { range: { lower: 2, upper: 4 } })).toBe(3);
+    expect(await count(dbName, storeName, { indexName: 'statusIndex', range: { only: 'open' } })).toBe(3);
+    expect(await count(dbName, storeName, { indexName: 'placedAtIndex', range: { lower: 12 } })).toBe(3);
+  });
+
+  test('min and max should return the bounds of an index or of the primary key', async () => {
+    expect(await min(dbName, storeName, { indexName: 'placedAtIndex' })).toBe(10);
+    expect(await max(dbName, storeName, { indexName: 'placedAtIndex' })).toBe(14);
+    expect(await max(dbName, storeName, { indexName: 'placedAtIndex', range: { upper: 13 } })).toBe(12);
+    expect(await min(dbName, storeName)).toBe(1);
+    expect(await max(dbName, storeName, { range: { upper: 3, upperOpen: true } })).toBe(2);
+  });
+
+  test('min and max should return null for an empty range', async () => {
+    expect(await min(dbName, 'empty', { indexName: 'statusIndex' })).toBeNull();
+    expect(await max(dbName, storeName, { indexName: 'placedAtIndex', range: { lower: 20 } })).toBeNull();
+  });
+
+  test('distinctKeys should list each index key once, in order', async () => {
+    expect(await distinctKeys(dbName, storeName, { indexName: 'statusIndex' })).toEqual(['closed', 'open', 'shipped']);
+    expect(await distinctKeys(dbName, storeName, { indexName: 'placedAtIndex', range: { lower: 11, upper: 13 } }))
+      .toEqual([11, 12]);
+  });
+
+  test('groupCount should count the records of each index key', async () => {
+    expect(await groupCount(dbName, storeName, { indexName: 'statusIndex' })).toEqual([
+      { key: 'closed', count: 1 },
+      { key: 'open', count: 3 },
+      { key: 'shipped', count: 1 },
+    ]);
+    expect(await groupCount(dbName, storeName, { indexName: 'placedAtIndex', range: { lower: 12 } })).toEqual([
+      { key: 12, count: 2 },
+      { key: 14, count: 1 },
+    ]);
+    expect(await groupCount(dbName, 'empty', { indexName: 'statusIndex' })).toEqual([]);
+  });
+
+  test('sum and avg should fold a numeric field and skip other values', async () => {
+    expect(await sum(dbName, storeName, { field: 'total' })).toBe(80);
+    expect(await avg(dbName, storeName, { field: 'total' })).toBe(20);
+    expect(await sum(dbName, storeName, { field: 'total', indexName: 'statusIndex', range: { only: 'open' } })).toBe(75);
+    expect(await avg(dbName, storeName, { field: 'customer.score', range: { lower: 2 } })).toBe(4);
+  });
+
+  test('sum and avg should handle ranges without values', async () => {
+    expect(await sum(dbName, 'empty', { field: 'total' })).toBe(0);
+    expect(await avg(dbName, 'empty', { field: 'total' })).toBeNull();
+  });
+
+  test('sum and avg should require a field', async () => {
+    await expect(sum(dbName, storeName, {})).rejects.toMatchObject({ code: 'DataError', operation: 'sum', storeName });
+  });
+
+  test('sum and avg should read encrypted fields', async () => {
+    registerEncryptionKey('aggregation-key', await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']));
+    await defineEncryption(dbName, 'secrets', { keyId: 'aggregation-key', fields: ['amount'] });
+    await addOne(dbName, 'secrets', { id: 1, amount: 7 });
+    await addOne(dbName, 'secrets', { id: 2, amount: 9 });
+
+    expect(await sum(dbName, 'secrets', { field: 'amount' })).toBe(16);
+    expect(await avg(dbName, 'secrets', { field: 'amount', range: { only: 2 } })).toBe(9);
+  });
+
+  test('aggregations should report a missing index', async () => {
+    await expect(count(dbName, storeName, { indexName: 'missing' })).rejects.toMatchObject({ code: 'NotFoundError', operation: 'count' });
+  });
+});
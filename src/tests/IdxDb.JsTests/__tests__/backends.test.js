@@ -0,0 +1,157 @@
+import { createMemoryFactory } from '../../../library/IdxDb/wwwroot/idb-memory.mjs';
+import {
+  openIndexedDB,
+  upgradeDatabase,
+  deleteDatabase,
+  addOne,
+  addMany,
+  putMany,
+  getOne,
+  getAll,
+  getAllByIndex,
+  deleteRange,
+  query,
+  count,
+  distinctKeys,
+  beginTransaction,
+  abortTransaction,
+  registerBackend,
+  useBackend,
+  getBackend
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Storage Backend Tests', () => {
+  const dbName = 'MemoryDB';
+
+  beforeAll(async () => {
+    useBackend(dbName, 'memory');
+    await upgradeDatabase(dbName, 1, [
+      {
+        name: 'people',
+        options: { keyPath: 'id', autoIncrement: true },
+        indexes: [
+          { name: 'emailIndex', keyPath: 'email', unique: true },
+          { name: 'tagsIndex', keyPath: 'tags', multiEntry: true },
+          { name: 'nameIndex', keyPath: ['last', 'first'] },
+        ],
+      },
+      { name: 'keys', options: { keyPath: 'key' } },
+    ]);
+  });
+
+  test('the browser IndexedDB should be the default backend', () => {
+    expect(getBackend('DefaultDB')).toBe('indexedDB');
+    expect(getBackend(dbName)).toBe('memory');
+  });
+
+  test('the memory backend should keep records apart from IndexedDB', async () => {
+    await addOne(dbName, 'people', { email: 'ada@example.com', first: 'Ada', last: 'Lovelace', tags: ['math'] });
+
+    expect(await getOne(dbName, 'people', 1)).toEqual({ id: 1, email: 'ada@example.com', first: 'Ada', last: 'Lovelace', tags: ['math'] });
+    expect((await indexedDB.databases()).map((database) => database.name)).not.toContain(dbName);
+  });
+
+  test('key generators, unique, multi-entry and compound indexes should behave as in IndexedDB', async () => {
+    await addMany(dbName, 'people', [
+      { email: 'alan@example.com', first: 'Alan', last: 'Turing', tags: ['math', 'code', 'code'] },
+      { email: 'grace@example.com', first: 'Grace', last: 'Hopper', tags: ['code'] },
+      { id: 10, email: 'alan.kay@example.com', first: 'Alan', last: 'Kay' },
+    ]);
+    await addOne(dbName, 'people', { email: 'ken@example.com', first: 'Ken', last: 'Thompson', tags: [] });
+
+    expect((await getAll(dbName, 'people')).map((person) => person.id)).toEqual([1, 2, 3, 10, 11]);
+    expect((await getAllByIndex(dbName, 'people', 'tagsIndex', 'code')).map((person) => person.id)).toEqual([2, 3]);
+    expect((await getAllByIndex(dbName, 'people', 'nameIndex', { prefix: ['Turing'] }))[0].first).toBe('Alan');
+    expect(await distinctKeys(dbName, 'people', { indexName: 'tagsIndex' })).toEqual(['code', 'math']);
+    await expect(addOne(dbName, 'people', { email: 'ada@example.com' })).rejects.toMatchObject({ code: 'ConstraintError', storeName: 'people' });
+    expect(await count(dbName, 'people')).toBe(5);
+  });
+
+  test('ranges and cursors should page backwards through a compound index', async () => {
+    expect(await count(dbName, 'people', { range: { lower: 2, upper: 10, upperOpen: true } })).toBe(2);
+
+    const ids = [];
+    let continuationToken = null;
+    do {
+      const page = await query(dbName, 'people', { indexName: 'nameIndex', direction: 'prev', limit: 2, continuationToken });
+      ids.push(...page.items.map((person) => person.id));
+      continuationToken = page.continuationToken;
+    } while (continuationToken);
+
+    expect(ids).toEqual([2, 11, 1, 10, 3]);
+  });
+
+  test('keys of every type should sort in the IndexedDB order', async () => {
+    const keys = [['a'], new Uint8Array([1, 2]), 'b', new Date(5), 3, [1, 'x'], 'a', -1];
+    await putMany(dbName, 'keys', keys.map((key, position) => ({ key, position })));
+
+    await deleteRange(dbName, 'keys', { lower: 'b', upper: 'b' });
+    const positions = (await getAll(dbName, 'keys')).map((entry) => entry.position);
+
+    expect(positions).toEqual([7, 4, 3, 6, 1, 5, 0]);
+  });
+
+  test('an aborted transaction should roll its writes back', async () => {
+    const transactionId = await beginTransaction(dbName, ['people']);
+    await addOne(dbName, 'people', { email: 'rolled@example.com' }, {}, transactionId);
+    await abortTransaction(transactionId);
+
+    expect(await getAllByIndex(dbName, 'people', 'emailIndex', 'rolled@example.com')).toEqual([]);
+    await addOne(dbName, 'people', { email: 'next@example.com' });
+    expect(await getAllByIndex(dbName, 'people', 'emailIndex', 'next@example.com')).toMatchObject([{ id: 12 }]);
+  });
+
+  test('a failed upgrade should leave the schema and version unchanged', async () => {
+    await expect(upgradeDatabase(dbName, 2, [
+      { name: 'people', modify: true, indexes: [{ name: 'firstIndex', keyPath: 'first', unique: true }] },
+    ])).rejects.toMatchObject({ code: 'AbortError' });
+
+    const db = await openIndexedDB(dbName);
+    expect(db.version).toBe(1);
+    expect(Array.from(db.transaction('people').objectStore('people').indexNames)).toEqual(['emailIndex', 'nameIndex', 'tagsIndex']);
+  });
+
+  test('a backend can be chosen when the database is opened, and databases can be deleted', async () => {
+    const db = await openIndexedDB('ExplicitDB', 1, (database) => database.createObjectStore('items'), { backend: 'memory' });
+    expect(getBackend('ExplicitDB')).toBe('memory');
+    expect(db.objectStoreNames.contains('items')).toBe(true);
+
+    expect(await deleteDatabase('ExplicitDB')).toBe(true);
+    expect((await openIndexedDB('ExplicitDB')).version).toBe(1);
+    expect((await openIndexedDB('ExplicitDB')).objectStoreNames).toHaveLength(0);
+  });
+
+  test('registerBackend should add a backend that databases can use', async () => {
+    registerBackend('session', createMemoryFactory());
+    useBackend('SessionDB', 'session');
+    await upgradeDatabase('SessionDB', 1, [{ name: 'notes', options: { keyPath: 'id' } }]);
+    await addOne('SessionDB', 'notes', { id: 1 });
+
+    expect(getBackend('SessionDB')).toBe('session');
+    expect(() => useBackend('SessionDB', 'disk')).toThrow("No storage backend is named 'disk'.");
+    expect(() => registerBackend('memory', createMemoryFactory())).toThrow('built in');
+    expect(() => registerBackend('broken', {})).toThrow('open, deleteDatabase and cmp');
+  });
+
+  test('the memory backend should be picked where IndexedDB is missing or refuses connections', async () => {
+    const { indexedDB } = globalThis;
+    try {
+      delete globalThis.indexedDB;
+      expect(getBackend('FallbackDB')).toBe('memory');
+
+      globalThis.indexedDB = {
+        open: () => {
+          throw new DOMException('IndexedDB is disabled.', 'SecurityError');
+        },
+      };
+      expect(getBackend('FallbackDB')).toBe('indexedDB');
+      await upgradeDatabase('FallbackDB', 1, [{ name: 'notes', options: { keyPath: 'id' } }]);
+      await addOne('FallbackDB', 'notes', { id: 1 });
+
+      expect(getBackend('FallbackDB')).toBe('memory');
+      expect(await getOne('FallbackDB', 'notes', 1)).toEqual({ id: 1 });
+    } finally {
+      globalThis.indexedDB = indexedDB;
+    }
+  });
+});
@@ -0,0 +1,107 @@
+import {
+  upgradeDatabase,
+  openIndexedDB,
+  putBlob,
+  getBlob,
+  listBlobs,
+  deleteBlob
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Blob Storage Tests', () => {
+  const dbName = 'BlobDB';
+
+  const bytes = (length, seed = 0) => Uint8Array.from({ length }, (_, i) => (i + seed) % 251);
+
+  const countChunks = async () => {
+    const db = await openIndexedDB(dbName);
+    return new Promise((resolve, reject) => {
+      const request = db.transaction('__blobChunks').objectStore('__blobChunks').count();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [{ name: 'jobs', options: { keyPath: 'id' } }]);
+  });
+
+  test('getBlob should return null before any blob is stored', async () => {
+    expect(await getBlob(dbName, 'missing')).toBeNull();
+    expect(await listBlobs(dbName)).toEqual([]);
+  });
+
+  test('putBlob should split bytes into chunks and getBlob should join them', async () => {
+    const data = bytes(2500);
+
+    const info = await putBlob(dbName, 'job-1/photo.jpg', data, { fileName: 'photo.jpg' }, { type: 'image/jpeg', chunkSize: 1000 });
+    expect(info).toMatchObject({ key: 'job-1/photo.jpg', size: 2500, type: 'image/jpeg', chunkCount: 3, metadata: { fileName: 'photo.jpg' } });
+    expect(info.blobId).toBeUndefined();
+
+    const blob = await getBlob(dbName, 'job-1/photo.jpg');
+    expect(blob.type).toBe('image/jpeg');
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(data);
+  });
+
+  test('putBlob should read streams chunk by chunk', async () => {
+    const parts = [bytes(700, 1), bytes(700, 2), bytes(100, 3)];
+    const stream = new ReadableStream({
+      start(controller) {
+        parts.forEach((part) => controller.enqueue(part));
+        controller.close();
+      },
+    });
+
+    const info = await putBlob(dbName, 'job-1/report.pdf', { stream: async () => stream }, {}, { chunkSize: 512 });
+    expect(info).toMatchObject({ size: 1500, chunkCount: 3 });
+
+    const blob = await getBlob(dbName, 'job-1/report.pdf');
+    const expected = new Uint8Array(1500);
+    expected.set(parts[0], 0);
+    expected.set(parts[1], 700);
+    expected.set(parts[2], 1400);
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(expected);
+  });
+
+  test('putBlob should replace a blob and drop its old chunks', async () => {
+    const before = (await listBlobs(dbName, 'job-1/photo')).at(0);
+
+    await putBlob(dbName, 'job-1/photo.jpg', new Blob(['small'], { type: 'image/png' }));
+
+    const [after] = await listBlobs(dbName, 'job-1/photo');
+    expect(after).toMatchObject({ size: 5, type: 'image/png', chunkCount: 1 });
+    expect(after.createdAt).toEqual(before.createdAt);
+    expect(await (await getBlob(dbName, 'job-1/photo.jpg')).text()).toBe('small');
+    expect(await countChunks()).toBe(4);
+  });
+
+  test('a failed write should keep the previous blob', async () => {
+    const failing = new ReadableStream({
+      pull(controller) {
+        controller.error(new Error('Connection lost'));
+      },
+    });
+
+    await expect(putBlob(dbName, 'job-1/photo.jpg', failing)).rejects.toThrow('Connection lost');
+    expect(await (await getBlob(dbName, 'job-1/photo.jpg')).text()).toBe('small');
+    expect(await countChunks()).toBe(4);
+  });
+
+  test('listBlobs should filter by key prefix', async () => {
+    await putBlob(dbName, 'job-2/sign.png', bytes(10));
+
+    expect((await listBlobs(dbName)).map((info) => info.key)).toEqual(['job-1/photo.jpg', 'job-1/report.pdf', 'job-2/sign.png']);
+    expect((await listBlobs(dbName, 'job-2/')).map((info) => info.key)).toEqual(['job-2/sign.png']);
+  });
+
+  test('deleteBlob should remove the blob and its chunks', async () => {
+    expect(await deleteBlob(dbName, 'job-1/report.pdf')).toBe(true);
+    expect(await deleteBlob(dbName, 'job-1/report.pdf')).toBe(false);
+
+    expect(await getBlob(dbName, 'job-1/report.pdf')).toBeNull();
+    expect(await countChunks()).toBe(2);
+  });
+
+  test('putBlob should reject unsupported data', async () => {
+    await expect(putBlob(dbName, 'bad', 'text')).rejects.toMatchObject({ name: 'DataError' });
+  });
+});
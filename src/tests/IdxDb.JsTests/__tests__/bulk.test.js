@@ -0,0 +1,112 @@
+import {
+  upgradeDatabase,
+  addMany,
+  putMany,
+  deleteMany,
+  deleteRange,
+  getAll,
+  getOne,
+  subscribeStoreChanges,
+  unsubscribeStoreChanges,
+  beginTransaction,
+  commitTransaction
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Bulk Write Tests', () => {
+  const dbName = 'BulkDB';
+  const storeName = 'items';
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [{ name: storeName, options: { keyPath: 'id' } }]);
+  });
+
+  beforeEach(async () => {
+    await deleteRange(dbName, storeName, { lower: -Infinity });
+    await addMany(dbName, storeName, [{ id: 1, name: 'one' }, { id: 2, name: 'two' }]);
+  });
+
+  test('addMany should roll back the whole batch on the first failure', async () => {
+    await expect(addMany(dbName, storeName, [{ id: 3, name: 'three' }, { id: 1, name: 'duplicate' }]))
+      .rejects.toMatchObject({ name: 'ConstraintError' });
+
+    expect((await getAll(dbName, storeName)).map((item) => item.id)).toEqual([1, 2]);
+  });
+
+  test('addMany should keep the successful items and report every item in continue-on-error mode', async () => {
+    const report = await addMany(
+      dbName,
+      storeName,
+      [{ id: 3, name: 'three' }, { id: 1, name: 'duplicate' }, { name: 'no key' }, { id: 4, name: 'four' }],
+      { continueOnError: true });
+
+    expect(report).toEqual([
+      { index: 0, key: 3, success: true, error: null },
+      { index: 1, key: 1, success: false, error: 'ConstraintError' },
+      { index: 2, key: null, success: false, error: 'DataError' },
+      { index: 3, key: 4, success: true, error: null },
+    ]);
+    expect((await getAll(dbName, storeName)).map((item) => item.id)).toEqual([1, 2, 3, 4]);
+    expect(await getOne(dbName, storeName, 1)).toEqual({ id: 1, name: 'one' });
+  });
+
+  test('putMany should add new items and replace existing ones', async () => {
+    const result = await putMany(dbName, storeName, [{ id: 2, name: 'TWO' }, { id: 3, name: 'three' }]);
+
+    expect(result).toBe(true);
+    expect(await getAll(dbName, storeName)).toEqual([
+      { id: 1, name: 'one' },
+      { id: 2, name: 'TWO' },
+      { id: 3, name: 'three' },
+    ]);
+  });
+
+  test('deleteMany should delete the given keys and report invalid ones', async () => {
+    const report = await deleteMany(dbName, storeName, [1, { invalid: true }], { continueOnError: true });
+
+    expect(report).toEqual([
+      { index: 0, key: 1, success: true, error: null },
+      { index: 1, key: { invalid: true }, success: false, error: 'DataError' },
+    ]);
+    expect((await getAll(dbName, storeName)).map((item) => item.id)).toEqual([2]);
+  });
+
+  test('deleteMany should delete nothing when a key is invalid', async () => {
+    await expect(deleteMany(dbName, storeName, [1, { invalid: true }])).rejects.toMatchObject({ name: 'DataError' });
+
+    expect((await getAll(dbName, storeName)).map((item) => item.id)).toEqual([1, 2]);
+  });
+
+  test('deleteRange should delete the keys in the range and notify subscribers', async () => {
+    await addMany(dbName, storeName, [{ id: 3 }, { id: 4 }]);
+    const changes = [];
+    const subscriptionId = subscribeStoreChanges(dbName, storeName, (change) => changes.push(change));
+
+    const deleted = await deleteRange(dbName, storeName, { lower: 2, upper: 4, upperOpen: true });
+
+    unsubscribeStoreChanges(subscriptionId);
+    expect(deleted).toBe(2);
+    expect((await getAll(dbName, storeName)).map((item) => item.id)).toEqual([1, 4]);
+    expect(changes).toEqual([expect.objectContaining({ type: 'delete', keys: [2, 3] })]);
+  });
+
+  test('deleteRange should require a range', async () => {
+    await expect(deleteRange(dbName, storeName, null)).rejects.toMatchObject({ name: 'DataError' });
+  });
+
+  test('bulk writes should accept null options, as the interop passes them', async () => {
+    expect(await addMany(dbName, storeName, [{ id: 3 }, { id: 4 }], null, null)).toEqual([3, 4]);
+    expect(await putMany(dbName, storeName, [{ id: 4, name: 'four' }], null, null)).toBe(true);
+    expect(await deleteMany(dbName, storeName, [1, 3], null, null)).toBe(true);
+
+    expect(await getAll(dbName, storeName)).toEqual([{ id: 2, name: 'two' }, { id: 4, name: 'four' }]);
+  });
+
+  test('bulk writes should join an explicit transaction', async () => {
+    const transactionId = await beginTransaction(dbName, [storeName]);
+    await putMany(dbName, storeName, [{ id: 5 }], {}, transactionId);
+    await deleteMany(dbName, storeName, [1], {}, transactionId);
+    await commitTransaction(transactionId);
+
+    expect((await getAll(dbName, storeName)).map((item) => item.id)).toEqual([2, 5]);
+  });
+});
@@ -0,0 +1,90 @@
+import {
+  upgradeDatabase,
+  addOne,
+  addMany,
+  updateOne,
+  deleteOne,
+  clearStore,
+  beginTransaction,
+  commitTransaction,
+  abortTransaction,
+  subscribeStoreChanges,
+  unsubscribeStoreChanges
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Store Change Notification Tests', () => {
+  const dbName = 'ChangesTestDB';
+  const storeName = 'items';
+  const received = [];
+  let subscriptionId;
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [{ name: storeName, options: { keyPath: 'id' } }]);
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    subscriptionId = subscribeStoreChanges(dbName, storeName, (change) => received.push(change));
+  });
+
+  afterEach(async () => {
+    unsubscribeStoreChanges(subscriptionId);
+    await clearStore(dbName, storeName);
+  });
+
+  test('every write should notify the subscribers after it commits', async () => {
+    await addOne(dbName, storeName, { id: 1 });
+    await addMany(dbName, storeName, [{ id: 2 }, { id: 3 }]);
+    await updateOne(dbName, storeName, { id: 1, name: 'Updated' });
+    await deleteOne(dbName, storeName, 2);
+    await clearStore(dbName, storeName);
+
+    expect(received).toEqual([
+      { dbName, storeName, type: 'add', keys: [1], remote: false },
+      { dbName, storeName, type: 'add', keys: [2, 3], remote: false },
+      { dbName, storeName, type: 'update', keys: [1], remote: false },
+      { dbName, storeName, type: 'delete', keys: [2], remote: false },
+      { dbName, storeName, type: 'clear', keys: [], remote: false },
+    ]);
+  });
+
+  test('changes of a shared transaction should only be published once it commits', async () => {
+    const committed = await beginTransaction(dbName, storeName);
+    await addOne(dbName, storeName, { id: 10 }, {}, committed);
+    expect(received).toHaveLength(0);
+    await commitTransaction(committed);
+    expect(received).toEqual([{ dbName, storeName, type: 'add', keys: [10], remote: false }]);
+
+    const aborted = await beginTransaction(dbName, storeName);
+    await addOne(dbName, storeName, { id: 11 }, {}, aborted);
+    await abortTransaction(aborted);
+    expect(received).toHaveLength(1);
+  });
+
+  test('a subscription with a range should only receive keys inside the range', async () => {
+    const ranged = [];
+    const rangedId = subscribeStoreChanges(dbName, storeName, (change) => ranged.push(change), { lower: 20, upper: 29 });
+
+    await addMany(dbName, storeName, [{ id: 15 }, { id: 25 }, { id: 35 }]);
+    await deleteOne(dbName, storeName, 15);
+    unsubscribeStoreChanges(rangedId);
+
+    expect(ranged).toEqual([{ dbName, storeName, type: 'add', keys: [25], remote: false }]);
+  });
+
+  test('changes should be exchanged with other tabs through BroadcastChannel', async () => {
+    const otherTab = new BroadcastChannel('idxdb-store-changes');
+    const broadcast = new Promise((resolve) => {
+      otherTab.onmessage = (event) => resolve(event.data);
+    });
+
+    await addOne(dbName, storeName, { id: 40 });
+    expect(await broadcast).toEqual({ dbName, storeName, type: 'add', keys: [40] });
+
+    otherTab.postMessage({ dbName, storeName, type: 'delete', keys: [41] });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    otherTab.close();
+
+    expect(received).toContainEqual({ dbName, storeName, type: 'delete', keys: [41], remote: true });
+  });
+});
@@ -0,0 +1,88 @@
+import {
+  upgradeDatabase,
+  addOne,
+  getOne,
+  updateOne,
+  patchOne,
+  upsertOne,
+  subscribeStoreChanges,
+  unsubscribeStoreChanges
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Patch, Upsert and Optimistic Concurrency Tests', () => {
+  const dbName = 'ConcurrencyDB';
+  const storeName = 'people';
+  const versioned = { versionField: 'version' };
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      { name: storeName, options: { keyPath: 'id' } },
+      { name: 'notes', options: { autoIncrement: true } },
+    ]);
+  });
+
+  test('patchOne should merge the changes into the stored item', async () => {
+    await addOne(dbName, storeName, { id: 1, name: 'Ada', age: 36 });
+
+    const result = await patchOne(dbName, storeName, 1, { age: 37 });
+
+    expect(result).toEqual({ key: 1, inserted: false, record: { id: 1, name: 'Ada', age: 37 } });
+    expect(await getOne(dbName, storeName, 1)).toEqual({ id: 1, name: 'Ada', age: 37 });
+  });
+
+  test('patchOne should work with out-of-line keys', async () => {
+    await addOne(dbName, 'notes', { text: 'draft', pinned: false });
+
+    await patchOne(dbName, 'notes', 1, { pinned: true });
+
+    expect(await getOne(dbName, 'notes', 1)).toEqual({ text: 'draft', pinned: true });
+  });
+
+  test('patchOne should reject a missing item or a key change', async () => {
+    await expect(patchOne(dbName, storeName, 404, { age: 1 })).rejects.toMatchObject({ name: 'NotFoundError' });
+
+    await addOne(dbName, storeName, { id: 2, name: 'Grace' });
+    await expect(patchOne(dbName, storeName, 2, { id: 3 })).rejects.toMatchObject({ name: 'DataError' });
+    expect(await getOne(dbName, storeName, 3)).toBeUndefined();
+  });
+
+  test('upsertOne should report whether it inserted or updated', async () => {
+    const changes = [];
+    const subscriptionId = subscribeStoreChanges(dbName, storeName, (change) => changes.push(change.type));
+
+    const inserted = await upsertOne(dbName, storeName, { id: 10, name: 'Linus' });
+    const updated = await upsertOne(dbName, storeName, { id: 10, name: 'Linus T.' });
+
+    unsubscribeStoreChanges(subscriptionId);
+    expect(inserted).toMatchObject({ key: 10, inserted: true });
+    expect(updated).toMatchObject({ key: 10, inserted: false, record: { id: 10, name: 'Linus T.' } });
+    expect(changes).toEqual(['add', 'update']);
+  });
+
+  test('versioned writes should increment the version', async () => {
+    const created = await upsertOne(dbName, storeName, { id: 20, name: 'Alan' }, versioned);
+    expect(created.record.version).toBe(1);
+
+    await updateOne(dbName, storeName, { id: 20, name: 'Alan T.', version: 1 }, versioned);
+    const patched = await patchOne(dbName, storeName, 20, { name: 'Alan Turing', version: 2 }, versioned);
+
+    expect(patched.record).toEqual({ id: 20, name: 'Alan Turing', version: 3 });
+    expect(await getOne(dbName, storeName, 20)).toEqual({ id: 20, name: 'Alan Turing', version: 3 });
+  });
+
+  test('versioned writes should reject stale copies with a VersionConflictError', async () => {
+    await upsertOne(dbName, storeName, { id: 30, name: 'Barbara' }, versioned);
+    const firstTab = await getOne(dbName, storeName, 30);
+    const secondTab = await getOne(dbName, storeName, 30);
+
+    await updateOne(dbName, storeName, { ...firstTab, name: 'Barbara L.' }, versioned);
+
+    await expect(updateOne(dbName, storeName, { ...secondTab, name: 'Barbara Liskov' }, versioned))
+      .rejects.toMatchObject({ name: 'VersionConflictError' });
+    await expect(patchOne(dbName, storeName, 30, { name: 'B.', version: secondTab.version }, versioned))
+      .rejects.toMatchObject({ name: 'VersionConflictError' });
+    await expect(upsertOne(dbName, storeName, { id: 30, name: 'B.' }, versioned))
+      .rejects.toMatchObject({ name: 'VersionConflictError' });
+    expect(await getOne(dbName, storeName, 30)).toEqual({ id: 30, name: 'Barbara L.', version: 2 });
+  });
+});
@@ -0,0 +1,107 @@
+import {
+  openIndexedDB,
+  upgradeDatabase,
+  addOne,
+  getOne,
+  closeDatabase,
+  deleteDatabase,
+  subscribeConnectionEvents,
+  unsubscribeConnectionEvents
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Connection Lifecycle Tests', () => {
+  const events = [];
+  let subscriptionId;
+
+  beforeAll(() => {
+    subscriptionId = subscribeConnectionEvents((event) => events.push(event));
+  });
+
+  afterAll(() => {
+    unsubscribeConnectionEvents(subscriptionId);
+  });
+
+  beforeEach(() => {
+    events.length = 0;
+  });
+
+  test('openIndexedDB should reopen the database when a higher version is requested', async () => {
+    const dbName = 'ReopenTestDB';
+    const first = await openIndexedDB(dbName, 1);
+
+    await upgradeDatabase(dbName, 2, [{ name: 'notes', options: { keyPath: 'id' } }]);
+
+    const second = await openIndexedDB(dbName);
+    expect(second).not.toBe(first);
+    expect(second.version).toBe(2);
+    expect(second.objectStoreNames.contains('notes')).toBe(true);
+  });
+
+  test('openIndexedDB should open the current version when no version is given', async () => {
+    const dbName = 'CurrentVersionTestDB';
+    await upgradeDatabase(dbName, 3, [{ name: 'notes', options: { keyPath: 'id' } }]);
+    closeDatabase(dbName);
+
+    const db = await openIndexedDB(dbName);
+    expect(db.version).toBe(3);
+  });
+
+  test('the cached connection should close when another connection upgrades the database', async () => {
+    const dbName = 'VersionChangeTestDB';
+    const cached = await openIndexedDB(dbName, 1);
+
+    // Simulate another tab upgrading the database.
+    const other = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 2);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    other.close();
+
+    expect(events).toContainEqual({ dbName, type: 'versionchange', oldVersion: 1, newVersion: 2 });
+
+    const reopened = await openIndexedDB(dbName);
+    expect(reopened).not.toBe(cached);
+    expect(reopened.version).toBe(2);
+  });
+
+  test('a blocked upgrade should be reported', async () => {
+    const dbName = 'BlockedTestDB';
+
+    // Simulate another tab that does not close its connection when asked to.
+    const other = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    const upgrade = openIndexedDB(dbName, 2);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(events).toContainEqual({ dbName, type: 'blocked', oldVersion: 1, newVersion: 2 });
+
+    other.close();
+    expect((await upgrade).version).toBe(2);
+  });
+
+  test('closeDatabase should close the cached connection', async () => {
+    const dbName = 'CloseTestDB';
+    const db = await openIndexedDB(dbName, 1);
+
+    expect(closeDatabase(dbName)).toBe(true);
+    expect(closeDatabase(dbName)).toBe(false);
+    expect(await openIndexedDB(dbName)).not.toBe(db);
+  });
+
+  test('deleteDatabase should remove the database and its data', async () => {
+    const dbName = 'DeleteTestDB';
+    await upgradeDatabase(dbName, 1, [{ name: 'notes', options: { keyPath: 'id' } }]);
+    await addOne(dbName, 'notes', { id: 1, text: 'Hello' });
+
+    expect(await deleteDatabase(dbName)).toBe(true);
+
+    const db = await openIndexedDB(dbName);
+    expect(db.version).toBe(1);
+    expect(db.objectStoreNames.contains('notes')).toBe(false);
+    await expect(getOne(dbName, 'notes', 1)).rejects.toMatchObject({ name: 'NotFoundError' });
+  });
+});
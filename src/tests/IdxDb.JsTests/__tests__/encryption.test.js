@@ -0,0 +1,137 @@
+import {
+  upgradeDatabase,
+  openIndexedDB,
+  addOne,
+  addMany,
+  updateOne,
+  patchOne,
+  getOne,
+  getAll,
+  getAllByIndex,
+  query,
+  deriveEncryptionKey,
+  registerEncryptionKey,
+  forgetEncryptionKey,
+  defineEncryption,
+  rotateEncryptionKey,
+  defineSearchIndex,
+  search
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Encryption Tests', () => {
+  const dbName = 'EncryptionDB';
+  const storeName = 'patients';
+
+  const readStored = async (name, key) => {
+    const db = await openIndexedDB(dbName);
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(name).objectStore(name).get(key);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      {
+        name: storeName,
+        options: { keyPath: 'id' },
+        indexes: [
+          { name: 'wardIndex', keyPath: 'ward' },
+          { name: 'emailIndex', keyPath: 'email' },
+        ],
+      },
+      { name: 'notes', options: { keyPath: 'id' } },
+    ]);
+    await deriveEncryptionKey('v1', 'correct horse battery staple', 'EncryptionDB', 1000);
+    await defineEncryption(dbName, storeName, { keyId: 'v1', hashedFields: ['email'] });
+  });
+
+  test('records should be encrypted at rest and decrypted on read', async () => {
+    await addOne(dbName, storeName, { id: 1, ward: 'A', email: 'ann@example.com', name: 'Ann', born: new Date(1990, 1, 2) });
+
+    const stored = await readStored(storeName, 1);
+    expect(stored.id).toBe(1);
+    expect(stored.ward).toBe('A');
+    expect(stored.name).toBeUndefined();
+    expect(stored.email).not.toBe('ann@example.com');
+    expect(stored.__encrypted.keyId).toBe('v1');
+
+    const item = await getOne(dbName, storeName, 1);
+    expect(item).toEqual({ id: 1, ward: 'A', email: 'ann@example.com', name: 'Ann', born: new Date(1990, 1, 2) });
+  });
+
+  test('indexes should work on plaintext and hashed fields', async () => {
+    await addMany(dbName, storeName, [
+      { id: 2, ward: 'B', email: 'bob@example.com', name: 'Bob' },
+      { id: 3, ward: 'B', email: 'cid@example.com', name: 'Cid' },
+    ]);
+
+    const inWard = await getAllByIndex(dbName, storeName, 'wardIndex', 'B');
+    expect(inWard.map((item) => item.name)).toEqual(['Bob', 'Cid']);
+
+    const byEmail = await getAllByIndex(dbName, storeName, 'emailIndex', 'cid@example.com');
+    expect(byEmail).toEqual([{ id: 3, ward: 'B', email: 'cid@example.com', name: 'Cid' }]);
+
+    await expect(getAllByIndex(dbName, storeName, 'emailIndex', { lower: 'a', upper: 'z' }))
+      .rejects.toMatchObject({ name: 'DataError' });
+  });
+
+  test('updates should read and re-encrypt the stored record', async () => {
+    await updateOne(dbName, storeName, { id: 2, ward: 'C', email: 'bob@example.com', name: 'Robert' });
+    const patched = await patchOne(dbName, storeName, 3, { name: 'Cidney' });
+
+    expect(patched.record).toEqual({ id: 3, ward: 'B', email: 'cid@example.com', name: 'Cidney' });
+    expect((await getOne(dbName, storeName, 2)).name).toBe('Robert');
+    expect((await query(dbName, storeName, { indexName: 'wardIndex', range: { only: 'B' } })).items)
+      .toEqual([{ id: 3, ward: 'B', email: 'cid@example.com', name: 'Cidney' }]);
+  });
+
+  test('only the listed fields should be encrypted in field mode', async () => {
+    registerEncryptionKey('notes-key', await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']));
+    await defineEncryption(dbName, 'notes', { keyId: 'notes-key', fields: ['body'] });
+    await addOne(dbName, 'notes', { id: 1, title: 'Visit', body: 'Confidential' });
+
+    const stored = await readStored('notes', 1);
+    expect(stored.title).toBe('Visit');
+    expect(stored.body).toBeUndefined();
+    expect(await getOne(dbName, 'notes', 1)).toEqual({ id: 1, title: 'Visit', body: 'Confidential' });
+  });
+
+  test('search indexes should only cover fields kept in plaintext', async () => {
+    await expect(defineSearchIndex(dbName, 'notes', { fields: ['body'] }))
+      .rejects.toMatchObject({ code: 'DataError', operation: 'defineSearchIndex' });
+
+    await defineSearchIndex(dbName, 'notes', { fields: ['title'] });
+    expect(await search(dbName, 'notes', 'visit')).toEqual([{ id: 1, title: 'Visit', body: 'Confidential' }]);
+    await expect(defineEncryption(dbName, 'notes', { keyId: 'notes-key' }))
+      .rejects.toMatchObject({ code: 'DataError', operation: 'defineEncryption' });
+    expect((await readStored('notes', 1)).title).toBe('Visit');
+  });
+
+  test('registerEncryptionKey should reject keys of the wrong algorithm', async () => {
+    const hmac = await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+
+    expect(() => registerEncryptionKey('bad', hmac)).toThrow('AES-GCM');
+  });
+
+  test('rotateEncryptionKey should re-encrypt every record in place', async () => {
+    await deriveEncryptionKey('v2', 'another passphrase', 'EncryptionDB', 1000);
+
+    const rotated = await rotateEncryptionKey(dbName, storeName, 'v2', 2);
+    expect(rotated).toBe(3);
+    expect((await readStored(storeName, 1)).__encrypted.keyId).toBe('v2');
+
+    forgetEncryptionKey('v1');
+    const items = await getAll(dbName, storeName);
+    expect(items.map((item) => item.name)).toEqual(['Ann', 'Robert', 'Cidney']);
+    expect(await getAllByIndex(dbName, storeName, 'emailIndex', 'ann@example.com')).toHaveLength(1);
+    expect(await rotateEncryptionKey(dbName, storeName, 'v2')).toBe(0);
+  });
+
+  test('reading without the key should fail', async () => {
+    forgetEncryptionKey('v2');
+
+    await expect(getOne(dbName, storeName, 1)).rejects.toMatchObject({ name: 'InvalidAccessError' });
+  });
+});
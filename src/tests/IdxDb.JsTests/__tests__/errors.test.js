@@ -0,0 +1,97 @@
+import {
+  upgradeDatabase,
+  addOne,
+  addMany,
+  getOne,
+  getAll,
+  patchOne,
+  beginTransaction,
+  commitTransaction,
+  migrateDatabase,
+  closeDatabase
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Error Tests', () => {
+  const dbName = 'ErrorDB';
+  const storeName = 'people';
+
+  // Reads the details .NET receives: the first line of the stack.
+  const detailsOf = (error) => {
+    const [line] = error.stack.split('\n');
+    expect(line.startsWith('IdxDbError ')).toBe(true);
+    return JSON.parse(line.slice('IdxDbError '.length));
+  };
+
+  const failureOf = (promise) => promise.then(
+    () => { throw new Error('The operation should have failed.'); },
+    (error) => error);
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 2, [
+      { name: storeName, options: { keyPath: 'id' }, indexes: [{ name: 'email', keyPath: 'email', unique: true }] },
+    ]);
+    await addOne(dbName, storeName, { id: 1, email: 'ada@example.com' });
+  });
+
+  test('a duplicate key should fail with a ConstraintError naming the store, operation and key', async () => {
+    const error = await failureOf(addOne(dbName, storeName, { id: 1, email: 'other@example.com' }));
+
+    expect(error).toMatchObject({
+      name: 'ConstraintError',
+      code: 'ConstraintError',
+      dbName,
+      storeName,
+      operation: 'addOne',
+      key: 1,
+    });
+    expect(detailsOf(error)).toMatchObject({ code: 'ConstraintError', dbName, storeName, operation: 'addOne', key: 1 });
+  });
+
+  test('a bulk write should report the key of the record that failed', async () => {
+    const error = await failureOf(addMany(dbName, storeName, [{ id: 2, email: 'bob@example.com' }, { id: 3, email: 'ada@example.com' }]));
+
+    expect(error).toMatchObject({ code: 'ConstraintError', operation: 'addMany', key: 3 });
+    expect(await getAll(dbName, storeName)).toHaveLength(1);
+  });
+
+  test('a missing object store should fail with a NotFoundError', async () => {
+    const error = await failureOf(getOne(dbName, 'missing', 1));
+
+    expect(error).toMatchObject({ code: 'NotFoundError', dbName, storeName: 'missing', operation: 'getOne', missing: 'objectStore' });
+    await expect(beginTransaction(dbName, ['people', 'missing'])).rejects.toMatchObject({ missing: 'objectStore' });
+  });
+
+  test('patching a missing record should fail with a NotFoundError', async () => {
+    const error = await failureOf(patchOne(dbName, storeName, 42, { email: 'x' }));
+
+    expect(error).toMatchObject({ code: 'NotFoundError', storeName, operation: 'patchOne', key: 42, missing: 'record' });
+  });
+
+  test('an invalid key should fail with a DataError', async () => {
+    const error = await failureOf(getOne(dbName, storeName, { not: 'a key' }));
+
+    expect(error).toMatchObject({ code: 'DataError', dbName, storeName, operation: 'getOne' });
+  });
+
+  test('a failed commit should report the transaction error', async () => {
+    const transactionId = await beginTransaction(dbName, storeName);
+    await addOne(dbName, storeName, { id: 4, email: 'cid@example.com' }, {}, transactionId);
+    await failureOf(addOne(dbName, storeName, { id: 4, email: 'dup@example.com' }, {}, transactionId));
+
+    await expect(commitTransaction(transactionId)).rejects.toMatchObject({ code: 'ConstraintError', operation: 'commitTransaction' });
+  });
+
+  test('opening an older version should fail with a VersionError', async () => {
+    closeDatabase(dbName);
+
+    const error = await failureOf(migrateDatabase(dbName, [{ version: 1, steps: [] }]));
+
+    expect(error).toMatchObject({ code: 'VersionError', dbName, operation: 'migrateDatabase' });
+  });
+
+  test('keys JSON cannot represent should use the snapshot encodings', async () => {
+    const error = await failureOf(patchOne(dbName, storeName, new Date(0), { email: 'x' }));
+
+    expect(detailsOf(error).key).toEqual({ $type: 'Date', value: '1970-01-01T00:00:00.000Z' });
+  });
+});
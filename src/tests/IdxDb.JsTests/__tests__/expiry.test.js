@@ -0,0 +1,96 @@
+import {
+  upgradeDatabase,
+  openIndexedDB,
+  addOne,
+  addMany,
+  updateOne,
+  getOne,
+  getAll,
+  getAllByIndex,
+  query,
+  count,
+  defineExpiry,
+  removeExpiry,
+  purgeExpired
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Time-To-Live Tests', () => {
+  const dbName = 'ExpiryDB';
+  const storeName = 'responses';
+  const hour = 60 * 60 * 1000;
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      {
+        name: storeName,
+        options: { keyPath: 'url' },
+        indexes: [{ name: 'kindIndex', keyPath: 'kind' }],
+      },
+      { name: 'plain', options: { keyPath: 'id' } },
+    ]);
+    await defineExpiry(dbName, storeName, { ttl: hour });
+  });
+
+  afterAll(() => {
+    removeExpiry(dbName, storeName);
+  });
+
+  test('defineExpiry should create the expiry index', async () => {
+    const db = await openIndexedDB(dbName);
+
+    expect(Array.from(db.transaction(storeName).objectStore(storeName).indexNames)).toContain('expiresAt');
+  });
+
+  test('writes should stamp an expiry time', async () => {
+    const before = Date.now();
+    await addOne(dbName, storeName, { url: '/a', kind: 'page' });
+
+    const stored = await getOne(dbName, storeName, '/a');
+    expect(Object.prototype.toString.call(stored.expiresAt)).toBe('[object Date]');
+    expect(stored.expiresAt.getTime()).toBeGreaterThanOrEqual(before + hour);
+  });
+
+  test('expired records should be treated as missing', async () => {
+    await addMany(dbName, storeName, [
+      { url: '/fresh', kind: 'api' },
+      { url: '/stale', kind: 'api', expiresAt: new Date(Date.now() - 1000).toISOString() },
+    ]);
+    await addOne(dbName, storeName, { url: '/gone', kind: 'api' }, { ttl: -1 });
+
+    expect(await getOne(dbName, storeName, '/stale')).toBeUndefined();
+    expect(await getOne(dbName, storeName, '/gone')).toBeUndefined();
+    expect((await getAll(dbName, storeName)).map((item) => item.url)).toEqual(['/a', '/fresh']);
+    expect((await getAllByIndex(dbName, storeName, 'kindIndex', 'api')).map((item) => item.url)).toEqual(['/fresh']);
+    expect((await query(dbName, storeName, { limit: 1 })).items.map((item) => item.url)).toEqual(['/a']);
+    expect(await count(dbName, storeName)).toBe(4);
+  });
+
+  test('a ttl passed with an update should refresh the expiry', async () => {
+    await updateOne(dbName, storeName, { url: '/gone', kind: 'api' }, { ttl: hour });
+
+    expect(await getOne(dbName, storeName, '/gone')).toMatchObject({ url: '/gone' });
+  });
+
+  test('purgeExpired should delete the expired records', async () => {
+    expect(await purgeExpired(dbName, storeName)).toBe(1);
+    expect(await count(dbName, storeName)).toBe(3);
+    expect(await purgeExpired(dbName, storeName)).toBe(0);
+  });
+
+  test('purgeExpired should run on a timer', async () => {
+    await defineExpiry(dbName, storeName, { ttl: hour, purgeInterval: 10 });
+    await addOne(dbName, storeName, { url: '/old' }, { ttl: -1 });
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    removeExpiry(dbName, storeName);
+    expect(await getOne(dbName, storeName, '/old')).toBeUndefined();
+    expect(await count(dbName, storeName)).toBe(3);
+    await defineExpiry(dbName, storeName, { ttl: hour });
+  });
+
+  test('a ttl should require a time-to-live policy', async () => {
+    await expect(addOne(dbName, 'plain', { id: 1 }, { ttl: hour })).rejects.toMatchObject({ name: 'DataError' });
+    await expect(purgeExpired(dbName, 'plain')).rejects.toMatchObject({ name: 'NotFoundError' });
+  });
+});
@@ -0,0 +1,192 @@
+import {
+  upgradeDatabase,
+  addMany,
+  find,
+  explain,
+  addQueryPlanHook,
+  removeHook,
+  defineHistory,
+  deleteOne,
+  registerEncryptionKey,
+  defineEncryption
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Find Query Tests', () => {
+  const dbName = 'FindDB';
+  const storeName = 'products';
+
+  const products = [
+    { id: 1, name: 'Apple', category: 'fruit', price: 3, tags: ['red', 'sweet'], stock: { count: 10 } },
+    { id: 2, name: 'Apricot', category: 'fruit', price: 5, tags: ['orange'], stock: { count: 0 } },
+    { id: 3, name: 'Banana', category: 'fruit', price: 2, tags: ['yellow', 'sweet'], stock: { count: 4 } },
+    { id: 4, name: 'Broccoli', category: 'vegetable', price: 4, tags: ['green'], stock: { count: 7 } },
+    { id: 5, name: 'Carrot', category: 'vegetable', price: 1, tags: ['orange'], stock: { count: 12 } },
+    { id: 6, name: 'Cheddar', category: 'dairy', price: 9, tags: [], stock: { count: 2 } },
+  ];
+
+  const ids = (records) => records.map((record) => record.id);
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      {
+        name: storeName,
+        options: { keyPath: 'id' },
+        indexes: [
+          { name: 'categoryIndex', keyPath: 'category' },
+          { name: 'priceIndex', keyPath: 'price' },
+          { name: 'tagsIndex', keyPath: 'tags', multiEntry: true },
+        ],
+      },
+    ]);
+    await addMany(dbName, storeName, products);
+  });
+
+  test('every operator should filter records, in the order of the index read', async () => {
+    const where = (field, op, value) => find(dbName, storeName, { where: [{ field, op, value }] }).then(ids);
+
+    expect(await where('category', 'eq', 'fruit')).toEqual([1, 2, 3]);
+    expect(await where('category', 'ne', 'fruit')).toEqual([4, 5, 6]);
+    expect(await where('price', 'lt', 3)).toEqual([5, 3]);
+    expect(await where('price', 'lte', 3)).toEqual([5, 3, 1]);
+    expect(await where('price', 'gt', 4)).toEqual([2, 6]);
+    expect(await where('price', 'gte', 4)).toEqual([4, 2, 6]);
+    expect(await where('name', 'in', ['Carrot', 'Apple', 'Kiwi'])).toEqual([1, 5]);
+    expect(await where('name', 'startsWith', 'Ap')).toEqual([1, 2]);
+    expect(await where('name', 'contains', 'ro')).toEqual([4, 5]);
+    expect(await where('tags', 'contains', 'sweet')).toEqual([1, 3]);
+    expect(await where('stock.count', 'eq', 0)).toEqual([2]);
+  });
+
+  test('predicates should be combined, ordered and paged', async () => {
+    const records = await find(dbName, storeName, {
+      where: [{ field: 'price', op: 'gte', value: 2 }, { field: 'stock.count', op: 'gt', value: 0 }],
+      orderBy: [{ field: 'category', descending: false }, { field: 'price', descending: true }],
+      skip: 1,
+      take: 3,
+    });
+
+    expect(ids(records)).toEqual([1, 3, 4]);
+    expect(ids(await find(dbName, storeName, { orderBy: 'name', take: 2 }))).toEqual([1, 2]);
+    expect(ids(await find(dbName, storeName, { orderBy: [{ field: 'price', descending: true }], take: 2 }))).toEqual([6, 2]);
+  });
+
+  test('the planner should pick the most selective index and keep the other predicates as filters', async () => {
+    const category = { field: 'category', op: 'eq', value: 'fruit' };
+    const price = { field: 'price', op: 'lt', value: 5 };
+
+    expect(await explain(dbName, storeName, { where: [price, category] })).toEqual({
+      strategy: 'index',
+      indexName: 'categoryIndex',
+      keyPath: 'category',
+      range: { only: 'fruit' },
+      predicates: [category],
+      filters: [price],
+      direction: 'next',
+      sortInMemory: false,
+    });
+    expect(await explain(dbName, storeName, { where: [{ field: 'id', op: 'eq', value: 2 }, category] }))
+      .toMatchObject({ strategy: 'primaryKey', indexName: null, range: { only: 2 }, filters: [category] });
+    expect(await explain(dbName, storeName, { where: [{ field: 'tags', op: 'contains', value: 'green' }] }))
+      .toMatchObject({ indexName: 'tagsIndex', range: { only: 'green' }, filters: [] });
+    expect(await explain(dbName, storeName, { where: [{ field: 'name', op: 'startsWith', value: 'B' }] }))
+      .toMatchObject({ strategy: 'scan', range: null, sortInMemory: false });
+  });
+
+  test('an index that also gives the order should spare the sort', async () => {
+    const plan = await explain(dbName, storeName, {
+      where: [{ field: 'price', op: 'gt', value: 1 }, { field: 'price', op: 'lte', value: 5 }],
+      orderBy: [{ field: 'price', descending: true }],
+    });
+
+    expect(plan).toMatchObject({
+      indexName: 'priceIndex',
+      range: { lower: 1, upper: 5, lowerOpen: true, upperOpen: false },
+      filters: [],
+      direction: 'prev',
+      sortInMemory: false,
+    });
+    expect(ids(await find(dbName, storeName, {
+      where: [{ field: 'price', op: 'gt', value: 1 }, { field: 'price', op: 'lte', value: 5 }],
+      orderBy: [{ field: 'price', descending: true }],
+      take: 2,
+    }))).toEqual([2, 4]);
+  });
+
+  test('an ordering alone should read its index in order', async () => {
+    expect(await explain(dbName, storeName, { orderBy: [{ field: 'price', descending: true }], take: 2 })).toEqual({
+      strategy: 'index',
+      indexName: 'priceIndex',
+      keyPath: 'price',
+      range: null,
+      predicates: [],
+      filters: [],
+      direction: 'prev',
+      sortInMemory: false,
+    });
+    expect(await explain(dbName, storeName, { orderBy: [{ field: 'id', descending: true }] }))
+      .toMatchObject({ strategy: 'primaryKey', range: null, direction: 'prev', sortInMemory: false });
+    expect(ids(await find(dbName, storeName, { orderBy: [{ field: 'price', descending: true }], skip: 1, take: 2 })))
+      .toEqual([2, 4]);
+
+    await upgradeDatabase('FindEventsDB', 1, [
+      { name: 'events', options: { keyPath: 'id' }, indexes: [{ name: 'createdAtIndex', keyPath: 'createdAt' }] },
+    ]);
+    await addMany('FindEventsDB', 'events', [{ id: 1, createdAt: 20 }, { id: 2 }, { id: 3, createdAt: 10 }]);
+    expect(await explain('FindEventsDB', 'events', { orderBy: 'createdAt' }))
+      .toMatchObject({ strategy: 'scan', sortInMemory: true });
+    expect(ids(await find('FindEventsDB', 'events', { orderBy: 'createdAt' }))).toEqual([2, 3, 1]);
+  });
+
+  test('the query plan hook should report the plan of each find', async () => {
+    const plans = [];
+    const hookId = addQueryPlanHook((plan) => plans.push(plan), { storeName });
+    try {
+      await find(dbName, storeName, { where: [{ field: 'price', op: 'in', value: [9, 2] }] });
+    } finally {
+      removeHook(hookId);
+    }
+
+    expect(plans).toEqual([expect.objectContaining({
+      dbName,
+      storeName,
+      strategy: 'index',
+      indexName: 'priceIndex',
+      range: { lower: 2, upper: 9 },
+      filters: [{ field: 'price', op: 'in', value: [9, 2] }],
+    })]);
+  });
+
+  test('soft-deleted records should not be found', async () => {
+    await upgradeDatabase('FindHistoryDB', 1, [{ name: 'notes', options: { keyPath: 'id' } }]);
+    await addMany('FindHistoryDB', 'notes', [{ id: 1 }, { id: 2 }]);
+    await defineHistory('FindHistoryDB', 'notes', { softDelete: true });
+    await deleteOne('FindHistoryDB', 'notes', 1);
+
+    expect(await find('FindHistoryDB', 'notes')).toEqual([{ id: 2 }]);
+  });
+
+  test('encrypted records should be decrypted as the cursor reads them', async () => {
+    await upgradeDatabase('FindEncryptedDB', 1, [
+      { name: storeName, options: { keyPath: 'id' }, indexes: [{ name: 'priceIndex', keyPath: 'price' }] },
+    ]);
+    registerEncryptionKey('find-key', await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']));
+    await defineEncryption('FindEncryptedDB', storeName, { keyId: 'find-key' });
+    await addMany('FindEncryptedDB', storeName, products);
+
+    expect(ids(await find('FindEncryptedDB', storeName, {
+      where: [{ field: 'price', op: 'lte', value: 5 }, { field: 'category', op: 'eq', value: 'fruit' }],
+      orderBy: [{ field: 'price', descending: true }],
+      take: 2,
+    }))).toEqual([2, 1]);
+    expect(ids(await find('FindEncryptedDB', storeName, { where: [{ field: 'tags', op: 'contains', value: 'orange' }] })))
+      .toEqual([2, 5]);
+  });
+
+  test('invalid queries should be rejected', async () => {
+    await expect(find(dbName, storeName, { where: [{ field: 'price', op: 'like', value: 1 }] }))
+      .rejects.toMatchObject({ code: 'DataError', message: "Unsupported query operator 'like' on field 'price'." });
+    await expect(find(dbName, storeName, { where: [{ field: 'price', op: 'in', value: 1 }] }))
+      .rejects.toMatchObject({ code: 'DataError', operation: 'find' });
+    await expect(find(dbName, storeName, { take: -1 })).rejects.toMatchObject({ code: 'DataError' });
+  });
+});
@@ -0,0 +1,117 @@
+import {
+  upgradeDatabase,
+  addOne,
+  putMany,
+  updateOne,
+  patchOne,
+  deleteOne,
+  deleteMany,
+  getOne,
+  getAll,
+  getAllByIndex,
+  query,
+  registerEncryptionKey,
+  defineEncryption,
+  defineHistory,
+  removeHistory,
+  getHistory,
+  restoreRevision,
+  undelete,
+  pruneHistory,
+  getDeleted
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Record History Tests', () => {
+  const dbName = 'HistoryDB';
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      { name: 'notes', options: { keyPath: 'id' } },
+      { name: 'tasks', options: { keyPath: 'id' }, indexes: [{ name: 'doneIndex', keyPath: 'done' }] },
+      { name: 'drafts', options: { keyPath: 'id' } },
+      { name: 'secrets', options: { keyPath: 'id' } },
+    ]);
+    await defineHistory(dbName, 'notes');
+    await defineHistory(dbName, 'tasks', { softDelete: true });
+    await defineHistory(dbName, 'drafts', { maxRevisions: 2 });
+  });
+
+  test('updates and deletes should keep the previous versions with a revision and a timestamp', async () => {
+    await addOne(dbName, 'notes', { id: 1, text: 'first' });
+    await updateOne(dbName, 'notes', { id: 1, text: 'second' });
+    await patchOne(dbName, 'notes', 1, { text: 'third' });
+    await deleteOne(dbName, 'notes', 1);
+
+    const history = await getHistory(dbName, 'notes', 1);
+    expect(history.map(({ revision, operation, record }) => ({ revision, operation, record }))).toEqual([
+      { revision: 1, operation: 'update', record: { id: 1, text: 'first' } },
+      { revision: 2, operation: 'update', record: { id: 1, text: 'second' } },
+      { revision: 3, operation: 'delete', record: { id: 1, text: 'third' } },
+    ]);
+    expect(Object.prototype.toString.call(history[0].recordedAt)).toBe('[object Date]');
+    expect(await getOne(dbName, 'notes', 1)).toBeUndefined();
+  });
+
+  test('a removed record should be undeleted from its last revision, and older revisions restored', async () => {
+    expect(await undelete(dbName, 'notes', 1)).toBe(true);
+    expect(await getOne(dbName, 'notes', 1)).toEqual({ id: 1, text: 'third' });
+    expect(await undelete(dbName, 'notes', 1)).toBe(false);
+
+    expect(await restoreRevision(dbName, 'notes', 1, 1)).toEqual({ id: 1, text: 'first' });
+    expect(await getOne(dbName, 'notes', 1)).toEqual({ id: 1, text: 'first' });
+    expect((await getHistory(dbName, 'notes', 1)).at(-1)).toMatchObject({ revision: 4, operation: 'restore', record: { id: 1, text: 'third' } });
+
+    await expect(restoreRevision(dbName, 'notes', 1, 99)).rejects.toMatchObject({ code: 'NotFoundError', operation: 'restoreRevision' });
+    await expect(undelete(dbName, 'notes', 42)).rejects.toMatchObject({ code: 'NotFoundError' });
+  });
+
+  test('soft deletes should hide records from reads until they are undeleted', async () => {
+    await putMany(dbName, 'tasks', [{ id: 1, done: 0 }, { id: 2, done: 0 }, { id: 3, done: 1 }]);
+    await deleteOne(dbName, 'tasks', 1);
+    await deleteMany(dbName, 'tasks', [3]);
+
+    expect(await getAll(dbName, 'tasks')).toEqual([{ id: 2, done: 0 }]);
+    expect(await getAllByIndex(dbName, 'tasks', 'doneIndex', 1)).toEqual([]);
+    expect(await getOne(dbName, 'tasks', 1)).toBeUndefined();
+    expect((await getDeleted(dbName, 'tasks')).map((task) => task.id)).toEqual([1, 3]);
+
+    expect(await undelete(dbName, 'tasks', 3)).toBe(true);
+    expect(await getAllByIndex(dbName, 'tasks', 'doneIndex', 1)).toEqual([{ id: 3, done: 1 }]);
+    expect((await getHistory(dbName, 'tasks', 3)).map((entry) => entry.operation)).toEqual(['delete', 'undelete']);
+  });
+
+  test('soft-deleted records should stay hidden from query on an encrypted store', async () => {
+    registerEncryptionKey('secrets-key', await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']));
+    await defineEncryption(dbName, 'secrets', { keyId: 'secrets-key' });
+    await defineHistory(dbName, 'secrets', { softDelete: true });
+    await putMany(dbName, 'secrets', [{ id: 1, text: 'a' }, { id: 2, text: 'b' }, { id: 3, text: 'c' }]);
+    await deleteOne(dbName, 'secrets', 2);
+
+    const first = await query(dbName, 'secrets', { limit: 1 });
+    const second = await query(dbName, 'secrets', { limit: 1, continuationToken: first.continuationToken });
+    expect(first.items).toEqual([{ id: 1, text: 'a' }]);
+    expect(second).toEqual({ items: [{ id: 3, text: 'c' }], continuationToken: null });
+  });
+
+  test('the retention limit should prune the oldest revisions', async () => {
+    await addOne(dbName, 'drafts', { id: 1, version: 1 });
+    for (let version = 2; version <= 5; version++) {
+      await updateOne(dbName, 'drafts', { id: 1, version });
+    }
+
+    expect((await getHistory(dbName, 'drafts', 1)).map((entry) => [entry.revision, entry.record.version])).toEqual([[3, 3], [4, 4]]);
+
+    await defineHistory(dbName, 'drafts', { maxRevisions: 1 });
+    expect(await pruneHistory(dbName, 'drafts')).toBe(1);
+    expect((await getHistory(dbName, 'drafts', 1)).map((entry) => entry.revision)).toEqual([4]);
+  });
+
+  test('stores without a policy should keep no history', async () => {
+    expect(removeHistory(dbName, 'drafts')).toBe(true);
+    await updateOne(dbName, 'drafts', { id: 1, version: 6 });
+
+    await expect(getHistory(dbName, 'drafts', 1)).rejects.toMatchObject({ code: 'NotFoundError', message: "Object store 'drafts' keeps no history." });
+    await defineHistory(dbName, 'drafts');
+    expect((await getHistory(dbName, 'drafts', 1)).map((entry) => entry.revision)).toEqual([4]);
+  });
+});
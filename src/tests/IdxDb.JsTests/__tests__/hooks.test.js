@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import {
+  upgradeDatabase,
+  addOne,
+  addMany,
+  updateOne,
+  patchOne,
+  getOne,
+  getAll,
+  deleteOne,
+  count,
+  addHook,
+  removeHook,
+  addLoggingHook,
+  addTimingHook,
+  addTimestampHook
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Operation Hook Tests', () => {
+  const dbName = 'HooksDB';
+  const storeName = 'notes';
+  const hookIds = [];
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      { name: storeName, options: { keyPath: 'id' } },
+      { name: 'other', options: { keyPath: 'id' } },
+    ]);
+  });
+
+  afterEach(() => {
+    hookIds.splice(0).forEach(removeHook);
+  });
+
+  test('hooks should see every operation with its payload, result and duration', async () => {
+    const calls = [];
+    hookIds.push(addHook({
+      dbName,
+      before: (call) => calls.push(['before', call.operation, call.storeName, call.payload]),
+      after: (call) => calls.push(['after', call.operation, call.result, call.duration >= 0]),
+    }));
+
+    await addOne(dbName, storeName, { id: 1, text: 'a' });
+    await getOne(dbName, storeName, 1);
+    await deleteOne(dbName, storeName, 1);
+
+    expect(calls).toEqual([
+      ['before', 'addOne', storeName, { id: 1, text: 'a' }],
+      ['after', 'addOne', 1, true],
+      ['before', 'getOne', storeName, 1],
+      ['after', 'getOne', { id: 1, text: 'a' }, true],
+      ['before', 'deleteOne', storeName, 1],
+      ['after', 'deleteOne', true, true],
+    ]);
+  });
+
+  test('hooks should only run for the databases, object stores and operations they name', async () => {
+    const operations = [];
+    hookIds.push(addHook({ dbName, storeName, operations: ['addOne', 'count'], after: (call) => operations.push(call.operation) }));
+
+    await addOne(dbName, storeName, { id: 2 });
+    await addOne(dbName, 'other', { id: 2 });
+    await getAll(dbName, storeName);
+    await count(dbName, storeName);
+
+    expect(operations).toEqual(['addOne', 'count']);
+  });
+
+  test('a before hook can change the payload or short-circuit the operation', async () => {
+    hookIds.push(addHook({
+      storeName,
+      operations: ['addOne'],
+      before: (call) => {
+        call.payload = { ...call.payload, text: call.payload.text.toUpperCase() };
+      },
+    }));
+    hookIds.push(addHook({
+      storeName,
+      operations: ['getOne'],
+      before: (call) => (call.payload === 'cached' ? { result: { id: 'cached', text: 'from the cache' } } : undefined),
+    }));
+
+    await addOne(dbName, storeName, { id: 3, text: 'shout' });
+
+    expect(await getOne(dbName, storeName, 3)).toEqual({ id: 3, text: 'SHOUT' });
+    expect(await getOne(dbName, storeName, 'cached')).toEqual({ id: 'cached', text: 'from the cache' });
+  });
+
+  test('hook errors should fail the operation before it runs, and after hooks should see operation errors', async () => {
+    const errors = [];
+    hookIds.push(addHook({ storeName, after: (call) => errors.push(call.error?.code ?? null) }));
+    hookIds.push(addHook({
+      storeName,
+      operations: ['deleteOne'],
+      before: () => {
+        throw new DOMException('Notes cannot be deleted.', 'NotAllowedError');
+      },
+    }));
+
+    await expect(deleteOne(dbName, storeName, 3)).rejects.toMatchObject({ code: 'NotAllowedError', operation: 'deleteOne' });
+    await expect(addOne(dbName, storeName, { id: 3 })).rejects.toMatchObject({ code: 'ConstraintError' });
+
+    expect(errors).toEqual(['NotAllowedError', 'ConstraintError']);
+    expect(await getOne(dbName, storeName, 3)).toEqual({ id: 3, text: 'SHOUT' });
+  });
+
+  test('the timestamp hook should stamp created and updated times', async () => {
+    hookIds.push(addTimestampHook({ dbName, storeName }));
+
+    await addOne(dbName, storeName, { id: 4 });
+    await addMany(dbName, storeName, [{ id: 5, createdAt: new Date(0) }]);
+    const added = await getOne(dbName, storeName, 4);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await updateOne(dbName, storeName, { ...added, text: 'edited' });
+    await patchOne(dbName, storeName, 5, { text: 'patched' });
+
+    const updated = await getOne(dbName, storeName, 4);
+    expect(Object.prototype.toString.call(added.createdAt)).toBe('[object Date]');
+    expect(added.updatedAt).toEqual(added.createdAt);
+    expect(updated.createdAt).toEqual(added.createdAt);
+    expect(updated.updatedAt.getTime()).toBeGreaterThan(added.updatedAt.getTime());
+    expect(await getOne(dbName, storeName, 5)).toMatchObject({ createdAt: new Date(0), text: 'patched' });
+  });
+
+  test('the logging and timing hooks should report each operation', async () => {
+    const debug = jest.spyOn(console, 'debug').mockImplementation(() => {});
+    const timings = [];
+    try {
+      hookIds.push(addLoggingHook({ dbName, operations: ['getOne'] }));
+      hookIds.push(addTimingHook((timing) => timings.push(timing), { storeName }));
+
+      await getOne(dbName, storeName, 4);
+      await expect(addOne(dbName, storeName, { id: 4 })).rejects.toThrow();
+
+      expect(debug).toHaveBeenCalledWith(expect.stringMatching(/^\[IdxDb] getOne on 'HooksDB\/notes' took \d+\.\d ms$/), 4, expect.objectContaining({ id: 4 }));
+      expect(timings).toEqual([
+        { dbName, storeName, operation: 'getOne', duration: expect.any(Number), succeeded: true, error: null },
+        { dbName, storeName, operation: 'addOne', duration: expect.any(Number), succeeded: false, error: 'ConstraintError' },
+      ]);
+    } finally {
+      debug.mockRestore();
+    }
+  });
+
+  test('a hook without functions should be refused and removed hooks should stop running', () => {
+    expect(() => addHook({ dbName })).toThrow('A hook needs a before or an after function.');
+    expect(removeHook(addHook({ after: () => {} }))).toBe(true);
+    expect(removeHook(-1)).toBe(false);
+  });
+});
@@ -14,7 +14,8 @@ import {
   deleteOne,
   count,
   beginTransaction,
-  commitTransaction
+  commitTransaction,
+  abortTransaction
 } from '../../../library/IdxDb/wwwroot/idb';
 
 describe('IndexedDB Module Tests', () => {
@@ -103,7 +104,7 @@ describe('IndexedDB Module Tests', () => {
   test('addOne should add an item and getOne should retrieve it', async () => {
     const item = { id: 1, name: 'Test Item' };
     const addResult = await addOne(dbName, storeName, item);
-    expect(addResult).toBe(true);
+    expect(addResult).toBe(1);
 
     const fetchedItem = await getOne(dbName, storeName, 1);
     expect(fetchedItem).toEqual(item);
@@ -115,11 +116,11 @@ describe('IndexedDB Module Tests', () => {
 
     // Add the original item
     const addResult = await addOne(dbName, storeName, originalItem);
-    expect(addResult).toBe(true);
+    expect(addResult).toBe(2);
 
     // Update the item
     const updateResult = await updateOne(dbName, storeName, updatedItem);
-    expect(updateResult).toBe(true);
+    expect(updateResult).toBe(2);
 
     // Retrieve the updated item
     const fetchedItem = await getOne(dbName, storeName, 2);
@@ -131,7 +132,7 @@ describe('IndexedDB Module Tests', () => {
 
     // Add the item
     const addResult = await addOne(dbName, storeName, item);
-    expect(addResult).toBe(true);
+    expect(addResult).toBe(3);
 
     // Delete the item
     const deleteResult = await deleteOne(dbName, storeName, 3);
@@ -150,7 +151,7 @@ describe('IndexedDB Module Tests', () => {
     ];
 
     const addManyResult = await addMany(dbName, storeName, items);
-    expect(addManyResult).toBe(true);
+    expect(addManyResult).toEqual([4, 5, 6]);
 
     const allItems = await getAll(dbName, storeName);
     expect(allItems).toHaveLength(3);
@@ -163,45 +164,45 @@ describe('IndexedDB Module Tests', () => {
     );
   });
 
-  // test('createIndex should add a new index and getAllByIndex should retrieve items using the index', async () => {
-  //   const indexStoreName = 'products';
-  //   const indexDbName = 'IndexTestDB';
-  //   const indexName = 'categoryIndex';
-  //   const storeSchemas = [
-  //     {
-  //       name: indexStoreName,
-  //       options: { keyPath: 'productId' },
-  //     },
-  //   ];
-  //
-  //   // Upgrade the database to create the object store
-  //   await upgradeDatabase(indexDbName, 1, storeSchemas);
-  //
-  //   // Create an index on 'category'
-  //   await createIndex(indexDbName, indexStoreName, indexName, 'category', false);
-  //
-  //   const db = await openIndexedDB(indexDbName, 2); // Increment version to trigger upgrade
-  //   const store = db.transaction(indexStoreName, 'readonly').objectStore(indexStoreName);
-  //   expect(store.indexNames.contains(indexName)).toBe(true); // This should now pass
-  //
-  //   // Add items
-  //   const products = [
-  //     { productId: 101, name: 'Laptop', category: 'Electronics' },
-  //     { productId: 102, name: 'Shirt', category: 'Apparel' },
-  //     { productId: 103, name: 'Smartphone', category: 'Electronics' },
-  //   ];
-  //   await addMany(indexDbName, indexStoreName, products);
-  //
-  //   // Retrieve items by category 'Electronics'
-  //   const electronics = await getAllByIndex(indexDbName, indexStoreName, indexName, 'Electronics');
-  //   expect(electronics).toHaveLength(2);
-  //   expect(electronics).toEqual(
-  //     expect.arrayContaining([
-  //       expect.objectContaining({ productId: 101, name: 'Laptop', category: 'Electronics' }),
-  //       expect.objectContaining({ productId: 103, name: 'Smartphone', category: 'Electronics' }),
-  //     ])
-  //   );
-  // }, timeout);
+  test('createIndex should add a new index and getAllByIndex should retrieve items using the index', async () => {
+    const indexStoreName = 'products';
+    const indexDbName = 'IndexTestDB';
+    const indexName = 'categoryIndex';
+    const storeSchemas = [
+      {
+        name: indexStoreName,
+        options: { keyPath: 'productId' },
+      },
+    ];
+
+    // Upgrade the database to create the object store
+    await upgradeDatabase(indexDbName, 1, storeSchemas);
+
+    // Create an index on 'category'
+    await createIndex(indexDbName, indexStoreName, indexName, 'category', false);
+
+    const db = await openIndexedDB(indexDbName, 2); // createIndex upgraded the database to version 2
+    const store = db.transaction(indexStoreName, 'readonly').objectStore(indexStoreName);
+    expect(store.indexNames.contains(indexName)).toBe(true);
+
+    // Add items
+    const products = [
+      { productId: 101, name: 'Laptop', category: 'Electronics' },
+      { productId: 102, name: 'Shirt', category: 'Apparel' },
+      { productId: 103, name: 'Smartphone', category: 'Electronics' },
+    ];
+    await addMany(indexDbName, indexStoreName, products);
+
+    // Retrieve items by category 'Electronics'
+    const electronics = await getAllByIndex(indexDbName, indexStoreName, indexName, 'Electronics');
+    expect(electronics).toHaveLength(2);
+    expect(electronics).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ productId: 101, name: 'Laptop', category: 'Electronics' }),
+        expect.objectContaining({ productId: 103, name: 'Smartphone', category: 'Electronics' }),
+      ])
+    );
+  }, timeout);
 
   test('beginTransaction and commitTransaction should manage transactions correctly', async () => {
     const transactionStoreName = 'transactions';
@@ -219,18 +220,16 @@ describe('IndexedDB Module Tests', () => {
       },
     ]);
 
-    // Begin a transaction and add items
-    await beginTransaction(transactionDbName, transactionStoreName, 'readwrite');
-    const db = await openIndexedDB(transactionDbName);
-    const transaction = db.transaction(transactionStoreName, 'readwrite');
-    const store = transaction.objectStore(transactionStoreName);
+    // Begin a transaction and add items through it
+    const transactionId = await beginTransaction(transactionDbName, transactionStoreName, 'readwrite');
+    expect(typeof transactionId).toBe('string');
 
-    items.forEach((item) => {
-      store.add(item);
-    });
+    await addOne(transactionDbName, transactionStoreName, items[0], {}, transactionId);
+    await addOne(transactionDbName, transactionStoreName, items[1], {}, transactionId);
 
     // Commit the transaction
-    await commitTransaction();
+    const commitResult = await commitTransaction(transactionId);
+    expect(commitResult).toBe(true);
 
     // Verify that items were added
     const allItems = await getAll(transactionDbName, transactionStoreName);
@@ -243,6 +242,61 @@ describe('IndexedDB Module Tests', () => {
     );
   });
 
+  test('a transaction should stay open between awaits until it is committed', async () => {
+    const transactionId = await beginTransaction(dbName, [storeName], 'readwrite', 'relaxed');
+
+    await addOne(dbName, storeName, { id: 501, name: 'Order header' }, {}, transactionId);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await addOne(dbName, storeName, { id: 502, name: 'Order line' }, {}, transactionId);
+
+    expect(await getOne(dbName, storeName, 501, transactionId)).toEqual({ id: 501, name: 'Order header' });
+
+    await commitTransaction(transactionId);
+    expect(await count(dbName, storeName)).toBe(2);
+  });
+
+  test('abortTransaction should roll back every change made in the transaction', async () => {
+    const transactionId = await beginTransaction(dbName, storeName, 'readwrite');
+
+    await addOne(dbName, storeName, { id: 601, name: 'Order header' }, {}, transactionId);
+    await updateOne(dbName, storeName, { id: 602, name: 'Order line' }, {}, transactionId);
+
+    const abortResult = await abortTransaction(transactionId);
+    expect(abortResult).toBe(true);
+
+    expect(await getAll(dbName, storeName)).toHaveLength(0);
+  });
+
+  test('a failing operation should roll back the earlier operations of its transaction', async () => {
+    await addOne(dbName, storeName, { id: 702, name: 'Existing line' });
+
+    const transactionId = await beginTransaction(dbName, storeName, 'readwrite');
+    await addOne(dbName, storeName, { id: 701, name: 'Order header' }, {}, transactionId);
+    await expect(addOne(dbName, storeName, { id: 702, name: 'Duplicate line' }, {}, transactionId))
+      .rejects.toMatchObject({ name: 'ConstraintError' });
+
+    await expect(commitTransaction(transactionId)).rejects.toMatchObject({ name: 'ConstraintError' });
+    await abortTransaction(transactionId);
+
+    expect(await getOne(dbName, storeName, 701)).toBeUndefined();
+    expect(await getOne(dbName, storeName, 702)).toEqual({ id: 702, name: 'Existing line' });
+  });
+
+  test('a transaction left idle should be aborted and forgotten', async () => {
+    const transactionId = await beginTransaction(dbName, storeName, 'readwrite', 'default', 50);
+    await addOne(dbName, storeName, { id: 801, name: 'Abandoned' }, {}, transactionId);
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    await expect(commitTransaction(transactionId)).rejects.toMatchObject({ name: 'InvalidStateError' });
+    expect(await getOne(dbName, storeName, 801)).toBeUndefined();
+  });
+
+  test('operations should reject an unknown transaction id', async () => {
+    await expect(getAll(dbName, storeName, 'tx-unknown')).rejects.toMatchObject({ name: 'InvalidStateError' });
+    await expect(commitTransaction('tx-unknown')).rejects.toMatchObject({ name: 'InvalidStateError' });
+  });
+
   test('count should return the correct number of records', async () => {
     const countStoreName = 'countStore';
     const countDbName = 'CountTestDB';
@@ -0,0 +1,89 @@
+import {
+  upgradeDatabase,
+  createIndex,
+  deleteIndex,
+  openIndexedDB,
+  addMany,
+  getAllByIndex,
+  query
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Index Options Tests', () => {
+  const dbName = 'IndexOptionsDB';
+  const storeName = 'posts';
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      {
+        name: storeName,
+        options: { keyPath: 'id' },
+        indexes: [
+          { name: 'tagsIndex', keyPath: 'tags', multiEntry: true },
+          { name: 'tenantCreatedIndex', keyPath: ['tenantId', 'createdAt'] },
+        ],
+      },
+    ]);
+    await addMany(dbName, storeName, [
+      { id: 1, tenantId: 'acme', createdAt: '2024-01-01', tags: ['news', 'tech'], slug: 'hello' },
+      { id: 2, tenantId: 'acme', createdAt: '2024-02-01', tags: ['tech'], slug: 'second' },
+      { id: 3, tenantId: 'globex', createdAt: '2024-01-15', tags: ['news'], slug: 'other' },
+    ]);
+  });
+
+  test('upgradeDatabase should create multiEntry indexes', async () => {
+    const tech = await getAllByIndex(dbName, storeName, 'tagsIndex', 'tech');
+
+    expect(tech.map((post) => post.id)).toEqual([1, 2]);
+  });
+
+  test('getAllByIndex should match compound keys and ranges', async () => {
+    const exact = await getAllByIndex(dbName, storeName, 'tenantCreatedIndex', ['acme', '2024-02-01']);
+    const range = await getAllByIndex(dbName, storeName, 'tenantCreatedIndex', {
+      lower: ['acme', '2024-01-01'],
+      upper: ['acme', '2024-01-31'],
+    });
+
+    expect(exact.map((post) => post.id)).toEqual([2]);
+    expect(range.map((post) => post.id)).toEqual([1]);
+  });
+
+  test('a prefix range should match every compound key starting with the prefix', async () => {
+    const acme = await getAllByIndex(dbName, storeName, 'tenantCreatedIndex', { prefix: ['acme'] });
+    const page = await query(dbName, storeName, {
+      indexName: 'tenantCreatedIndex',
+      range: { prefix: ['acme'] },
+      direction: 'prev',
+    });
+
+    expect(acme.map((post) => post.id)).toEqual([1, 2]);
+    expect(page.items.map((post) => post.id)).toEqual([2, 1]);
+  });
+
+  test('createIndex should accept index parameters and compound key paths', async () => {
+    await createIndex(dbName, storeName, 'slugIndex', 'slug', { unique: true });
+    await createIndex(dbName, storeName, 'tenantSlugIndex', ['tenantId', 'slug']);
+    await createIndex(dbName, storeName, 'tagIndex', 'tags', { multiEntry: true });
+
+    const db = await openIndexedDB(dbName);
+    const store = db.transaction(storeName).objectStore(storeName);
+    expect(store.index('slugIndex').unique).toBe(true);
+    expect(Array.from(store.index('tenantSlugIndex').keyPath)).toEqual(['tenantId', 'slug']);
+    expect(store.index('tagIndex').multiEntry).toBe(true);
+    expect(await getAllByIndex(dbName, storeName, 'tenantSlugIndex', ['globex', 'other'])).toHaveLength(1);
+  });
+
+  test('createIndex should still accept a unique flag', async () => {
+    await createIndex(dbName, storeName, 'legacyIndex', 'createdAt', true);
+
+    const db = await openIndexedDB(dbName);
+    expect(db.transaction(storeName).objectStore(storeName).index('legacyIndex').unique).toBe(true);
+  });
+
+  test('deleteIndex should remove the index', async () => {
+    await deleteIndex(dbName, storeName, 'legacyIndex');
+
+    const db = await openIndexedDB(dbName);
+    expect(Array.from(db.transaction(storeName).objectStore(storeName).indexNames)).not.toContain('legacyIndex');
+    await expect(deleteIndex(dbName, storeName, 'legacyIndex')).rejects.toMatchObject({ name: 'NotFoundError' });
+  });
+});
@@ -0,0 +1,78 @@
+import {
+  upgradeDatabase,
+  addMany,
+  useBackend,
+  listDatabases,
+  describeDatabase,
+  sampleRecords
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Introspection Tests', () => {
+  const dbName = 'InspectedDB';
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 3, [
+      {
+        name: 'people',
+        options: { keyPath: 'id', autoIncrement: true },
+        indexes: [
+          { name: 'emailIndex', keyPath: 'email', unique: true },
+          { name: 'tagsIndex', keyPath: 'tags', multiEntry: true },
+          { name: 'nameIndex', keyPath: ['last', 'first'] },
+        ],
+      },
+      { name: 'settings' },
+    ]);
+    await addMany(dbName, 'people', [
+      { email: 'ada@example.com', first: 'Ada', last: 'Lovelace', tags: ['math'] },
+      { email: 'alan@example.com', first: 'Alan', last: 'Turing', tags: [] },
+      { email: 'grace@example.com', first: 'Grace', last: 'Hopper', tags: ['code'] },
+    ]);
+
+    useBackend('InspectedMemoryDB', 'memory');
+    await upgradeDatabase('InspectedMemoryDB', 2, [{ name: 'notes', options: { keyPath: 'id' } }]);
+  });
+
+  test('listDatabases should list the databases of every backend', async () => {
+    const databases = await listDatabases();
+
+    expect(databases).toContainEqual({ name: dbName, version: 3, backend: 'indexedDB' });
+    expect(databases).toContainEqual({ name: 'InspectedMemoryDB', version: 2, backend: 'memory' });
+  });
+
+  test('describeDatabase should describe the object stores and their indexes', async () => {
+    const description = await describeDatabase(dbName);
+
+    expect(description).toEqual({
+      name: dbName,
+      version: 3,
+      backend: 'indexedDB',
+      stores: [
+        {
+          name: 'people',
+          keyPath: 'id',
+          autoIncrement: true,
+          count: 3,
+          indexes: [
+            { name: 'emailIndex', keyPath: 'email', unique: true, multiEntry: false },
+            { name: 'nameIndex', keyPath: ['last', 'first'], unique: false, multiEntry: false },
+            { name: 'tagsIndex', keyPath: 'tags', unique: false, multiEntry: true },
+          ],
+        },
+        { name: 'settings', keyPath: null, autoIncrement: false, count: 0, indexes: [] },
+      ],
+    });
+    expect(await describeDatabase('InspectedMemoryDB')).toMatchObject({ version: 2, backend: 'memory', stores: [{ name: 'notes', count: 0 }] });
+  });
+
+  test('sampleRecords should read the first records with their keys', async () => {
+    const sample = await sampleRecords(dbName, 'people', 2);
+
+    expect(sample).toEqual([
+      { key: 1, value: { id: 1, email: 'ada@example.com', first: 'Ada', last: 'Lovelace', tags: ['math'] } },
+      { key: 2, value: { id: 2, email: 'alan@example.com', first: 'Alan', last: 'Turing', tags: [] } },
+    ]);
+    expect(await sampleRecords(dbName, 'settings')).toEqual([]);
+    await expect(sampleRecords(dbName, 'missing')).rejects.toMatchObject({ code: 'NotFoundError', operation: 'sampleRecords' });
+  });
+});
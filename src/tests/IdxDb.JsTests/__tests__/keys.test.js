@@ -0,0 +1,80 @@
+import {
+  upgradeDatabase,
+  addOne,
+  addMany,
+  updateOne,
+  upsertOne,
+  getAll,
+  defineKeyGenerator,
+  removeKeyGenerator,
+  registerKeyGenerator
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Generated Keys Tests', () => {
+  const dbName = 'KeysDB';
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      { name: 'counters', options: { keyPath: 'id', autoIncrement: true } },
+      { name: 'logs', options: { autoIncrement: true } },
+      { name: 'guids', options: { keyPath: 'id' } },
+      { name: 'ulids', options: { keyPath: 'id' } },
+      { name: 'events', options: { keyPath: 'meta.id' } },
+    ]);
+  });
+
+  test('writes should resolve to the keys IndexedDB generated', async () => {
+    expect(await addOne(dbName, 'counters', { name: 'first' })).toBe(1);
+    expect(await addMany(dbName, 'counters', [{ name: 'second' }, { id: 10, name: 'tenth' }, { name: 'eleventh' }]))
+      .toEqual([2, 10, 11]);
+    expect(await addOne(dbName, 'logs', 'started')).toBe(1);
+    expect(await updateOne(dbName, 'counters', { id: 2, name: 'second, edited' })).toBe(2);
+  });
+
+  test('returnRecord should resolve to the stored items with their key written back', async () => {
+    expect(await addOne(dbName, 'counters', { name: 'twelfth' }, { returnRecord: true }))
+      .toEqual({ key: 12, inserted: true, record: { id: 12, name: 'twelfth' } });
+    expect(await addMany(dbName, 'counters', [{ name: 'a' }, { name: 'b' }], { returnRecord: true })).toEqual([
+      { key: 13, inserted: true, record: { id: 13, name: 'a' } },
+      { key: 14, inserted: true, record: { id: 14, name: 'b' } },
+    ]);
+    expect(await updateOne(dbName, 'counters', { id: 13, name: 'c' }, { versionField: 'version', returnRecord: true }))
+      .toEqual({ key: 13, inserted: false, record: { id: 13, name: 'c', version: 1 } });
+  });
+
+  test('the built-in key generators should give new items sortable keys', async () => {
+    await defineKeyGenerator(dbName, 'guids', 'guid');
+    await defineKeyGenerator(dbName, 'ulids', 'ulid');
+    await defineKeyGenerator(dbName, 'events', 'timeOrdered');
+
+    const guid = await addOne(dbName, 'guids', { name: 'a' });
+    expect(guid).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(await addOne(dbName, 'guids', { id: 'kept', name: 'b' })).toBe('kept');
+
+    const ulids = await addMany(dbName, 'ulids', [{}, {}, {}]);
+    ulids.forEach((ulid) => expect(ulid).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/));
+    expect([...ulids].sort()).toEqual(ulids);
+
+    const events = await addMany(dbName, 'events', [{ type: 'a' }, { type: 'b' }], { returnRecord: true });
+    events.forEach(({ key }) => expect(key).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/));
+    expect(events[0].key < events[1].key).toBe(true);
+    expect(events[1].record).toEqual({ type: 'b', meta: { id: events[1].key } });
+
+    const upserted = await upsertOne(dbName, 'events', { type: 'c' });
+    expect(upserted.inserted).toBe(true);
+    expect(upserted.record.meta.id).toBe(upserted.key);
+  });
+
+  test('custom key generators can be registered, and removed from a store', async () => {
+    let next = 0;
+    registerKeyGenerator('sequence', () => `item-${++next}`);
+    await defineKeyGenerator(dbName, 'guids', 'sequence');
+    expect(await addOne(dbName, 'guids', { name: 'c' })).toBe('item-1');
+
+    expect(removeKeyGenerator(dbName, 'guids')).toBe(true);
+    await expect(addOne(dbName, 'guids', { name: 'd' })).rejects.toMatchObject({ code: 'DataError' });
+    await expect(defineKeyGenerator(dbName, 'guids', 'missing')).rejects.toMatchObject({ code: 'NotFoundError' });
+    await expect(defineKeyGenerator(dbName, 'counters', 'guid')).rejects.toMatchObject({ code: 'DataError' });
+    expect((await getAll(dbName, 'guids')).map((item) => item.name)).toEqual(expect.arrayContaining(['a', 'b', 'c']));
+  });
+});
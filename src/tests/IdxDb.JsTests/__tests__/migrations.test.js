@@ -0,0 +1,102 @@
+import {
+  openIndexedDB,
+  migrateDatabase,
+  registerMigrationTransform,
+  addMany,
+  getAll,
+  getAllByIndex
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Migration Tests', () => {
+  const migrations = [
+    {
+      version: 1,
+      steps: [
+        {
+          type: 'createStore',
+          name: 'people',
+          options: { keyPath: 'id' },
+          indexes: [{ name: 'nameIndex', keyPath: 'name', unique: false }],
+        },
+        { type: 'createStore', name: 'scratch', options: { keyPath: 'id' } },
+      ],
+    },
+    {
+      version: 2,
+      steps: [
+        { type: 'deleteStore', name: 'scratch' },
+        { type: 'deleteIndex', store: 'people', name: 'nameIndex' },
+        { type: 'transform', store: 'people', transform: 'splitName' },
+        { type: 'createIndex', store: 'people', name: 'lastNameIndex', keyPath: 'lastName' },
+      ],
+    },
+    {
+      version: 3,
+      steps: [
+        { type: 'renameStore', from: 'people', to: 'contacts', options: { keyPath: 'contactId' } },
+      ],
+    },
+  ];
+
+  beforeAll(() => {
+    registerMigrationTransform('splitName', (record) => {
+      if (record.name === 'Obsolete') {
+        return undefined;
+      }
+      const [firstName, lastName] = record.name.split(' ');
+      return { id: record.id, contactId: `c-${record.id}`, firstName, lastName };
+    });
+  });
+
+  test('migrateDatabase should apply every pending version in order', async () => {
+    const dbName = 'MigrationTestDB';
+
+    expect(await migrateDatabase(dbName, migrations.slice(0, 1))).toBe(1);
+    await addMany(dbName, 'people', [
+      { id: 1, name: 'Ada Lovelace' },
+      { id: 2, name: 'Alan Turing' },
+      { id: 3, name: 'Obsolete' },
+    ]);
+
+    expect(await migrateDatabase(dbName, migrations)).toBe(3);
+
+    const db = await openIndexedDB(dbName);
+    expect(Array.from(db.objectStoreNames)).toEqual(['contacts']);
+
+    const store = db.transaction('contacts', 'readonly').objectStore('contacts');
+    expect(store.keyPath).toBe('contactId');
+    expect(Array.from(store.indexNames)).toEqual(['lastNameIndex']);
+
+    const contacts = await getAll(dbName, 'contacts');
+    expect(contacts).toEqual([
+      { id: 1, contactId: 'c-1', firstName: 'Ada', lastName: 'Lovelace' },
+      { id: 2, contactId: 'c-2', firstName: 'Alan', lastName: 'Turing' },
+    ]);
+
+    const turings = await getAllByIndex(dbName, 'contacts', 'lastNameIndex', 'Turing');
+    expect(turings).toHaveLength(1);
+  });
+
+  test('migrateDatabase should create a fresh database at the latest version', async () => {
+    const dbName = 'FreshMigrationTestDB';
+
+    expect(await migrateDatabase(dbName, migrations)).toBe(3);
+
+    const db = await openIndexedDB(dbName);
+    expect(Array.from(db.objectStoreNames)).toEqual(['contacts']);
+  });
+
+  test('a failing step should leave the database at its previous version', async () => {
+    const dbName = 'FailingMigrationTestDB';
+    await migrateDatabase(dbName, migrations.slice(0, 1));
+
+    await expect(migrateDatabase(dbName, [
+      ...migrations.slice(0, 1),
+      { version: 2, steps: [{ type: 'transform', store: 'people', transform: 'missing' }] },
+    ])).rejects.toThrow("No migration transform is registered under the name 'missing'.");
+
+    const db = await openIndexedDB(dbName);
+    expect(db.version).toBe(1);
+    expect(db.objectStoreNames.contains('scratch')).toBe(true);
+  });
+});
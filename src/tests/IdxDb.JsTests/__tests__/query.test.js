@@ -0,0 +1,94 @@
+import {
+  upgradeDatabase,
+  addMany,
+  getAllByIndex,
+  query
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Range Query Tests', () => {
+  const dbName = 'QueryTestDB';
+  const storeName = 'events';
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      {
+        name: storeName,
+        options: { keyPath: 'id' },
+        indexes: [
+          { name: 'createdAtIndex', keyPath: 'createdAt', unique: false },
+          { name: 'statusIndex', keyPath: 'status', unique: false },
+        ],
+      },
+    ]);
+
+    const events = [];
+    for (let id = 1; id <= 10; id++) {
+      events.push({ id, createdAt: 100 + Math.ceil(id / 2), status: id % 3 === 0 ? 'closed' : 'open' });
+    }
+    await addMany(dbName, storeName, events);
+  });
+
+  test('query should return the first page and a continuation token', async () => {
+    const page = await query(dbName, storeName, { limit: 4 });
+
+    expect(page.items.map((item) => item.id)).toEqual([1, 2, 3, 4]);
+    expect(typeof page.continuationToken).toBe('string');
+  });
+
+  test('query should page through an index in reverse order without skipping duplicates', async () => {
+    const ids = [];
+    let continuationToken = null;
+    do {
+      const page = await query(dbName, storeName, {
+        indexName: 'createdAtIndex',
+        direction: 'prev',
+        limit: 3,
+        continuationToken,
+      });
+      ids.push(...page.items.map((item) => item.id));
+      continuationToken = page.continuationToken;
+    } while (continuationToken);
+
+    expect(ids).toEqual([10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  });
+
+  test('query should return a null token when the last page is exactly full', async () => {
+    const page = await query(dbName, storeName, { range: { lower: 7 }, limit: 4 });
+
+    expect(page.items.map((item) => item.id)).toEqual([7, 8, 9, 10]);
+    expect(page.continuationToken).toBeNull();
+  });
+
+  test('query should honour open and closed range bounds', async () => {
+    const page = await query(dbName, storeName, {
+      range: { lower: 3, upper: 6, lowerOpen: true, upperOpen: false },
+    });
+
+    expect(page.items.map((item) => item.id)).toEqual([4, 5, 6]);
+  });
+
+  test('query should return distinct index values with nextunique', async () => {
+    const first = await query(dbName, storeName, { indexName: 'statusIndex', direction: 'nextunique', limit: 1 });
+    const second = await query(dbName, storeName, {
+      indexName: 'statusIndex',
+      direction: 'nextunique',
+      limit: 1,
+      continuationToken: first.continuationToken,
+    });
+
+    expect(first.items[0].status).toBe('closed');
+    expect(second.items[0].status).toBe('open');
+    expect(second.continuationToken).toBeNull();
+  });
+
+  test('query should reject an invalid continuation token', async () => {
+    await expect(query(dbName, storeName, { continuationToken: 'not a token' }))
+      .rejects.toMatchObject({ name: 'DataError' });
+  });
+
+  test('getAllByIndex should accept a range descriptor', async () => {
+    const items = await getAllByIndex(dbName, storeName, 'createdAtIndex', { only: 101 });
+
+    expect(items.map((item) => item.id)).toEqual([1, 2]);
+  });
+});
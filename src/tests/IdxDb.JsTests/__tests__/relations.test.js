@@ -0,0 +1,179 @@
+import {
+  upgradeDatabase,
+  addOne,
+  addMany,
+  updateOne,
+  deleteOne,
+  deleteMany,
+  deleteRange,
+  clearStore,
+  defineExpiry,
+  purgeExpired,
+  beginTransaction,
+  commitTransaction,
+  getOne,
+  getAll,
+  getHistory,
+  defineHistory,
+  defineRelations,
+  getWithRelated,
+  describeDatabase
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Store Relations Tests', () => {
+  const dbName = 'RelationsDB';
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      { name: 'customers', options: { keyPath: 'id' } },
+      {
+        name: 'orders',
+        options: { keyPath: 'id' },
+        relations: [{ field: 'customerId', references: 'customers', onDelete: 'restrict' }],
+      },
+      {
+        name: 'orderLines',
+        options: { keyPath: 'id' },
+        relations: [{ field: 'orderId', references: 'orders', onDelete: 'cascade' }],
+      },
+      {
+        name: 'notes',
+        options: { keyPath: 'id' },
+        relations: [{ field: 'orderId', references: 'orders', onDelete: 'nullify' }],
+      },
+      { name: 'authors', options: { keyPath: 'id' } },
+      {
+        name: 'posts',
+        options: { keyPath: 'id' },
+        relations: [{ field: 'authorId', references: 'authors', onDelete: 'cascade' }],
+      },
+      { name: 'sessions', options: { keyPath: 'id' } },
+      {
+        name: 'events',
+        options: { keyPath: 'id' },
+        relations: [{ field: 'sessionId', references: 'sessions', onDelete: 'cascade' }],
+      },
+    ]);
+    await defineHistory(dbName, 'notes');
+    await defineHistory(dbName, 'authors', { softDelete: true });
+  });
+
+  test('upgradeDatabase should index the relation fields', async () => {
+    const info = await describeDatabase(dbName);
+    const orderLines = info.stores.find((store) => store.name === 'orderLines');
+    expect(orderLines.indexes).toEqual([expect.objectContaining({ name: 'orderIdIndex', keyPath: 'orderId' })]);
+  });
+
+  test('writes should reject items that reference a missing parent', async () => {
+    await addOne(dbName, 'customers', { id: 1, name: 'Ada' });
+    await addOne(dbName, 'orders', { id: 10, customerId: 1 });
+    await addOne(dbName, 'orders', { id: 11, customerId: null });
+
+    await expect(addOne(dbName, 'orders', { id: 12, customerId: 2 }))
+      .rejects.toMatchObject({ code: 'ConstraintError', operation: 'addOne', storeName: 'orders' });
+    await expect(updateOne(dbName, 'orders', { id: 10, customerId: 3 }))
+      .rejects.toMatchObject({ code: 'ConstraintError', operation: 'updateOne' });
+    await expect(addMany(dbName, 'orderLines', [{ id: 100, orderId: 10 }, { id: 101, orderId: 99 }]))
+      .rejects.toMatchObject({ code: 'ConstraintError', key: 101 });
+    expect(await getAll(dbName, 'orderLines')).toEqual([]);
+
+    const report = await addMany(dbName, 'orderLines', [{ id: 100, orderId: 10 }, { id: 101, orderId: 99 }], { continueOnError: true });
+    expect(report.map(({ success }) => success)).toEqual([true, false]);
+    expect(report[1].error).toBe('ConstraintError');
+  });
+
+  test('deleteOne should cascade, nullify and restrict in a single transaction', async () => {
+    await addMany(dbName, 'orderLines', [{ id: 102, orderId: 10 }, { id: 103, orderId: 11 }]);
+    await addOne(dbName, 'notes', { id: 1, orderId: 10, text: 'gift' });
+
+    await expect(deleteOne(dbName, 'customers', 1)).rejects.toMatchObject({ code: 'ConstraintError', operation: 'deleteOne' });
+    expect(await getOne(dbName, 'customers', 1)).toEqual({ id: 1, name: 'Ada' });
+
+    await deleteOne(dbName, 'orders', 10);
+    expect((await getAll(dbName, 'orderLines')).map((line) => line.id)).toEqual([103]);
+    expect(await getOne(dbName, 'notes', 1)).toEqual({ id: 1, orderId: null, text: 'gift' });
+    expect((await getHistory(dbName, 'notes', 1)).map((entry) => entry.record.orderId)).toEqual([10]);
+
+    expect(await deleteOne(dbName, 'customers', 1)).toBe(true);
+  });
+
+  test('getWithRelated should read an item with its children and its parent', async () => {
+    await addOne(dbName, 'customers', { id: 2, name: 'Grace' });
+    await addOne(dbName, 'orders', { id: 20, customerId: 2 });
+    await addMany(dbName, 'orderLines', [{ id: 200, orderId: 20 }, { id: 201, orderId: 20 }]);
+
+    expect(await getWithRelated(dbName, 'orders', 20, ['orderLines', 'notes', 'customers'])).toEqual({
+      item: { id: 20, customerId: 2 },
+      related: {
+        orderLines: [{ id: 200, orderId: 20 }, { id: 201, orderId: 20 }],
+        notes: [],
+        customers: { id: 2, name: 'Grace' },
+      },
+    });
+    expect(await getWithRelated(dbName, 'orders', 99, ['orderLines'])).toBeNull();
+    await expect(getWithRelated(dbName, 'customers', 2, ['orderLines']))
+      .rejects.toMatchObject({ code: 'NotFoundError', operation: 'getWithRelated' });
+  });
+
+  test('deleteMany should apply the delete rules, and other bulk deletes should be rejected', async () => {
+    await addOne(dbName, 'customers', { id: 3, name: 'Linus' });
+    await addMany(dbName, 'orders', [{ id: 30, customerId: 3 }, { id: 31, customerId: 3 }]);
+    await addMany(dbName, 'orderLines', [{ id: 300, orderId: 30 }, { id: 310, orderId: 31 }]);
+
+    await expect(deleteMany(dbName, 'customers', [3])).rejects.toMatchObject({ code: 'ConstraintError', operation: 'deleteMany' });
+    await expect(deleteMany(dbName, 'orders', [30], { continueOnError: true })).rejects.toMatchObject({ code: 'DataError' });
+    await expect(deleteRange(dbName, 'orders', { only: 30 })).rejects.toMatchObject({ code: 'DataError', operation: 'deleteRange' });
+    await expect(clearStore(dbName, 'customers')).rejects.toMatchObject({ code: 'DataError', operation: 'clearStore' });
+    expect(await getOne(dbName, 'orderLines', 300)).toEqual({ id: 300, orderId: 30 });
+
+    expect(await deleteMany(dbName, 'orders', [30, 31])).toBe(true);
+    expect(await getOne(dbName, 'orderLines', 300)).toBeUndefined();
+    expect(await getOne(dbName, 'orderLines', 310)).toBeUndefined();
+    expect(await clearStore(dbName, 'orderLines')).toBe(true);
+  });
+
+  test('transactions should cover the stores the relations reach', async () => {
+    await addOne(dbName, 'customers', { id: 4, name: 'Barbara' });
+    await addOne(dbName, 'orders', { id: 40, customerId: 4 });
+
+    const rejected = await beginTransaction(dbName, ['orderLines']);
+    await expect(addOne(dbName, 'orderLines', { id: 401, orderId: 99 }, {}, rejected))
+      .rejects.toMatchObject({ code: 'ConstraintError', key: 401 });
+
+    const writeLine = await beginTransaction(dbName, ['orderLines']);
+    await addOne(dbName, 'orderLines', { id: 400, orderId: 40 }, {}, writeLine);
+    await commitTransaction(writeLine);
+    await addOne(dbName, 'notes', { id: 4, orderId: 40, text: 'fragile' });
+
+    const deleteOrder = await beginTransaction(dbName, ['orders']);
+    await deleteOne(dbName, 'orders', 40, deleteOrder);
+    await commitTransaction(deleteOrder);
+
+    expect(await getOne(dbName, 'orderLines', 400)).toBeUndefined();
+    expect(await getOne(dbName, 'notes', 4)).toEqual({ id: 4, orderId: null, text: 'fragile' });
+  });
+
+  test('soft-deleted parents should count as missing', async () => {
+    await addOne(dbName, 'authors', { id: 1, name: 'Ada' });
+    await addOne(dbName, 'posts', { id: 1, authorId: 1 });
+    await deleteOne(dbName, 'authors', 1);
+
+    expect(await getOne(dbName, 'posts', 1)).toBeUndefined();
+    await expect(addOne(dbName, 'posts', { id: 2, authorId: 1 })).rejects.toMatchObject({ code: 'ConstraintError' });
+  });
+
+  test('purgeExpired should apply the delete rules to the expired parents', async () => {
+    await defineExpiry(dbName, 'sessions', { ttl: 60 * 1000 });
+    await addMany(dbName, 'sessions', [{ id: 1 }, { id: 2 }]);
+    await addMany(dbName, 'events', [{ id: 1, sessionId: 1 }, { id: 2, sessionId: 2 }]);
+    await updateOne(dbName, 'sessions', { id: 1 }, { ttl: -1 });
+
+    expect(await purgeExpired(dbName, 'sessions')).toBe(1);
+    expect((await getAll(dbName, 'events')).map((event) => event.id)).toEqual([2]);
+  });
+
+  test('defineRelations should reject unknown delete rules', () => {
+    expect(() => defineRelations(dbName, 'notes', [{ field: 'orderId', references: 'orders', onDelete: 'ignore' }]))
+      .toThrow(expect.objectContaining({ code: 'DataError' }));
+  });
+});
@@ -0,0 +1,89 @@
+import {
+  upgradeDatabase,
+  addOne,
+  addMany,
+  updateOne,
+  patchOne,
+  deleteOne,
+  clearStore,
+  beginTransaction,
+  commitTransaction,
+  defineSearchIndex,
+  rebuildSearchIndex,
+  search
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Full-Text Search Tests', () => {
+  const dbName = 'SearchDB';
+  const storeName = 'products';
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [{ name: storeName, options: { keyPath: 'sku' } }]);
+    await addOne(dbName, storeName, { sku: 'A1', name: 'Crème brûlée torch', tags: ['kitchen'] });
+    await defineSearchIndex(dbName, storeName, { fields: ['name', 'description', 'tags'], prefixLength: 2 });
+    await addMany(dbName, storeName, [
+      { sku: 'B2', name: 'Chef knife', description: 'A sharp kitchen knife, the knife every chef needs', tags: ['kitchen'] },
+      { sku: 'C3', name: 'Garden hose', description: 'Flexible hose for the garden', tags: ['garden'] },
+      { sku: 'D4', name: 'Paring knife', description: 'Small knife', tags: ['kitchen', 'sale'] },
+    ]);
+  });
+
+  const skus = (records) => records.map((record) => record.sku);
+
+  test('defineSearchIndex should index the records already stored', async () => {
+    expect(skus(await search(dbName, storeName, 'creme BRULEE'))).toEqual(['A1']);
+  });
+
+  test('search should rank records by relevance', async () => {
+    expect(skus(await search(dbName, storeName, 'knife'))).toEqual(['B2', 'D4']);
+  });
+
+  test('search should match all terms by default and any term on request', async () => {
+    expect(skus(await search(dbName, storeName, 'kitchen knife'))).toEqual(['B2', 'D4']);
+    expect(skus(await search(dbName, storeName, 'garden sale', { mode: 'any' })).sort()).toEqual(['C3', 'D4']);
+    expect(await search(dbName, storeName, 'garden sale')).toEqual([]);
+  });
+
+  test('search should match prefixes on request', async () => {
+    expect(await search(dbName, storeName, 'kni')).toEqual([]);
+    expect(skus(await search(dbName, storeName, 'kni', { prefix: true }))).toEqual(['B2', 'D4']);
+    expect(skus(await search(dbName, storeName, 'g', { prefix: true }))).toEqual(['C3']);
+  });
+
+  test('search should honour the limit', async () => {
+    expect(await search(dbName, storeName, 'kitchen', { limit: 2 })).toHaveLength(2);
+  });
+
+  test('writes should keep the search index in step', async () => {
+    await updateOne(dbName, storeName, { sku: 'C3', name: 'Garden knife' });
+    await patchOne(dbName, storeName, 'D4', { name: 'Paring blade', description: 'Small blade' });
+    await deleteOne(dbName, storeName, 'B2');
+
+    expect(skus(await search(dbName, storeName, 'knife'))).toEqual(['C3']);
+    expect(skus(await search(dbName, storeName, 'blade'))).toEqual(['D4']);
+    expect(await search(dbName, storeName, 'hose')).toEqual([]);
+  });
+
+  test('explicit transactions should include the search index', async () => {
+    const transactionId = await beginTransaction(dbName, [storeName]);
+    await addOne(dbName, storeName, { sku: 'E5', name: 'Watering can' }, {}, transactionId);
+    await commitTransaction(transactionId);
+
+    expect(skus(await search(dbName, storeName, 'watering'))).toEqual(['E5']);
+  });
+
+  test('rebuildSearchIndex should reindex every record', async () => {
+    expect(await rebuildSearchIndex(dbName, storeName)).toBe(4);
+    expect(skus(await search(dbName, storeName, 'watering'))).toEqual(['E5']);
+  });
+
+  test('clearStore should clear the search index', async () => {
+    await clearStore(dbName, storeName);
+
+    expect(await search(dbName, storeName, 'watering')).toEqual([]);
+  });
+
+  test('search should require a search definition', async () => {
+    await expect(search(dbName, 'unknown', 'knife')).rejects.toMatchObject({ name: 'NotFoundError' });
+  });
+});
@@ -0,0 +1,136 @@
+import {
+  migrateDatabase,
+  openIndexedDB,
+  addMany,
+  addOne,
+  updateOne,
+  getAll,
+  getOne,
+  exportDatabase,
+  importDatabase
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Export and Import Tests', () => {
+  const sourceDbName = 'ExportSourceDB';
+
+  beforeAll(async () => {
+    await migrateDatabase(sourceDbName, [
+      {
+        version: 2,
+        steps: [
+          {
+            type: 'createStore',
+            name: 'documents',
+            options: { keyPath: 'id' },
+            indexes: [{ name: 'tagsIndex', keyPath: 'tags', unique: false, multiEntry: true }],
+          },
+          { type: 'createStore', name: 'settings', options: { autoIncrement: true } },
+        ],
+      },
+    ]);
+
+    await addMany(sourceDbName, 'documents', [
+      {
+        id: 1,
+        tags: ['a', 'b'],
+        createdAt: new Date('2024-05-01T10:00:00Z'),
+        buffer: new Uint8Array([1, 2, 3]).buffer,
+        floats: new Float32Array([1.5, 2.5]),
+        lookup: new Map([['x', new Set([1, 2])]]),
+        attachment: new Blob(['hello'], { type: 'text/plain' }),
+        ratio: Infinity,
+        meta: { $type: 'user data' },
+      },
+      { id: 2, tags: [], createdAt: new Date('2024-06-01T10:00:00Z') },
+    ]);
+    await addOne(sourceDbName, 'settings', { theme: 'dark' });
+  });
+
+  test('exportDatabase should write the schema and typed records', async () => {
+    const snapshot = JSON.parse(await exportDatabase(sourceDbName));
+
+    expect(snapshot).toMatchObject({ format: 'idxdb-snapshot', formatVersion: 1, name: sourceDbName, version: 2 });
+    const documents = snapshot.stores.find((store) => store.name === 'documents');
+    expect(documents).toMatchObject({
+      keyPath: 'id',
+      autoIncrement: false,
+      indexes: [{ name: 'tagsIndex', keyPath: 'tags', unique: false, multiEntry: true }],
+    });
+    expect(documents.records[0].value.createdAt).toEqual({ $type: 'Date', value: '2024-05-01T10:00:00.000Z' });
+    expect(documents.records[0].value.attachment).toEqual({ $type: 'Blob', mimeType: 'text/plain', base64: 'aGVsbG8=' });
+
+    const settings = snapshot.stores.find((store) => store.name === 'settings');
+    expect(settings).toMatchObject({ keyPath: null, autoIncrement: true, records: [{ key: 1, value: { theme: 'dark' } }] });
+  });
+
+  test('importDatabase should recreate the schema and the values in a new database', async () => {
+    const targetDbName = 'ImportTargetDB';
+    const result = await importDatabase(targetDbName, await exportDatabase(sourceDbName));
+    expect(result).toEqual({ written: 3, skipped: 0 });
+
+    const db = await openIndexedDB(targetDbName);
+    const store = db.transaction('documents', 'readonly').objectStore('documents');
+    expect(store.index('tagsIndex').multiEntry).toBe(true);
+
+    const document = await getOne(targetDbName, 'documents', 1);
+    expect(document.createdAt).toEqual(new Date('2024-05-01T10:00:00Z'));
+    expect(new Uint8Array(document.buffer)).toEqual(new Uint8Array([1, 2, 3]));
+    expect(Object.prototype.toString.call(document.floats)).toBe('[object Float32Array]');
+    expect(Array.from(document.floats)).toEqual([1.5, 2.5]);
+    expect(Array.from(document.lookup.get('x'))).toEqual([1, 2]);
+    expect(await document.attachment.text()).toBe('hello');
+    expect(document.attachment.type).toBe('text/plain');
+    expect(document.ratio).toBe(Infinity);
+    expect(document.meta).toEqual({ $type: 'user data' });
+
+    expect(await getOne(targetDbName, 'settings', 1)).toEqual({ theme: 'dark' });
+  });
+
+  test('importDatabase should honour the replace, merge and skip-existing modes', async () => {
+    const targetDbName = 'ImportModesDB';
+    const snapshot = await exportDatabase(sourceDbName, ['documents']);
+    await importDatabase(targetDbName, snapshot);
+
+    await addOne(targetDbName, 'documents', { id: 3, tags: [] });
+    const changed = { id: 2, tags: ['changed'] };
+    await updateOne(targetDbName, 'documents', changed);
+
+    expect(await importDatabase(targetDbName, snapshot, 'skip-existing')).toEqual({ written: 0, skipped: 2 });
+    expect(await getOne(targetDbName, 'documents', 2)).toEqual(changed);
+
+    expect(await importDatabase(targetDbName, snapshot, 'merge')).toEqual({ written: 2, skipped: 0 });
+    expect((await getOne(targetDbName, 'documents', 2)).tags).toEqual([]);
+    expect(await getAll(targetDbName, 'documents')).toHaveLength(3);
+
+    await importDatabase(targetDbName, snapshot, 'replace');
+    expect((await getAll(targetDbName, 'documents')).map((document) => document.id)).toEqual([1, 2]);
+  });
+
+  test('skip-existing should only keep records whose key exists', async () => {
+    const targetDbName = 'ImportUniqueDB';
+    const snapshot = (records) => ({
+      format: 'idxdb-snapshot',
+      formatVersion: 1,
+      name: targetDbName,
+      version: 1,
+      stores: [{
+        name: 'users',
+        keyPath: 'id',
+        autoIncrement: false,
+        indexes: [{ name: 'emailIndex', keyPath: 'email', unique: true, multiEntry: false }],
+        records: records.map((value) => ({ key: value.id, value })),
+      }],
+    });
+    await importDatabase(targetDbName, snapshot([{ id: 1, email: 'ada@example.com' }]));
+
+    expect(await importDatabase(targetDbName, snapshot([{ id: 1, email: 'ada@example.com' }, { id: 2, email: 'grace@example.com' }]), 'skip-existing'))
+      .toEqual({ written: 1, skipped: 1 });
+    await expect(importDatabase(targetDbName, snapshot([{ id: 3, email: 'ada@example.com' }]), 'skip-existing'))
+      .rejects.toMatchObject({ name: 'ConstraintError' });
+    expect((await getAll(targetDbName, 'users')).map((user) => user.id)).toEqual([1, 2]);
+  });
+
+  test('importDatabase should reject a value that is not a snapshot', async () => {
+    await expect(importDatabase('ImportInvalidDB', '{"stores": []}')).rejects.toMatchObject({ name: 'DataError' });
+  });
+});
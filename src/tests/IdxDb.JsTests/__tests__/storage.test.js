@@ -0,0 +1,111 @@
+import { IDBObjectStore } from 'fake-indexeddb';
+import {
+  upgradeDatabase,
+  addOne,
+  addMany,
+  getAll,
+  beginTransaction,
+  abortTransaction,
+  estimateStorage,
+  persistStorage,
+  isStoragePersisted,
+  defineEviction,
+  removeEviction
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Storage Quota Tests', () => {
+  const dbName = 'StorageDB';
+
+  const add = IDBObjectStore.prototype.add;
+
+  // Makes the next `times` adds fail the way a browser does when the origin is out of quota.
+  const failAdds = (times) => {
+    let remaining = times;
+    IDBObjectStore.prototype.add = function (...args) {
+      if (remaining > 0) {
+        remaining--;
+        throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+      }
+      return add.apply(this, args);
+    };
+  };
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [
+      { name: 'photos', options: { keyPath: 'id' }, indexes: [{ name: 'takenAt', keyPath: 'takenAt' }] },
+      { name: 'notes', options: { keyPath: 'id' } },
+    ]);
+  });
+
+  afterEach(() => {
+    IDBObjectStore.prototype.add = add;
+    removeEviction(dbName);
+    delete globalThis.navigator;
+  });
+
+  test('storage functions should report nothing when the browser has no storage manager', async () => {
+    expect(await estimateStorage()).toEqual({ usage: null, quota: null });
+    expect(await persistStorage()).toBe(false);
+    expect(await isStoragePersisted()).toBe(false);
+  });
+
+  test('storage functions should use navigator.storage', async () => {
+    globalThis.navigator = {
+      storage: {
+        estimate: async () => ({ usage: 1200, quota: 5000, usageDetails: { indexedDB: 1200 } }),
+        persist: async () => true,
+        persisted: async () => true,
+      },
+    };
+
+    expect(await estimateStorage()).toEqual({ usage: 1200, quota: 5000 });
+    expect(await persistStorage()).toBe(true);
+    expect(await isStoragePersisted()).toBe(true);
+  });
+
+  test('a write over quota should fail with an error naming the store and operation', async () => {
+    failAdds(1);
+
+    await expect(addOne(dbName, 'notes', { id: 1 })).rejects.toMatchObject({
+      name: 'QuotaExceededError',
+      message: "Storage quota exceeded by addOne on object store 'notes' of database 'StorageDB'.",
+    });
+  });
+
+  test('the eviction policy should delete the oldest records and retry once', async () => {
+    await addMany(dbName, 'photos', [
+      { id: 'c', takenAt: 3 },
+      { id: 'a', takenAt: 1 },
+      { id: 'b', takenAt: 2 },
+    ]);
+    defineEviction(dbName, { storeName: 'photos', indexName: 'takenAt', count: 2 });
+    failAdds(1);
+
+    expect(await addOne(dbName, 'notes', { id: 2 })).toBe(2);
+    expect((await getAll(dbName, 'photos')).map((photo) => photo.id)).toEqual(['c']);
+    expect(await getAll(dbName, 'notes')).toEqual([{ id: 2 }]);
+  });
+
+  test('a write still over quota after eviction should fail', async () => {
+    defineEviction(dbName, { storeName: 'photos', count: 10 });
+    failAdds(2);
+
+    await expect(addMany(dbName, 'notes', [{ id: 3 }])).rejects.toMatchObject({ name: 'QuotaExceededError' });
+    expect(await getAll(dbName, 'photos')).toEqual([]);
+  });
+
+  test('writes inside an explicit transaction should not be retried', async () => {
+    await addOne(dbName, 'photos', { id: 'd', takenAt: 4 });
+    defineEviction(dbName, { storeName: 'photos', count: 10 });
+    failAdds(1);
+    const transactionId = await beginTransaction(dbName, ['notes']);
+
+    await expect(addOne(dbName, 'notes', { id: 4 }, {}, transactionId)).rejects.toMatchObject({ name: 'QuotaExceededError' });
+    await abortTransaction(transactionId);
+    expect(await getAll(dbName, 'photos')).toHaveLength(1);
+  });
+
+  test('defineEviction should validate its options', () => {
+    expect(() => defineEviction(dbName, { count: 5 })).toThrow('store name');
+  });
+});
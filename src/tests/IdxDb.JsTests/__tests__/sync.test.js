@@ -0,0 +1,304 @@
+import http from 'node:http';
+import {
+  upgradeDatabase,
+  addOne,
+  updateOne,
+  patchOne,
+  deleteOne,
+  getOne,
+  defineSync,
+  removeSync,
+  sync,
+  getSyncStatus,
+  subscribeSyncEvents,
+  unsubscribeSyncEvents,
+  deriveEncryptionKey,
+  forgetEncryptionKey,
+  defineEncryption,
+  rotateEncryptionKey,
+  defineHistory,
+  getHistory,
+  defineExpiry,
+  removeExpiry,
+  purgeExpired
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Sync Tests', () => {
+  const dbName = 'SyncDB';
+  const requests = [];
+  const defaultAnswer = (path, body) => (path === 'push' ? { conflicts: [] } : { changes: [], checkpoint: body.checkpoint });
+  let answer = defaultAnswer;
+  let server;
+  let endpoint;
+
+  const requestsTo = (path) => requests.filter((request) => request.path === path);
+
+  const syncWith = (options = {}) => defineSync(dbName, {
+    storeNames: ['notes'],
+    endpoint,
+    headers: { Authorization: 'Bearer token' },
+    ...options,
+  });
+
+  beforeAll(async () => {
+    // A local mock of the sync endpoint: answers each request with the current answer function.
+    server = http.createServer((request, response) => {
+      let text = '';
+      request.on('data', (chunk) => { text += chunk; });
+      request.on('end', () => {
+        const path = request.url.split('/').pop();
+        const body = JSON.parse(text);
+        requests.push({ path, body, authorization: request.headers.authorization });
+        const result = answer(path, body);
+        if (typeof result === 'number') {
+          response.writeHead(result);
+          response.end();
+          return;
+        }
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(result));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/sync/`;
+
+    await upgradeDatabase(dbName, 1, [
+      { name: 'notes', options: { keyPath: 'id' } },
+      { name: 'drafts', options: { keyPath: 'id' } },
+      { name: 'secrets', options: { keyPath: 'id' } },
+      { name: 'cache', options: { keyPath: 'id' } },
+    ]);
+    await syncWith();
+  });
+
+  afterAll(async () => {
+    removeSync(dbName);
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    answer = defaultAnswer;
+  });
+
+  test('writes to synced stores should be pushed in order and removed from the outbox', async () => {
+    await addOne(dbName, 'notes', { id: 1, text: 'first' });
+    await patchOne(dbName, 'notes', 1, { text: 'edited' });
+    await deleteOne(dbName, 'notes', 1);
+    await addOne(dbName, 'drafts', { id: 1, text: 'not synced' });
+    expect((await getSyncStatus(dbName)).pending).toBe(3);
+
+    const result = await sync(dbName);
+
+    expect(result).toEqual({ pushed: 3, pulled: 0, conflicts: 0, checkpoint: null });
+    const [push] = requestsTo('push');
+    expect(push.authorization).toBe('Bearer token');
+    expect(push.body.mutations).toMatchObject([
+      { storeName: 'notes', key: 1, operation: 'add', payload: { id: 1, text: 'first' }, force: false },
+      { storeName: 'notes', key: 1, operation: 'update', payload: { id: 1, text: 'edited' } },
+      { storeName: 'notes', key: 1, operation: 'delete', payload: null },
+    ]);
+    expect(typeof push.body.mutations[0].timestamp).toBe('number');
+    expect((await getSyncStatus(dbName)).pending).toBe(0);
+  });
+
+  test('a write that fails should not be recorded', async () => {
+    await addOne(dbName, 'notes', { id: 2, text: 'kept' });
+    await expect(addOne(dbName, 'notes', { id: 2, text: 'duplicate' })).rejects.toMatchObject({ code: 'ConstraintError' });
+
+    expect((await getSyncStatus(dbName)).pending).toBe(1);
+    await sync(dbName);
+  });
+
+  test('sync should pull the changes since the checkpoint without recording them', async () => {
+    answer = (path, body) => {
+      if (path === 'push') {
+        return { conflicts: [] };
+      }
+      return body.checkpoint === null
+        ? { changes: [{ storeName: 'notes', key: 10, operation: 'update', record: { id: 10, text: 'remote' } }], checkpoint: 'c1', hasMore: true }
+        : { changes: [{ storeName: 'notes', key: 2, operation: 'delete' }], checkpoint: 'c2', hasMore: false };
+    };
+
+    const result = await sync(dbName);
+
+    expect(result).toMatchObject({ pushed: 0, pulled: 2, checkpoint: 'c2' });
+    expect(requestsTo('pull').map((request) => request.body)).toEqual([
+      { checkpoint: null, storeNames: ['notes'] },
+      { checkpoint: 'c1', storeNames: ['notes'] },
+    ]);
+    expect(await getOne(dbName, 'notes', 10)).toEqual({ id: 10, text: 'remote' });
+    expect(await getOne(dbName, 'notes', 2)).toBeUndefined();
+    expect(await getSyncStatus(dbName)).toEqual({ pending: 0, checkpoint: 'c2', syncing: false });
+
+    answer = defaultAnswer;
+    await sync(dbName);
+    expect(requestsTo('pull').pop().body.checkpoint).toBe('c2');
+  });
+
+  test('last-write-wins should push the newer local writes again and apply the newer server versions', async () => {
+    await addOne(dbName, 'notes', { id: 20, text: 'local' });
+    await addOne(dbName, 'notes', { id: 21, text: 'local' });
+    answer = (path, body) => {
+      if (path === 'pull' || body.mutations[0].force) {
+        return defaultAnswer(path, body);
+      }
+      const [older, newer] = body.mutations;
+      return {
+        conflicts: [
+          { id: older.id, record: { id: 20, text: 'server' }, timestamp: new Date(older.timestamp - 1000).toISOString() },
+          { id: newer.id, record: { id: 21, text: 'server' }, timestamp: newer.timestamp + 60000 },
+        ],
+      };
+    };
+
+    const result = await sync(dbName);
+
+    expect(result).toMatchObject({ pushed: 2, conflicts: 2 });
+    const [, forced] = requestsTo('push');
+    expect(forced.body.mutations).toMatchObject([{ key: 20, payload: { text: 'local' }, force: true }]);
+    expect(await getOne(dbName, 'notes', 20)).toEqual({ id: 20, text: 'local' });
+    expect(await getOne(dbName, 'notes', 21)).toEqual({ id: 21, text: 'server' });
+    expect((await getSyncStatus(dbName)).pending).toBe(0);
+  });
+
+  test('server-wins should apply the server version, including deletions', async () => {
+    await syncWith({ conflictStrategy: 'serverWins' });
+    await updateOne(dbName, 'notes', { id: 20, text: 'local edit' });
+    answer = (path, body) => (path === 'push'
+      ? { conflicts: [{ id: body.mutations[0].id, record: null, timestamp: 0 }] }
+      : defaultAnswer(path, body));
+
+    await sync(dbName);
+
+    expect(requestsTo('push')).toHaveLength(1);
+    expect(await getOne(dbName, 'notes', 20)).toBeUndefined();
+  });
+
+  test('a custom resolver should decide the record that is kept and pushed', async () => {
+    const conflicts = [];
+    await syncWith({
+      conflictStrategy: 'custom',
+      resolver: (conflict) => {
+        conflicts.push(conflict);
+        return { ...conflict.remote, text: `${conflict.remote.text} + ${conflict.local.text}` };
+      },
+    });
+    await updateOne(dbName, 'notes', { id: 21, text: 'mine' });
+    answer = (path, body) => (path === 'push' && !body.mutations[0].force
+      ? { conflicts: [{ id: body.mutations[0].id, record: { id: 21, text: 'theirs' }, timestamp: 5 }] }
+      : defaultAnswer(path, body));
+
+    await sync(dbName);
+
+    expect(conflicts).toMatchObject([
+      { storeName: 'notes', key: 21, operation: 'update', local: { text: 'mine' }, remote: { text: 'theirs' }, remoteTimestamp: 5 },
+    ]);
+    expect(requestsTo('push')[1].body.mutations).toMatchObject([{ key: 21, payload: { text: 'theirs + mine' }, force: true }]);
+    expect(await getOne(dbName, 'notes', 21)).toEqual({ id: 21, text: 'theirs + mine' });
+    await syncWith();
+  });
+
+  test('sync should report its progress', async () => {
+    const events = [];
+    const subscriptionId = subscribeSyncEvents((event) => events.push(event));
+    await addOne(dbName, 'notes', { id: 30, text: 'progress' });
+
+    await sync(dbName);
+    unsubscribeSyncEvents(subscriptionId);
+
+    expect(events.map((event) => event.phase)).toEqual(['started', 'pushed', 'pulled', 'completed']);
+    expect(events[0]).toMatchObject({ dbName, pending: 1 });
+    expect(events[3]).toMatchObject({ pushed: 1, pulled: 0, conflicts: 0, pending: 0, error: null });
+  });
+
+  test('a failed sync should keep the outbox and report the failure', async () => {
+    const events = [];
+    const subscriptionId = subscribeSyncEvents((event) => events.push(event));
+    await addOne(dbName, 'notes', { id: 31, text: 'offline' });
+    answer = () => 503;
+
+    await expect(sync(dbName)).rejects.toMatchObject({ code: 'SyncError', dbName, operation: 'sync' });
+    unsubscribeSyncEvents(subscriptionId);
+
+    expect(events.pop()).toMatchObject({ phase: 'failed', error: expect.stringContaining('503') });
+    expect((await getSyncStatus(dbName)).pending).toBe(1);
+  });
+
+  test('concurrent calls should share the running sync', async () => {
+    await addOne(dbName, 'notes', { id: 32, text: 'once' });
+
+    const [first, second] = await Promise.all([sync(dbName), sync(dbName)]);
+
+    expect(second).toBe(first);
+    expect(requestsTo('push')).toHaveLength(1);
+    expect(requestsTo('pull')).toHaveLength(1);
+  });
+
+  test('sync should run on a timer', async () => {
+    let subscriptionId;
+    const pushed = new Promise((resolve, reject) => {
+      subscriptionId = subscribeSyncEvents((event) => {
+        if (event.phase === 'failed') {
+          reject(event.error);
+        } else if (event.phase === 'completed' && event.pushed > 0) {
+          resolve(event);
+        }
+      });
+    });
+    await syncWith({ interval: 10 });
+    await addOne(dbName, 'notes', { id: 33, text: 'timed' });
+
+    await pushed.finally(() => unsubscribeSyncEvents(subscriptionId));
+    await syncWith();
+    expect((await getSyncStatus(dbName)).pending).toBe(0);
+    expect(requestsTo('push').length).toBeGreaterThan(0);
+  });
+
+  test('a key rotation should re-encrypt the history and the pending mutations', async () => {
+    await deriveEncryptionKey('k1', 'first passphrase', dbName, 1000);
+    await deriveEncryptionKey('k2', 'second passphrase', dbName, 1000);
+    await defineEncryption(dbName, 'secrets', { keyId: 'k1' });
+    await defineHistory(dbName, 'secrets');
+    await syncWith({ storeNames: ['notes', 'secrets'] });
+    await addOne(dbName, 'secrets', { id: 1, text: 'first' });
+    await updateOne(dbName, 'secrets', { id: 1, text: 'second' });
+
+    expect(await rotateEncryptionKey(dbName, 'secrets', 'k2')).toBe(1);
+    forgetEncryptionKey('k1');
+
+    expect((await getHistory(dbName, 'secrets', 1)).map((entry) => entry.record)).toEqual([{ id: 1, text: 'first' }]);
+    await sync(dbName);
+    await syncWith();
+    const pushed = requestsTo('push').flatMap((request) => request.body.mutations)
+      .filter((mutation) => mutation.storeName === 'secrets');
+    expect(pushed.map((mutation) => mutation.payload)).toEqual([{ id: 1, text: 'first' }, { id: 1, text: 'second' }]);
+  });
+
+  test('purgeExpired should record its deletes for sync', async () => {
+    await defineExpiry(dbName, 'cache', { ttl: 60 * 1000 });
+    await syncWith({ storeNames: ['notes', 'cache'] });
+    await addOne(dbName, 'cache', { id: 1 }, { ttl: -1 });
+
+    expect(await purgeExpired(dbName, 'cache')).toBe(1);
+    expect((await getSyncStatus(dbName)).pending).toBe(2);
+    await sync(dbName);
+    await syncWith();
+    removeExpiry(dbName, 'cache');
+
+    const pushed = requestsTo('push').flatMap((request) => request.body.mutations)
+      .filter((mutation) => mutation.storeName === 'cache');
+    expect(pushed.map((mutation) => [mutation.operation, mutation.key])).toEqual([['add', 1], ['delete', 1]]);
+  });
+
+  test('sync should reject invalid policies and databases without one', async () => {
+    await expect(defineSync(dbName, { storeNames: ['notes'], endpoint, conflictStrategy: 'newest' }))
+      .rejects.toMatchObject({ code: 'DataError' });
+    await expect(defineSync(dbName, { storeNames: ['notes'], endpoint, conflictStrategy: 'custom' }))
+      .rejects.toThrow('needs a resolver');
+    await expect(defineSync(dbName, { storeNames: ['missing'], endpoint }))
+      .rejects.toMatchObject({ code: 'NotFoundError', missing: 'objectStore' });
+    await expect(sync('OtherDB')).rejects.toMatchObject({ code: 'InvalidStateError', operation: 'sync' });
+  });
+});
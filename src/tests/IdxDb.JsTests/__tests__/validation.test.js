@@ -0,0 +1,143 @@
+import {
+  upgradeDatabase,
+  addOne,
+  addMany,
+  putMany,
+  updateOne,
+  patchOne,
+  upsertOne,
+  getAll,
+  getOne,
+  defineSchema,
+  removeSchema,
+  validateRecord
+} from '../../../library/IdxDb/wwwroot/idb';
+
+describe('Schema Validation Tests', () => {
+  const dbName = 'ValidationDB';
+  const storeName = 'people';
+
+  const schema = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      name: { type: 'string', minLength: 1, maxLength: 20 },
+      email: { type: ['string', 'null'], pattern: '^[^@\\s]+@[^@\\s]+$' },
+      role: { enum: ['admin', 'member'] },
+      born: { type: 'string', format: 'date-time' },
+      address: {
+        type: 'object',
+        required: ['city'],
+        properties: { city: { type: 'string' }, zip: { type: 'string', pattern: '^\\d{5}$' } },
+      },
+      tags: { type: 'array', maxItems: 3, items: { type: 'string' } },
+    },
+  };
+
+  beforeAll(async () => {
+    await upgradeDatabase(dbName, 1, [{ name: storeName, options: { keyPath: 'id' } }]);
+    defineSchema(dbName, storeName, schema);
+  });
+
+  test('valid records should be written', async () => {
+    await addOne(dbName, storeName, { id: 1, name: 'Ada', email: null, role: 'admin', born: new Date(1815, 11, 10) });
+    await addMany(dbName, storeName, [
+      { id: 2, name: 'Bob', address: { city: 'Paris', zip: '75001' }, tags: ['a'] },
+      { id: 3, name: 'Cid', born: '1990-02-03T00:00:00Z' },
+    ]);
+
+    expect(await getAll(dbName, storeName)).toHaveLength(3);
+  });
+
+  test('an invalid record should be rejected with every violation and its path', async () => {
+    const record = {
+      id: 0,
+      email: 'not an email',
+      role: 'owner',
+      address: { zip: 'abc' },
+      tags: ['a', 2, 'c', 'd'],
+    };
+
+    await expect(addOne(dbName, storeName, record)).rejects.toMatchObject({
+      code: 'ValidationError',
+      dbName,
+      storeName,
+      operation: 'addOne',
+      key: 0,
+      violations: [
+        { path: 'name', keyword: 'required', message: 'is required' },
+        { path: 'id', keyword: 'minimum', message: 'must be at least 1' },
+        { path: 'email', keyword: 'pattern' },
+        { path: 'role', keyword: 'enum', message: 'must be one of "admin", "member"' },
+        { path: 'address.city', keyword: 'required' },
+        { path: 'address.zip', keyword: 'pattern' },
+        { path: 'tags', keyword: 'maxItems' },
+        { path: 'tags[1]', keyword: 'type', message: 'must be of type string' },
+      ],
+    });
+    expect(await getOne(dbName, storeName, 0)).toBeUndefined();
+  });
+
+  test('the error message should list the violations', async () => {
+    await expect(updateOne(dbName, storeName, { id: 1, name: '' }))
+      .rejects.toThrow("Object store 'people' rejected an invalid record: name must be at least 1 characters long.");
+  });
+
+  test('patches and upserts should validate the record they store', async () => {
+    await expect(patchOne(dbName, storeName, 1, { born: 'yesterday' })).rejects.toMatchObject({
+      operation: 'patchOne',
+      violations: [{ path: 'born', keyword: 'format' }],
+    });
+    await expect(upsertOne(dbName, storeName, { id: 4, name: 42 })).rejects.toMatchObject({
+      violations: [{ path: 'name', keyword: 'type' }],
+    });
+    expect((await getOne(dbName, storeName, 1)).born).toEqual(new Date(1815, 11, 10));
+  });
+
+  test('a bulk write should fail as a whole and report the violations of every record', async () => {
+    await expect(addMany(dbName, storeName, [{ id: 5, name: 'Eve' }, { id: 6 }, { id: 7, name: 'Fay', tags: 'x' }]))
+      .rejects.toMatchObject({
+        key: 6,
+        violations: [
+          { path: '[1].name', keyword: 'required' },
+          { path: '[2].tags', keyword: 'type' },
+        ],
+      });
+    expect(await getOne(dbName, storeName, 5)).toBeUndefined();
+  });
+
+  test('a bulk write in continue-on-error mode should skip the invalid records', async () => {
+    const report = await putMany(dbName, storeName, [{ id: 5, name: 'Eve' }, { id: 6 }], { continueOnError: true });
+
+    expect(report).toEqual([
+      { index: 0, key: 5, success: true, error: null },
+      { index: 1, key: 6, success: false, error: 'ValidationError' },
+    ]);
+    expect(await getOne(dbName, storeName, 6)).toBeUndefined();
+  });
+
+  test('validateRecord should report violations without writing', () => {
+    expect(validateRecord(dbName, storeName, { id: 8, name: 'Gus' })).toEqual([]);
+    expect(validateRecord(dbName, storeName, 'text')).toEqual([
+      { path: '', keyword: 'type', message: 'must be of type object' },
+    ]);
+    expect(validateRecord(dbName, 'other', { anything: true })).toEqual([]);
+  });
+
+  test('additionalProperties false should reject unknown fields', () => {
+    defineSchema(dbName, 'other', { type: 'object', properties: { id: { type: 'number' } }, additionalProperties: false });
+
+    expect(validateRecord(dbName, 'other', { id: 1, extra: true })).toEqual([
+      { path: 'extra', keyword: 'additionalProperties', message: 'is not allowed' },
+    ]);
+  });
+
+  test('removeSchema should stop the validation', async () => {
+    expect(removeSchema(dbName, storeName)).toBe(true);
+
+    await addOne(dbName, storeName, { id: 9 });
+    expect(await getOne(dbName, storeName, 9)).toEqual({ id: 9 });
+    expect(() => defineSchema(dbName, storeName, null)).toThrow('must be an object');
+  });
+});
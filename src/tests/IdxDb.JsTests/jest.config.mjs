@@ -1,5 +1,5 @@
 export default {
   testEnvironment: "node",
-  setupFiles: ["./jest.setup.mjs"],
+  setupFilesAfterEnv: ["./jest.setup.mjs"],
   transform: {}
 }
@@ -2,3 +2,16 @@ import { indexedDB, IDBKeyRange } from "fake-indexeddb";
 
 global.indexedDB = indexedDB;
 global.IDBKeyRange = IDBKeyRange;
+
+// Each test file loads its own copy of the module, whose change channel would keep Node.js running.
+const channels = [];
+global.BroadcastChannel = class extends BroadcastChannel {
+  constructor(name) {
+    super(name);
+    channels.push(this);
+  }
+};
+
+afterAll(() => {
+  channels.splice(0).forEach((channel) => channel.close());
+});
@@ -1,4 +1,8 @@
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using Microsoft.Extensions.Logging.Abstractions;
 using Microsoft.JSInterop;
+using Microsoft.JSInterop.Infrastructure;
 using Moq;
 
 namespace IdxDb.Tests;
@@ -44,7 +48,7 @@ public class IndexedDbInteropTests
         await _indexedDbInterop.AddOneAsync(dbName, storeName, item);
 
         // Assert
-        _moduleMock.Verify(m => m.InvokeAsync<object>(
+        _moduleMock.Verify(m => m.InvokeAsync<JsonElement>(
                 "addOne",
                 It.Is<object[]>(args =>
                     args[0].Equals(dbName) &&
@@ -119,7 +123,7 @@ public class IndexedDbInteropTests
         await _indexedDbInterop.UpdateOneAsync(dbName, storeName, item);
 
         // Assert
-        _moduleMock.Verify(m => m.InvokeAsync<object>(
+        _moduleMock.Verify(m => m.InvokeAsync<JsonElement>(
                 "updateOne",
                 It.Is<object[]>(args =>
                     args[0].Equals(dbName) &&
@@ -181,6 +185,39 @@ public class IndexedDbInteropTests
             Times.Once);
     }
 
+    [Test]
+    public async Task MigrateDatabaseAsync_Returns_New_Version()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        var migrations = new[]
+        {
+            new DatabaseMigration(1, [MigrationStep.CreateStore("people", "id")]),
+            new DatabaseMigration(2,
+            [
+                MigrationStep.TransformRecords("people", "splitName"),
+                MigrationStep.RenameStore("people", "contacts", keyPath: "contactId")
+            ])
+        };
+
+        _moduleMock.Setup(m => m.InvokeAsync<int>(
+                "migrateDatabase",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(2);
+
+        // Act
+        var result = await _indexedDbInterop.MigrateDatabaseAsync(dbName, migrations);
+
+        // Assert
+        Assert.That(result, Is.EqualTo(2));
+        _moduleMock.Verify(m => m.InvokeAsync<int>(
+                "migrateDatabase",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    ((DatabaseMigration[])args[1]).SequenceEqual(migrations))),
+            Times.Once);
+    }
+
     [Test]
     public async Task AddManyAsync_Calls_JS_Interop_With_Correct_Parameters()
     {
@@ -197,7 +234,7 @@ public class IndexedDbInteropTests
         await _indexedDbInterop.AddManyAsync(dbName, storeName, items);
 
         // Assert
-        _moduleMock.Verify(m => m.InvokeAsync<object>(
+        _moduleMock.Verify(m => m.InvokeAsync<JsonElement[]>(
                 "addMany",
                 It.Is<object[]>(args =>
                     args[0].Equals(dbName) &&
@@ -261,6 +298,45 @@ public class IndexedDbInteropTests
             Times.Once);
     }
 
+    [Test]
+    public async Task QueryAsync_Returns_Page_And_Continuation_Token()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var options = new QueryOptions
+        {
+            IndexName = "CreatedAtIndex",
+            Range = KeyRange.LowerBound(100, open: true),
+            Direction = "prev",
+            Limit = 2
+        };
+        var expectedPage = new QueryResult<object>
+        {
+            Items = [new { Id = 2 }, new { Id = 1 }],
+            ContinuationToken = "token"
+        };
+
+        _moduleMock.Setup(m => m.InvokeAsync<QueryResult<object>>(
+                "query",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(expectedPage);
+
+        // Act
+        var result = await _indexedDbInterop.QueryAsync<object>(dbName, storeName, options);
+
+        // Assert
+        Assert.That(result, Is.SameAs(expectedPage));
+        Assert.That(result.HasMore, Is.True);
+        _moduleMock.Verify(m => m.InvokeAsync<QueryResult<object>>(
+                "query",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(options))),
+            Times.Once);
+    }
+
     [Test]
     public async Task ExecuteTransactionAsync_Performs_Operations_In_Transaction()
     {
@@ -268,26 +344,114 @@ public class IndexedDbInteropTests
         string dbName = "TestDb";
         string[] storeNames = { "Store1", "Store2" };
         string mode = "readwrite";
+        string transactionId = "tx-1";
+        string? receivedTransactionId = null;
+
+        _moduleMock.Setup(m => m.InvokeAsync<string>(
+                "beginTransaction",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(transactionId);
 
         // Act
-        await _indexedDbInterop.ExecuteTransactionAsync(dbName, storeNames, mode, async () =>
+        await _indexedDbInterop.ExecuteTransactionAsync(dbName, storeNames, mode, async id =>
         {
             // Simulate operations within the transaction
+            receivedTransactionId = id;
             await Task.CompletedTask;
         });
 
         // Assert
-        _moduleMock.Verify(m => m.InvokeAsync<object>(
+        Assert.That(receivedTransactionId, Is.EqualTo(transactionId));
+        _moduleMock.Verify(m => m.InvokeAsync<string>(
                 "beginTransaction",
                 It.Is<object[]>(args =>
                     args[0].Equals(dbName) &&
                     args[1].Equals(storeNames) &&
-                    args[2].Equals(mode))),
+                    args[2].Equals(mode) &&
+                    args[3].Equals("default"))),
             Times.Once);
 
-        _moduleMock.Verify(m => m.InvokeAsync<object>(
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "commitTransaction",
+                It.Is<object[]>(args => args[0].Equals(transactionId))),
+            Times.Once);
+    }
+
+    [Test]
+    public void ExecuteTransactionAsync_Aborts_Transaction_When_Body_Throws()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string[] storeNames = { "Store1" };
+        string transactionId = "tx-2";
+
+        _moduleMock.Setup(m => m.InvokeAsync<string>(
+                "beginTransaction",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(transactionId);
+
+        // Act
+        Assert.ThrowsAsync<InvalidOperationException>(() =>
+            _indexedDbInterop.ExecuteTransactionAsync(dbName, storeNames, "readwrite",
+                _ => throw new InvalidOperationException("Step two failed")));
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "abortTransaction",
+                It.Is<object[]>(args => args[0].Equals(transactionId))),
+            Times.Once);
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
                 "commitTransaction",
                 It.IsAny<object[]>()),
+            Times.Never);
+    }
+
+    [Test]
+    public async Task BeginTransactionAsync_Returns_Transaction_Id()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string[] storeNames = { "Orders", "OrderLines" };
+
+        _moduleMock.Setup(m => m.InvokeAsync<string>(
+                "beginTransaction",
+                It.IsAny<object[]>()))
+            .ReturnsAsync("tx-3");
+
+        // Act
+        var result = await _indexedDbInterop.BeginTransactionAsync(dbName, storeNames, "readwrite", "relaxed");
+
+        // Assert
+        Assert.That(result, Is.EqualTo("tx-3"));
+        _moduleMock.Verify(m => m.InvokeAsync<string>(
+                "beginTransaction",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeNames) &&
+                    args[2].Equals("readwrite") &&
+                    args[3].Equals("relaxed"))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task AddOneAsync_Passes_Transaction_Id()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var item = new { Id = 1, Name = "TestItem" };
+
+        // Act
+        await _indexedDbInterop.AddOneAsync(dbName, storeName, item, "tx-4");
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<JsonElement>(
+                "addOne",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(item) &&
+                    args[3].Equals("tx-4"))),
             Times.Once);
     }
 
@@ -335,4 +499,1332 @@ public class IndexedDbInteropTests
                     args[1].Equals(storeName))),
             Times.Once);
     }
-}
\ No newline at end of file
+
+    [Test]
+    public async Task DeleteDatabaseAsync_Calls_JS_Interop_With_Correct_Parameters()
+    {
+        // Arrange
+        string dbName = "TestDb";
+
+        // Act
+        await _indexedDbInterop.DeleteDatabaseAsync(dbName);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "deleteDatabase",
+                It.Is<object[]>(args => args[0].Equals(dbName))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task Module_Load_Subscribes_To_Connection_Events()
+    {
+        // Arrange
+        string dbName = "TestDb";
+
+        // Act
+        await _indexedDbInterop.CloseDatabaseAsync(dbName);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<int>(
+                "subscribeConnectionEvents",
+                It.Is<object[]>(args => args[0] is DotNetObjectReference<IndexedDbInterop>)),
+            Times.Once);
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "closeDatabase",
+                It.Is<object[]>(args => args[0].Equals(dbName))),
+            Times.Once);
+    }
+
+    [Test]
+    public void OnConnectionEvent_Raises_ConnectionEvent()
+    {
+        // Arrange
+        DatabaseConnectionEventArgs? received = null;
+        _indexedDbInterop.ConnectionEvent += (_, args) => received = args;
+        var connectionEvent = new DatabaseConnectionEventArgs
+        {
+            DbName = "TestDb",
+            Type = "versionchange",
+            OldVersion = 1,
+            NewVersion = 2
+        };
+
+        // Act
+        _indexedDbInterop.OnConnectionEvent(connectionEvent);
+
+        // Assert
+        Assert.That(received, Is.SameAs(connectionEvent));
+    }
+
+    [Test]
+    public async Task SubscribeStoreChangesAsync_Forwards_Changes_Until_Disposed()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var range = KeyRange.Bound(1, 10);
+        var received = new List<StoreChange>();
+
+        _moduleMock.Setup(m => m.InvokeAsync<int>(
+                "subscribeStoreChanges",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(7);
+
+        // Act
+        var subscription = await _indexedDbInterop.SubscribeStoreChangesAsync(dbName, storeName, change =>
+        {
+            received.Add(change);
+            return Task.CompletedTask;
+        }, range);
+        var storeChange = new StoreChange { DbName = dbName, StoreName = storeName, Type = "add" };
+        await subscription.OnStoreChanged(storeChange);
+        await subscription.DisposeAsync();
+
+        // Assert
+        Assert.That(received, Is.EqualTo(new[] { storeChange }));
+        _moduleMock.Verify(m => m.InvokeAsync<int>(
+                "subscribeStoreChanges",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2] is DotNetObjectReference<StoreChangeSubscription> &&
+                    args[3].Equals(range))),
+            Times.Once);
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "unsubscribeStoreChanges",
+                It.Is<object[]>(args => args[0].Equals(7))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task ExportDatabaseAsync_Returns_Snapshot()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string snapshot = "{\"format\":\"idxdb-snapshot\"}";
+
+        _moduleMock.Setup(m => m.InvokeAsync<string>(
+                "exportDatabase",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(snapshot);
+
+        // Act
+        var result = await _indexedDbInterop.ExportDatabaseAsync(dbName);
+
+        // Assert
+        Assert.That(result, Is.EqualTo(snapshot));
+        _moduleMock.Verify(m => m.InvokeAsync<string>(
+                "exportDatabase",
+                It.Is<object[]>(args => args[0].Equals(dbName) && args[1] == null)),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task ImportDatabaseAsync_Returns_Import_Result()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string snapshot = "{\"format\":\"idxdb-snapshot\"}";
+        var expectedResult = new ImportResult { Written = 3, Skipped = 1 };
+
+        _moduleMock.Setup(m => m.InvokeAsync<ImportResult>(
+                "importDatabase",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(expectedResult);
+
+        // Act
+        var result = await _indexedDbInterop.ImportDatabaseAsync(dbName, snapshot, "skip-existing");
+
+        // Assert
+        Assert.That(result, Is.SameAs(expectedResult));
+        _moduleMock.Verify(m => m.InvokeAsync<ImportResult>(
+                "importDatabase",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(snapshot) &&
+                    args[2].Equals("skip-existing"))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task PutManyAsync_Calls_JS_Interop_With_Correct_Parameters()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var items = new object[]
+        {
+            new { Id = 1, Name = "Item1" },
+            new { Id = 2, Name = "Item2" }
+        };
+
+        // Act
+        await _indexedDbInterop.PutManyAsync(dbName, storeName, items);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "putMany",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(items) &&
+                    args[3] == null)),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task TryAddManyAsync_Returns_Per_Item_Results()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var items = new object[] { new { Id = 1 }, new { Id = 1 } };
+        var expectedResults = new[]
+        {
+            new BulkWriteResult { Index = 0, Success = true },
+            new BulkWriteResult { Index = 1, Success = false, Error = "ConstraintError" }
+        };
+
+        _moduleMock.Setup(m => m.InvokeAsync<BulkWriteResult[]>(
+                "addMany",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(expectedResults);
+
+        // Act
+        var results = await _indexedDbInterop.TryAddManyAsync(dbName, storeName, items);
+
+        // Assert
+        Assert.That(results, Is.SameAs(expectedResults));
+        _moduleMock.Verify(m => m.InvokeAsync<BulkWriteResult[]>(
+                "addMany",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(items) &&
+                    args[3] != null)),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task DeleteManyAsync_Calls_JS_Interop_With_Correct_Parameters()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var keys = new[] { 1, 2, 3 };
+
+        // Act
+        await _indexedDbInterop.DeleteManyAsync(dbName, storeName, keys);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "deleteMany",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(keys))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task DeleteRangeAsync_Returns_Deleted_Count()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var range = KeyRange.Bound(10, 20);
+
+        _moduleMock.Setup(m => m.InvokeAsync<int>(
+                "deleteRange",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(5);
+
+        // Act
+        var result = await _indexedDbInterop.DeleteRangeAsync(dbName, storeName, range);
+
+        // Assert
+        Assert.That(result, Is.EqualTo(5));
+        _moduleMock.Verify(m => m.InvokeAsync<int>(
+                "deleteRange",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(range))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task PatchOneAsync_Returns_Stored_Item()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var changes = new { Name = "Patched" };
+        var options = new WriteOptions { VersionField = "version" };
+        var expectedResult = new WriteResult<object> { Inserted = false };
+
+        _moduleMock.Setup(m => m.InvokeAsync<WriteResult<object>>(
+                "patchOne",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(expectedResult);
+
+        // Act
+        var result = await _indexedDbInterop.PatchOneAsync<object, int>(dbName, storeName, 1, changes, options);
+
+        // Assert
+        Assert.That(result, Is.SameAs(expectedResult));
+        _moduleMock.Verify(m => m.InvokeAsync<WriteResult<object>>(
+                "patchOne",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(1) &&
+                    args[3].Equals(changes) &&
+                    args[4].Equals(options))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task UpsertOneAsync_Returns_Whether_The_Item_Was_Inserted()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var item = new { Id = 1, Name = "Item" };
+        var expectedResult = new WriteResult<object> { Inserted = true };
+
+        _moduleMock.Setup(m => m.InvokeAsync<WriteResult<object>>(
+                "upsertOne",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(expectedResult);
+
+        // Act
+        var result = await _indexedDbInterop.UpsertOneAsync<object>(dbName, storeName, item);
+
+        // Assert
+        Assert.That(result.Inserted, Is.True);
+        _moduleMock.Verify(m => m.InvokeAsync<WriteResult<object>>(
+                "upsertOne",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(item))),
+            Times.Once);
+    }
+
+    [Test]
+    public void UpdateOneAsync_Throws_Concurrency_Exception_On_Version_Conflict()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var item = new { Id = 1, Version = 1 };
+        var options = new WriteOptions { VersionField = "version" };
+
+        _moduleMock.Setup(m => m.InvokeAsync<JsonElement>(
+                "updateOne",
+                It.IsAny<object[]>()))
+            .ThrowsAsync(new JSException(
+                "Version conflict in object store 'TestStore' for key 1: expected version 1, found 2."));
+
+        // Act & Assert
+        Assert.ThrowsAsync<IndexedDbConcurrencyException>(() =>
+            _indexedDbInterop.UpdateOneAsync(dbName, storeName, item, options));
+    }
+
+    [Test]
+    public async Task CreateIndexAsync_With_Compound_Key_Path_Passes_Key_Paths_And_Options()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        string indexName = "TenantCreatedIndex";
+        string[] keyPath = ["tenantId", "createdAt"];
+        var options = new IndexOptions { Unique = true };
+
+        // Act
+        await _indexedDbInterop.CreateIndexAsync(dbName, storeName, indexName, keyPath, options);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "createIndex",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(indexName) &&
+                    args[3].Equals(keyPath) &&
+                    args[4].Equals(options))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task DeleteIndexAsync_Calls_JS_Interop_With_Correct_Parameters()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        string indexName = "NameIndex";
+
+        // Act
+        await _indexedDbInterop.DeleteIndexAsync(dbName, storeName, indexName);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "deleteIndex",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(indexName))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task SearchAsync_Returns_Ranked_Items()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        string text = "chef knife";
+        var options = new SearchOptions { Mode = "any", Prefix = true, Limit = 10 };
+        var expectedItems = new object[] { new { Id = 2, Name = "Chef knife" } };
+
+        _moduleMock.Setup(m => m.InvokeAsync<object[]>(
+                "search",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(expectedItems);
+
+        // Act
+        var result = await _indexedDbInterop.SearchAsync<object>(dbName, storeName, text, options);
+
+        // Assert
+        Assert.That(result, Is.EqualTo(expectedItems));
+        _moduleMock.Verify(m => m.InvokeAsync<object[]>(
+                "search",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(text) &&
+                    args[3].Equals(options))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task DefineSearchIndexAsync_Calls_JS_Interop_With_Correct_Parameters()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        string[] fields = ["name", "description"];
+
+        // Act
+        await _indexedDbInterop.DefineSearchIndexAsync(dbName, storeName, fields, 2);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "defineSearchIndex",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2] != null)),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task AddOneAsync_With_Time_To_Live_Sends_Milliseconds()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var item = new { Url = "/api/products" };
+        var options = new WriteOptions { TimeToLive = TimeSpan.FromMinutes(5) };
+
+        // Act
+        await _indexedDbInterop.AddOneAsync(dbName, storeName, item, options);
+
+        // Assert
+        Assert.That(options.TimeToLiveMilliseconds, Is.EqualTo(300_000));
+        _moduleMock.Verify(m => m.InvokeAsync<JsonElement>(
+                "addOne",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(item) &&
+                    args[3].Equals(options))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task PurgeExpiredAsync_Returns_Deleted_Count()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+
+        _moduleMock.Setup(m => m.InvokeAsync<int>(
+                "purgeExpired",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(4);
+
+        // Act
+        var result = await _indexedDbInterop.PurgeExpiredAsync(dbName, storeName);
+
+        // Assert
+        Assert.That(result, Is.EqualTo(4));
+        _moduleMock.Verify(m => m.InvokeAsync<int>(
+                "purgeExpired",
+                It.Is<object[]>(args => args[0].Equals(dbName) && args[1].Equals(storeName))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task DefineEncryptionAsync_Passes_Options()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var options = new EncryptionOptions { KeyId = "v1", HashedFields = ["email"] };
+
+        // Act
+        await _indexedDbInterop.DefineEncryptionAsync(dbName, storeName, options);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "defineEncryption",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2] == options)),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task RotateEncryptionKeyAsync_Returns_Rotated_Count()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+
+        _moduleMock.Setup(m => m.InvokeAsync<int>(
+                "rotateEncryptionKey",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(12);
+
+        // Act
+        var result = await _indexedDbInterop.RotateEncryptionKeyAsync(dbName, storeName, "v2");
+
+        // Assert
+        Assert.That(result, Is.EqualTo(12));
+        _moduleMock.Verify(m => m.InvokeAsync<int>(
+                "rotateEncryptionKey",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals("v2"))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task PutBlobAsync_Passes_Bytes_And_Content_Type()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        byte[] content = [1, 2, 3];
+        var info = new BlobInfo { Key = "photo.jpg", Size = 3, Type = "image/jpeg", ChunkCount = 1 };
+
+        _moduleMock.Setup(m => m.InvokeAsync<BlobInfo>(
+                "putBlob",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(info);
+
+        // Act
+        var result = await _indexedDbInterop.PutBlobAsync(dbName, "photo.jpg", content, "image/jpeg");
+
+        // Assert
+        Assert.That(result, Is.SameAs(info));
+        _moduleMock.Verify(m => m.InvokeAsync<BlobInfo>(
+                "putBlob",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals("photo.jpg") &&
+                    args[2] == content)),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task ListBlobsAsync_Returns_Blob_Descriptions()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        var blobs = new[] { new BlobInfo { Key = "job-1/photo.jpg" } };
+
+        _moduleMock.Setup(m => m.InvokeAsync<BlobInfo[]>(
+                "listBlobs",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(blobs);
+
+        // Act
+        var result = await _indexedDbInterop.ListBlobsAsync(dbName, "job-1/");
+
+        // Assert
+        Assert.That(result, Is.EqualTo(blobs));
+        _moduleMock.Verify(m => m.InvokeAsync<BlobInfo[]>(
+                "listBlobs",
+                It.Is<object[]>(args => args[0].Equals(dbName) && args[1].Equals("job-1/"))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task DeleteBlobAsync_Returns_Whether_Blob_Existed()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<bool>(
+                "deleteBlob",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(true);
+
+        // Act
+        var result = await _indexedDbInterop.DeleteBlobAsync("TestDb", "photo.jpg");
+
+        // Assert
+        Assert.That(result, Is.True);
+    }
+
+    [Test]
+    public void AddOneAsync_Throws_Quota_Exception_Naming_Store_And_Operation()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<JsonElement>(
+                "addOne",
+                It.IsAny<object[]>()))
+            .ThrowsAsync(new JSException(
+                "QuotaExceededError: Storage quota exceeded by addOne on object store 'photos' of database 'TestDb'."));
+
+        // Act
+        var exception = Assert.ThrowsAsync<IndexedDbQuotaExceededException>(() =>
+            _indexedDbInterop.AddOneAsync("TestDb", "photos", new { Id = 1 }));
+
+        // Assert
+        Assert.That(exception!.DatabaseName, Is.EqualTo("TestDb"));
+        Assert.That(exception.StoreName, Is.EqualTo("photos"));
+        Assert.That(exception.Operation, Is.EqualTo("addOne"));
+    }
+
+    [Test]
+    public async Task EstimateStorageAsync_Returns_Usage_And_Quota()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<StorageEstimate>(
+                "estimateStorage",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(new StorageEstimate { Usage = 250, Quota = 1000 });
+
+        // Act
+        var result = await _indexedDbInterop.EstimateStorageAsync();
+
+        // Assert
+        Assert.That(result.UsedFraction, Is.EqualTo(0.25));
+    }
+
+    [Test]
+    public async Task DefineEvictionAsync_Passes_Policy()
+    {
+        // Arrange
+        string dbName = "TestDb";
+
+        // Act
+        await _indexedDbInterop.DefineEvictionAsync(dbName, "photos", "takenAt", 20);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "defineEviction",
+                It.Is<object[]>(args => args[0].Equals(dbName) && args.Length == 2)),
+            Times.Once);
+    }
+
+    [Test]
+    public void AddOneAsync_Throws_Constraint_Exception_With_Error_Details()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<JsonElement>(
+                "addOne",
+                It.IsAny<object[]>()))
+            .ThrowsAsync(new JSException(
+                "Key already exists in the object store.\n" +
+                "IdxDbError {\"code\":\"ConstraintError\",\"message\":\"Key already exists in the object store.\"," +
+                "\"dbName\":\"TestDb\",\"storeName\":\"people\",\"operation\":\"addOne\",\"key\":7,\"missing\":null}\n" +
+                "ConstraintError: Key already exists in the object store."));
+
+        // Act
+        var exception = Assert.ThrowsAsync<IndexedDbConstraintException>(() =>
+            _indexedDbInterop.AddOneAsync("TestDb", "people", new { Id = 7 }));
+
+        // Assert
+        Assert.That(exception!.Code, Is.EqualTo("ConstraintError"));
+        Assert.That(exception.Message, Is.EqualTo("Key already exists in the object store."));
+        Assert.That(exception.DatabaseName, Is.EqualTo("TestDb"));
+        Assert.That(exception.StoreName, Is.EqualTo("people"));
+        Assert.That(exception.Operation, Is.EqualTo("addOne"));
+        Assert.That(exception.GetKey<int>(), Is.EqualTo(7));
+        Assert.That(exception.InnerException, Is.InstanceOf<JSException>());
+    }
+
+    [Test]
+    public void GetOneAsync_Throws_Store_Not_Found_Exception_For_Missing_Store()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<object>(
+                "getOne",
+                It.IsAny<object[]>()))
+            .ThrowsAsync(new JSException(
+                "Object store 'missing' does not exist in database 'TestDb'.\n" +
+                "IdxDbError {\"code\":\"NotFoundError\",\"message\":\"Object store 'missing' does not exist in database 'TestDb'.\"," +
+                "\"dbName\":\"TestDb\",\"storeName\":\"missing\",\"operation\":\"getOne\",\"key\":1,\"missing\":\"objectStore\"}"));
+
+        // Act
+        var exception = Assert.ThrowsAsync<IndexedDbStoreNotFoundException>(() =>
+            _indexedDbInterop.GetOneAsync<object, int>("TestDb", "missing", 1));
+
+        // Assert
+        Assert.That(exception, Is.InstanceOf<IndexedDbNotFoundException>());
+        Assert.That(exception!.StoreName, Is.EqualTo("missing"));
+        Assert.That(exception.Key, Is.Null);
+    }
+
+    [Test]
+    public void GetAllAsync_Throws_Indexed_Db_Exception_For_Other_Errors()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<object[]>(
+                "getAll",
+                It.IsAny<object[]>()))
+            .ThrowsAsync(new JSException(
+                "The transaction was aborted.\n" +
+                "IdxDbError {\"code\":\"AbortError\",\"message\":\"The transaction was aborted.\"," +
+                "\"dbName\":\"TestDb\",\"storeName\":\"people\",\"operation\":\"getAll\",\"key\":null,\"missing\":null}"));
+
+        // Act
+        var exception = Assert.ThrowsAsync<IndexedDbException>(() =>
+            _indexedDbInterop.GetAllAsync<object>("TestDb", "people"));
+
+        // Assert
+        Assert.That(exception!.Code, Is.EqualTo("AbortError"));
+        Assert.That(exception.Operation, Is.EqualTo("getAll"));
+    }
+
+    [Test]
+    public async Task DefineSchemaAsync_Passes_Schema()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        var schema = new JsonObject { ["type"] = "object" };
+
+        // Act
+        await _indexedDbInterop.DefineSchemaAsync(dbName, "people", schema);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "defineSchema",
+                It.Is<object[]>(args => args[0].Equals(dbName) && args[1].Equals("people") && args[2] == schema)),
+            Times.Once);
+    }
+
+    [Test]
+    public void UpdateOneAsync_Throws_Validation_Exception_With_Violations()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<JsonElement>(
+                "updateOne",
+                It.IsAny<object[]>()))
+            .ThrowsAsync(new JSException(
+                "Object store 'people' rejected an invalid record: name is required.\n" +
+                "IdxDbError {\"code\":\"ValidationError\",\"message\":\"Object store 'people' rejected an invalid record: name is required.\"," +
+                "\"dbName\":\"TestDb\",\"storeName\":\"people\",\"operation\":\"updateOne\",\"key\":3,\"missing\":null," +
+                "\"violations\":[{\"path\":\"name\",\"keyword\":\"required\",\"message\":\"is required\"}]}"));
+
+        // Act
+        var exception = Assert.ThrowsAsync<IndexedDbValidationException>(() =>
+            _indexedDbInterop.UpdateOneAsync("TestDb", "people", new { Id = 3 }));
+
+        // Assert
+        Assert.That(exception!.Violations, Has.Count.EqualTo(1));
+        Assert.That(exception.Violations[0].Path, Is.EqualTo("name"));
+        Assert.That(exception.Violations[0].ToString(), Is.EqualTo("name is required"));
+        Assert.That(exception.GetKey<int>(), Is.EqualTo(3));
+    }
+
+    [Test]
+    public async Task GroupCountAsync_Passes_Index_And_Range_To_JS()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var options = new AggregateOptions { IndexName = "StatusIndex", Range = KeyRange.LowerBound("b") };
+        KeyCount<string>[] expectedGroups =
+        [
+            new KeyCount<string> { Key = "closed", Count = 1 },
+            new KeyCount<string> { Key = "open", Count = 3 }
+        ];
+
+        _moduleMock.Setup(m => m.InvokeAsync<KeyCount<string>[]>(
+                "groupCount",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(expectedGroups);
+
+        // Act
+        var result = await _indexedDbInterop.GroupCountAsync<string>(dbName, storeName, options);
+
+        // Assert
+        Assert.That(result, Is.SameAs(expectedGroups));
+        _moduleMock.Verify(m => m.InvokeAsync<KeyCount<string>[]>(
+                "groupCount",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(options))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task AvgAsync_Returns_Null_When_No_Record_Has_The_Field()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var options = new AggregateOptions { Field = "total" };
+
+        _moduleMock.Setup(m => m.InvokeAsync<double?>(
+                "avg",
+                It.IsAny<object[]>()))
+            .ReturnsAsync((double?)null);
+
+        // Act
+        var result = await _indexedDbInterop.AvgAsync(dbName, storeName, options);
+
+        // Assert
+        Assert.That(result, Is.Null);
+        _moduleMock.Verify(m => m.InvokeAsync<double?>(
+                "avg",
+                It.Is<object[]>(args => args[2].Equals(options))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task DefineSyncAsync_Passes_Resolver_And_Custom_Strategy()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        var options = new SyncOptions { StoreNames = ["notes"], Endpoint = "https://example.com/sync" };
+
+        // Act
+        await _indexedDbInterop.DefineSyncAsync(dbName, options, conflict => Task.FromResult<object?>(conflict.Remote));
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "defineSync",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    "custom".Equals(ReadProperty(args[1], "conflictStrategy")) &&
+                    ReadProperty(args[1], "resolver") != null &&
+                    options.StoreNames.Equals(ReadProperty(args[1], "storeNames")))),
+            Times.Once);
+    }
+
+    [Test]
+    public void SyncAsync_Throws_Sync_Exception_When_Endpoint_Fails()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<SyncResult>(
+                "sync",
+                It.IsAny<object[]>()))
+            .ThrowsAsync(new JSException(
+                "The sync endpoint https://example.com/sync/push answered with status 503.\n" +
+                "IdxDbError {\"code\":\"SyncError\",\"message\":\"The sync endpoint https://example.com/sync/push answered with status 503.\"," +
+                "\"dbName\":\"TestDb\",\"storeName\":null,\"operation\":\"sync\",\"key\":null,\"missing\":null}"));
+
+        // Act
+        var exception = Assert.ThrowsAsync<IndexedDbSyncException>(() => _indexedDbInterop.SyncAsync("TestDb"));
+
+        // Assert
+        Assert.That(exception!.Code, Is.EqualTo("SyncError"));
+        Assert.That(exception.DatabaseName, Is.EqualTo("TestDb"));
+        Assert.That(exception.Message, Does.Contain("503"));
+    }
+
+    [Test]
+    public void OnSyncProgress_Raises_SyncProgress()
+    {
+        // Arrange
+        SyncProgressEventArgs? received = null;
+        _indexedDbInterop.SyncProgress += (_, args) => received = args;
+        var progress = new SyncProgressEventArgs { DbName = "TestDb", Phase = "pushed", Pushed = 3 };
+
+        // Act
+        _indexedDbInterop.OnSyncProgress(progress);
+
+        // Assert
+        Assert.That(received, Is.SameAs(progress));
+    }
+
+    [Test]
+    public async Task UseBackendAsync_Calls_JS_Interop_With_Correct_Parameters()
+    {
+        // Arrange
+        string dbName = "TestDb";
+
+        // Act
+        await _indexedDbInterop.UseBackendAsync(dbName, StorageBackend.Memory);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "useBackend",
+                It.Is<object[]>(args => args[0].Equals(dbName) && args[1].Equals("memory"))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task GetBackendAsync_Returns_The_Backend_In_Use()
+    {
+        // Arrange
+        string dbName = "TestDb";
+
+        _moduleMock.Setup(m => m.InvokeAsync<string>(
+                "getBackend",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(StorageBackend.Memory);
+
+        // Act
+        var result = await _indexedDbInterop.GetBackendAsync(dbName);
+
+        // Assert
+        Assert.That(result, Is.EqualTo(StorageBackend.Memory));
+        _moduleMock.Verify(m => m.InvokeAsync<string>(
+                "getBackend",
+                It.Is<object[]>(args => args[0].Equals(dbName))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task AddTimingHookAsync_Passes_A_Logger_Reference_And_The_Threshold()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<int>(
+                "addTimingHook",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(7);
+
+        // Act
+        var hookId = await _indexedDbInterop.AddTimingHookAsync(NullLogger.Instance,
+            new HookOptions { DbName = "TestDb", Operations = ["addOne"] }, TimeSpan.FromMilliseconds(20));
+
+        // Assert
+        Assert.That(hookId, Is.EqualTo(7));
+        _moduleMock.Verify(m => m.InvokeAsync<int>(
+                "addTimingHook",
+                It.Is<object[]>(args =>
+                    args[0] != null &&
+                    ReadProperty(args[1], "dbName")!.Equals("TestDb") &&
+                    ReadProperty(args[1], "storeName") == null &&
+                    ((string[])ReadProperty(args[1], "operations")!).SequenceEqual(new[] { "addOne" }) &&
+                    ReadProperty(args[1], "threshold")!.Equals(20d))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task AddTimestampHookAsync_Calls_JS_Interop_With_The_Fields()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<int>(
+                "addTimestampHook",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(3);
+
+        // Act
+        var hookId = await _indexedDbInterop.AddTimestampHookAsync("TestDb", "TestStore", updatedField: "modifiedAt");
+
+        // Assert
+        Assert.That(hookId, Is.EqualTo(3));
+        _moduleMock.Verify(m => m.InvokeAsync<int>(
+                "addTimestampHook",
+                It.Is<object[]>(args =>
+                    ReadProperty(args[0], "dbName")!.Equals("TestDb") &&
+                    ReadProperty(args[0], "storeName")!.Equals("TestStore") &&
+                    ReadProperty(args[0], "createdField")!.Equals("createdAt") &&
+                    ReadProperty(args[0], "updatedField")!.Equals("modifiedAt"))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task RemoveHookAsync_Returns_Whether_The_Hook_Existed()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<bool>(
+                "removeHook",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(true);
+
+        // Act
+        var result = await _indexedDbInterop.RemoveHookAsync(7);
+
+        // Assert
+        Assert.That(result, Is.True);
+        _moduleMock.Verify(m => m.InvokeAsync<bool>(
+                "removeHook",
+                It.Is<object[]>(args => args[0].Equals(7))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task ListDatabasesAsync_Returns_The_Databases_Of_Every_Backend()
+    {
+        // Arrange
+        var databases = new[]
+        {
+            new DatabaseInfo { Name = "TestDb", Version = 2, Backend = StorageBackend.IndexedDb },
+            new DatabaseInfo { Name = "Scratch", Version = 1, Backend = StorageBackend.Memory }
+        };
+
+        _moduleMock.Setup(m => m.InvokeAsync<DatabaseInfo[]>(
+                "listDatabases",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(databases);
+
+        // Act
+        var result = await _indexedDbInterop.ListDatabasesAsync();
+
+        // Assert
+        Assert.That(result, Is.EqualTo(databases));
+    }
+
+    [Test]
+    public async Task DescribeDatabaseAsync_Returns_The_Schema_Of_The_Database()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        var description = JsonSerializer.Deserialize<DatabaseDescription>("""
+            {
+              "name": "TestDb", "version": 3, "backend": "indexedDB",
+              "stores": [{
+                "name": "people", "keyPath": "id", "autoIncrement": true, "count": 2,
+                "indexes": [{ "name": "nameIndex", "keyPath": ["last", "first"], "unique": false, "multiEntry": false }]
+              }, { "name": "settings", "keyPath": null, "autoIncrement": false, "count": 0, "indexes": [] }]
+            }
+            """)!;
+
+        _moduleMock.Setup(m => m.InvokeAsync<DatabaseDescription>(
+                "describeDatabase",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(description);
+
+        // Act
+        var result = await _indexedDbInterop.DescribeDatabaseAsync(dbName);
+
+        // Assert
+        Assert.That(result.Version, Is.EqualTo(3));
+        Assert.That(result.FindStore("people")!.GetKeyPath(), Is.EqualTo(new[] { "id" }));
+        Assert.That(result.FindStore("people")!.FindIndex("nameIndex")!.GetKeyPath(), Is.EqualTo(new[] { "last", "first" }));
+        Assert.That(result.FindStore("settings")!.GetKeyPath(), Is.Empty);
+        Assert.That(result.FindStore("missing"), Is.Null);
+        _moduleMock.Verify(m => m.InvokeAsync<DatabaseDescription>(
+                "describeDatabase",
+                It.Is<object[]>(args => args[0].Equals(dbName))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task SampleRecordsAsync_Calls_JS_Interop_With_Correct_Parameters()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+
+        _moduleMock.Setup(m => m.InvokeAsync<SampledRecord[]>(
+                "sampleRecords",
+                It.IsAny<object[]>()))
+            .ReturnsAsync([]);
+
+        // Act
+        await _indexedDbInterop.SampleRecordsAsync(dbName, storeName, 5);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<SampledRecord[]>(
+                "sampleRecords",
+                It.Is<object[]>(args => args[0].Equals(dbName) && args[1].Equals(storeName) && args[2].Equals(5))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task DefineHistoryAsync_Sends_Max_Age_In_Milliseconds()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var options = new HistoryOptions { SoftDelete = true, MaxRevisions = 10, MaxAge = TimeSpan.FromDays(1) };
+
+        // Act
+        await _indexedDbInterop.DefineHistoryAsync(dbName, storeName, options);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "defineHistory",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    Equals(ReadProperty(args[2], "softDelete"), true) &&
+                    Equals(ReadProperty(args[2], "deletedField"), "deletedAt") &&
+                    Equals(ReadProperty(args[2], "maxRevisions"), 10) &&
+                    Equals(ReadProperty(args[2], "maxAge"), 86_400_000d))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task GetHistoryAsync_Returns_Revisions()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var revisions = new[] { new Revision<string> { Number = 1, Operation = "update", Record = "first" } };
+
+        _moduleMock.Setup(m => m.InvokeAsync<Revision<string>[]>(
+                "getHistory",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(revisions);
+
+        // Act
+        var result = await _indexedDbInterop.GetHistoryAsync<string, int>(dbName, storeName, 7);
+
+        // Assert
+        Assert.That(result, Is.EqualTo(revisions));
+        _moduleMock.Verify(m => m.InvokeAsync<Revision<string>[]>(
+                "getHistory",
+                It.Is<object[]>(args => args[0].Equals(dbName) && args[1].Equals(storeName) && args[2].Equals(7))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task UndeleteAsync_Returns_Whether_The_Record_Was_Restored()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+
+        _moduleMock.Setup(m => m.InvokeAsync<bool>(
+                "undelete",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(true);
+
+        // Act
+        var result = await _indexedDbInterop.UndeleteAsync(dbName, storeName, 7);
+
+        // Assert
+        Assert.That(result, Is.True);
+        _moduleMock.Verify(m => m.InvokeAsync<bool>(
+                "undelete",
+                It.Is<object[]>(args => args[0].Equals(dbName) && args[1].Equals(storeName) && args[2].Equals(7))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task AddOneAsync_Returns_The_Generated_Key()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<JsonElement>(
+                "addOne",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(JsonSerializer.SerializeToElement(42));
+
+        // Act
+        var key = await _indexedDbInterop.AddOneAsync("TestDb", "TestStore", new { Name = "TestItem" });
+
+        // Assert
+        Assert.That(key.GetInt32(), Is.EqualTo(42));
+    }
+
+    [Test]
+    public async Task AddOneAndReturnAsync_Asks_For_The_Stored_Record()
+    {
+        // Arrange
+        var stored = new WriteResult<string> { Key = JsonSerializer.SerializeToElement("01J"), Inserted = true, Record = "item" };
+        var options = new WriteOptions { TimeToLive = TimeSpan.FromSeconds(1) };
+
+        _moduleMock.Setup(m => m.InvokeAsync<WriteResult<string>>(
+                "addOne",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(stored);
+
+        // Act
+        var result = await _indexedDbInterop.AddOneAndReturnAsync("TestDb", "TestStore", "item", options);
+
+        // Assert
+        Assert.That(result, Is.SameAs(stored));
+        _moduleMock.Verify(m => m.InvokeAsync<WriteResult<string>>(
+                "addOne",
+                It.Is<object[]>(args =>
+                    Equals(ReadProperty(args[3], "returnRecord"), true) &&
+                    Equals(ReadProperty(args[3], "ttl"), 1000d) &&
+                    ReadProperty(args[3], "versionField") == null)),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task AddManyAsync_Returns_The_Keys_In_Input_Order()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<JsonElement[]>(
+                "addMany",
+                It.IsAny<object[]>()))
+            .ReturnsAsync([JsonSerializer.SerializeToElement(1), JsonSerializer.SerializeToElement(2)]);
+
+        // Act
+        var keys = await _indexedDbInterop.AddManyAsync("TestDb", "TestStore", [new { Name = "a" }, new { Name = "b" }]);
+
+        // Assert
+        Assert.That(keys.Select(key => key.GetInt32()), Is.EqualTo(new[] { 1, 2 }));
+    }
+
+    [Test]
+    public async Task DefineKeyGeneratorAsync_Calls_JS_Interop_With_The_Generator()
+    {
+        // Act
+        await _indexedDbInterop.DefineKeyGeneratorAsync("TestDb", "TestStore", KeyGenerator.Ulid);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "defineKeyGenerator",
+                It.Is<object[]>(args =>
+                    args[0].Equals("TestDb") &&
+                    args[1].Equals("TestStore") &&
+                    args[2].Equals("ulid"))),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task DefineRelationsAsync_Calls_JS_Interop_With_The_Relations()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        var relation = new StoreRelation { Field = "orderId", References = "orders", OnDelete = "cascade" };
+
+        // Act
+        await _indexedDbInterop.DefineRelationsAsync(dbName, "orderLines", [relation]);
+
+        // Assert
+        _moduleMock.Verify(m => m.InvokeAsync<IJSVoidResult>(
+                "defineRelations",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals("orderLines") &&
+                    ((StoreRelation[])args[2]).Single() == relation)),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task GetWithRelatedAsync_Returns_The_Item_And_Its_Related_Items()
+    {
+        // Arrange
+        var related = JsonSerializer.Deserialize<RelatedItems<string>>(
+            """{ "item": "order", "related": { "orderLines": [{ "id": 1 }, { "id": 2 }], "customers": null } }""")!;
+
+        _moduleMock.Setup(m => m.InvokeAsync<RelatedItems<string>>(
+                "getWithRelated",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(related);
+
+        // Act
+        var result = await _indexedDbInterop.GetWithRelatedAsync<string, int>("TestDb", "orders", 7,
+            ["orderLines", "customers"]);
+
+        // Assert
+        Assert.That(result!.Item, Is.EqualTo("order"));
+        Assert.That(result.GetChildren<Dictionary<string, int>>("orderLines").Select(line => line["id"]),
+            Is.EqualTo(new[] { 1, 2 }));
+        Assert.That(result.GetParent<Dictionary<string, int>>("customers"), Is.Null);
+        _moduleMock.Verify(m => m.InvokeAsync<RelatedItems<string>>(
+                "getWithRelated",
+                It.Is<object[]>(args =>
+                    args[2].Equals(7) &&
+                    ((string[])args[3]).SequenceEqual(new[] { "orderLines", "customers" }) &&
+                    args[4] == null)),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task FindAsync_Calls_JS_Interop_With_The_Query()
+    {
+        // Arrange
+        string dbName = "TestDb";
+        string storeName = "TestStore";
+        var options = new FindOptions
+        {
+            Where = [new QueryPredicate("price", "lt", 5)],
+            OrderBy = [new QueryOrdering { Field = "name" }],
+            Take = 10
+        };
+
+        _moduleMock.Setup(m => m.InvokeAsync<string[]>(
+                "find",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(["Apple"]);
+
+        // Act
+        var result = await _indexedDbInterop.FindAsync<string>(dbName, storeName, options);
+
+        // Assert
+        Assert.That(result, Is.EqualTo(new[] { "Apple" }));
+        _moduleMock.Verify(m => m.InvokeAsync<string[]>(
+                "find",
+                It.Is<object[]>(args =>
+                    args[0].Equals(dbName) &&
+                    args[1].Equals(storeName) &&
+                    args[2].Equals(options) &&
+                    args[3] == null)),
+            Times.Once);
+    }
+
+    [Test]
+    public async Task ExplainAsync_Returns_The_Plan()
+    {
+        // Arrange
+        var plan = new QueryPlan { Strategy = "index", IndexName = "priceIndex", KeyPath = "price" };
+
+        _moduleMock.Setup(m => m.InvokeAsync<QueryPlan>(
+                "explain",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(plan);
+
+        // Act
+        var result = await _indexedDbInterop.ExplainAsync("TestDb", "TestStore", new FindOptions());
+
+        // Assert
+        Assert.That(result, Is.SameAs(plan));
+    }
+
+    [Test]
+    public async Task AddQueryPlanHookAsync_Passes_A_Listener_Reference()
+    {
+        // Arrange
+        _moduleMock.Setup(m => m.InvokeAsync<int>(
+                "addQueryPlanHook",
+                It.IsAny<object[]>()))
+            .ReturnsAsync(4);
+
+        // Act
+        var hookId = await _indexedDbInterop.AddQueryPlanHookAsync(_ => Task.CompletedTask, storeName: "TestStore");
+
+        // Assert
+        Assert.That(hookId, Is.EqualTo(4));
+        _moduleMock.Verify(m => m.InvokeAsync<int>(
+                "addQueryPlanHook",
+                It.Is<object[]>(args =>
+                    args[0] != null &&
+                    ReadProperty(args[1], "dbName") == null &&
+                    ReadProperty(args[1], "storeName")!.Equals("TestStore"))),
+            Times.Once);
+    }
+
+    // Reads a property of an anonymous object passed to the module.
+    private static object? ReadProperty(object value, string name)
+    {
+        return value.GetType().GetProperty(name)?.GetValue(value);
+    }
+}
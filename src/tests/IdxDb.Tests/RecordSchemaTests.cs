@@ -0,0 +1,86 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Nodes;
+using System.Text.Json.Serialization;
+
+namespace IdxDb.Tests;
+
+[TestFixture]
+public class RecordSchemaTests
+{
+    private enum Role
+    {
+        Member,
+        Admin,
+    }
+
+    private class Contact
+    {
+        public Guid Id { get; set; }
+
+        [Required]
+        [StringLength(50, MinimumLength = 2)]
+        public string? Name { get; set; }
+
+        [Range(0, 150)]
+        public int Age { get; set; }
+
+        [EmailAddress]
+        [JsonPropertyName("mail")]
+        public string? Email { get; set; }
+
+        public DateTime? BornAt { get; set; }
+
+        public Role Role { get; set; }
+
+        [MaxLength(3)]
+        public List<string> Tags { get; set; } = [];
+
+        [JsonIgnore]
+        public string Display => $"{Name} ({Age})";
+    }
+
+    [Test]
+    public void For_Describes_Properties_As_Javascript_Sees_Them()
+    {
+        // Act
+        var schema = RecordSchema.For<Contact>();
+
+        // Assert
+        var properties = schema["properties"]!.AsObject();
+        Assert.That(schema["type"]!.GetValue<string>(), Is.EqualTo("object"));
+        Assert.That(properties.Select(property => property.Key),
+            Is.EqualTo(new[] { "id", "name", "age", "mail", "bornAt", "role", "tags" }));
+        Assert.That(properties["id"]!["type"]!.GetValue<string>(), Is.EqualTo("string"));
+        Assert.That(properties["bornAt"]!["format"]!.GetValue<string>(), Is.EqualTo("date-time"));
+        Assert.That(properties["bornAt"]!["type"]!.ToJsonString(), Is.EqualTo("""["string","null"]"""));
+        Assert.That(properties["role"]!["enum"]!.ToJsonString(), Is.EqualTo("[0,1]"));
+        Assert.That(properties["tags"]!["items"]!["type"]!.ToJsonString(), Is.EqualTo("""["string","null"]"""));
+    }
+
+    [Test]
+    public void For_Turns_Data_Annotations_Into_Constraints()
+    {
+        // Act
+        var properties = RecordSchema.For<Contact>()["properties"]!.AsObject();
+
+        // Assert
+        Assert.That(properties["name"]!["type"]!.GetValue<string>(), Is.EqualTo("string"));
+        Assert.That(properties["name"]!["minLength"]!.GetValue<int>(), Is.EqualTo(2));
+        Assert.That(properties["name"]!["maxLength"]!.GetValue<int>(), Is.EqualTo(50));
+        Assert.That(properties["age"]!["minimum"]!.GetValue<double>(), Is.EqualTo(0));
+        Assert.That(properties["age"]!["maximum"]!.GetValue<double>(), Is.EqualTo(150));
+        Assert.That(properties["mail"]!["pattern"]!.GetValue<string>(), Is.EqualTo("^[^@]+@[^@]+$"));
+        Assert.That(properties["tags"]!["maxItems"]!.GetValue<int>(), Is.EqualTo(3));
+    }
+
+    [Test]
+    public void For_Requires_Non_Nullable_Properties()
+    {
+        // Act
+        var required = RecordSchema.For<Contact>()["required"]!.AsArray();
+
+        // Assert
+        Assert.That(required.Select(name => name!.GetValue<string>()),
+            Is.EqualTo(new[] { "id", "name", "age", "role", "tags" }));
+    }
+}
@@ -0,0 +1,142 @@
+using System.Text.Json.Serialization;
+using Microsoft.JSInterop;
+using Moq;
+
+namespace IdxDb.Tests;
+
+[TestFixture]
+public class RepositoryQueryTests
+{
+    private class Stock
+    {
+        public int Count { get; set; }
+    }
+
+    private class Product
+    {
+        public int Id { get; set; }
+
+        public string Name { get; set; } = string.Empty;
+
+        [JsonPropertyName("cat")]
+        public string Category { get; set; } = string.Empty;
+
+        public decimal? Price { get; set; }
+
+        public bool Archived { get; set; }
+
+        public List<string> Tags { get; set; } = [];
+
+        public Stock Stock { get; set; } = new();
+    }
+
+    private IndexedDbRepository<Product> _repository;
+
+    [SetUp]
+    public void Setup()
+    {
+        _repository = new IndexedDbRepository<Product>(new Mock<IJSRuntime>().Object, "TestDb", "products");
+    }
+
+    [TearDown]
+    public async Task TearDown()
+    {
+        await _repository.DisposeAsync();
+    }
+
+    [Test]
+    public void Where_Translates_Comparisons_With_Javascript_Field_Names()
+    {
+        // Arrange
+        var minimum = 5m;
+
+        // Act
+        var options = _repository.Query()
+            .Where(product => product.Category == "fruit" && product.Price >= minimum && 10 > product.Stock.Count)
+            .ToFindOptions();
+
+        // Assert
+        Assert.That(options.Where.Select(predicate => (predicate.Field, predicate.Op, predicate.Value)), Is.EqualTo(new[]
+        {
+            ("cat", "eq", (object?)"fruit"),
+            ("price", "gte", 5m),
+            ("stock.count", "lt", 10),
+        }));
+    }
+
+    [Test]
+    public void Where_Translates_Booleans_And_Method_Calls()
+    {
+        // Arrange
+        var names = new[] { "Apple", "Pear" };
+
+        // Act
+        var options = _repository.Query()
+            .Where(product => !product.Archived && product.Name.StartsWith("Ap") && product.Tags.Contains("new"))
+            .Where(product => names.Contains(product.Name) && product.Name != null)
+            .ToFindOptions();
+
+        // Assert
+        Assert.That(options.Where.Select(predicate => (predicate.Field, predicate.Op)), Is.EqualTo(new[]
+        {
+            ("archived", "eq"),
+            ("name", "startsWith"),
+            ("tags", "contains"),
+            ("name", "in"),
+            ("name", "ne"),
+        }));
+        Assert.That(options.Where[0].Value, Is.EqualTo(false));
+        Assert.That(options.Where[3].Value, Is.EqualTo(new object[] { "Apple", "Pear" }));
+        Assert.That(options.Where[4].Value, Is.Null);
+    }
+
+    [Test]
+    public void Where_Rejects_Expressions_Without_A_Query_Operator()
+    {
+        // Act & Assert
+        Assert.Throws<NotSupportedException>(() =>
+            _repository.Query().Where(product => product.Archived || product.Price > 3));
+        Assert.Throws<NotSupportedException>(() =>
+            _repository.Query().Where(product => product.Name.ToUpper() == "APPLE"));
+    }
+
+    [Test]
+    public void Ordering_And_Paging_Build_A_New_Query()
+    {
+        // Arrange
+        var query = _repository.Query();
+
+        // Act
+        var options = query
+            .OrderBy(product => product.Name)
+            .OrderByDescending(product => product.Price)
+            .ThenBy(product => product.Stock.Count)
+            .Take(10)
+            .Skip(3)
+            .ToFindOptions();
+
+        // Assert
+        Assert.That(options.OrderBy.Select(ordering => (ordering.Field, ordering.Descending)), Is.EqualTo(new[]
+        {
+            ("price", true),
+            ("stock.count", false),
+        }));
+        Assert.That(options.Skip, Is.EqualTo(3));
+        Assert.That(options.Take, Is.EqualTo(7));
+        Assert.That(query.ToFindOptions().OrderBy, Is.Empty);
+    }
+
+    [Test]
+    public void Conditions_And_Orderings_Cannot_Follow_Paging()
+    {
+        // Arrange
+        var paged = _repository.Query().Take(5);
+
+        // Act & Assert
+        Assert.Throws<NotSupportedException>(() => paged.Where(product => product.Archived));
+        Assert.Throws<NotSupportedException>(() => paged.Where("cat", "eq", "fruit"));
+        Assert.Throws<NotSupportedException>(() => _repository.Query().Skip(2).OrderBy(product => product.Name));
+        Assert.Throws<NotSupportedException>(() => paged.ThenByDescending(product => product.Price));
+        Assert.DoesNotThrow(() => _repository.Query().Skip(0).Where(product => product.Archived));
+    }
+}